@@ -10,8 +10,7 @@ import {
   Easing,
   Alert,
   Dimensions,
-  NativeModules,
-  NativeEventEmitter,
+  AppState,
 } from 'react-native';
 import {
   Camera,
@@ -19,170 +18,302 @@ import {
   CameraPermissionStatus,
 } from 'react-native-vision-camera';
 import type { Camera as CameraType } from 'react-native-vision-camera';
-import RNFS from 'react-native-fs';
+import Geolocation from '@react-native-community/geolocation';
 import 'react-native-get-random-values';
-import uuid from 'react-native-uuid';
 
-
-// Backend API configuration
-// const BACKEND_URL = 'http://localhost:3001'; // Change this to your backend URL
-// const BACKEND_URL = 'http://192.168.1.100:3001'; // Change this to your backend URL
-// const BACKEND_URL = 'http://10.0.2.2:3001'; // Change this to your backend URL
-
-// Ngrok URL
-const BACKEND_URL = 'https://9d6c90b66682.ngrok-free.app'; // Change this to your backend URL
-
-// API functions
-const apiCall = async (endpoint: string, method: string = 'GET', body?: any) => {
-  try {
-    const response = await fetch(`${BACKEND_URL}${endpoint}`, {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: body ? JSON.stringify(body) : undefined,
-    });
-    return await response.json();
-  } catch (error) {
-    console.error('API call failed:', error);
-    throw error;
-  }
-};
-
-// const uploadVideoChunk = async (videoPath: string) => {
-//   try {
-//     const formData = new FormData();
-//     formData.append('video', {
-//       uri: videoPath,
-//       type: 'video/mp4',
-//       name: `video_${Date.now()}.mp4`,
-//     } as any);
-
-//     const response = await fetch(`${BACKEND_URL}/upload-chunk`, {
-//       method: 'POST',
-//       // headers: {
-//       //   'Content-Type': 'multipart/form-data',
-//       // },
-//       body: formData,
-//     });
-
-//     return await response.json();
-//   } catch (error) {
-//     console.error('Video upload failed:', error);
-//     throw error;
-//   }
-// };
-
-
-
-// Types for metadata
-interface RecordingMetadata {
-  deviceId: string;
-  timestamp: string;
-  location?: {
-    latitude: number;
-    longitude: number;
-    accuracy: number;
-  };
-  deviceInfo: {
-    brand: string;
-    model: string;
-    os: string;
-    osVersion: string;
-  };
-  cameraInfo: {
-    id: string;
-    position: string; // Can be 'front', 'back', or 'external'
-    resolution: {
-      width: number;
-      height: number;
-    };
-  };
-  viewport: {
-    width: number;
-    height: number;
-    scale: number;
-    fontScale: number;
-  };
-  orientation: 'portrait' | 'landscape';
-  gyro?: {
-    x: number;
-    y: number;
-    z: number;
-  };
-  recordingSettings: {
-    codec: string;
-    quality: string;
-    bitrate: number;
-  };
-}
+import {
+  apiCall,
+  getBackendUrl,
+  isSessionActive,
+  openEventSocket,
+  openLiveIngestSocket,
+  setBackendUrl,
+  uploadVideoChunk,
+} from './src/api';
+import { createUploadQueue, QueueStatus, withUploadStats } from './src/uploadQueue';
+import { createAdaptiveController, QualitySettings } from './src/adaptiveController';
+import { createSegmenter } from './src/segmenter';
+import { createLiveStreamer, LiveStreamStatus } from './src/liveStream';
+import { createSensorRecorder } from './src/sensors';
+import { createChunkHashes } from './src/chunkHashes';
+import { createMotionGuard, DEFAULT_GUARD_SETTINGS, GuardStatus } from './src/motionGuard';
+import { useMotionDetector } from './src/motionDetection';
+import { createRecordingService, RecordingState } from './src/recordingService';
+import HistoryScreen from './src/HistoryScreen';
+import SettingsScreen from './src/SettingsScreen';
+import {
+  AppSettings,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  qualityLimitsOf,
+  saveSettings,
+} from './src/settings';
+import {
+  applyServerEvent,
+  createLiveFeed,
+  describeServerState,
+  initialServerState,
+  ServerState,
+} from './src/liveEvents';
+import { clearToken, ensureEnrolled, loadIdentity } from './src/deviceIdentity';
+import { METADATA_SCHEMA_VERSION, RecordingMetadata } from './src/types';
 
 export default function App() {
   const camera = useRef<CameraType>(null);
-  // Track the current chunk index
-const currentChunkIndex = useRef(0);
+  // Mirrors `sessionId` for callbacks created before the session started (segmenter, recorder callbacks)
+  const activeSessionId = useRef<string | null>(null);
+  // Builds the metadata of a segment as it starts; refreshed every render so it sees current sensor data
+  const segmentMetadata = useRef<(chunkIndex: number) => RecordingMetadata | null>(() => null);
+  // The camera stopped under the recording, which waits for it to start again
+  const interrupted = useRef(false);
+  // Refreshed every render, for the effect resuming an interrupted session
+  const openCamera = useRef(async () => {});
   const [hasPermission, setHasPermission] = useState(false);
   const [showCamera, setShowCamera] = useState(false);
   const [showSplash, setShowSplash] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // Backend, quality limits, audio and camera, loaded from the device on startup
+  const [settings, setSettings] = useState<AppSettings>(DEFAULT_SETTINGS);
   const [isRecording, setIsRecording] = useState(false);
   const [sessionId, setSessionId] = useState<string | null>(null);
-  const [uploadStatus, setUploadStatus] = useState<string>('Ready');
+  // Local problems (recording, queueing, backend calls); server-side progress comes from the live feed
+  const [localError, setLocalError] = useState<string | null>(null);
   const [deviceOrientation, setDeviceOrientation] = useState<'portrait' | 'landscape'>(
     Dimensions.get('window').width > Dimensions.get('window').height ? 'landscape' : 'portrait'
   );
-  const [location, setLocation] = useState<{latitude: number, longitude: number, accuracy: number} | null>(null);
-  const [gyroData, setGyroData] = useState<{x: number, y: number, z: number} | null>(null);
+  // Location, heading and motion samples while the camera is open, cut into a track per segment
+  const [sensors] = useState(() => createSensorRecorder());
+  // SHA-256 of each segment, linked to the one before it
+  const [chunkHashes] = useState(() => createChunkHashes());
+  // Guard mode: record continuously, but keep only the segments around motion
+  const [guardMode, setGuardMode] = useState(false);
+  const [motionGuard] = useState(() => createMotionGuard());
+  const [guardStatus, setGuardStatus] = useState<GuardStatus | null>(null);
+  // Keeps recording outside the foreground, and remembers the session in case the app is killed
+  const [recordingService] = useState(() => createRecordingService());
+  // A session the app was killed in the middle of, continued once the camera is ready
+  const [pendingResume, setPendingResume] = useState<RecordingState | null>(null);
   
-  // Generate persistent deviceId for this session
-  const [deviceId] = useState<string>(() => uuid.v4().toString());
+  // Persistent deviceId of this install, loaded (and enrolled with the backend) on startup
+  const [deviceId, setDeviceId] = useState<string | null>(null);
+
+  // Recording quality and segment length, adapted to upload throughput and backlog
+  const [quality] = useState(() => createAdaptiveController());
+  const [qualitySettings, setQualitySettings] = useState<QualitySettings>(() => quality.current());
+
+  // Chunks waiting for upload, persisted across app restarts; each round-trip is measured for `quality`
+  const [uploadQueue] = useState(() =>
+    createUploadQueue(
+      withUploadStats(uploadVideoChunk, {
+        onSuccess: quality.recordUpload,
+        onFailure: quality.recordFailure,
+      }),
+      {
+        // The backend no longer accepts the device token (e.g. it was revoked): enroll again
+        reauthenticate: async () => {
+          await clearToken();
+          await ensureEnrolled((await loadSettings()).enrollmentToken);
+        },
+      },
+    ),
+  );
+  const [queueStatus, setQueueStatus] = useState<QueueStatus | null>(null);
+
+  // Cuts the recording into segments, restarting the recorder as soon as each file is
+  // finalised, and times each one (the hand-over shows up as the next segment's gapBeforeMs)
+  const [segmenter] = useState(() =>
+    createSegmenter({
+      getRecorder: () => camera.current,
+      segmentDurationMs: () => quality.current().segmentDurationMs,
+      onSegmentStart: index => {
+        // A chunk index is used up as its segment starts; in guard mode only once kept
+        if (!motionGuard.armed) {
+          recordingService.advance(index + 1);
+        }
+        return segmentMetadata.current(index);
+      },
+      onSegment: async ({ path, timing, context: metadata }) => {
+        console.log('Video segment saved to:', path);
+        if (!metadata) {
+          return;
+        }
+        // In guard mode only the segments around motion are kept, numbered anew
+        const segments = motionGuard.admit({
+          path,
+          timing,
+          metadata: {
+            ...metadata,
+            chunkTimestamp: new Date().toISOString(),
+            timing,
+            sensorTrack: sensors.trackFor(timing),
+          },
+        });
+        if (motionGuard.armed) {
+          recordingService.advance(motionGuard.nextIndex);
+          recordingService.describe(`Guarding · ${motionGuard.getStatus().kept} clip(s) kept`);
+        } else {
+          recordingService.describe(`${metadata.chunkIndex + 1} segment(s) recorded`);
+        }
+        // Started in order, so each digest is linked to the one before
+        const digests = segments.map(segment =>
+          chunkHashes.digest(segment.metadata.sessionId, segment.metadata.chunkIndex, segment.path),
+        );
+        for (const [index, segment] of segments.entries()) {
+          try {
+            // Hand the clip to the persistent upload queue; it retries until the backend accepts it
+            await uploadQueue.enqueue(segment.path, {
+              ...segment.metadata,
+              ...(await digests[index]),
+            });
+          } catch (error) {
+            console.error('Failed to queue chunk for upload:', error);
+            setLocalError('Upload queue error');
+          }
+        }
+      },
+      onError: (error, index) => {
+        console.error(`Recording error in segment ${index}:`, error);
+        setLocalError('Recording error');
+      },
+    }),
+  );
+
+  // Live server-side state of the current session (uploads stored, analysis, alerts)
+  const [liveFeed] = useState(() => createLiveFeed(openEventSocket));
+  const [serverState, setServerState] = useState<ServerState>(initialServerState);
+
+  // Low-latency live preview for remote viewers, alongside the chunk uploads
+  const [liveStreamer] = useState(() =>
+    createLiveStreamer(openLiveIngestSocket, () => camera.current),
+  );
+  const [liveStatus, setLiveStatus] = useState<LiveStreamStatus | null>(null);
+
+  useEffect(() => {
+    const unsubscribe = uploadQueue.subscribe(status => {
+      setQueueStatus(status);
+      quality.recordBacklog(status.pending);
+    });
+    const unsubscribeQuality = quality.subscribe(setQualitySettings);
+    const unsubscribeGuard = motionGuard.subscribe(setGuardStatus);
+    const unsubscribeLive = liveStreamer.subscribe(setLiveStatus);
+    const unsubscribeFeed = liveFeed.subscribe(({ connected, event }) => {
+      setServerState(state => {
+        const next = event ? applyServerEvent(state, event) : state;
+        return next.connected === connected ? next : { ...next, connected };
+      });
+      if (event?.type === 'alert.created') {
+        Alert.alert('Heimdall Alert', event.data.message);
+      }
+    });
+
+    const identify = async () => {
+      const saved = await loadSettings();
+      setBackendUrl(saved.backendUrl);
+      setSettings(saved);
+      quality.setLimits(qualityLimitsOf(saved));
+
+      try {
+        const identity = await ensureEnrolled(saved.enrollmentToken);
+        setDeviceId(identity.deviceId);
+      } catch (error) {
+        console.warn('Device enrollment failed:', error);
+        setDeviceId((await loadIdentity()).deviceId);
+        Alert.alert(
+          'Device Not Enrolled',
+          'This device could not enroll with the backend. Check the backend URL and enrollment token in Settings, or scan a pairing code.',
+        );
+      }
+      // Uploads and the live feed need the device token, so start them once enrollment has been attempted
+      uploadQueue.start();
+      liveFeed.connect();
+
+      // The app was killed while recording: continue the session unless the backend has closed it
+      const resumable = await recordingService.restore();
+      if (resumable) {
+        if (await isSessionActive(resumable.sessionId)) {
+          console.log(`Resuming session ${resumable.sessionId} at chunk ${resumable.nextChunkIndex}`);
+          setPendingResume(resumable);
+        } else {
+          await recordingService.end();
+        }
+      }
+    };
+    identify();
+
+    // Retry straight away when the app returns to the foreground instead of waiting out the backoff
+    const appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        uploadQueue.retryNow();
+        liveFeed.connect();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      unsubscribeFeed();
+      liveFeed.close();
+      unsubscribeLive();
+      unsubscribeGuard();
+      unsubscribeQuality();
+      liveStreamer.stop();
+      appStateSubscription.remove();
+    };
+  }, [uploadQueue, liveFeed, liveStreamer, motionGuard, quality, recordingService]);
   
   // Log device info for debugging
   useEffect(() => {
     console.log('🔧 Heimdall Cam - Session Configuration:');
     console.log(`  Device ID: ${deviceId}`);
-    console.log(`  Optimized for: Low memory usage, 10-second segments`);
-    console.log(`  Video Quality: 720p max, 30fps max, 2Mbps bitrate`);
+    console.log(`  Video Quality: adapted to upload throughput (see src/adaptiveController.ts)`);
     console.log(`  File Organization: devices/${deviceId}/sessions/${sessionId}/chunks/`);
-  }, [deviceId]);
+  }, [deviceId, sessionId]);
   
-  const recordingTimer = useRef<NodeJS.Timeout | null>(null);
-  const isSegmentProcessing = useRef(false);
-  const gyroSubscription = useRef<{remove: () => void} | null>(null);
-  const locationSubscription = useRef<{remove: () => void} | null>(null);
-
   // Animation for the "Open Camera" button
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
   const devices = useCameraDevices();
-  const device = devices.find(device => device.position === 'back');
+  const device =
+    devices.find(candidate => candidate.id === settings.cameraId) ??
+    devices.find(candidate => candidate.position === 'back');
+
+  // Motion in the frames, fed to the guard while guard mode records
+  const motionFrameProcessor = useMotionDetector(
+    guardMode && isRecording,
+    DEFAULT_GUARD_SETTINGS,
+    motionGuard.motion,
+  );
+
+  // Resolution and fps reconfigure the capture session, which would end the recording in
+  // progress, so they follow the adaptive controller only between recordings; bitrate and
+  // segment length follow it segment by segment
+  const [captureQuality, setCaptureQuality] = useState(qualitySettings);
+  useEffect(() => {
+    if (!isRecording) {
+      setCaptureQuality(qualitySettings);
+    }
+  }, [isRecording, qualitySettings]);
 
-  // Select optimal format for lower memory usage and framerate
+  // The largest format up to the capture quality's resolution that reaches its fps
   const getOptimalFormat = () => {
     if (!device || !device.formats) return null;
-    
-    // Find formats with lower resolution (720p or 480p) and lower framerate
-    const optimalFormats = device.formats.filter(format => {
-      const resolution = format.videoWidth * format.videoHeight;
-      const hasLowFramerate = format.maxFps <= 30;
-      
-      // Prefer 720p (1280x720) or lower with max 30fps
-      return resolution <= (1280 * 720) && hasLowFramerate;
-    });
-    
-    // Sort by lowest resolution first for memory efficiency
-    return optimalFormats.sort((a, b) => {
-      const aResolution = a.videoWidth * a.videoHeight;
-      const bResolution = b.videoWidth * b.videoHeight;
-      return aResolution - bResolution;
-    })[0] || device.formats[0]; // Fallback to first available format
+    const shortSide = (format: (typeof device.formats)[number]) =>
+      Math.min(format.videoWidth, format.videoHeight);
+    const byResolution = device.formats
+      .filter(format => format.maxFps >= captureQuality.fps)
+      .sort((a, b) => a.videoWidth * a.videoHeight - b.videoWidth * b.videoHeight);
+
+    const fitting = byResolution.filter(format => shortSide(format) <= captureQuality.height);
+    return fitting[fitting.length - 1] || byResolution[0] || device.formats[0];
   };
 
   const selectedFormat = getOptimalFormat();
+  const cameraFps = Math.min(captureQuality.fps, selectedFormat?.maxFps ?? captureQuality.fps);
 
   // Log the selected format for debugging
   useEffect(() => {
     if (selectedFormat) {
-      console.log('📹 Camera optimized for low memory usage:');
+      console.log('📹 Camera format for the current quality level:');
       console.log(`  Resolution: ${selectedFormat.videoWidth}x${selectedFormat.videoHeight}`);
       console.log(`  Max FPS: ${selectedFormat.maxFps}`);
       console.log(`  Video Stabilization: ${selectedFormat.videoStabilizationModes?.length > 0 ? 'Available' : 'Not available'}`);
@@ -190,92 +321,6 @@ const currentChunkIndex = useRef(0);
   }, [selectedFormat]);
 
 
-function getMimeType(ext: string) {
-  switch (ext.toLowerCase()) {
-    case 'mp4':
-      return 'video/mp4';
-    case 'mov':
-      return 'video/quicktime';
-    case 'mkv':
-      return 'video/x-matroska';
-    default:
-      return 'application/octet-stream';
-  }
-}
-
-const uploadVideoChunk = async (videoPath: string, metadata: RecordingMetadata) => {
-  try {
-    const ext = videoPath.split('.').pop() || 'mov';
-    const mimeType = getMimeType(ext);
-    const timestamp = new Date().toISOString();
-    const chunkIndex = currentChunkIndex.current;
-
-    const formData = new FormData();
-    
-    // Append video file
-    formData.append('video', {
-      uri: Platform.OS === 'android' ? 'file://' + videoPath : videoPath,
-      type: mimeType,
-      name: `video_${Date.now()}.${ext}`,
-    } as any);
-    
-    // Append metadata as a JSON string
-    const metadataBlob = new Blob(
-      [JSON.stringify({
-        ...metadata,
-        chunkTimestamp: timestamp,
-        chunkIndex: chunkIndex,
-      })],
-      { 
-        type: 'application/json',
-        // @ts-ignore - BlobOptions type is not fully compatible with React Native
-        lastModified: Date.now()
-      }
-    );
-    
-    formData.append('metadata', {
-      uri: `data:application/json;base64,${await blobToBase64(metadataBlob)}`,
-      type: 'application/json',
-      name: 'metadata.json',
-    } as any);
-
-    console.log(`Uploading chunk ${chunkIndex} with metadata:`, 
-      JSON.stringify(metadata, null, 2));
-      
-    const response = await fetch(`${BACKEND_URL}/upload-chunk`, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
-
-    const result = await response.json();
-    console.log(`Chunk ${chunkIndex} upload response:`, result);
-    
-    // Increment chunk index for next upload
-    currentChunkIndex.current += 1;
-    
-    return result;
-    } catch (error) {
-    console.error('Video upload failed:', error);
-    throw error;
-  }
-};
-
-// Helper function to convert Blob to base64
-const blobToBase64 = (blob: Blob): Promise<string> => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      const base64String = (reader.result as string).split(',')[1];
-      resolve(base64String);
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
-};
-
   // Splash screen effect
   useEffect(() => {
     const timer = setTimeout(() => setShowSplash(false), 2000); // 2 seconds splash
@@ -304,11 +349,13 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
     }
   }, [showSplash, showCamera, pulseAnim]);
 
-  // Request all necessary permissions
+  // Request all necessary permissions; location is optional
   const requestPermissions = async () => {
     // Camera and microphone permissions
     const cameraPermission: CameraPermissionStatus = await Camera.requestCameraPermission();
-    const micPermission: CameraPermissionStatus = await Camera.requestMicrophonePermission();
+    const micPermission: CameraPermissionStatus = settings.audio
+      ? await Camera.requestMicrophonePermission()
+      : 'granted';
     
     // Location permission
     let locationPermission = false;
@@ -321,20 +368,23 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
           PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION
         )) === 'granted';
       }
-      } else {
-      // For iOS, you'll need to handle location permissions differently
-      // This is a simplified version
-      locationPermission = true;
+    } else {
+      locationPermission = await new Promise<boolean>(resolve =>
+        Geolocation.requestAuthorization(
+          () => resolve(true),
+          () => resolve(false),
+        ),
+      );
     }
 
     const granted = cameraPermission === 'granted' && micPermission === 'granted';
     setHasPermission(granted);
 
-    if (Platform.OS === 'android' && granted) {
+    if (Platform.OS === 'android' && granted && settings.audio) {
       await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.RECORD_AUDIO);
     }
     
-    return granted;
+    return { granted, location: locationPermission };
   };
   
   // Start tracking device orientation
@@ -346,52 +396,6 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
     });
   };
   
-  // Start gyroscope tracking
-  const startGyroTracking = async () => {
-    try {
-      // This is a simplified version - you'll need to implement or use a library
-      // like expo-sensors for cross-platform gyroscope support
-      if (Platform.OS === 'android' && NativeModules.DeviceMotion) {
-        const DeviceMotion = new NativeEventEmitter(NativeModules.DeviceMotion);
-        gyroSubscription.current = DeviceMotion.addListener(
-          'RotationRate',
-          (data) => {
-            setGyroData({
-              x: data.x,
-              y: data.y,
-              z: data.z
-            });
-          }
-        );
-      }
-    } catch (error) {
-      console.warn('Gyroscope not available', error);
-    }
-  };
-  
-  // Start location tracking
-  const startLocationTracking = async () => {
-    try {
-      // This is a simplified version - you'll need to implement or use a library
-      // like expo-location for cross-platform location support
-      if (Platform.OS === 'android' && NativeModules.LocationManager) {
-        const LocationManager = new NativeEventEmitter(NativeModules.LocationManager);
-        locationSubscription.current = LocationManager.addListener(
-          'onLocationChanged',
-          (location) => {
-            setLocation({
-              latitude: location.latitude,
-              longitude: location.longitude,
-              accuracy: location.accuracy
-            });
-          }
-        );
-      }
-    } catch (error) {
-      console.warn('Location tracking not available', error);
-    }
-  };
-  
   // Get device info
   const getDeviceInfo = () => {
     return {
@@ -403,21 +407,25 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
   };
   
   // Generate metadata for recording
-  const generateMetadata = (): RecordingMetadata => {
+  const generateMetadata = (recordingSessionId: string, chunkIndex: number): RecordingMetadata => {
     const { width, height } = Dimensions.get('window');
     const { scale, fontScale } = Dimensions.get('screen');
-    
+    const readings = sensors.latest();
+
     return {
-      deviceId: deviceId, // Use the persistent deviceId
+      schemaVersion: METADATA_SCHEMA_VERSION,
+      deviceId: deviceId!, // Use the persistent deviceId (recording requires it)
+      sessionId: recordingSessionId,
+      chunkIndex,
       timestamp: new Date().toISOString(),
-      location: location || undefined,
+      location: readings.location,
       deviceInfo: getDeviceInfo(),
       cameraInfo: {
         id: device?.id || 'unknown',
         position: device?.position?.toString() || 'back',
         resolution: {
-          width: device?.formats?.[0]?.videoWidth || 1920,
-          height: device?.formats?.[0]?.videoHeight || 1080,
+          width: selectedFormat?.videoWidth || 1920,
+          height: selectedFormat?.videoHeight || 1080,
         },
       },
       viewport: {
@@ -427,66 +435,75 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
         fontScale,
       },
       orientation: deviceOrientation,
-      gyro: gyroData || undefined,
+      gyro: readings.gyro,
+      heading: readings.heading,
+      // What this segment is recorded with (see src/adaptiveController.ts)
       recordingSettings: {
         codec: 'h264',
-        quality: '360p', // Reduced from 480p for lower memory usage
-        bitrate: 2000000, // Reduced from 8Mbps to 2Mbps for smaller files
+        quality: selectedFormat
+          ? `${Math.min(selectedFormat.videoWidth, selectedFormat.videoHeight)}p`
+          : 'unknown',
+        bitrate: qualitySettings.bitrate,
+        fps: cameraFps,
+        segmentDurationMs: quality.current().segmentDurationMs,
+        adaptiveLevel: qualitySettings.level,
       },
     };
   };
+  segmentMetadata.current = chunkIndex => {
+    const recordingSessionId = activeSessionId.current;
+    return recordingSessionId ? generateMetadata(recordingSessionId, chunkIndex) : null;
+  };
 
   const handleOpenCamera = async () => {
-    const granted = await requestPermissions();
+    const { granted, location } = await requestPermissions();
     if (granted) {
       setShowCamera(true);
       startOrientationTracking();
-      startGyroTracking();
-      startLocationTracking();
+      sensors.start({ location });
     }
   };
+  openCamera.current = handleOpenCamera;
+
+  // Open the camera by itself to continue an interrupted session
+  useEffect(() => {
+    if (pendingResume && !showSplash && !showCamera) {
+      openCamera.current();
+    }
+  }, [pendingResume, showSplash, showCamera]);
   
   // Cleanup function for effects
   useEffect(() => {
     return () => {
       // Clean up subscriptions
-      if (gyroSubscription.current) {
-        gyroSubscription.current.remove();
-      }
-      if (locationSubscription.current) {
-        locationSubscription.current.remove();
-      }
+      sensors.stop();
       // Clean up any other resources
     };
-  }, []);
+  }, [sensors]);
 
   // Start recording session with backend
   const handleStartRecording = async () => {
     if (!camera.current) return;
+    if (!deviceId) {
+      Alert.alert('Not Ready', 'Device identity is still loading, please try again.');
+      return;
+    }
     
     try {
       // Start recording session on backend
-      const response = await apiCall('/start-recording', 'POST');
+      const response = await apiCall('/start-recording', 'POST', { deviceId });
       if (response.error) {
         Alert.alert('Backend Error', response.error);
-        setUploadStatus('Backend error: ' + response.error);
+        setLocalError('Backend error: ' + response.error);
         setIsRecording(false);
       return;
     }
-      setSessionId(response.sessionId);
-      setUploadStatus('Recording started');
-      
-      setIsRecording(true);
-      
-      // Start recording with 10-second segments
-      startRecordingSegment();
-      
-      // Set up timer to create new segments every 10 seconds
-      const timer = setInterval(() => {
-        restartRecordingSegment();  
-      }, 10000); // 10 seconds
-      
-      recordingTimer.current = timer;
+      beginRecording({
+        sessionId: response.sessionId,
+        guardMode,
+        startedAt: new Date().toISOString(),
+        nextChunkIndex: 0,
+      });
       
     } catch (error) {
       console.error('Failed to start recording session:', error);
@@ -494,60 +511,50 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
     }
   };
   
-  const startRecordingSegment = () => {
-    if (!camera.current) return;
-    
-    // Generate metadata for this recording segment
-    const metadata = generateMetadata();
-    
-    camera.current.startRecording({
-      fileType: 'mp4', // Ensures .mp4 output
-      onRecordingFinished: async (video) => {
-        console.log('Video segment saved to:', video.path);
-        
-        try {
-          // Upload video chunk to backend with metadata
-          setUploadStatus('Uploading...');
-          const uploadResponse = await uploadVideoChunk(video.path, metadata);
-          console.log('Video uploaded:', uploadResponse);
-          setUploadStatus('Uploaded successfully');
-          
-          // Clean up local file after upload
-          await RNFS.unlink(video.path);
-          
-        } catch (error) {
-          console.error('Upload failed:', error);
-          setUploadStatus('Upload failed');
-        }
-      },
-      onRecordingError: (error) => {
-        console.error('Recording error:', error);
-        setUploadStatus('Recording error');
-      },
-    });
+  // Record a new session, or continue one the app was killed in the middle of
+  const beginRecording = (state: RecordingState, resume = false) => {
+    activeSessionId.current = state.sessionId;
+    setSessionId(state.sessionId);
+    setLocalError(null);
+    setGuardMode(state.guardMode);
+    setIsRecording(true);
+    interrupted.current = false;
+    if (state.guardMode) {
+      motionGuard.arm(DEFAULT_GUARD_SETTINGS, state.nextChunkIndex);
+    }
+    recordingService.begin(state);
+    segmenter.start(
+      resume
+        ? { firstIndex: state.nextChunkIndex, startedAt: Date.parse(state.startedAt) }
+        : {},
+    );
   };
-  
-  const restartRecordingSegment = async () => {
-    if (isSegmentProcessing.current) return;
 
-    isSegmentProcessing.current = true;
-    try {
-      if (camera.current) {
-          await camera.current.stopRecording();
-        // onRecordingFinished will handle the upload
-        // A small delay helps prevent race conditions
-        setTimeout(() => {
-          startRecordingSegment();
-        }, 250);
-      }
-    } catch (error) {
-      console.error('Error restarting recording segment:', error);
-      setUploadStatus('Error restarting');
-    } finally {
-      // Reset lock after a short delay to allow the next segment to start
-      setTimeout(() => {
-        isSegmentProcessing.current = false;
-      }, 500);
+  // The camera session stopped or failed under the recording (app backgrounded on iOS, camera
+  // taken by another app, ...): finish the current segment and wait for the camera to return
+  const pauseRecording = () => {
+    if (!isRecording || interrupted.current) {
+      return;
+    }
+    interrupted.current = true;
+    setLocalError('Camera interrupted, recording paused');
+    segmenter.stop();
+  };
+
+  const resumeRecording = () => {
+    if (!interrupted.current || !camera.current) {
+      return;
+    }
+    interrupted.current = false;
+    setLocalError(null);
+    segmenter.resume();
+  };
+
+  // The camera is ready: continue the session the app was killed in the middle of
+  const handleCameraInitialized = () => {
+    if (pendingResume && !isRecording) {
+      setPendingResume(null);
+      beginRecording(pendingResume, true);
     }
   };
 
@@ -556,46 +563,96 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
     if (!isRecording) return;
 
       setIsRecording(false);
-    setUploadStatus('Stopping...');
-
-    // Clear the recording timer
-    if (recordingTimer.current) {
-      clearInterval(recordingTimer.current);
-      recordingTimer.current = null;
-    }
 
     try {
-      // Stop the camera hardware recording
-      if (camera.current) {
-        await camera.current.stopRecording();
-      }
-
-      // Notify the backend to stop the session
-      const response = await apiCall('/stop-recording', 'POST');
+      // Finish the current segment and stop the camera hardware recording
+      const segmentCount = await segmenter.stop();
+      // In guard mode, only the kept segments became chunks
+      const chunkCount = motionGuard.armed ? motionGuard.disarm() : segmentCount;
+      interrupted.current = false;
+      await recordingService.end();
+
+      // Notify the backend to stop the session. The final segment may still be
+      // uploading, so tell the backend how many chunks to expect.
+      const response = await apiCall('/stop-recording', 'POST', {
+        sessionId: activeSessionId.current,
+        deviceId,
+        expectedChunks: chunkCount,
+      });
       console.log('Stop recording response:', response);
-      setUploadStatus('Stopped');
+      activeSessionId.current = null;
       setSessionId(null);
 
     } catch (error) {
       console.error('Failed to stop recording:', error);
-      setUploadStatus('Error stopping');
       Alert.alert('Error', 'Could not stop recording. Please check backend connection.');
       setIsRecording(false);
-      setUploadStatus('Error stopping recording');
+      setLocalError('Error stopping recording');
     }
   };
 
   // If not recording, just close camera and return to main screen
+  const handleToggleLive = () => {
+    if (liveStatus?.live) {
+      liveStreamer.stop();
+    } else {
+      liveStreamer.start(activeSessionId.current);
+    }
+  };
+
   const handleCloseCamera = async () => {
+    liveStreamer.stop();
     if (isRecording) {
       await handleStopRecording();
     } else {
+      if (pendingResume) {
+        // Not continuing the interrupted session after all: close it on the backend
+        setPendingResume(null);
+        await recordingService.end();
+        apiCall('/stop-recording', 'POST', {
+          sessionId: pendingResume.sessionId,
+          deviceId,
+          expectedChunks: pendingResume.nextChunkIndex,
+        }).catch(error => console.warn('Failed to close the interrupted session:', error));
+      }
+      sensors.stop();
       setShowCamera(false);
       setIsRecording(false);
-      setUploadStatus('Ready');
+      setLocalError(null);
     }
   };
   
+  // Apply edited settings; a new backend gets a new enrollment, with the enrollment token
+  // from the settings (or the pairing code they were filled in from)
+  const handleSaveSettings = async (next: AppSettings) => {
+    const backendChanged = next.backendUrl !== settings.backendUrl;
+    const tokenChanged = next.enrollmentToken !== settings.enrollmentToken;
+    await saveSettings(next);
+    setSettings(next);
+    quality.setLimits(qualityLimitsOf(next));
+    if (!backendChanged && !tokenChanged) {
+      return;
+    }
+
+    if (backendChanged) {
+      setBackendUrl(next.backendUrl);
+      liveFeed.close();
+      // The device token belongs to the previous backend
+      await clearToken();
+    }
+    try {
+      // Only enrolls if the device has no token for this backend
+      const identity = await ensureEnrolled(next.enrollmentToken);
+      setDeviceId(identity.deviceId);
+      Alert.alert('Paired', `This device is enrolled with ${next.backendUrl}`);
+    } catch (error) {
+      console.warn('Device enrollment failed:', error);
+      Alert.alert('Device Not Enrolled', 'The backend did not accept the enrollment token.');
+    }
+    liveFeed.connect();
+    uploadQueue.retryNow();
+  };
+
   // Check backend health on app start
   useEffect(() => {
     const checkBackendHealth = async () => {
@@ -606,7 +663,7 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
         console.warn('Backend not available:', error);
     Alert.alert(
           'Backend Unavailable',
-          'Please make sure the Node.js backend is running on port 3001',
+          `Could not reach ${getBackendUrl()}. Make sure the backend is running, or change its URL in Settings.`,
           [{ text: 'OK' }]
         );
       }
@@ -626,6 +683,28 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
     );
   }
 
+  if (showSettings && !showCamera) {
+    return (
+      <SettingsScreen
+        settings={settings}
+        deviceId={deviceId}
+        onSave={handleSaveSettings}
+        onClose={() => setShowSettings(false)}
+      />
+    );
+  }
+
+  // Past sessions and their playback
+  if (showHistory && !showCamera) {
+    return (
+      <HistoryScreen
+        deviceId={deviceId}
+        uploadQueue={uploadQueue}
+        onClose={() => setShowHistory(false)}
+      />
+    );
+  }
+
   // Main screen with animated "Open Camera" button
   if (!showCamera) {
     return (
@@ -636,6 +715,12 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
             <Text style={styles.buttonText}>Open Camera</Text>
           </TouchableOpacity>
         </Animated.View>
+        <TouchableOpacity style={styles.historyButton} onPress={() => setShowHistory(true)}>
+          <Text style={styles.buttonText}>History</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.historyButton} onPress={() => setShowSettings(true)}>
+          <Text style={styles.buttonText}>Settings</Text>
+        </TouchableOpacity>
       </View>
     );
   }
@@ -658,15 +743,50 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
         format={selectedFormat || undefined}
         isActive={true}
         video={true}
-        audio={true}
+        audio={settings.audio}
+        fps={cameraFps}
+        videoBitRate={qualitySettings.bitrate / 1000000}
+        pixelFormat="yuv"
+        frameProcessor={guardMode ? motionFrameProcessor : undefined}
+        onInitialized={handleCameraInitialized}
+        onStarted={resumeRecording}
+        onStopped={pauseRecording}
+        onError={error => {
+          console.error('Camera error:', error);
+          pauseRecording();
+        }}
       />
       <View style={styles.controls}>
         {/* Status indicator */}
         <View style={styles.statusContainer}>
-          <Text style={styles.statusText}>{uploadStatus}</Text>
+          <Text style={styles.statusText}>{describeServerState(serverState)}</Text>
+          {localError && <Text style={styles.errorText}>{localError}</Text>}
+          {liveStatus?.live && (
+            <Text style={styles.statusText}>
+              🔴 LIVE {liveStatus.connected ? `· ${liveStatus.framesSent} frames` : '· connecting'}
+            </Text>
+          )}
+          {liveStatus?.error && <Text style={styles.errorText}>{liveStatus.error}</Text>}
+          {serverState.lastAlert && (
+            <Text style={styles.errorText}>⚠️ {serverState.lastAlert}</Text>
+          )}
+          {queueStatus && (queueStatus.pending > 0 || queueStatus.failed > 0) && (
+            <Text style={styles.sessionText}>
+              {queueStatus.uploading ? 'Uploading' : 'Waiting to upload'}: {queueStatus.pending} chunk(s)
+              {queueStatus.failed > 0 ? ` · ${queueStatus.failed} failed` : ''}
+            </Text>
+          )}
           {sessionId && (
             <Text style={styles.sessionText}>Session: {sessionId.substring(0, 8)}</Text>
           )}
+          {guardStatus?.armed && (
+            <Text style={styles.sessionText}>
+              {guardStatus.triggered && guardStatus.lastMotion
+                ? `🚨 Motion in ${guardStatus.lastMotion.zone} (${Math.round(guardStatus.lastMotion.score * 100)}%)`
+                : '🛡️ Guarding'}
+              {` · ${guardStatus.kept} kept · ${guardStatus.discarded} discarded`}
+            </Text>
+          )}
         </View>
 
         {/* Recording controls */}
@@ -686,6 +806,20 @@ const blobToBase64 = (blob: Blob): Promise<string> => {
               <Text style={styles.buttonText}>Stop</Text>
             </TouchableOpacity>
           )}
+          <TouchableOpacity
+            style={[styles.button, styles.liveButton]}
+            onPress={handleToggleLive}
+          >
+            <Text style={styles.buttonText}>{liveStatus?.live ? 'End Live' : 'Go Live'}</Text>
+          </TouchableOpacity>
+          {!isRecording && (
+            <TouchableOpacity
+              style={[styles.button, guardMode ? styles.guardButtonActive : styles.guardButton]}
+              onPress={() => setGuardMode(!guardMode)}
+            >
+              <Text style={styles.buttonText}>{guardMode ? 'Guard: On' : 'Guard: Off'}</Text>
+            </TouchableOpacity>
+          )}
           {!isRecording && (
             <TouchableOpacity
               style={[styles.button, styles.closeButton]}
@@ -732,6 +866,14 @@ const styles = StyleSheet.create({
     minWidth: 180,
     alignItems: 'center',
   },
+  historyButton: {
+    backgroundColor: '#333',
+    padding: 14,
+    borderRadius: 50,
+    minWidth: 180,
+    alignItems: 'center',
+    marginTop: 24,
+  },
   container: { flex: 1, backgroundColor: 'black' },
   loading: {
     flex: 1,
@@ -762,6 +904,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 4,
   },
+  errorText: {
+    color: '#ff8a80',
+    fontSize: 12,
+    marginTop: 4,
+  },
   buttonContainer: {
     flexDirection: 'row',
     gap: 20,
@@ -783,6 +930,15 @@ const styles = StyleSheet.create({
   closeButton: {
     backgroundColor: '#333',
   },
+  liveButton: {
+    backgroundColor: '#c62828',
+  },
+  guardButton: {
+    backgroundColor: '#333',
+  },
+  guardButtonActive: {
+    backgroundColor: '#1565c0',
+  },
   buttonText: {
     color: 'white',
     fontSize: 18,
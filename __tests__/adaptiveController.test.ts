@@ -0,0 +1,83 @@
+import {
+  createAdaptiveController,
+  DEFAULT_QUALITY_LIMITS,
+} from '../src/adaptiveController';
+
+// 10 seconds of video at `bitrate`, uploaded at `bytesPerSecond`
+const upload = (bitrate: number, bytesPerSecond: number) => {
+  const bytes = (bitrate / 8) * 10;
+  return { bytes, durationMs: (bytes / bytesPerSecond) * 1000 };
+};
+
+test('starts at the lowest level with the default segment length', () => {
+  const controller = createAdaptiveController();
+  expect(controller.current()).toEqual({
+    level: 0,
+    height: 360,
+    fps: 15,
+    bitrate: 500000,
+    segmentDurationMs: 10000,
+  });
+});
+
+test('steps up only after several uploads with room for the next level', () => {
+  const controller = createAdaptiveController();
+  const fast = 2000000;
+
+  controller.recordUpload(upload(500000, fast));
+  controller.recordUpload(upload(500000, fast));
+  expect(controller.current().level).toBe(0);
+
+  controller.recordUpload(upload(500000, fast));
+  expect(controller.current().level).toBe(1);
+  expect(controller.current().height).toBe(480);
+});
+
+test('never goes beyond the limits', () => {
+  const controller = createAdaptiveController(DEFAULT_QUALITY_LIMITS);
+  for (let i = 0; i < 20; i++) {
+    controller.recordUpload(upload(controller.current().bitrate, 10000000));
+  }
+  expect(controller.current()).toMatchObject({
+    level: 2,
+    height: 720,
+    fps: 30,
+    bitrate: 2000000,
+  });
+  expect(controller.current().segmentDurationMs).toBe(
+    DEFAULT_QUALITY_LIMITS.maxSegmentMs,
+  );
+
+  controller.setLimits({
+    ...DEFAULT_QUALITY_LIMITS,
+    maxHeight: 480,
+    maxBitrate: 800000,
+  });
+  expect(controller.current()).toMatchObject({
+    level: 1,
+    height: 480,
+    bitrate: 800000,
+  });
+});
+
+test('steps down when the link cannot keep up, an upload fails or the backlog grows', () => {
+  const controller = createAdaptiveController();
+  for (let i = 0; i < 6; i++) {
+    controller.recordUpload(upload(controller.current().bitrate, 10000000));
+  }
+  expect(controller.current().level).toBe(2);
+
+  controller.recordFailure();
+  expect(controller.current().level).toBe(1);
+
+  controller.recordBacklog(2);
+  controller.recordBacklog(4);
+  expect(controller.current().level).toBe(0);
+
+  const slow = createAdaptiveController();
+  slow.recordUpload(upload(500000, 40000));
+  expect(slow.current().level).toBe(0);
+  expect(slow.current().segmentDurationMs).toBe(
+    DEFAULT_QUALITY_LIMITS.minSegmentMs,
+  );
+});
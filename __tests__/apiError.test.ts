@@ -0,0 +1,36 @@
+import { ApiError } from '../src/api';
+
+test('network failures, timeouts, rate limits and server errors are retried', () => {
+  for (const status of [0, 408, 429, 500, 502, 503]) {
+    const error = new ApiError('failed', status);
+    expect(error.isRetryable).toBe(true);
+    expect(error.isPermanent).toBe(false);
+  }
+});
+
+test('conflicts are retried only while the chunk is still being uploaded', () => {
+  expect(new ApiError('busy', 409, 'UPLOAD_IN_PROGRESS').isPermanent).toBe(
+    false,
+  );
+  expect(new ApiError('closed', 409, 'SESSION_CLOSED').isPermanent).toBe(true);
+  expect(
+    new ApiError('reused', 409, 'IDEMPOTENCY_KEY_REUSED').isPermanent,
+  ).toBe(true);
+});
+
+test('a checksum mismatch is retried, other rejections are permanent', () => {
+  expect(new ApiError('corrupt', 422, 'CHECKSUM_MISMATCH').isPermanent).toBe(
+    false,
+  );
+  expect(new ApiError('invalid', 422, 'INVALID_METADATA').isPermanent).toBe(
+    true,
+  );
+  expect(new ApiError('forbidden', 403).isPermanent).toBe(true);
+});
+
+test('a rejected token asks for re-authentication instead of a blind retry', () => {
+  const error = new ApiError('unauthenticated', 401, 'UNAUTHENTICATED');
+  expect(error.needsReauthentication).toBe(true);
+  expect(error.isRetryable).toBe(false);
+  expect(error.isPermanent).toBe(false);
+});
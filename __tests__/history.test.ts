@@ -0,0 +1,166 @@
+import {
+  AnalysisResult,
+  detectionsAt,
+  groupSessions,
+  nextPlayableChunk,
+} from '../src/history';
+import type { QueueEntry } from '../src/uploadQueue';
+
+const stored = (
+  sessionId: string,
+  chunkIndex: number | string,
+  created: string,
+) => ({
+  filename: `devices/door/${sessionId}/chunk_${chunkIndex}_1.mp4`,
+  gcsUri: `gs://bucket/${sessionId}/${chunkIndex}`,
+  presignedUrl: `https://storage.example/${sessionId}/${chunkIndex}`,
+  expiresAt: '2026-03-01T13:00:00.000Z',
+  thumbnailUrl: null,
+  created,
+  analysisStatus: 'completed' as const,
+  sessionId,
+  chunkIndex,
+});
+
+const queued = (
+  sessionId: string,
+  chunkIndex: number,
+  timestamp: string,
+  status: QueueEntry['status'] = 'pending',
+): QueueEntry =>
+  ({
+    id: `${sessionId}-${chunkIndex}`,
+    filePath: `/tmp/chunk_${chunkIndex}.mp4`,
+    metadata: { sessionId, chunkIndex, timestamp },
+    status,
+    attempts: status === 'failed' ? 5 : 0,
+    nextAttemptAt: 0,
+    createdAt: timestamp,
+    lastError: status === 'failed' ? 'Network request failed' : undefined,
+  } as unknown as QueueEntry);
+
+test('stored and queued chunks are grouped into sessions, newest first', () => {
+  const sessions = groupSessions(
+    [
+      stored('older', 1, '2026-03-01T10:00:10.000Z'),
+      stored('older', 0, '2026-03-01T10:00:00.000Z'),
+      stored('newer', 0, '2026-03-01T12:00:00.000Z'),
+    ],
+    [
+      queued('newer', 2, '2026-03-01T12:00:20.000Z', 'failed'),
+      queued('newer', 1, '2026-03-01T12:00:10.000Z'),
+    ],
+  );
+
+  expect(sessions.map(session => session.sessionId)).toEqual([
+    'newer',
+    'older',
+  ]);
+  expect(sessions[1].startedAt).toBe('2026-03-01T10:00:00.000Z');
+
+  const [newer] = sessions;
+  expect(newer.startedAt).toBe('2026-03-01T12:00:00.000Z');
+  expect(newer.chunks.map(chunk => [chunk.chunkIndex, chunk.upload])).toEqual([
+    [0, 'stored'],
+    [1, 'pending'],
+    [2, 'failed'],
+  ]);
+  expect(newer.chunks[0].analysisStatus).toBe('completed');
+  expect(newer.chunks[1]).toMatchObject({ url: null, analysisStatus: null });
+  expect(newer.chunks[2].lastError).toBe('Network request failed');
+});
+
+test('a chunk both stored and still queued is listed once, as stored', () => {
+  const [session] = groupSessions(
+    [stored('s1', 0, '2026-03-01T12:00:00.000Z')],
+    [queued('s1', 0, '2026-03-01T12:00:00.000Z')],
+  );
+  expect(session.chunks).toHaveLength(1);
+  expect(session.chunks[0].upload).toBe('stored');
+});
+
+test('chunk indexes come from the metadata, else from the file name', () => {
+  const [session] = groupSessions(
+    [
+      stored('s1', '3', '2026-03-01T12:00:30.000Z'),
+      { ...stored('s1', 1, '2026-03-01T12:00:10.000Z'), chunkIndex: 'unknown' },
+      {
+        ...stored('s1', 0, '2026-03-01T12:00:00.000Z'),
+        filename: 'legacy.mp4',
+        chunkIndex: 'unknown',
+      },
+    ],
+    [],
+  );
+  expect(session.chunks.map(chunk => chunk.chunkIndex)).toEqual([-1, 1, 3]);
+});
+
+test('playback steps through the uploaded chunks, skipping unsent ones', () => {
+  const [session] = groupSessions(
+    [
+      stored('s1', 0, '2026-03-01T12:00:00.000Z'),
+      stored('s1', 3, '2026-03-01T12:00:30.000Z'),
+    ],
+    [
+      queued('s1', 1, '2026-03-01T12:00:10.000Z'),
+      queued('s1', 2, '2026-03-01T12:00:20.000Z'),
+    ],
+  );
+
+  expect(nextPlayableChunk(session, null)?.chunkIndex).toBe(0);
+  expect(nextPlayableChunk(session, 0)?.chunkIndex).toBe(3);
+  expect(nextPlayableChunk(session, 3)).toBeNull();
+
+  const unsent = groupSessions(
+    [],
+    [queued('s2', 0, '2026-03-01T12:00:00.000Z')],
+  );
+  expect(nextPlayableChunk(unsent[0], null)).toBeNull();
+});
+
+test('detections are drawn at the box sample nearest the playback position', () => {
+  const box = (left: number) => ({
+    left,
+    top: 0,
+    right: left + 0.1,
+    bottom: 1,
+  });
+  const result: AnalysisResult = {
+    durationSec: 10,
+    persons: [
+      {
+        trackId: 1,
+        confidence: 0.9,
+        startSec: 1,
+        endSec: 5,
+        boxes: [
+          { timeSec: 1, box: box(0.1) },
+          { timeSec: 2, box: box(0.2) },
+          { timeSec: 5, box: box(0.5) },
+        ],
+      },
+    ],
+    objects: [
+      {
+        description: 'Car',
+        confidence: 0.7,
+        startSec: 0,
+        endSec: 10,
+        boxes: [{ timeSec: 8, box: box(0.8) }],
+      },
+    ],
+    labels: [],
+    summary: { personCount: 1, labelCount: 0, objectCount: 1, textCount: 0 },
+  };
+
+  expect(detectionsAt(result, 1.9)).toEqual([
+    { label: 'Person', confidence: 0.9, box: box(0.2) },
+  ]);
+  // Between samples further apart than the tolerance nothing is drawn
+  expect(detectionsAt(result, 3.5)).toEqual([]);
+  // Outside the track, even close to a sample
+  expect(detectionsAt(result, 5.5)).toEqual([]);
+  expect(detectionsAt(result, 8.5).map(detection => detection.label)).toEqual([
+    'Car',
+  ]);
+});
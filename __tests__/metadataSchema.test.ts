@@ -0,0 +1,93 @@
+import Ajv from 'ajv';
+import metadataSchema from '../backend/schemas/recording-metadata.v3.schema.json';
+import { METADATA_SCHEMA_VERSION, RecordingMetadata } from '../src/types';
+
+// RecordingMetadata is written by hand next to the schema the backend validates uploads
+// against. Every field of the type is set here, so the compiler flags a field added to the type
+// but not to this sample, and the schema rejects one it does not know.
+const metadata: Required<RecordingMetadata> = {
+  schemaVersion: METADATA_SCHEMA_VERSION,
+  deviceId: 'device_1',
+  sessionId: '3f0c2a9e-4b1d-4c8e-9a7f-2d6b5e1c0a94',
+  chunkIndex: 2,
+  timestamp: '2026-03-01T10:00:20.000Z',
+  chunkTimestamp: '2026-03-01T10:00:30.000Z',
+  sha256: 'a'.repeat(64),
+  previousSha256: 'b'.repeat(64),
+  timing: {
+    startedAt: '2026-03-01T10:00:20.000Z',
+    endedAt: '2026-03-01T10:00:30.000Z',
+    startOffsetMs: 20040,
+    endOffsetMs: 30040,
+    gapBeforeMs: 40,
+  },
+  location: { latitude: 52.37, longitude: 4.89, accuracy: 8 },
+  deviceInfo: {
+    brand: 'Google',
+    model: 'Pixel 8',
+    os: 'android',
+    osVersion: '34',
+  },
+  cameraInfo: {
+    id: '0',
+    position: 'back',
+    resolution: { width: 1920, height: 1080 },
+  },
+  viewport: { width: 411, height: 891, scale: 2.625, fontScale: 1 },
+  orientation: 'portrait',
+  gyro: { x: 0.01, y: -0.02, z: 0 },
+  heading: 271.5,
+  sensorTrack: {
+    startedAt: '2026-03-01T10:00:20.000Z',
+    location: [
+      {
+        t: 0,
+        latitude: 52.37,
+        longitude: 4.89,
+        accuracy: 8,
+        altitude: 2,
+        speed: null,
+        course: null,
+      },
+    ],
+    heading: [{ t: 0, degrees: 271.5 }],
+    motion: [
+      { t: 0, gyro: { x: 0, y: 0, z: 0 }, accel: { x: 0, y: 9.81, z: 0 } },
+      { t: 100, gyro: { x: 0.1, y: 0, z: 0 }, accel: null },
+    ],
+  },
+  trigger: {
+    mode: 'motion',
+    eventId: 'event_1',
+    role: 'event',
+    triggeredAt: '2026-03-01T10:00:21.000Z',
+    zone: 'frame',
+    score: 0.3,
+    peakScore: 0.6,
+  },
+  recordingSettings: {
+    codec: 'h264',
+    quality: '1080p',
+    bitrate: 4000000,
+    fps: 30,
+    segmentDurationMs: 10000,
+    adaptiveLevel: 1,
+  },
+};
+
+const validate = new Ajv({ allErrors: true }).compile(metadataSchema);
+
+test('the metadata type matches the current schema', () => {
+  const valid = validate(metadata);
+  expect(validate.errors).toBeNull();
+  expect(valid).toBe(true);
+});
+
+test('the type has no field the schema lacks, and the schema none the type lacks', () => {
+  expect(Object.keys(metadata).sort()).toEqual(
+    Object.keys(metadataSchema.properties).sort(),
+  );
+  expect(Object.keys(metadata.recordingSettings).sort()).toEqual(
+    Object.keys(metadataSchema.properties.recordingSettings.properties).sort(),
+  );
+});
@@ -0,0 +1,77 @@
+import { lumaGrid, strongestMotion } from '../src/motionDetection';
+
+jest.mock('react-native-vision-camera', () => ({
+  runAtTargetFps: jest.fn(),
+  useFrameProcessor: jest.fn(),
+}));
+jest.mock('react-native-worklets-core', () => ({
+  useRunOnJS: jest.fn(),
+  useSharedValue: jest.fn(),
+}));
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const CELLS = 32 * 24;
+
+// A Y plane whose pixels left of `split` (a fraction of the width) are `left`, the rest `right`.
+// Rows are padded to `bytesPerRow` with white, which must not count.
+const frame = (
+  left: number,
+  right: number,
+  split = 0.5,
+  bytesPerRow = WIDTH,
+) => {
+  const pixels = new Uint8Array(bytesPerRow * HEIGHT).fill(255);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels[y * bytesPerRow + x] = x < WIDTH * split ? left : right;
+    }
+  }
+  return lumaGrid(pixels, WIDTH, HEIGHT, bytesPerRow);
+};
+
+const zones = [
+  { id: 'left', left: 0, top: 0, right: 0.5, bottom: 1 },
+  { id: 'right', left: 0.5, top: 0, right: 1, bottom: 1 },
+  { id: 'frame', left: 0, top: 0, right: 1, bottom: 1 },
+];
+
+test('averages luma over a 32 × 24 grid, row by row', () => {
+  const grid = frame(200, 10);
+  expect(grid).toHaveLength(CELLS);
+  expect(grid.slice(0, 16)).toEqual(new Array(16).fill(200));
+  expect(grid.slice(16, 32)).toEqual(new Array(16).fill(10));
+  expect(frame(200, 10, 0.5, WIDTH + 16)).toEqual(grid);
+});
+
+test('scores each zone by the share of its cells that changed', () => {
+  const still = frame(50, 50);
+  const moved = frame(200, 50);
+
+  expect(strongestMotion(still, moved, zones, 20)).toEqual({
+    zone: 'left',
+    score: 1,
+  });
+  expect(strongestMotion(still, moved, zones.slice(1), 20)).toEqual({
+    zone: 'frame',
+    score: 0.5,
+  });
+  expect(strongestMotion(still, moved, [zones[1]], 20)).toEqual({
+    zone: 'right',
+    score: 0,
+  });
+});
+
+test('only changes beyond the pixel delta count', () => {
+  const still = frame(50, 50);
+  expect(strongestMotion(still, frame(65, 50), zones, 20)?.score).toBe(0);
+  expect(strongestMotion(still, frame(71, 50), zones, 20)?.score).toBe(1);
+  // A quarter of the frame changed
+  expect(
+    strongestMotion(still, frame(200, 50, 0.25), [zones[2]], 20)?.score,
+  ).toBe(0.25);
+});
+
+test('there is no motion without zones', () => {
+  expect(strongestMotion(frame(0, 0), frame(255, 255), [], 20)).toBeNull();
+});
@@ -0,0 +1,157 @@
+import RNFS from 'react-native-fs';
+import uuid from 'react-native-uuid';
+import {
+  createMotionGuard,
+  DEFAULT_GUARD_SETTINGS,
+  GuardedSegment,
+} from '../src/motionGuard';
+import type { RecordingMetadata } from '../src/types';
+
+jest.mock('react-native-fs', () => ({
+  unlink: jest.fn(() => Promise.resolve()),
+}));
+jest.mock('react-native-uuid', () => ({ v4: jest.fn() }));
+
+const START = Date.parse('2026-03-01T10:00:00.000Z');
+const SETTINGS = { ...DEFAULT_GUARD_SETTINGS, preRollMs: 10000, postRollMs: 15000 };
+
+// The 10-second segment recorded `index` segments into the session
+const segment = (index: number): GuardedSegment => ({
+  path: `/segments/segment_${index}.mp4`,
+  timing: {
+    startedAt: new Date(START + index * 10000).toISOString(),
+    endedAt: new Date(START + (index + 1) * 10000).toISOString(),
+    startOffsetMs: index * 10000,
+    endOffsetMs: (index + 1) * 10000,
+    gapBeforeMs: 0,
+  },
+  metadata: { chunkIndex: index } as RecordingMetadata,
+});
+
+const motionAt = (secondsIn: number, score = 0.3) => ({
+  at: START + secondsIn * 1000,
+  zone: 'frame',
+  score,
+});
+
+const deleted = () =>
+  (RNFS.unlink as jest.Mock).mock.calls.map(([path]) => path);
+
+const summary = (segments: GuardedSegment[]) =>
+  segments.map(({ path, metadata }) => [
+    path,
+    metadata.chunkIndex,
+    metadata.trigger?.role,
+    metadata.trigger?.eventId,
+  ]);
+
+beforeEach(() => {
+  (RNFS.unlink as jest.Mock).mockClear();
+  let events = 0;
+  (uuid.v4 as jest.Mock).mockImplementation(() => `event-${++events}`);
+});
+
+test('passes segments through unchanged while not armed', () => {
+  const guard = createMotionGuard();
+  const passed = guard.admit(segment(0));
+  expect(passed).toEqual([segment(0)]);
+  expect(guard.getStatus().armed).toBe(false);
+});
+
+test('holds quiet segments only as long as a pre-roll could need them', () => {
+  const guard = createMotionGuard();
+  guard.arm(SETTINGS);
+
+  expect(guard.admit(segment(0))).toEqual([]);
+  expect(guard.admit(segment(1))).toEqual([]);
+  expect(deleted()).toEqual([]);
+
+  // Segment 0 ended more than the pre-roll before segment 2 did
+  expect(guard.admit(segment(2))).toEqual([]);
+  expect(deleted()).toEqual(['/segments/segment_0.mp4']);
+  expect(guard.getStatus().discarded).toBe(1);
+});
+
+test('keeps the pre-roll and the event, numbered on from the first index', () => {
+  const guard = createMotionGuard();
+  guard.arm(SETTINGS, 5);
+  [0, 1, 2].forEach(index => guard.admit(segment(index)));
+
+  guard.motion(motionAt(32, 0.4));
+  expect(guard.getStatus().triggered).toBe(true);
+
+  const kept = guard.admit(segment(3));
+  expect(summary(kept)).toEqual([
+    ['/segments/segment_2.mp4', 5, 'pre-roll', 'event-1'],
+    ['/segments/segment_3.mp4', 6, 'event', 'event-1'],
+  ]);
+  // Segment 1 ended before the pre-roll of the event started
+  expect(deleted()).toEqual([
+    '/segments/segment_0.mp4',
+    '/segments/segment_1.mp4',
+  ]);
+  expect(kept[1].metadata.trigger).toEqual({
+    mode: 'motion',
+    eventId: 'event-1',
+    role: 'event',
+    triggeredAt: '2026-03-01T10:00:32.000Z',
+    zone: 'frame',
+    score: 0.4,
+    peakScore: 0.4,
+  });
+  expect(kept[0].metadata.trigger?.peakScore).toBe(0);
+  expect(guard.nextIndex).toBe(7);
+});
+
+test('further motion extends the event by the post-roll', () => {
+  const guard = createMotionGuard();
+  guard.arm(SETTINGS);
+  guard.motion(motionAt(2));
+  expect(summary(guard.admit(segment(0)))).toEqual([
+    ['/segments/segment_0.mp4', 0, 'event', 'event-1'],
+  ]);
+
+  // Within the post-roll of the first motion, so the same event lasts until 24 s + 15 s
+  guard.motion(motionAt(14, 0.6));
+  guard.motion(motionAt(24));
+  const [second] = guard.admit(segment(1));
+  expect(summary([second])).toEqual([
+    ['/segments/segment_1.mp4', 1, 'event', 'event-1'],
+  ]);
+  expect(second.metadata.trigger).toMatchObject({ score: 0.3, peakScore: 0.6 });
+  expect(guard.admit(segment(2))).toHaveLength(1);
+  expect(guard.admit(segment(3))).toHaveLength(1);
+  expect(guard.getStatus().triggered).toBe(false);
+
+  // The post-roll ended at 39 s
+  expect(guard.admit(segment(4))).toEqual([]);
+  expect(guard.getStatus()).toMatchObject({ kept: 4, discarded: 0 });
+});
+
+test('a motion after the post-roll starts a new event', () => {
+  const guard = createMotionGuard();
+  guard.arm({ ...SETTINGS, preRollMs: 0 });
+  guard.motion(motionAt(2));
+  guard.admit(segment(0));
+  guard.admit(segment(1));
+  guard.admit(segment(2));
+
+  guard.motion(motionAt(41));
+  const [kept] = guard.admit(segment(4));
+  expect(kept.metadata.trigger?.eventId).toBe('event-2');
+  expect(kept.metadata.chunkIndex).toBe(2);
+});
+
+test('disarming deletes the held segments', () => {
+  const guard = createMotionGuard();
+  guard.arm(SETTINGS, 3);
+  guard.admit(segment(0));
+  guard.admit(segment(1));
+
+  expect(guard.disarm()).toBe(3);
+  expect(deleted()).toEqual([
+    '/segments/segment_0.mp4',
+    '/segments/segment_1.mp4',
+  ]);
+  expect(guard.armed).toBe(false);
+});
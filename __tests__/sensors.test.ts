@@ -0,0 +1,43 @@
+import { compassHeading, roundHeading } from '../src/sensors';
+
+jest.mock('react-native-sensors', () => require('react-native-sensors/mock'));
+jest.mock('@react-native-community/geolocation', () => ({}));
+
+const UPRIGHT = { x: 0, y: 9.81, z: 0 };
+const FLAT = { x: 0, y: 0, z: 9.81 };
+
+// Magnetic field, in the axes of a phone held upright, when its back camera faces `degrees`
+const fieldFacing = (degrees: number) => {
+  const radians = (degrees * Math.PI) / 180;
+  return { x: -20 * Math.sin(radians), y: -40, z: -20 * Math.cos(radians) };
+};
+
+test('the heading is where the back camera looks', () => {
+  expect(compassHeading(UPRIGHT, fieldFacing(0))).toBeCloseTo(0, 6);
+  expect(compassHeading(UPRIGHT, fieldFacing(90))).toBeCloseTo(90, 6);
+  expect(compassHeading(UPRIGHT, fieldFacing(123.456))).toBeCloseTo(123.456, 6);
+  expect(roundHeading(compassHeading(UPRIGHT, fieldFacing(123.456))!)).toBe(123.5);
+});
+
+test('a phone lying flat is headed where its top edge points', () => {
+  expect(compassHeading(FLAT, { x: 0, y: 20, z: -40 })).toBeCloseTo(0, 6);
+  expect(compassHeading(FLAT, { x: -20, y: 0, z: -40 })).toBeCloseTo(90, 6);
+});
+
+test('headings just west of north stay below 360', () => {
+  const degrees = compassHeading(UPRIGHT, fieldFacing(-0.03))!;
+  expect(degrees).toBeCloseTo(359.97, 6);
+  expect(roundHeading(degrees)).toBe(0);
+});
+
+test('there is no heading when the field is along gravity', () => {
+  expect(compassHeading(UPRIGHT, { x: 0, y: -40, z: 0 })).toBeNull();
+  expect(compassHeading({ x: 0, y: 0, z: 0 }, fieldFacing(0))).toBeNull();
+});
+
+test('headings are rounded to a tenth of a degree below 360', () => {
+  expect(roundHeading(12.34)).toBe(12.3);
+  expect(roundHeading(359.94)).toBe(359.9);
+  // The metadata schema only accepts headings below 360
+  expect(roundHeading(359.97)).toBe(0);
+});
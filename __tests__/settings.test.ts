@@ -0,0 +1,105 @@
+import RNFS from 'react-native-fs';
+import {
+  DEFAULT_SETTINGS,
+  isValidBackendUrl,
+  loadSettings,
+  parsePairingCode,
+  qualityLimitsOf,
+  saveSettings,
+} from '../src/settings';
+import { DEFAULT_QUALITY_LIMITS } from '../src/adaptiveController';
+
+jest.mock('react-native-fs', () => ({
+  DocumentDirectoryPath: '/documents',
+  exists: jest.fn(),
+  readFile: jest.fn(),
+  writeFile: jest.fn(() => Promise.resolve()),
+}));
+
+const storedSettings = (contents: string | null) => {
+  (RNFS.exists as jest.Mock).mockResolvedValue(contents !== null);
+  (RNFS.readFile as jest.Mock).mockResolvedValue(contents);
+};
+
+const pairingCode = (code: object) =>
+  JSON.stringify({
+    type: 'heimdall-pairing',
+    version: 1,
+    url: 'https://cams.example.com',
+    enrollmentToken: 'hen_abc',
+    ...code,
+  });
+
+test('without saved settings the defaults apply', async () => {
+  storedSettings(null);
+  expect(await loadSettings()).toEqual(DEFAULT_SETTINGS);
+  expect(RNFS.readFile).not.toHaveBeenCalled();
+});
+
+test('saved settings are merged over the defaults', async () => {
+  storedSettings(
+    JSON.stringify({ backendUrl: 'https://cams.example.com', audio: false }),
+  );
+  expect(await loadSettings()).toEqual({
+    ...DEFAULT_SETTINGS,
+    backendUrl: 'https://cams.example.com',
+    audio: false,
+  });
+});
+
+test('unreadable settings fall back to the defaults', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  storedSettings('{"backendUrl":');
+  expect(await loadSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test('settings are saved as JSON in the documents directory', async () => {
+  await saveSettings({ ...DEFAULT_SETTINGS, maxFps: 15 });
+  const [path, contents] = (RNFS.writeFile as jest.Mock).mock.calls[0];
+  expect(path).toBe('/documents/settings.json');
+  expect(JSON.parse(contents).maxFps).toBe(15);
+});
+
+test('a fixed segment length pins both segment bounds', () => {
+  expect(qualityLimitsOf(DEFAULT_SETTINGS)).toMatchObject({
+    minSegmentMs: DEFAULT_QUALITY_LIMITS.minSegmentMs,
+    maxSegmentMs: DEFAULT_QUALITY_LIMITS.maxSegmentMs,
+  });
+  expect(
+    qualityLimitsOf({ ...DEFAULT_SETTINGS, segmentDurationMs: 20000 }),
+  ).toMatchObject({ minSegmentMs: 20000, maxSegmentMs: 20000 });
+});
+
+test('backend URLs must be http(s) URLs with a host', () => {
+  for (const url of [
+    'https://cams.example.com',
+    'http://192.168.1.20:3000',
+    ' https://abc.ngrok-free.app/ ',
+  ]) {
+    expect(isValidBackendUrl(url)).toBe(true);
+  }
+  for (const url of [
+    '',
+    'cams.example.com',
+    'ftp://cams.example.com',
+    'https://',
+  ]) {
+    expect(isValidBackendUrl(url)).toBe(false);
+  }
+});
+
+test('pairing codes carry the backend URL and enrollment token', () => {
+  expect(parsePairingCode(pairingCode({}))).toEqual({
+    backendUrl: 'https://cams.example.com',
+    enrollmentToken: 'hen_abc',
+  });
+  for (const data of [
+    'https://cams.example.com',
+    pairingCode({ type: 'wifi' }),
+    pairingCode({ version: 2 }),
+    pairingCode({ url: 'file:///etc/hosts' }),
+    pairingCode({ enrollmentToken: undefined }),
+  ]) {
+    expect(parsePairingCode(data)).toBeNull();
+  }
+});
@@ -0,0 +1,141 @@
+package com.videorecordingapp
+
+import android.app.Notification
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.PendingIntent
+import android.app.Service
+import android.content.Context
+import android.content.Intent
+import android.content.pm.ServiceInfo
+import android.os.Build
+import android.os.IBinder
+import androidx.core.app.NotificationCompat
+
+/**
+ * Foreground service that keeps the app's process, and its access to the camera and
+ * microphone, alive while a recording runs in the background or behind the lock screen.
+ *
+ * The recording itself stays in JS (see src/recordingService.ts); the service only holds the
+ * persistent notification. If the system kills the process anyway, it restarts the service
+ * without an intent: the camera cannot be reopened from the background, so the service asks
+ * the user to reopen the app, which resumes the session it finds on disk.
+ */
+class RecordingService : Service() {
+
+  override fun onBind(intent: Intent?): IBinder? = null
+
+  override fun onStartCommand(intent: Intent?, flags: Int, startId: Int): Int {
+    if (intent == null) {
+      notifyInterrupted(this)
+      stopSelf()
+      return START_NOT_STICKY
+    }
+
+    val notification = buildNotification(
+        this,
+        intent.getStringExtra(EXTRA_TITLE) ?: DEFAULT_TITLE,
+        intent.getStringExtra(EXTRA_TEXT) ?: "")
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.R) {
+      startForeground(
+          NOTIFICATION_ID,
+          notification,
+          ServiceInfo.FOREGROUND_SERVICE_TYPE_CAMERA or
+              ServiceInfo.FOREGROUND_SERVICE_TYPE_MICROPHONE)
+    } else {
+      startForeground(NOTIFICATION_ID, notification)
+    }
+    running = true
+    return START_STICKY
+  }
+
+  // The app was swiped away from the recents screen, which ends the camera session with it
+  override fun onTaskRemoved(rootIntent: Intent?) {
+    notifyInterrupted(this)
+    stopSelf()
+  }
+
+  override fun onDestroy() {
+    running = false
+    super.onDestroy()
+  }
+
+  companion object {
+    const val EXTRA_TITLE = "title"
+    const val EXTRA_TEXT = "text"
+
+    private const val CHANNEL_ID = "recording"
+    private const val NOTIFICATION_ID = 1001
+    private const val INTERRUPTED_NOTIFICATION_ID = 1002
+    private const val DEFAULT_TITLE = "Heimdall Cam is recording"
+
+    @Volatile
+    var running = false
+      private set
+
+    private fun ensureChannel(context: Context) {
+      if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) {
+        return
+      }
+      val manager = context.getSystemService(NotificationManager::class.java)
+      if (manager.getNotificationChannel(CHANNEL_ID) == null) {
+        manager.createNotificationChannel(
+            NotificationChannel(CHANNEL_ID, "Recording", NotificationManager.IMPORTANCE_LOW))
+      }
+    }
+
+    private fun openAppIntent(context: Context): PendingIntent =
+        PendingIntent.getActivity(
+            context,
+            0,
+            Intent(context, MainActivity::class.java)
+                .setFlags(Intent.FLAG_ACTIVITY_NEW_TASK or Intent.FLAG_ACTIVITY_SINGLE_TOP),
+            PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE)
+
+    fun buildNotification(context: Context, title: String, text: String): Notification {
+      ensureChannel(context)
+      return NotificationCompat.Builder(context, CHANNEL_ID)
+          .setContentTitle(title)
+          .setContentText(text)
+          .setSmallIcon(R.mipmap.ic_launcher)
+          .setContentIntent(openAppIntent(context))
+          .setOngoing(true)
+          .setOnlyAlertOnce(true)
+          .setCategory(NotificationCompat.CATEGORY_SERVICE)
+          .setForegroundServiceBehavior(NotificationCompat.FOREGROUND_SERVICE_IMMEDIATE)
+          .build()
+    }
+
+    // Replaces the text of the persistent notification while the service runs
+    fun updateNotification(context: Context, title: String, text: String) {
+      if (!running) {
+        return
+      }
+      context
+          .getSystemService(NotificationManager::class.java)
+          .notify(NOTIFICATION_ID, buildNotification(context, title, text))
+    }
+
+    fun notifyInterrupted(context: Context) {
+      ensureChannel(context)
+      val notification =
+          NotificationCompat.Builder(context, CHANNEL_ID)
+              .setContentTitle("Recording interrupted")
+              .setContentText("Tap to resume recording")
+              .setSmallIcon(R.mipmap.ic_launcher)
+              .setContentIntent(openAppIntent(context))
+              .setAutoCancel(true)
+              .setPriority(NotificationCompat.PRIORITY_HIGH)
+              .build()
+      context
+          .getSystemService(NotificationManager::class.java)
+          .notify(INTERRUPTED_NOTIFICATION_ID, notification)
+    }
+
+    fun clearInterrupted(context: Context) {
+      context
+          .getSystemService(NotificationManager::class.java)
+          .cancel(INTERRUPTED_NOTIFICATION_ID)
+    }
+  }
+}
@@ -0,0 +1,71 @@
+package com.videorecordingapp
+
+import android.content.Intent
+import android.os.Build
+import android.view.WindowManager
+import androidx.core.content.ContextCompat
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+import com.facebook.react.bridge.UiThreadUtil
+
+/**
+ * `NativeModules.RecordingService`: starts and stops [RecordingService] and keeps the
+ * recording screen on, and shown over the lock screen, while a recording runs.
+ */
+class RecordingServiceModule(private val reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName() = "RecordingService"
+
+  @ReactMethod
+  fun start(title: String, text: String, promise: Promise) {
+    try {
+      RecordingService.clearInterrupted(reactContext)
+      val intent =
+          Intent(reactContext, RecordingService::class.java)
+              .putExtra(RecordingService.EXTRA_TITLE, title)
+              .putExtra(RecordingService.EXTRA_TEXT, text)
+      ContextCompat.startForegroundService(reactContext, intent)
+      setKeepScreen(true)
+      promise.resolve(null)
+    } catch (error: Exception) {
+      // Android refuses to start a camera service while the app is in the background
+      promise.reject("SERVICE_START_FAILED", error.message, error)
+    }
+  }
+
+  @ReactMethod
+  fun update(title: String, text: String) {
+    RecordingService.updateNotification(reactContext, title, text)
+  }
+
+  @ReactMethod
+  fun stop(promise: Promise) {
+    reactContext.stopService(Intent(reactContext, RecordingService::class.java))
+    setKeepScreen(false)
+    promise.resolve(null)
+  }
+
+  private fun setKeepScreen(enabled: Boolean) {
+    UiThreadUtil.runOnUiThread {
+      val activity = reactContext.currentActivity ?: return@runOnUiThread
+      if (enabled) {
+        activity.window.addFlags(WindowManager.LayoutParams.FLAG_KEEP_SCREEN_ON)
+      } else {
+        activity.window.clearFlags(WindowManager.LayoutParams.FLAG_KEEP_SCREEN_ON)
+      }
+      if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O_MR1) {
+        activity.setShowWhenLocked(enabled)
+      } else {
+        @Suppress("DEPRECATION")
+        if (enabled) {
+          activity.window.addFlags(WindowManager.LayoutParams.FLAG_SHOW_WHEN_LOCKED)
+        } else {
+          activity.window.clearFlags(WindowManager.LayoutParams.FLAG_SHOW_WHEN_LOCKED)
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,253 @@
+const express = require('express');
+const { ALERT_STATUSES, SEVERITIES } = require('./alerts');
+
+// Alerts, alert rules and alert webhooks, mounted at /alerts (admin only)
+function createAlertsRouter(alerts) {
+  const router = express.Router();
+
+  function notFound(res, code, what, id) {
+    return res.status(404).json({
+      success: false,
+      code,
+      error: `${what} ${id} not found`
+    });
+  }
+
+  // AlertErrors carry their own status and code; anything else is a server error
+  function handleError(res, error, action) {
+    if (error.name === 'AlertError') {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+    console.error(`❌ Failed to ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  // Rules
+
+  router.get('/rules', (req, res) => {
+    res.json({
+      success: true,
+      rules: alerts.listRules()
+    });
+  });
+
+  router.post('/rules', async (req, res) => {
+    try {
+      const rule = await alerts.createRule(req.body);
+      console.log(`🚨 Alert rule created: ${rule.name} (${rule.id})`);
+      res.status(201).json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'create alert rule');
+    }
+  });
+
+  router.get('/rules/:id', (req, res) => {
+    const rule = alerts.getRule(req.params.id);
+    if (!rule) {
+      return notFound(res, 'ALERT_RULE_NOT_FOUND', 'Alert rule', req.params.id);
+    }
+    res.json({
+      success: true,
+      rule
+    });
+  });
+
+  router.put('/rules/:id', async (req, res) => {
+    try {
+      const rule = await alerts.updateRule(req.params.id, req.body);
+      if (!rule) {
+        return notFound(res, 'ALERT_RULE_NOT_FOUND', 'Alert rule', req.params.id);
+      }
+      res.json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'update alert rule');
+    }
+  });
+
+  router.delete('/rules/:id', async (req, res) => {
+    try {
+      if (!(await alerts.deleteRule(req.params.id))) {
+        return notFound(res, 'ALERT_RULE_NOT_FOUND', 'Alert rule', req.params.id);
+      }
+      res.json({
+        success: true,
+        message: `Alert rule ${req.params.id} deleted`
+      });
+    } catch (error) {
+      handleError(res, error, 'delete alert rule');
+    }
+  });
+
+  // Webhooks
+
+  router.get('/webhooks', (req, res) => {
+    res.json({
+      success: true,
+      webhooks: alerts.listWebhooks()
+    });
+  });
+
+  // The response carries the signing secret; it is not shown again
+  router.post('/webhooks', async (req, res) => {
+    try {
+      const webhook = await alerts.createWebhook(req.body);
+      console.log(`📨 Alert webhook created: ${webhook.url} (${webhook.id})`);
+      res.status(201).json({
+        success: true,
+        webhook,
+        message: 'Store the secret now; it is used to sign every delivery and is not shown again'
+      });
+    } catch (error) {
+      handleError(res, error, 'create alert webhook');
+    }
+  });
+
+  router.get('/webhooks/:id', (req, res) => {
+    const webhook = alerts.getWebhook(req.params.id);
+    if (!webhook) {
+      return notFound(res, 'WEBHOOK_NOT_FOUND', 'Webhook', req.params.id);
+    }
+    res.json({
+      success: true,
+      webhook
+    });
+  });
+
+  router.put('/webhooks/:id', async (req, res) => {
+    try {
+      const webhook = await alerts.updateWebhook(req.params.id, req.body);
+      if (!webhook) {
+        return notFound(res, 'WEBHOOK_NOT_FOUND', 'Webhook', req.params.id);
+      }
+      res.json({
+        success: true,
+        webhook
+      });
+    } catch (error) {
+      handleError(res, error, 'update alert webhook');
+    }
+  });
+
+  router.delete('/webhooks/:id', async (req, res) => {
+    try {
+      if (!(await alerts.deleteWebhook(req.params.id))) {
+        return notFound(res, 'WEBHOOK_NOT_FOUND', 'Webhook', req.params.id);
+      }
+      res.json({
+        success: true,
+        message: `Webhook ${req.params.id} deleted`
+      });
+    } catch (error) {
+      handleError(res, error, 'delete alert webhook');
+    }
+  });
+
+  // Queue a signed `webhook.test` delivery; follow it at /jobs/:jobId
+  router.post('/webhooks/:id/test', async (req, res) => {
+    try {
+      const job = await alerts.testWebhook(req.params.id);
+      if (!job) {
+        return notFound(res, 'WEBHOOK_NOT_FOUND', 'Webhook', req.params.id);
+      }
+      res.json({
+        success: true,
+        jobId: job.id,
+        statusUrl: `/jobs/${job.id}`
+      });
+    } catch (error) {
+      handleError(res, error, 'queue test delivery');
+    }
+  });
+
+  // Alerts
+
+  // List alerts, most recently seen first; filter with ?status=open&severity=critical&deviceId=...&ruleId=...
+  router.get('/', (req, res) => {
+    const { status, severity, deviceId, ruleId } = req.query;
+
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_ALERT_FILTER',
+        error: `status must be one of: ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_ALERT_FILTER',
+        error: `severity must be one of: ${SEVERITIES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const alertList = alerts.listAlerts({ status, severity, deviceId, ruleId, limit });
+
+    res.json({
+      success: true,
+      alerts: alertList,
+      total: alertList.length,
+      stats: alerts.alertStats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/:id', (req, res) => {
+    const alert = alerts.getAlert(req.params.id);
+    if (!alert) {
+      return notFound(res, 'ALERT_NOT_FOUND', 'Alert', req.params.id);
+    }
+    res.json({
+      success: true,
+      alert
+    });
+  });
+
+  // Body (optional): { "by": "operator name", "note": "..." }
+  router.post('/:id/acknowledge', async (req, res) => {
+    try {
+      const alert = await alerts.acknowledge(req.params.id, { by: req.body?.by, note: req.body?.note });
+      if (!alert) {
+        return notFound(res, 'ALERT_NOT_FOUND', 'Alert', req.params.id);
+      }
+      res.json({
+        success: true,
+        alert
+      });
+    } catch (error) {
+      handleError(res, error, 'acknowledge alert');
+    }
+  });
+
+  router.post('/:id/resolve', async (req, res) => {
+    try {
+      const alert = await alerts.resolve(req.params.id, { by: req.body?.by, note: req.body?.note });
+      if (!alert) {
+        return notFound(res, 'ALERT_NOT_FOUND', 'Alert', req.params.id);
+      }
+      res.json({
+        success: true,
+        alert
+      });
+    } catch (error) {
+      handleError(res, error, 'resolve alert');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAlertsRouter };
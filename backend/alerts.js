@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { PermanentJobError } = require('./jobs');
+
+// Alert rules over normalized analysis results (see analysis/normalize.js), the alerts they
+// raise, and the outbound webhooks that are told about them. Persisted in the datastore's
+// `alert_rules`, `alerts` and `alert_webhooks` collections.
+//
+// Rule fields:
+//   name            label shown in alerts
+//   enabled         evaluate the rule at all (default true)
+//   kind            'person' | 'label' | 'object' | 'text': which detections the rule looks at
+//   match           case-insensitive substring of the label/object description or detected text
+//   deviceIds       only results from these devices (default: all devices)
+//   minConfidence   detections below this confidence (0-1) are ignored
+//   minDurationSec  detections shorter than this are ignored (persons and objects: track length,
+//                   labels and texts: longest segment)
+//   severity        'info' | 'warning' | 'critical' (default 'warning')
+//   cooldownSec     while an open alert of this rule and device was last seen within this window,
+//                   new matches are added to it instead of raising a new alert (default 300)
+//
+// Alert statuses: open -> acknowledged -> resolved (open alerts may also be resolved directly).
+//
+// Webhooks receive JSON events (alert.created, alert.acknowledged, alert.resolved) delivered
+// as `webhook` jobs, so failed deliveries are retried with backoff. Each request carries
+//   X-Heimdall-Event, X-Heimdall-Delivery, X-Heimdall-Timestamp and
+//   X-Heimdall-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+
+const KINDS = ['person', 'label', 'object', 'text'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const WEBHOOK_EVENTS = ['alert.created', 'alert.acknowledged', 'alert.resolved'];
+
+const RULE_FIELDS = ['name', 'enabled', 'kind', 'match', 'deviceIds', 'minConfidence', 'minDurationSec', 'severity', 'cooldownSec'];
+const WEBHOOK_FIELDS = ['url', 'secret', 'events', 'minSeverity', 'enabled', 'description'];
+
+const DEFAULT_COOLDOWN_SEC = 300;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 6;
+// Matches and videos kept on one alert; later occurrences only raise its counter
+const MAX_ALERT_MATCHES = 50;
+const MAX_ALERT_VIDEOS = 20;
+
+class AlertError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const invalid = (code, message) => new AlertError(400, code, message);
+
+function pickFields(body, fields, code) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid(code, 'Request body must be a JSON object');
+  }
+  const unknown = Object.keys(body).filter(field => !fields.includes(field));
+  if (unknown.length > 0) {
+    throw invalid(code, `Unknown fields: ${unknown.join(', ')} (expected: ${fields.join(', ')})`);
+  }
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  }
+  return picked;
+}
+
+// Check a complete rule (after merging an update) and return its known fields
+function validateRule(rule) {
+  const code = 'INVALID_ALERT_RULE';
+  const validated = pickFields(rule, RULE_FIELDS, code);
+  const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+  if (typeof validated.name !== 'string' || !validated.name.trim()) {
+    throw invalid(code, 'name is required');
+  }
+  if (!KINDS.includes(validated.kind)) {
+    throw invalid(code, `kind must be one of: ${KINDS.join(', ')}`);
+  }
+  if (validated.enabled !== undefined && typeof validated.enabled !== 'boolean') {
+    throw invalid(code, 'enabled must be true or false');
+  }
+  if (validated.match !== undefined && validated.match !== null && (typeof validated.match !== 'string' || !validated.match)) {
+    throw invalid(code, 'match must be a non-empty string or null');
+  }
+  if (validated.deviceIds !== undefined && validated.deviceIds !== null
+    && (!Array.isArray(validated.deviceIds) || !validated.deviceIds.every(id => typeof id === 'string' && id))) {
+    throw invalid(code, 'deviceIds must be null or an array of device IDs');
+  }
+  if (validated.minConfidence !== undefined && !isNumberIn(validated.minConfidence, 0, 1)) {
+    throw invalid(code, 'minConfidence must be a number between 0 and 1');
+  }
+  if (validated.minDurationSec !== undefined && !isNumberIn(validated.minDurationSec, 0, Infinity)) {
+    throw invalid(code, 'minDurationSec must be a non-negative number');
+  }
+  if (validated.severity !== undefined && !SEVERITIES.includes(validated.severity)) {
+    throw invalid(code, `severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (validated.cooldownSec !== undefined && !isNumberIn(validated.cooldownSec, 0, Infinity)) {
+    throw invalid(code, 'cooldownSec must be a non-negative number');
+  }
+
+  return {
+    enabled: true,
+    match: null,
+    deviceIds: null,
+    minConfidence: 0,
+    minDurationSec: 0,
+    severity: 'warning',
+    cooldownSec: DEFAULT_COOLDOWN_SEC,
+    ...validated,
+    name: validated.name.trim()
+  };
+}
+
+function validateWebhook(webhook) {
+  const code = 'INVALID_WEBHOOK';
+  const validated = pickFields(webhook, WEBHOOK_FIELDS, code);
+
+  let url;
+  try {
+    url = new URL(validated.url);
+  } catch (error) {
+    throw invalid(code, 'url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw invalid(code, 'url must be an absolute http(s) URL');
+  }
+  if (validated.secret !== undefined && (typeof validated.secret !== 'string' || validated.secret.length < 16)) {
+    throw invalid(code, 'secret must be a string of at least 16 characters');
+  }
+  if (validated.events !== undefined
+    && (!Array.isArray(validated.events) || validated.events.length === 0 || !validated.events.every(event => WEBHOOK_EVENTS.includes(event)))) {
+    throw invalid(code, `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  if (validated.minSeverity !== undefined && !SEVERITIES.includes(validated.minSeverity)) {
+    throw invalid(code, `minSeverity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (validated.enabled !== undefined && typeof validated.enabled !== 'boolean') {
+    throw invalid(code, 'enabled must be true or false');
+  }
+
+  return {
+    events: WEBHOOK_EVENTS,
+    minSeverity: 'info',
+    enabled: true,
+    description: null,
+    ...validated
+  };
+}
+
+// Detections of one kind from a normalized result, with a comparable duration
+function detectionsOf(kind, result) {
+  const longestSegment = segments => Math.max(0, ...segments.map(segment => (segment.endSec ?? 0) - (segment.startSec ?? 0)));
+
+  switch (kind) {
+    case 'person':
+      return (result.persons || []).map(person => ({
+        description: 'person',
+        confidence: person.confidence ?? 0,
+        startSec: person.startSec,
+        endSec: person.endSec,
+        durationSec: (person.endSec ?? 0) - (person.startSec ?? 0)
+      }));
+    case 'object':
+      return (result.objects || []).map(object => ({
+        description: object.description,
+        confidence: object.confidence ?? 0,
+        startSec: object.startSec,
+        endSec: object.endSec,
+        durationSec: (object.endSec ?? 0) - (object.startSec ?? 0)
+      }));
+    case 'label':
+      return (result.labels || []).map(label => ({
+        description: label.description,
+        confidence: label.confidence ?? 0,
+        startSec: label.segments?.[0]?.startSec ?? null,
+        endSec: label.segments?.[label.segments.length - 1]?.endSec ?? null,
+        durationSec: longestSegment(label.segments || [])
+      }));
+    case 'text':
+      return (result.texts || []).map(text => ({
+        description: text.text,
+        confidence: text.confidence ?? 0,
+        startSec: text.segments?.[0]?.startSec ?? null,
+        endSec: text.segments?.[text.segments.length - 1]?.endSec ?? null,
+        durationSec: longestSegment(text.segments || [])
+      }));
+    default:
+      return [];
+  }
+}
+
+function matchRule(rule, result) {
+  const match = rule.match ? rule.match.toLowerCase() : null;
+  return detectionsOf(rule.kind, result)
+    .filter(detection => detection.confidence >= rule.minConfidence
+      && detection.durationSec >= rule.minDurationSec
+      && (!match || String(detection.description || '').toLowerCase().includes(match)))
+    .map(detection => ({ kind: rule.kind, ...detection }));
+}
+
+function alertMessage(rule, deviceId, matches) {
+  const detections = matches.length === 1 ? '1 detection' : `${matches.length} detections`;
+  const best = matches.reduce((top, candidate) => (candidate.confidence > top.confidence ? candidate : top), matches[0]);
+  return `${rule.name}: ${detections} on device ${deviceId || 'unknown'} (best: ${best.description}, `
+    + `confidence ${Math.round(best.confidence * 100)}%)`;
+}
+
+const severityRank = severity => SEVERITIES.indexOf(severity);
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Shown instead of the secret once a webhook has been created
+const maskSecret = webhook => ({ ...webhook, secret: `${webhook.secret.slice(0, 4)}…` });
+
+// `getStore` is called lazily so alerts can be created before the datastore is open;
+// `jobs` is the job queue that delivers webhooks, `events` the live event bus (optional)
+function createAlerts(getStore, { jobs, events = null }) {
+  const rules = () => getStore().collection('alert_rules');
+  const alerts = () => getStore().collection('alerts');
+  const webhooks = () => getStore().collection('alert_webhooks');
+
+  // Rules
+
+  function listRules() {
+    return rules().entries()
+      .map(([id, rule]) => ({ id, ...rule }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function getRule(id) {
+    const rule = rules().get(id);
+    return rule ? { id, ...rule } : null;
+  }
+
+  async function createRule(body) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const rule = await rules().put(id, { ...validateRule(body), createdAt: now, updatedAt: now });
+    return { id, ...rule };
+  }
+
+  // Replace a rule's fields; resolves to null if the rule is unknown
+  async function updateRule(id, body) {
+    const current = rules().get(id);
+    if (!current) {
+      return null;
+    }
+    const rule = await rules().put(id, {
+      ...validateRule(body),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    return { id, ...rule };
+  }
+
+  function deleteRule(id) {
+    return rules().delete(id);
+  }
+
+  // Webhooks
+
+  function listWebhooks() {
+    return webhooks().entries()
+      .map(([id, webhook]) => maskSecret({ id, ...webhook }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function getWebhook(id) {
+    const webhook = webhooks().get(id);
+    return webhook ? maskSecret({ id, ...webhook }) : null;
+  }
+
+  // The generated (or given) secret is only returned here
+  async function createWebhook(body) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const webhook = await webhooks().put(id, {
+      secret: crypto.randomBytes(32).toString('hex'),
+      ...validateWebhook(body),
+      createdAt: now,
+      updatedAt: now
+    });
+    return { id, ...webhook };
+  }
+
+  // Replace a webhook's fields, keeping its secret unless a new one is given
+  async function updateWebhook(id, body) {
+    const current = webhooks().get(id);
+    if (!current) {
+      return null;
+    }
+    const webhook = await webhooks().put(id, {
+      secret: current.secret,
+      ...validateWebhook(body),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    return maskSecret({ id, ...webhook });
+  }
+
+  function deleteWebhook(id) {
+    return webhooks().delete(id);
+  }
+
+  // Publish the event live and queue one delivery job per webhook subscribed to it
+  async function notify(event, alert) {
+    events?.publish(event, {
+      deviceId: alert.deviceId,
+      sessionId: alert.sessionId,
+      alertId: alert.id,
+      ruleName: alert.ruleName,
+      severity: alert.severity,
+      status: alert.status,
+      message: alert.message
+    });
+
+    const deliveries = [];
+    for (const [webhookId, webhook] of webhooks().entries()) {
+      if (!webhook.enabled || !webhook.events.includes(event) || severityRank(alert.severity) < severityRank(webhook.minSeverity)) {
+        continue;
+      }
+      deliveries.push(await queueDelivery(webhookId, event, { alert }));
+    }
+    return deliveries;
+  }
+
+  function queueDelivery(webhookId, event, data) {
+    const deliveryId = uuidv4();
+    return jobs.enqueue('webhook', {
+      webhookId,
+      deliveryId,
+      event,
+      body: {
+        id: deliveryId,
+        event,
+        createdAt: new Date().toISOString(),
+        data
+      }
+    }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+  }
+
+  // Send a `webhook.test` event to one webhook, regardless of its event subscriptions
+  async function testWebhook(id) {
+    if (!webhooks().has(id)) {
+      return null;
+    }
+    return queueDelivery(id, 'webhook.test', { message: 'Test delivery from Heimdall' });
+  }
+
+  // Job handler: POST one event to its webhook. Client errors other than 408/429 are not retried.
+  async function deliver({ webhookId, deliveryId, event, body }, { signal }) {
+    const webhook = webhooks().get(webhookId);
+    if (!webhook) {
+      throw new PermanentJobError(`Webhook ${webhookId} no longer exists`);
+    }
+    if (!webhook.enabled) {
+      throw new PermanentJobError(`Webhook ${webhookId} is disabled`);
+    }
+
+    const payload = JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    // Aborted when the job is cancelled or the receiver takes too long
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, WEBHOOK_TIMEOUT_MS);
+    signal.addEventListener('abort', abort, { once: true });
+
+    let response;
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Heimdall-Webhooks/1.0',
+          'X-Heimdall-Event': event,
+          'X-Heimdall-Delivery': deliveryId,
+          'X-Heimdall-Timestamp': timestamp,
+          'X-Heimdall-Signature': signPayload(webhook.secret, timestamp, payload)
+        },
+        body: payload,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(`Webhook ${webhook.url} unreachable: ${error.cause?.message || error.message}`);
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abort);
+    }
+
+    if (!response.ok) {
+      const message = `Webhook ${webhook.url} answered ${response.status}`;
+      throw response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)
+        ? new PermanentJobError(message)
+        : new Error(message);
+    }
+
+    console.log(`📨 Webhook delivered: ${event} → ${webhook.url} (${response.status})`);
+    return { status: response.status, url: webhook.url, event };
+  }
+
+  // Alerts
+
+  function listAlerts({ status, severity, deviceId, ruleId, limit = 100 } = {}) {
+    return alerts().entries()
+      .map(([id, alert]) => ({ id, ...alert }))
+      .filter(alert => (!status || alert.status === status)
+        && (!severity || alert.severity === severity)
+        && (!deviceId || alert.deviceId === deviceId)
+        && (!ruleId || alert.ruleId === ruleId))
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+      .slice(0, limit);
+  }
+
+  function getAlert(id) {
+    const alert = alerts().get(id);
+    return alert ? { id, ...alert } : null;
+  }
+
+  function alertStats() {
+    const counts = { open: 0, acknowledged: 0, resolved: 0 };
+    for (const [, alert] of alerts().entries()) {
+      counts[alert.status]++;
+    }
+    return counts;
+  }
+
+  // Evaluate every enabled rule against one analysis result; resolves to the alerts raised or updated
+  async function evaluate({ result, gcsUri, analysisId, deviceId, sessionId }) {
+    const raised = [];
+    if (!result) {
+      return raised;
+    }
+
+    for (const rule of listRules()) {
+      if (!rule.enabled || (rule.deviceIds && !rule.deviceIds.includes(deviceId))) {
+        continue;
+      }
+
+      const matches = matchRule(rule, result);
+      if (matches.length === 0) {
+        continue;
+      }
+
+      const now = new Date();
+      const cooldownStart = new Date(now.getTime() - rule.cooldownSec * 1000).toISOString();
+      const video = { gcsUri, analysisId, sessionId, matchCount: matches.length };
+      const recent = alerts().entries().find(([, alert]) => alert.ruleId === rule.id
+        && alert.deviceId === deviceId
+        && alert.status === 'open'
+        && alert.lastSeenAt >= cooldownStart);
+
+      if (recent) {
+        const [id, alert] = recent;
+        if (alert.videos.some(existing => existing.gcsUri === gcsUri)) {
+          continue; // Same video analyzed again
+        }
+        const updated = await alerts().update(id, {
+          occurrences: alert.occurrences + 1,
+          lastSeenAt: now.toISOString(),
+          videos: [...alert.videos, video].slice(-MAX_ALERT_VIDEOS),
+          matches: [...alert.matches, ...matches.map(match => ({ ...match, gcsUri }))].slice(-MAX_ALERT_MATCHES)
+        });
+        raised.push({ id, ...updated });
+        continue;
+      }
+
+      const id = uuidv4();
+      const alert = await alerts().put(id, {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        severity: rule.severity,
+        status: 'open',
+        message: alertMessage(rule, deviceId, matches),
+        deviceId: deviceId || null,
+        sessionId: sessionId || null,
+        gcsUri,
+        occurrences: 1,
+        videos: [video],
+        matches: matches.slice(0, MAX_ALERT_MATCHES).map(match => ({ ...match, gcsUri })),
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        resolvedAt: null,
+        resolvedBy: null,
+        note: null
+      });
+      console.log(`🚨 Alert raised [${alert.severity}]: ${alert.message}`);
+      raised.push({ id, ...alert });
+      await notify('alert.created', { id, ...alert });
+    }
+
+    return raised;
+  }
+
+  // Move an alert to `acknowledged` or `resolved`; throws an AlertError for invalid transitions
+  async function transition(id, status, { by, note } = {}) {
+    const current = alerts().get(id);
+    if (!current) {
+      return null;
+    }
+    if (current.status === 'resolved' || (status === 'acknowledged' && current.status === 'acknowledged')) {
+      throw new AlertError(409, 'ALERT_ALREADY_' + current.status.toUpperCase(), `Alert ${id} is already ${current.status}`);
+    }
+
+    const now = new Date().toISOString();
+    const patch = status === 'acknowledged'
+      ? { status, acknowledgedAt: now, acknowledgedBy: typeof by === 'string' ? by : null }
+      : { status, resolvedAt: now, resolvedBy: typeof by === 'string' ? by : null };
+    const alert = { id, ...(await alerts().update(id, { ...patch, note: typeof note === 'string' ? note : current.note })) };
+
+    console.log(`🚨 Alert ${status}: ${id}`);
+    await notify(`alert.${status}`, alert);
+    return alert;
+  }
+
+  return {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    listWebhooks,
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    testWebhook,
+    deliver,
+    listAlerts,
+    getAlert,
+    alertStats,
+    evaluate,
+    acknowledge: (id, options) => transition(id, 'acknowledged', options),
+    resolve: (id, options) => transition(id, 'resolved', options)
+  };
+}
+
+module.exports = {
+  createAlerts,
+  signPayload,
+  AlertError,
+  ALERT_STATUSES,
+  SEVERITIES,
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS
+};
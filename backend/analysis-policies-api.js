@@ -0,0 +1,103 @@
+const express = require('express');
+
+// Automatic analysis policy administration, mounted at /analysis-policies (admin only)
+function createAnalysisPoliciesRouter(policies) {
+  const router = express.Router();
+
+  // List stored policies and the built-in defaults they override
+  router.get('/', (req, res) => {
+    res.json({
+      success: true,
+      defaults: policies.defaults,
+      policies: policies.list()
+    });
+  });
+
+  // Effective policy for a device and/or session: ?deviceId=...&sessionId=...
+  router.get('/resolve', (req, res) => {
+    const { deviceId, sessionId } = req.query;
+    res.json({
+      success: true,
+      policy: policies.resolve({ deviceId, sessionId })
+    });
+  });
+
+  // GET/PUT/DELETE for one scope; `idParam` names the route parameter holding its ID
+  function scopeRoutes(routePath, scope, idParam) {
+    router.get(routePath, (req, res) => {
+      const id = idParam ? req.params[idParam] : null;
+      const policy = policies.get(scope, id);
+      if (!policy) {
+        return res.status(404).json({
+          success: false,
+          code: 'ANALYSIS_POLICY_NOT_FOUND',
+          error: `No ${scope} analysis policy${id ? ` for ${id}` : ''}`
+        });
+      }
+
+      res.json({
+        success: true,
+        scope,
+        id,
+        policy
+      });
+    });
+
+    router.put(routePath, async (req, res) => {
+      try {
+        const id = idParam ? req.params[idParam] : null;
+        const record = await policies.set(scope, id, req.body);
+        console.log(`🤖 Analysis policy updated: ${scope}${id ? ` ${id}` : ''}`);
+
+        res.json({
+          success: true,
+          ...record
+        });
+
+      } catch (error) {
+        if (error.name === 'PolicyError') {
+          return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            error: error.message
+          });
+        }
+        console.error('❌ Failed to update analysis policy:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.delete(routePath, async (req, res) => {
+      try {
+        const id = idParam ? req.params[idParam] : null;
+        const removed = await policies.remove(scope, id);
+        if (removed) {
+          console.log(`🤖 Analysis policy removed: ${scope}${id ? ` ${id}` : ''}`);
+        }
+
+        res.json({
+          success: true,
+          removed
+        });
+
+      } catch (error) {
+        console.error('❌ Failed to remove analysis policy:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  scopeRoutes('/default', 'default', null);
+  scopeRoutes('/devices/:deviceId', 'device', 'deviceId');
+  scopeRoutes('/sessions/:sessionId', 'session', 'sessionId');
+
+  return router;
+}
+
+module.exports = { createAnalysisPoliciesRouter };
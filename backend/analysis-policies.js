@@ -0,0 +1,212 @@
+const { FEATURES, FEATURE_CODES } = require('./analysis');
+
+// Automatic analysis policies, persisted in the datastore's `analysis_policies` collection.
+//
+// A policy decides whether a newly uploaded chunk is queued for analysis and with which
+// features. Policies are stored per scope and merged field by field, most specific last:
+//
+//   built-in defaults (env)  <  "default"  <  "device:<deviceId>"  <  "session:<sessionId>"
+//
+// Policy fields (all optional in a stored policy):
+//   enabled         queue chunks for analysis at all
+//   features        Video Intelligence feature codes, e.g. ["PERSON_DETECTION", "LABEL_DETECTION"]
+//   everyNthChunk   analyze chunk indexes 0, N, 2N, ... (1 analyzes every chunk)
+//   quietHours      { start: "HH:MM", end: "HH:MM", timeZone } during which nothing is queued,
+//                   or null; a range whose end is before its start wraps past midnight
+//   priority        job priority for queued analyses (manual requests use 10)
+
+const FEATURE_CODE_LIST = FEATURES.map(feature => FEATURE_CODES[feature]);
+const POLICY_FIELDS = ['enabled', 'features', 'everyNthChunk', 'quietHours', 'priority'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+    this.status = 400;
+    this.code = 'INVALID_ANALYSIS_POLICY';
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    return Boolean(new Intl.DateTimeFormat('en-US', { timeZone }));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check a policy body and return it with only the known fields; throws a PolicyError
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new PolicyError('Policy must be a JSON object');
+  }
+
+  const unknown = Object.keys(policy).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new PolicyError(`Unknown policy fields: ${unknown.join(', ')} (expected: ${POLICY_FIELDS.join(', ')})`);
+  }
+
+  const { enabled, features, everyNthChunk, quietHours, priority } = policy;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new PolicyError('enabled must be true or false');
+  }
+
+  if (features !== undefined) {
+    if (!Array.isArray(features) || features.length === 0) {
+      throw new PolicyError(`features must be a non-empty array of: ${FEATURE_CODE_LIST.join(', ')}`);
+    }
+    const invalid = features.filter(feature => !FEATURE_CODE_LIST.includes(feature));
+    if (invalid.length > 0) {
+      throw new PolicyError(`Unknown features: ${invalid.join(', ')} (expected: ${FEATURE_CODE_LIST.join(', ')})`);
+    }
+  }
+
+  if (everyNthChunk !== undefined && !(Number.isInteger(everyNthChunk) && everyNthChunk >= 1)) {
+    throw new PolicyError('everyNthChunk must be an integer of at least 1');
+  }
+
+  if (quietHours !== undefined && quietHours !== null) {
+    if (typeof quietHours !== 'object' || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+      throw new PolicyError('quietHours must be null or { start: "HH:MM", end: "HH:MM", timeZone }');
+    }
+    if (quietHours.timeZone !== undefined && !isValidTimeZone(quietHours.timeZone)) {
+      throw new PolicyError(`Unknown time zone: ${quietHours.timeZone}`);
+    }
+  }
+
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    throw new PolicyError('priority must be an integer');
+  }
+
+  const validated = {};
+  for (const field of POLICY_FIELDS) {
+    if (policy[field] !== undefined) {
+      validated[field] = field === 'features' ? [...new Set(policy[field])] : policy[field];
+    }
+  }
+  return validated;
+}
+
+// Minutes since midnight of `date` in the given time zone (server time if none)
+function minutesOfDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+function inQuietHours(quietHours, date) {
+  if (!quietHours) {
+    return false;
+  }
+  const toMinutes = time => {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const now = minutesOfDay(date, quietHours.timeZone);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+// `getStore` is called lazily so policies can be created before the datastore is open
+function createAnalysisPolicies(getStore, { defaults = {} } = {}) {
+  const policies = () => getStore().collection('analysis_policies');
+
+  const builtInDefaults = {
+    enabled: false,
+    features: FEATURE_CODE_LIST,
+    everyNthChunk: 1,
+    quietHours: null,
+    priority: 5,
+    ...validatePolicy(defaults)
+  };
+
+  const scopeKey = (scope, id) => (scope === 'default' ? 'default' : `${scope}:${id}`);
+
+  function get(scope, id) {
+    return policies().get(scopeKey(scope, id))?.policy || null;
+  }
+
+  async function set(scope, id, policy) {
+    const record = {
+      scope,
+      id: scope === 'default' ? null : id,
+      policy: validatePolicy(policy),
+      updatedAt: new Date().toISOString()
+    };
+    await policies().put(scopeKey(scope, id), record);
+    return record;
+  }
+
+  function remove(scope, id) {
+    return policies().delete(scopeKey(scope, id));
+  }
+
+  function list() {
+    return policies().find();
+  }
+
+  // Effective policy for a chunk, plus the scopes that contributed to it
+  function resolve({ deviceId, sessionId } = {}) {
+    const sources = ['built-in'];
+    let policy = { ...builtInDefaults };
+
+    const layers = [
+      ['default', null],
+      ['device', deviceId],
+      ['session', sessionId]
+    ];
+    for (const [scope, id] of layers) {
+      if (scope !== 'default' && !id) {
+        continue;
+      }
+      const layer = get(scope, id);
+      if (layer) {
+        policy = { ...policy, ...layer };
+        sources.push(scopeKey(scope, id));
+      }
+    }
+
+    return { ...policy, sources };
+  }
+
+  // Decide whether chunk `chunkIndex`, uploaded at `at`, should be analyzed under `policy`.
+  // `features` are the normalized feature names (see analysis/normalize.js) to request.
+  function evaluate(policy, { chunkIndex, at = new Date() }) {
+    const features = FEATURES.filter(feature => policy.features.includes(FEATURE_CODES[feature]));
+
+    if (!policy.enabled) {
+      return { analyze: false, reason: 'AUTO_ANALYSIS_DISABLED', features };
+    }
+    if (chunkIndex % policy.everyNthChunk !== 0) {
+      return { analyze: false, reason: 'SAMPLED_OUT', features };
+    }
+    if (inQuietHours(policy.quietHours, at)) {
+      return { analyze: false, reason: 'QUIET_HOURS', features };
+    }
+    return { analyze: true, reason: null, features };
+  }
+
+  return {
+    defaults: builtInDefaults,
+    get,
+    set,
+    remove,
+    list,
+    resolve,
+    evaluate
+  };
+}
+
+module.exports = {
+  createAnalysisPolicies,
+  validatePolicy,
+  PolicyError
+};
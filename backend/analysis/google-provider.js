@@ -0,0 +1,54 @@
+const fs = require('fs').promises;
+const videoIntelligence = require('@google-cloud/video-intelligence').v1;
+const { FEATURES, FEATURE_CODES, normalizeGoogleAnnotation } = require('./normalize');
+
+// Google Cloud Video Intelligence. Reads videos straight from GCS, so it only accepts gs:// URIs.
+function createGoogleProvider({ keyFilename }) {
+  let client = null;
+
+  async function init() {
+    try {
+      await fs.access(keyFilename);
+    } catch (error) {
+      throw new Error(`GCS key file not found at: ${keyFilename}`);
+    }
+    client = new videoIntelligence.VideoIntelligenceServiceClient({ keyFilename });
+  }
+
+  async function analyze({ uri }, { features = FEATURES } = {}) {
+    if (!client) {
+      throw new Error('google analysis provider used before init()');
+    }
+    if (!uri || !uri.startsWith('gs://')) {
+      throw new Error(`google analysis provider needs a gs:// URI, got ${uri}`);
+    }
+
+    const request = {
+      inputUri: uri,
+      features: features.map(feature => FEATURE_CODES[feature]),
+      videoContext: {
+        personDetectionConfig: {
+          includeBoundingBoxes: true,
+          includeAttributes: true,
+        },
+        labelDetectionConfig: {
+          model: 'builtin/latest',
+        },
+      },
+    };
+
+    const [operation] = await client.annotateVideo(request);
+    const [result] = await operation.promise();
+    return normalizeGoogleAnnotation(result.annotationResults[0]);
+  }
+
+  return {
+    name: 'google',
+    input: 'uri',
+    features: FEATURES,
+    init,
+    analyze
+  };
+}
+
+module.exports = { createGoogleProvider };
@@ -0,0 +1,31 @@
+const { createGoogleProvider } = require('./google-provider');
+const { createLocalProvider } = require('./local-provider');
+const { SCHEMA_VERSION, FEATURES, FEATURE_CODES, normalizeGoogleAnnotation } = require('./normalize');
+
+// Video analysis providers. Every provider exposes the same interface:
+//
+//   name                      provider name, recorded in each result
+//   input                     'uri' (reads the stored object itself) or 'file' (needs a local copy)
+//   features                  subset of FEATURES the provider can detect
+//   init()                    load clients/models; throws if the provider cannot run here
+//   analyze({ uri, localPath }, { features, signal })  -> normalized result (see normalize.js)
+const PROVIDERS = {
+  google: createGoogleProvider,
+  local: createLocalProvider
+};
+
+function createAnalysisProvider(provider, options = {}) {
+  const createProvider = PROVIDERS[provider];
+  if (!createProvider) {
+    throw new Error(`Unknown analysis provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return createProvider(options);
+}
+
+module.exports = {
+  createAnalysisProvider,
+  normalizeGoogleAnnotation,
+  SCHEMA_VERSION,
+  FEATURES,
+  FEATURE_CODES
+};
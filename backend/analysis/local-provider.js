@@ -0,0 +1,257 @@
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const { buildResult } = require('./normalize');
+const { captureStderr, parseDuration, parseFrameSize, isQuarterTurn } = require('../ffmpeg');
+
+// Class names of the COCO-trained YOLO models this provider expects (index 0 is "person")
+const COCO_CLASSES = [
+  'person', 'bicycle', 'car', 'motorcycle', 'airplane', 'bus', 'train', 'truck', 'boat', 'traffic light',
+  'fire hydrant', 'stop sign', 'parking meter', 'bench', 'bird', 'cat', 'dog', 'horse', 'sheep', 'cow',
+  'elephant', 'bear', 'zebra', 'giraffe', 'backpack', 'umbrella', 'handbag', 'tie', 'suitcase', 'frisbee',
+  'skis', 'snowboard', 'sports ball', 'kite', 'baseball bat', 'baseball glove', 'skateboard', 'surfboard',
+  'tennis racket', 'bottle', 'wine glass', 'cup', 'fork', 'knife', 'spoon', 'bowl', 'banana', 'apple',
+  'sandwich', 'orange', 'broccoli', 'carrot', 'hot dog', 'pizza', 'donut', 'cake', 'chair', 'couch',
+  'potted plant', 'bed', 'dining table', 'toilet', 'tv', 'laptop', 'mouse', 'remote', 'keyboard',
+  'cell phone', 'microwave', 'oven', 'toaster', 'sink', 'refrigerator', 'book', 'clock', 'vase',
+  'scissors', 'teddy bear', 'hair drier', 'toothbrush'
+];
+
+// Detections in consecutive samples with at least this overlap belong to the same track
+const TRACK_IOU_THRESHOLD = 0.3;
+
+function iou(a, b) {
+  const width = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]));
+  const height = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]));
+  const intersection = width * height;
+  const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Greedy per-class non-maximum suppression
+function nonMaxSuppression(detections, iouThreshold) {
+  const kept = [];
+  for (const detection of [...detections].sort((a, b) => b.score - a.score)) {
+    if (!kept.some(other => other.classId === detection.classId && iou(other.box, detection.box) > iouThreshold)) {
+      kept.push(detection);
+    }
+  }
+  return kept;
+}
+
+// Link detections across samples into tracks by box overlap with the previous sample
+function buildTracks(frames, sampleInterval) {
+  const tracks = [];
+  for (const { timeSec, detections } of frames) {
+    const open = tracks.filter(track => timeSec - track.endSec <= sampleInterval * 1.5);
+    for (const detection of detections) {
+      const match = open
+        .filter(track => track.classId === detection.classId)
+        .map(track => ({ track, overlap: iou(track.lastBox, detection.box) }))
+        .filter(candidate => candidate.overlap >= TRACK_IOU_THRESHOLD)
+        .sort((a, b) => b.overlap - a.overlap)[0];
+
+      if (match) {
+        open.splice(open.indexOf(match.track), 1);
+        match.track.endSec = timeSec;
+        match.track.lastBox = detection.box;
+        match.track.confidence = Math.max(match.track.confidence, detection.score);
+        match.track.samples.push({ timeSec, box: detection.box });
+      } else {
+        tracks.push({
+          classId: detection.classId,
+          startSec: timeSec,
+          endSec: timeSec,
+          lastBox: detection.box,
+          confidence: detection.score,
+          samples: [{ timeSec, box: detection.box }]
+        });
+      }
+    }
+  }
+  return tracks;
+}
+
+// Offline detector: samples frames with ffmpeg and runs a YOLO (v8 or later) ONNX model on CPU.
+// Detects persons and COCO objects; it produces no labels or text.
+function createLocalProvider({
+  modelPath,
+  ffmpegPath = 'ffmpeg',
+  sampleFps = 1,
+  inputSize = 640,
+  scoreThreshold = 0.4,
+  iouThreshold = 0.45
+}) {
+  let ort = null;
+  let session = null;
+
+  async function init() {
+    try {
+      // Optional dependency: only sites that use this provider need the native runtime
+      ort = require('onnxruntime-node');
+    } catch (error) {
+      throw new Error('onnxruntime-node is not installed (npm install onnxruntime-node)');
+    }
+
+    try {
+      await fs.access(modelPath);
+    } catch (error) {
+      throw new Error(`Detector model not found at: ${modelPath}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const probe = spawn(ffmpegPath, ['-version'], { stdio: 'ignore' });
+      probe.on('error', () => reject(new Error(`ffmpeg not found (${ffmpegPath})`)));
+      probe.on('exit', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg -version exited with ${code}`))));
+    });
+
+    session = await ort.InferenceSession.create(modelPath);
+  }
+
+  // Run the model on one letterboxed RGB frame; boxes are [x1, y1, x2, y2] in input pixels
+  async function detect(frame) {
+    const pixels = inputSize * inputSize;
+    const input = new Float32Array(3 * pixels);
+    for (let i = 0; i < pixels; i++) {
+      input[i] = frame[i * 3] / 255;
+      input[pixels + i] = frame[i * 3 + 1] / 255;
+      input[2 * pixels + i] = frame[i * 3 + 2] / 255;
+    }
+
+    const outputs = await session.run({
+      [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, inputSize, inputSize])
+    });
+    // Output is [1, 4 + classes, candidates]: cx, cy, w, h followed by one score per class
+    const output = outputs[session.outputNames[0]];
+    const [, rows, candidates] = output.dims;
+    const data = output.data;
+
+    const detections = [];
+    for (let i = 0; i < candidates; i++) {
+      let classId = -1;
+      let score = scoreThreshold;
+      for (let c = 4; c < rows; c++) {
+        const value = data[c * candidates + i];
+        if (value >= score) {
+          score = value;
+          classId = c - 4;
+        }
+      }
+      if (classId < 0) {
+        continue;
+      }
+
+      const cx = data[i];
+      const cy = data[candidates + i];
+      const w = data[2 * candidates + i];
+      const h = data[3 * candidates + i];
+      detections.push({ classId, score, box: [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2] });
+    }
+
+    return nonMaxSuppression(detections, iouThreshold);
+  }
+
+  async function analyze({ localPath }, { features = ['persons', 'objects'], signal } = {}) {
+    if (!session) {
+      throw new Error('local analysis provider used before init()');
+    }
+    if (!localPath) {
+      throw new Error('local analysis provider needs a local file');
+    }
+
+    const filter = [
+      `fps=${sampleFps}`,
+      `scale=${inputSize}:${inputSize}:force_original_aspect_ratio=decrease`,
+      `pad=${inputSize}:${inputSize}:(ow-iw)/2:(oh-ih)/2`
+    ].join(',');
+    const ffmpeg = spawn(ffmpegPath, [
+      '-hide_banner', '-nostdin', '-i', localPath,
+      '-vf', filter, '-f', 'rawvideo', '-pix_fmt', 'rgb24', 'pipe:1'
+    ], { signal });
+
+    const stderrOf = captureStderr(ffmpeg);
+    const exited = new Promise((resolve, reject) => {
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', resolve);
+    });
+    // Awaited after the frames are read; keeps an abort during reading from going unhandled
+    exited.catch(() => {});
+
+    // Frames are read one at a time; awaiting inference applies backpressure to ffmpeg
+    const frameSize = inputSize * inputSize * 3;
+    const frames = [];
+    let frame = new Uint8Array(frameSize);
+    let filled = 0;
+    for await (const data of ffmpeg.stdout) {
+      let offset = 0;
+      while (offset < data.length) {
+        const count = Math.min(frameSize - filled, data.length - offset);
+        frame.set(data.subarray(offset, offset + count), filled);
+        filled += count;
+        offset += count;
+        if (filled === frameSize) {
+          frames.push({ timeSec: frames.length / sampleFps, detections: await detect(frame) });
+          frame = new Uint8Array(frameSize);
+          filled = 0;
+        }
+      }
+    }
+
+    const exitCode = await exited;
+    const stderr = stderrOf();
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with ${exitCode}: ${stderr.trim().split('\n').slice(-3).join(' ')}`);
+    }
+
+    // Undo the letterbox so boxes are fractions of the original (auto-rotated) frame
+    const dimensions = parseFrameSize(stderr);
+    if (!dimensions) {
+      throw new Error(`Could not read the frame size of ${localPath}`);
+    }
+    let { width, height } = dimensions;
+    if (isQuarterTurn(stderr)) {
+      [width, height] = [height, width];
+    }
+    const scale = Math.min(inputSize / width, inputSize / height);
+    const padX = Math.floor((inputSize - Math.round(width * scale)) / 2);
+    const padY = Math.floor((inputSize - Math.round(height * scale)) / 2);
+    const clamp = value => Math.min(1, Math.max(0, Math.round(value * 10000) / 10000));
+    const toBox = ([x1, y1, x2, y2]) => ({
+      left: clamp((x1 - padX) / (width * scale)),
+      top: clamp((y1 - padY) / (height * scale)),
+      right: clamp((x2 - padX) / (width * scale)),
+      bottom: clamp((y2 - padY) / (height * scale))
+    });
+
+    const durationSec = parseDuration(stderr) ?? frames.length / sampleFps;
+
+    const tracks = buildTracks(frames, 1 / sampleFps).map(track => ({
+      description: COCO_CLASSES[track.classId] || `class-${track.classId}`,
+      confidence: Math.round(track.confidence * 1000) / 1000,
+      startSec: track.startSec,
+      endSec: track.endSec,
+      boxes: track.samples.map(sample => ({ timeSec: sample.timeSec, box: toBox(sample.box) }))
+    }));
+
+    return buildResult('local', {
+      durationSec,
+      persons: features.includes('persons')
+        ? tracks
+          .filter(track => track.description === 'person')
+          .map(({ description, ...track }, index) => ({ trackId: `person-${index}`, ...track }))
+        : [],
+      objects: features.includes('objects')
+        ? tracks.filter(track => track.description !== 'person')
+        : []
+    });
+  }
+
+  return {
+    name: 'local',
+    input: 'file',
+    features: ['persons', 'objects'],
+    init,
+    analyze
+  };
+}
+
+module.exports = { createLocalProvider };
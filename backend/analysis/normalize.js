@@ -0,0 +1,122 @@
+// Normalized analysis result shared by every provider (schemaVersion 1). Times are seconds
+// from the start of the clip; boxes are { left, top, right, bottom } as fractions of the frame.
+//
+//   {
+//     schemaVersion, provider, durationSec,
+//     persons: [{ trackId, confidence, startSec, endSec, boxes: [{ timeSec, box }] }],
+//     labels:  [{ description, confidence, segments: [{ startSec, endSec }] }],
+//     objects: [{ description, confidence, startSec, endSec, boxes: [{ timeSec, box }] }],
+//     texts:   [{ text, confidence, segments: [{ startSec, endSec }] }],
+//     summary: { personCount, labelCount, objectCount, textCount }
+//   }
+const SCHEMA_VERSION = 1;
+
+const FEATURES = ['persons', 'labels', 'objects', 'texts'];
+
+// Video Intelligence feature names, also used to select features in analysis policies
+const FEATURE_CODES = {
+  persons: 'PERSON_DETECTION',
+  labels: 'LABEL_DETECTION',
+  objects: 'OBJECT_TRACKING',
+  texts: 'TEXT_DETECTION'
+};
+
+function buildResult(provider, { durationSec = null, persons = [], labels = [], objects = [], texts = [] } = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    provider,
+    durationSec,
+    persons,
+    labels,
+    objects,
+    texts,
+    summary: {
+      personCount: persons.length,
+      labelCount: labels.length,
+      objectCount: objects.length,
+      textCount: texts.length
+    }
+  };
+}
+
+// Google returns offsets as "1.5s" over REST and as { seconds, nanos } from the client library
+function parseDuration(offset) {
+  if (offset === undefined || offset === null) {
+    return null;
+  }
+  if (typeof offset === 'string') {
+    return parseFloat(offset);
+  }
+  return Number(offset.seconds || 0) + Number(offset.nanos || 0) / 1e9;
+}
+
+const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+
+function normalizeBox(box = {}) {
+  return {
+    left: box.left || 0,
+    top: box.top || 0,
+    right: box.right || 0,
+    bottom: box.bottom || 0
+  };
+}
+
+function normalizeSegment(segment = {}) {
+  return {
+    startSec: round(parseDuration(segment.startTimeOffset)),
+    endSec: round(parseDuration(segment.endTimeOffset))
+  };
+}
+
+function normalizeTrack(track) {
+  return {
+    ...normalizeSegment(track.segment),
+    confidence: track.confidence ?? null,
+    boxes: (track.timestampedObjects || []).map(object => ({
+      timeSec: round(parseDuration(object.timeOffset)),
+      box: normalizeBox(object.normalizedBoundingBox)
+    }))
+  };
+}
+
+// Convert one Google Video Intelligence annotationResults entry to the normalized schema
+function normalizeGoogleAnnotation(annotation = {}) {
+  const persons = (annotation.personDetectionAnnotations || [])
+    .flatMap(detection => detection.tracks || [])
+    .map((track, index) => ({ trackId: `person-${index}`, ...normalizeTrack(track) }));
+
+  const labels = [...(annotation.segmentLabelAnnotations || []), ...(annotation.shotLabelAnnotations || [])]
+    .map(label => ({
+      description: label.entity?.description || 'unknown',
+      confidence: Math.max(0, ...(label.segments || []).map(segment => segment.confidence || 0)),
+      segments: (label.segments || []).map(segment => normalizeSegment(segment.segment))
+    }));
+
+  const objects = (annotation.objectAnnotations || []).map(object => ({
+    description: object.entity?.description || 'unknown',
+    ...normalizeTrack({ ...object, timestampedObjects: object.frames }),
+    confidence: object.confidence ?? null
+  }));
+
+  const texts = (annotation.textAnnotations || []).map(text => ({
+    text: text.text,
+    confidence: Math.max(0, ...(text.segments || []).map(segment => segment.confidence || 0)),
+    segments: (text.segments || []).map(segment => normalizeSegment(segment.segment))
+  }));
+
+  return buildResult('google', {
+    durationSec: normalizeSegment(annotation.segment).endSec,
+    persons,
+    labels,
+    objects,
+    texts
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FEATURES,
+  FEATURE_CODES,
+  buildResult,
+  normalizeGoogleAnnotation
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+// Device and operator authentication.
+//
+// - Operators authenticate with one of the static ADMIN_API_KEYS and get the `admin` scope.
+// - Devices enroll once (POST /devices/enroll) with an enrollment token issued by an
+//   operator, or with the fleet-wide DEVICE_ENROLLMENT_CODE, and receive a device token.
+//
+// Tokens are only ever stored as SHA-256 hashes. Every request presents its token as
+// `Authorization: Bearer <token>`; `?access_token=` is accepted for clients that cannot
+// set headers (video players, EventSource).
+
+const DEVICE_SCOPES = ['sessions:write', 'chunks:write', 'device:read'];
+const ADMIN_SCOPE = 'admin';
+
+// A device's lastSeenAt is rewritten at most this often, not on every request it makes
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Device IDs name directories (uploads, live streams) and object paths, so they are kept to
+// a safe alphabet; keep in sync with `definitions/id` in backend/schemas/recording-metadata.*.json
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+const DEVICE_ENROLLMENT_CODE = process.env.DEVICE_ENROLLMENT_CODE || null;
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// Constant-time comparison; hashing first gives both sides the same length
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function extractToken(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+// `getStore` is called lazily so the middleware can be mounted before the datastore is open
+function createAuth(getStore) {
+  const devices = () => getStore().collection('devices');
+  const deviceTokens = () => getStore().collection('device_tokens');
+  const enrollmentTokens = () => getStore().collection('enrollment_tokens');
+
+  // Resolve a bearer token to the identity it grants, or null
+  function authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    if (ADMIN_API_KEYS.some(key => safeEqual(key, token))) {
+      return { type: 'admin', deviceId: null, scopes: [ADMIN_SCOPE] };
+    }
+
+    const record = deviceTokens().get(hashToken(token));
+    if (!record) {
+      return null;
+    }
+
+    const device = devices().get(record.deviceId);
+    if (!device || device.revokedAt) {
+      return null;
+    }
+
+    return { type: 'device', deviceId: record.deviceId, scopes: record.scopes };
+  }
+
+  // Express middleware: require a valid token carrying every listed scope (admin carries all)
+  function requireScopes(...scopes) {
+    return (req, res, next) => {
+      const identity = authenticate(extractToken(req));
+
+      if (!identity) {
+        return res.status(401).json({
+          success: false,
+          code: 'UNAUTHENTICATED',
+          error: 'A valid device token or admin API key is required'
+        });
+      }
+
+      const isAdmin = identity.scopes.includes(ADMIN_SCOPE);
+      const missing = scopes.filter(scope => !isAdmin && !identity.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          code: 'INSUFFICIENT_SCOPE',
+          error: `This route requires scope(s): ${missing.join(', ')}`
+        });
+      }
+
+      req.auth = { ...identity, isAdmin };
+
+      if (identity.type === 'device') {
+        const lastSeenAt = Date.parse(devices().get(identity.deviceId)?.lastSeenAt);
+        if (!(Date.now() - lastSeenAt < LAST_SEEN_INTERVAL_MS)) {
+          // Best effort: a lost lastSeenAt write is not worth failing the request for
+          devices().update(identity.deviceId, { lastSeenAt: new Date().toISOString() }).catch(() => {});
+        }
+      }
+
+      next();
+    };
+  }
+
+  // Devices may only act on their own data; admins may act on any device
+  function canAccessDevice(req, deviceId) {
+    return Boolean(req.auth && (req.auth.isAdmin || req.auth.deviceId === deviceId));
+  }
+
+  async function createEnrollmentToken({ label = null, ttlHours = 24, maxUses = 1, createdBy = 'admin' } = {}) {
+    const token = generateToken('hen');
+    const record = {
+      label,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString(),
+      usesRemaining: maxUses
+    };
+    await enrollmentTokens().put(hashToken(token), record);
+    return { token, ...record };
+  }
+
+  // Consume one use of an enrollment token (or check the fleet code); returns false if invalid
+  async function redeemEnrollmentToken(token) {
+    if (!token) {
+      return false;
+    }
+
+    if (DEVICE_ENROLLMENT_CODE && safeEqual(DEVICE_ENROLLMENT_CODE, token)) {
+      return true;
+    }
+
+    const key = hashToken(token);
+    const record = enrollmentTokens().get(key);
+    if (!record || record.usesRemaining < 1 || Date.parse(record.expiresAt) < Date.now()) {
+      return false;
+    }
+
+    if (record.usesRemaining === 1) {
+      await enrollmentTokens().delete(key);
+    } else {
+      await enrollmentTokens().update(key, { usesRemaining: record.usesRemaining - 1 });
+    }
+    return true;
+  }
+
+  // Register (or re-register) a device and issue it a fresh token; old tokens stop working
+  async function enrollDevice({ deviceId, deviceInfo = null }) {
+    for (const [hash, record] of deviceTokens().entries()) {
+      if (record.deviceId === deviceId) {
+        await deviceTokens().delete(hash);
+      }
+    }
+
+    const token = generateToken('hdt');
+    const existing = devices().get(deviceId);
+    const now = new Date().toISOString();
+
+    await devices().put(deviceId, {
+      deviceId,
+      deviceInfo: deviceInfo || existing?.deviceInfo || null,
+      enrolledAt: existing?.enrolledAt || now,
+      tokenIssuedAt: now,
+      lastSeenAt: now,
+      revokedAt: null
+    });
+    await deviceTokens().put(hashToken(token), {
+      deviceId,
+      scopes: DEVICE_SCOPES,
+      issuedAt: now
+    });
+
+    return { deviceId, token, scopes: DEVICE_SCOPES };
+  }
+
+  async function revokeDevice(deviceId) {
+    for (const [hash, record] of deviceTokens().entries()) {
+      if (record.deviceId === deviceId) {
+        await deviceTokens().delete(hash);
+      }
+    }
+    return devices().update(deviceId, { revokedAt: new Date().toISOString() });
+  }
+
+  return {
+    authenticate,
+    identify: req => authenticate(extractToken(req)),
+    requireScopes,
+    requireAdmin: requireScopes(ADMIN_SCOPE),
+    canAccessDevice,
+    createEnrollmentToken,
+    redeemEnrollmentToken,
+    enrollDevice,
+    revokeDevice,
+    listDevices: () => devices().find(),
+    adminKeysConfigured: ADMIN_API_KEYS.length > 0,
+    enrollmentCodeConfigured: Boolean(DEVICE_ENROLLMENT_CODE)
+  };
+}
+
+module.exports = {
+  createAuth,
+  isValidDeviceId,
+  DEVICE_SCOPES,
+  ADMIN_SCOPE
+};
@@ -0,0 +1,215 @@
+const { createJsonlDriver } = require('./jsonl-driver');
+const { createMemoryDriver } = require('./memory-driver');
+const { migrations: defaultMigrations } = require('./migrations');
+
+const DRIVERS = {
+  jsonl: createJsonlDriver,
+  memory: createMemoryDriver
+};
+
+// Compact the log once it holds this many lines and at least twice as many as live records
+const COMPACTION_MIN_LINES = 1000;
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Open a datastore backed by the named driver and bring its schema up to date.
+// Reads are served from memory; every write is applied in memory immediately and
+// persisted through the driver (the returned promise resolves once it is on disk).
+async function openDatastore({ driver = 'jsonl', dataDir, migrations = defaultMigrations } = {}) {
+  const createDriver = DRIVERS[driver];
+  if (!createDriver) {
+    throw new Error(`Unknown datastore driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const backend = createDriver({ dataDir });
+  const loaded = await backend.load();
+  const records = loaded.records;
+  let meta = loaded.meta;
+  let lineCount = loaded.lineCount;
+  let compacting = null;
+
+  function liveRecordCount() {
+    let total = 0;
+    for (const collectionRecords of records.values()) {
+      total += collectionRecords.size;
+    }
+    return total;
+  }
+
+  function maybeCompact() {
+    if (compacting || lineCount < COMPACTION_MIN_LINES || lineCount < liveRecordCount() * 2) {
+      return;
+    }
+
+    compacting = backend.compact({ meta, records })
+      .then(lines => {
+        lineCount = lines;
+      })
+      .catch(error => {
+        console.error('❌ Datastore compaction failed:', error.message);
+      })
+      .finally(() => {
+        compacting = null;
+      });
+  }
+
+  async function write(entry) {
+    lineCount++;
+    await backend.append(entry);
+    maybeCompact();
+  }
+
+  function recordsFor(name) {
+    if (!records.has(name)) {
+      records.set(name, new Map());
+    }
+    return records.get(name);
+  }
+
+  const collections = new Map();
+
+  function collection(name) {
+    if (collections.has(name)) {
+      return collections.get(name);
+    }
+
+    const api = {
+      name,
+
+      get size() {
+        return recordsFor(name).size;
+      },
+
+      has(key) {
+        return recordsFor(name).has(key);
+      },
+
+      get(key) {
+        return clone(recordsFor(name).get(key));
+      },
+
+      async put(key, value) {
+        const stored = clone(value);
+        recordsFor(name).set(key, stored);
+        await write({ t: 'put', c: name, k: key, v: stored });
+        return clone(stored);
+      },
+
+      // Shallow-merge a patch into an existing record; resolves to null if the key is unknown
+      async update(key, patch) {
+        const current = recordsFor(name).get(key);
+        if (current === undefined) {
+          return null;
+        }
+        const patchValue = typeof patch === 'function' ? patch(clone(current)) : patch;
+        return api.put(key, { ...current, ...patchValue });
+      },
+
+      async delete(key) {
+        if (!recordsFor(name).has(key)) {
+          return false;
+        }
+        recordsFor(name).delete(key);
+        await write({ t: 'del', c: name, k: key });
+        return true;
+      },
+
+      find(predicate = () => true) {
+        const results = [];
+        for (const [key, value] of recordsFor(name)) {
+          if (predicate(value, key)) {
+            results.push(clone(value));
+          }
+        }
+        return results;
+      },
+
+      findOne(predicate) {
+        for (const [key, value] of recordsFor(name)) {
+          if (predicate(value, key)) {
+            return clone(value);
+          }
+        }
+        return undefined;
+      },
+
+      count(predicate = () => true) {
+        let total = 0;
+        for (const [key, value] of recordsFor(name)) {
+          if (predicate(value, key)) {
+            total++;
+          }
+        }
+        return total;
+      },
+
+      entries() {
+        return Array.from(recordsFor(name), ([key, value]) => [key, clone(value)]);
+      }
+    };
+
+    collections.set(name, api);
+    return api;
+  }
+
+  async function setMeta(patch) {
+    meta = { ...meta, ...patch };
+    await write({ t: 'meta', v: patch });
+  }
+
+  const store = {
+    driver: backend.name,
+    location: backend.location,
+    collection,
+    sessions: collection('sessions'),
+    chunks: collection('chunks'),
+    analysis: collection('analysis'),
+
+    get schemaVersion() {
+      return meta.schemaVersion || 0;
+    },
+
+    setMeta,
+
+    stats() {
+      const counts = {};
+      for (const [name, collectionRecords] of records) {
+        counts[name] = collectionRecords.size;
+      }
+      return {
+        driver: backend.name,
+        location: backend.location,
+        schemaVersion: meta.schemaVersion || 0,
+        collections: counts
+      };
+    },
+
+    async close() {
+      if (compacting) {
+        await compacting;
+      }
+      await backend.close();
+    }
+  };
+
+  await runMigrations(store, migrations);
+
+  return store;
+}
+
+async function runMigrations(store, migrations) {
+  const pending = migrations
+    .filter(migration => migration.version > store.schemaVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    console.log(`🗄️  Applying datastore migration ${migration.version}: ${migration.name}`);
+    await migration.up(store);
+    await store.setMeta({ schemaVersion: migration.version, migratedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = {
+  openDatastore,
+  DRIVERS
+};
@@ -0,0 +1,120 @@
+const path = require('path');
+const { Buffer } = require('buffer');
+const fs = require('fs').promises;
+
+// Append-only JSON-lines driver. Every write is one line in the log:
+//   { "t": "meta", "v": { ... } }
+//   { "t": "put", "c": "<collection>", "k": "<key>", "v": { ... } }
+//   { "t": "del", "c": "<collection>", "k": "<key>" }
+// The log is replayed on load and rewritten from a snapshot on compaction.
+function createJsonlDriver({ dataDir, fileName = 'heimdall.jsonl' }) {
+  if (!dataDir) {
+    throw new Error('jsonl datastore driver requires a dataDir');
+  }
+
+  const filePath = path.join(dataDir, fileName);
+  let writeQueue = Promise.resolve();
+
+  // Serialize all file operations so appends never interleave with a compaction
+  function enqueue(operation) {
+    const next = writeQueue.then(operation);
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  async function load() {
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const records = new Map();
+    let meta = {};
+    let lineCount = 0;
+
+    let content = '';
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    // Appends always end in a newline, so content after the last one is a line torn by a crash
+    // mid-append. Cut it off; the next append would otherwise be glued onto it and lost too.
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+    if (complete.length < content.length) {
+      console.warn(`⚠️  Truncating torn last line of ${filePath}`);
+      await fs.truncate(filePath, Buffer.byteLength(complete, 'utf8'));
+    }
+
+    const lines = complete.split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be torn; anything unreadable before it is corruption
+        console.warn(`⚠️  Skipping unreadable datastore line ${index + 1} in ${filePath}`);
+        return;
+      }
+
+      lineCount++;
+
+      if (entry.t === 'meta') {
+        meta = { ...meta, ...entry.v };
+        return;
+      }
+
+      if (!records.has(entry.c)) {
+        records.set(entry.c, new Map());
+      }
+      const collection = records.get(entry.c);
+
+      if (entry.t === 'put') {
+        collection.set(entry.k, entry.v);
+      } else if (entry.t === 'del') {
+        collection.delete(entry.k);
+      }
+    });
+
+    return { meta, records, lineCount };
+  }
+
+  function append(entry) {
+    return enqueue(() => fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf8'));
+  }
+
+  function compact({ meta, records }) {
+    return enqueue(async () => {
+      const lines = [JSON.stringify({ t: 'meta', v: meta })];
+      for (const [collectionName, collection] of records) {
+        for (const [key, value] of collection) {
+          lines.push(JSON.stringify({ t: 'put', c: collectionName, k: key, v: value }));
+        }
+      }
+
+      const tempPath = `${filePath}.compact`;
+      await fs.writeFile(tempPath, lines.join('\n') + '\n', 'utf8');
+      await fs.rename(tempPath, filePath);
+      return lines.length;
+    });
+  }
+
+  function close() {
+    return writeQueue;
+  }
+
+  return {
+    name: 'jsonl',
+    location: filePath,
+    load,
+    append,
+    compact,
+    close
+  };
+}
+
+module.exports = { createJsonlDriver };
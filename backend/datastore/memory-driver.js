@@ -0,0 +1,14 @@
+// Non-persistent driver: data lives only as long as the process.
+// Useful for local experiments and for running the server without a writable disk.
+function createMemoryDriver() {
+  return {
+    name: 'memory',
+    location: null,
+    load: async () => ({ meta: {}, records: new Map(), lineCount: 0 }),
+    append: async () => {},
+    compact: async () => 0,
+    close: async () => {}
+  };
+}
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,54 @@
+const path = require('path');
+
+// Schema migrations, applied in order on startup.
+// Each migration receives the opened datastore and may read or rewrite any collection.
+// Never edit a migration that has shipped; add a new one with the next version number.
+const migrations = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    up: async () => {
+      // sessions: sessionId → session record
+      // chunks:   idempotency key → chunk upload record (with sessionId, chunkIndex, gcsUri); see v3
+      // analysis: gcsUri → analysis record
+      // Collections are created lazily, so there is nothing to backfill.
+    }
+  },
+  {
+    version: 2,
+    name: 'bind-sessions-to-devices',
+    up: async store => {
+      // Sessions created before the session protocol carried no deviceId; infer it from their chunks
+      for (const [sessionId, session] of store.sessions.entries()) {
+        if (session.deviceId) {
+          continue;
+        }
+        const chunk = store.chunks.findOne(candidate => candidate.sessionId === sessionId && candidate.deviceId);
+        await store.sessions.put(sessionId, { ...session, deviceId: chunk ? chunk.deviceId : null });
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'key-chunks-by-idempotency-key',
+    up: async store => {
+      // Chunks were keyed by uploadId; re-key them by deviceId:sessionId:chunkIndex so retries find them
+      for (const [uploadId, chunk] of store.chunks.entries()) {
+        const idempotencyKey = chunk.idempotencyKey || `${chunk.deviceId}:${chunk.sessionId}:${chunk.chunkIndex}`;
+        if (uploadId === idempotencyKey) {
+          continue;
+        }
+        await store.chunks.delete(uploadId);
+        if (!store.chunks.has(idempotencyKey)) {
+          await store.chunks.put(idempotencyKey, {
+            ...chunk,
+            idempotencyKey,
+            fileName: chunk.fileName || (chunk.localPath ? path.basename(chunk.localPath) : null)
+          });
+        }
+      }
+    }
+  }
+];
+
+module.exports = { migrations };
@@ -0,0 +1,141 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { isValidDeviceId } = require('./auth');
+
+// Device enrollment and administration routes, mounted at /devices
+function createDevicesRouter(auth) {
+  const router = express.Router();
+
+  // Exchange an enrollment token for a long-lived device token
+  router.post('/enroll', async (req, res) => {
+    try {
+      const { enrollmentToken, deviceInfo } = req.body || {};
+      const deviceId = req.body?.deviceId || uuidv4();
+
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_DEVICE_ID',
+          error: 'deviceId must be 1-128 letters, digits, "-" or "_"'
+        });
+      }
+
+      // Re-enrolling an existing device rotates its token, so only that device or an admin may do it
+      const existing = auth.listDevices().find(device => device.deviceId === deviceId);
+      if (existing && !existing.revokedAt) {
+        const caller = auth.identify(req);
+        if (!caller || (caller.type === 'device' && caller.deviceId !== deviceId)) {
+          return res.status(409).json({
+            success: false,
+            code: 'DEVICE_ALREADY_ENROLLED',
+            error: `Device ${deviceId} is already enrolled; re-enroll with its current token or ask an admin to revoke it`
+          });
+        }
+      }
+
+      if (!(await auth.redeemEnrollmentToken(enrollmentToken))) {
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_ENROLLMENT_TOKEN',
+          error: 'Enrollment token is missing, expired or already used'
+        });
+      }
+
+      const enrollment = await auth.enrollDevice({ deviceId, deviceInfo });
+      console.log(`🔐 Device enrolled: ${deviceId}`);
+
+      res.json({
+        success: true,
+        ...enrollment,
+        message: 'Device enrolled; send the token as "Authorization: Bearer <token>"'
+      });
+
+    } catch (error) {
+      console.error('❌ Device enrollment failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Issue a one-time (or limited-use) enrollment token
+  router.post('/enrollment-tokens', auth.requireAdmin, async (req, res) => {
+    try {
+      const { label, ttlHours = 24, maxUses = 1 } = req.body || {};
+
+      if (!(Number(ttlHours) > 0) || !Number.isInteger(Number(maxUses)) || Number(maxUses) < 1) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_ENROLLMENT_OPTIONS',
+          error: 'ttlHours must be positive and maxUses a positive integer'
+        });
+      }
+
+      const enrollment = await auth.createEnrollmentToken({
+        label,
+        ttlHours: Number(ttlHours),
+        maxUses: Number(maxUses)
+      });
+
+      res.json({
+        success: true,
+        enrollmentToken: enrollment.token,
+        label: enrollment.label,
+        expiresAt: enrollment.expiresAt,
+        usesRemaining: enrollment.usesRemaining
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to create enrollment token:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List enrolled devices
+  router.get('/', auth.requireAdmin, (req, res) => {
+    const devices = auth.listDevices()
+      .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+
+    res.json({
+      success: true,
+      devices,
+      total: devices.length
+    });
+  });
+
+  // Revoke all tokens of a device
+  router.post('/:deviceId/revoke', auth.requireAdmin, async (req, res) => {
+    try {
+      const device = await auth.revokeDevice(req.params.deviceId);
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          code: 'DEVICE_NOT_FOUND',
+          error: 'Device not found'
+        });
+      }
+
+      console.log(`🚫 Device revoked: ${req.params.deviceId}`);
+      res.json({
+        success: true,
+        device
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to revoke device:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDevicesRouter };
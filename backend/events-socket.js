@@ -0,0 +1,230 @@
+const { WebSocketServer } = require('ws');
+const { ADMIN_SCOPE } = require('./auth');
+
+// Live event feed over WebSocket, served on the HTTP server's upgrade path (default /events).
+//
+// Connect with a device token or admin API key, as "Authorization: Bearer <token>" or as
+// ?access_token=<token> for clients that cannot set headers (browsers). Initial subscriptions
+// come from ?deviceId=...&sessionId=...; a device token is always subscribed to its own device,
+// an admin without either parameter to everything. ?since=<event id> replays buffered events
+// for those subscriptions (after a reconnect). Afterwards clients send JSON messages:
+//
+//   { "type": "subscribe", "deviceId" | "sessionId": "...", "since": <event id> }
+//   { "type": "subscribe", "all": true }                     (admin only)
+//   { "type": "unsubscribe", "deviceId" | "sessionId": "...", "all": true }
+//
+// The server answers with { type: "welcome" | "subscribed" | "unsubscribed" | "error", ... }
+// and sends each matching event (see events.js) as { type: "event", event }. With `since`,
+// buffered events newer than that id are replayed first.
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Messages queued to a slow client beyond this are dropped along with the connection
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+function tokenFromRequest(req, url) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return url.searchParams.get('access_token');
+}
+
+function attachEventsSocket(server, { bus, auth, getStore, path = '/events' }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      return; // other upgrade paths have their own handlers
+    }
+
+    const identity = auth.authenticate(tokenFromRequest(req, url));
+    const isAdmin = Boolean(identity?.scopes.includes(ADMIN_SCOPE));
+    if (!identity || (!isAdmin && !identity.scopes.includes('device:read'))) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, { identity, isAdmin, url });
+    });
+  });
+
+  wss.on('connection', (ws, { identity, isAdmin, url }) => {
+    const subscriptions = { all: false, deviceIds: new Set(), sessionIds: new Set() };
+    let alive = true;
+
+    const send = message => {
+      if (ws.readyState !== ws.OPEN) {
+        return;
+      }
+      if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+        console.warn(`⚠️  Live feed client (${identity.deviceId || 'admin'}) is not keeping up, disconnecting`);
+        ws.terminate();
+        return;
+      }
+      ws.send(JSON.stringify(message));
+    };
+
+    // Devices may follow their own device and its sessions; admins anything
+    function checkAccess({ all, deviceId, sessionId }) {
+      if (isAdmin) {
+        return null;
+      }
+      if (all) {
+        return 'Only admins may subscribe to all events';
+      }
+      if (deviceId && deviceId !== identity.deviceId) {
+        return `This token may not follow device ${deviceId}`;
+      }
+      if (sessionId && getStore().sessions.get(sessionId)?.deviceId !== identity.deviceId) {
+        return `This token may not follow session ${sessionId}`;
+      }
+      return null;
+    }
+
+    const matches = event => subscriptions.all
+      || (event.deviceId && subscriptions.deviceIds.has(event.deviceId))
+      || (event.sessionId && subscriptions.sessionIds.has(event.sessionId));
+
+    function subscribe({ all, deviceId, sessionId, since }) {
+      if (!all && !deviceId && !sessionId) {
+        return send({ type: 'error', code: 'INVALID_SUBSCRIPTION', error: 'subscribe needs deviceId, sessionId or all' });
+      }
+      const denied = checkAccess({ all, deviceId, sessionId });
+      if (denied) {
+        return send({ type: 'error', code: 'SUBSCRIPTION_DENIED', error: denied });
+      }
+
+      // Replay only what this subscription adds, so no event is sent twice
+      const replay = Number.isInteger(since)
+        ? bus.since(since).filter(event => !matches(event) && (all
+          || (deviceId && event.deviceId === deviceId)
+          || (sessionId && event.sessionId === sessionId)))
+        : [];
+
+      if (all) {
+        subscriptions.all = true;
+      }
+      if (deviceId) {
+        subscriptions.deviceIds.add(deviceId);
+      }
+      if (sessionId) {
+        subscriptions.sessionIds.add(sessionId);
+      }
+      send({ type: 'subscribed', ...describe() });
+      for (const event of replay) {
+        send({ type: 'event', event, replayed: true });
+      }
+    }
+
+    const describe = () => ({
+      all: subscriptions.all,
+      deviceIds: [...subscriptions.deviceIds],
+      sessionIds: [...subscriptions.sessionIds],
+      lastEventId: bus.lastId
+    });
+
+    function unsubscribe({ all, deviceId, sessionId }) {
+      if (all) {
+        subscriptions.all = false;
+      }
+      subscriptions.deviceIds.delete(deviceId);
+      subscriptions.sessionIds.delete(sessionId);
+      send({ type: 'unsubscribed', ...describe() });
+    }
+
+    // Initial subscriptions; a device always follows itself, even if it asked for more than it may
+    const initialDevice = url.searchParams.get('deviceId');
+    const initialSession = url.searchParams.get('sessionId');
+    if (!isAdmin) {
+      subscriptions.deviceIds.add(identity.deviceId);
+    } else if (!initialDevice && !initialSession) {
+      subscriptions.all = true;
+    }
+    for (const selector of [{ deviceId: initialDevice }, { sessionId: initialSession }]) {
+      const value = selector.deviceId || selector.sessionId;
+      if (!value) {
+        continue;
+      }
+      const denied = checkAccess(selector);
+      if (denied) {
+        send({ type: 'error', code: 'SUBSCRIPTION_DENIED', error: denied });
+      } else if (selector.deviceId) {
+        subscriptions.deviceIds.add(value);
+      } else {
+        subscriptions.sessionIds.add(value);
+      }
+    }
+    send({ type: 'welcome', ...describe() });
+
+    const since = Number(url.searchParams.get('since'));
+    if (url.searchParams.has('since') && Number.isInteger(since)) {
+      for (const event of bus.since(since).filter(matches)) {
+        send({ type: 'event', event, replayed: true });
+      }
+    }
+
+    const unsubscribeBus = bus.subscribe(event => {
+      if (matches(event)) {
+        send({ type: 'event', event });
+      }
+    });
+
+    ws.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return send({ type: 'error', code: 'INVALID_MESSAGE', error: 'Messages must be JSON' });
+      }
+
+      if (message?.type === 'subscribe') {
+        subscribe(message);
+      } else if (message?.type === 'unsubscribe') {
+        unsubscribe(message);
+      } else if (message?.type === 'ping') {
+        send({ type: 'pong', lastEventId: bus.lastId });
+      } else {
+        send({ type: 'error', code: 'INVALID_MESSAGE', error: `Unknown message type: ${message?.type}` });
+      }
+    });
+
+    ws.on('pong', () => {
+      alive = true;
+    });
+
+    // Drop connections that stopped answering pings (e.g. a phone that lost its network)
+    const heartbeat = setInterval(() => {
+      if (!alive) {
+        ws.terminate();
+        return;
+      }
+      alive = false;
+      ws.ping();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribeBus();
+    });
+    ws.on('error', error => {
+      console.warn('⚠️  Live feed connection error:', error.message);
+    });
+  });
+
+  return {
+    get clients() {
+      return wss.clients.size;
+    },
+    close: () => {
+      for (const ws of wss.clients) {
+        ws.close(1001, 'Server shutting down');
+      }
+      wss.close();
+    }
+  };
+}
+
+module.exports = { attachEventsSocket };
@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for live events (sessions, chunk uploads, analysis, alerts).
+//
+// Every event is { id, type, at, deviceId, sessionId, data }; ids increase monotonically for
+// the life of the process, so a reconnecting client can ask for what it missed (`since`).
+// Only the most recent events are kept for that replay.
+//
+// Event types:
+//   session.started, session.stopped
+//   chunk.received     upload accepted, before it is stored
+//   chunk.stored       local copy and object storage upload finished (data.gcsUploaded)
+//   analysis.queued, analysis.started, analysis.completed, analysis.failed
+//   alert.created, alert.acknowledged, alert.resolved
+//   export.started, export.completed, export.failed
+//   live.started, live.stopped   live preview stream of a device (data.reason on stop)
+//   preview.ready      poster and keyframe sprites of a chunk stored
+//   retention.purged   a retention sweep deleted chunks of the device (data.chunks, data.bytes)
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+function createEventBus({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const emitter = new EventEmitter();
+  // One listener per connected client
+  emitter.setMaxListeners(0);
+  const recent = [];
+  let lastId = 0;
+
+  function publish(type, { deviceId = null, sessionId = null, ...data } = {}) {
+    const event = {
+      id: ++lastId,
+      type,
+      at: new Date().toISOString(),
+      deviceId,
+      sessionId,
+      data
+    };
+    recent.push(event);
+    if (recent.length > bufferSize) {
+      recent.shift();
+    }
+    emitter.emit('event', event);
+    return event;
+  }
+
+  // listener(event) for every published event; returns an unsubscribe function
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  // Buffered events newer than `sinceId`, oldest first
+  function since(sinceId) {
+    return recent.filter(event => event.id > sinceId);
+  }
+
+  return {
+    publish,
+    subscribe,
+    since,
+    get lastId() {
+      return lastId;
+    }
+  };
+}
+
+module.exports = { createEventBus };
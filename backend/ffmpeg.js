@@ -0,0 +1,68 @@
+const { spawn } = require('child_process');
+
+// ffmpeg describes its inputs (duration, frame size, rotation) at the start of stderr and reports
+// errors at the end, with progress in between that grows with the clip. Keep this much of each end.
+const STDERR_KEEP_CHARS = 20000;
+
+// Collects a child process's stderr; returns a getter for its start and end
+function captureStderr(child) {
+  let head = '';
+  let tail = '';
+  let truncated = false;
+  child.stderr.on('data', data => {
+    let text = String(data);
+    if (head.length < STDERR_KEEP_CHARS) {
+      const room = STDERR_KEEP_CHARS - head.length;
+      head += text.slice(0, room);
+      text = text.slice(room);
+    }
+    tail += text;
+    if (tail.length > STDERR_KEEP_CHARS) {
+      tail = tail.slice(-STDERR_KEEP_CHARS);
+      truncated = true;
+    }
+  });
+  return () => (truncated ? `${head}\n[...]\n${tail}` : head + tail);
+}
+
+// Runs ffmpeg to completion; resolves to its stderr (where it reports durations)
+function runFfmpeg(ffmpegPath, args, { signal, allowFailure = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-nostdin', ...args], { signal, stdio: ['ignore', 'ignore', 'pipe'] });
+    const stderrOf = captureStderr(ffmpeg);
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', code => {
+      const stderr = stderrOf();
+      if (code === 0 || allowFailure) {
+        resolve(stderr);
+      } else {
+        reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+      }
+    });
+  });
+}
+
+// Input duration in seconds from ffmpeg's stderr, or null
+function parseDuration(stderr) {
+  const match = /Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(stderr);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+// Frame size of the first video stream from ffmpeg's stderr, or null
+function parseFrameSize(stderr) {
+  const match = /Stream #\d+:\d+.*: Video: .*?, (\d{2,5})x(\d{2,5})/.exec(stderr);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+// Whether the first video stream is displayed rotated by a quarter turn (portrait phone video)
+function isQuarterTurn(stderr) {
+  return /rotation of -?(90|270)/.test(stderr);
+}
+
+module.exports = {
+  captureStderr,
+  runFfmpeg,
+  parseDuration,
+  parseFrameSize,
+  isQuarterTurn
+};
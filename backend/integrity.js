@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fsSync = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { buildSessionManifest } = require('./sessions');
+
+// Chunk checksums and the hash chain of a session's chunks.
+//
+// The app hashes every segment (SHA-256 of the file) as it finishes and sends the digest in the
+// chunk's metadata as `sha256`, together with `previousSha256`, the digest of the segment before
+// it in the session (null for the first one). The server hashes what it received, rejects the
+// chunk if the digests differ, and keeps both digests on the chunk record and in the stored
+// object's metadata. Since every chunk names its predecessor's digest, the chain is independent
+// of the order chunks arrive in, and changing, dropping or swapping a chunk breaks a link.
+// Chunks from app builds that do not send digests are still hashed on receipt, but are not
+// chained.
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// How a chunk's `previousSha256` relates to the chunks of its session:
+//   ok                the digest of the chunk before it
+//   reordered         the digest of another chunk (`follows` names it)
+//   broken            no chunk's digest: the chunk before it was altered or replaced
+//   missing_previous  the chunk before it never arrived
+//   unchained         no link (sent without digests, or the previous segment failed to record)
+function linkStatus(chunk, byIndex, byHash) {
+  if (chunk.checksum !== 'device' || (chunk.chunkIndex > 0 && !chunk.previousSha256)) {
+    return { link: 'unchained' };
+  }
+  if (chunk.chunkIndex === 0) {
+    if (!chunk.previousSha256) {
+      return { link: 'ok' };
+    }
+    return byHash.has(chunk.previousSha256)
+      ? { link: 'reordered', follows: byHash.get(chunk.previousSha256) }
+      : { link: 'broken' };
+  }
+
+  const previous = byIndex.get(chunk.chunkIndex - 1);
+  if (previous?.sha256 === chunk.previousSha256) {
+    return { link: 'ok' };
+  }
+  if (byHash.has(chunk.previousSha256)) {
+    return { link: 'reordered', follows: byHash.get(chunk.previousSha256) };
+  }
+  return { link: previous ? 'broken' : 'missing_previous' };
+}
+
+// `isStorageEnabled()` tells whether stored objects can be read back
+function createIntegrity(getStore, { storage, workDir, isStorageEnabled }) {
+  // Digest of a chunk's local copy and stored object, each 'ok', 'altered', 'absent', 'unavailable' or 'purged'
+  async function checkContent(chunk) {
+    if (chunk.purgedAt) {
+      return { local: 'purged', stored: 'purged' };
+    }
+
+    const compare = async read => {
+      try {
+        return (await read()) === chunk.sha256 ? 'ok' : 'altered';
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return 'absent';
+        }
+        console.warn(`⚠️  Could not read chunk ${chunk.chunkIndex} of ${chunk.sessionId}:`, error.message);
+        return 'unavailable';
+      }
+    };
+
+    const local = chunk.localPath ? await compare(() => sha256File(chunk.localPath)) : 'absent';
+
+    const objectKey = chunk.gcsUploaded && isStorageEnabled() && storage.keyFromUri(chunk.gcsUri);
+    let stored = 'absent';
+    if (objectKey) {
+      // No video extension, so temp file monitoring does not pick the download up
+      const downloadPath = path.join(workDir, `verify-${uuidv4()}.download`);
+      stored = await compare(async () => {
+        await storage.download(objectKey, downloadPath);
+        return sha256File(downloadPath);
+      });
+      await fsSync.promises.rm(downloadPath, { force: true });
+    }
+
+    return { local, stored };
+  }
+
+  // Report of a session's chunks: which are missing, altered, out of order or unlinked.
+  // Without `rehash`, only the recorded digests are checked, not the files themselves.
+  async function verifySession(sessionId, { rehash = true } = {}) {
+    const manifest = buildSessionManifest(getStore(), sessionId);
+    if (!manifest) {
+      return null;
+    }
+
+    const chunks = getStore().chunks
+      .find(chunk => chunk.sessionId === sessionId)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+    const byIndex = new Map(chunks.map(chunk => [chunk.chunkIndex, chunk]));
+    const byHash = new Map(chunks.filter(chunk => chunk.sha256).map(chunk => [chunk.sha256, chunk.chunkIndex]));
+
+    const results = [];
+    for (const chunk of chunks) {
+      let content = null;
+      if (rehash) {
+        content = chunk.sha256 ? await checkContent(chunk) : { local: 'unverifiable', stored: 'unverifiable' };
+      }
+      results.push({
+        chunkIndex: chunk.chunkIndex,
+        sha256: chunk.sha256 || null,
+        previousSha256: chunk.previousSha256 || null,
+        checksum: chunk.checksum || null,
+        content,
+        ...linkStatus(chunk, byIndex, byHash)
+      });
+    }
+
+    const indices = predicate => results.filter(predicate).map(result => result.chunkIndex);
+    const alteredChunks = indices(result => result.content
+      && (result.content.local === 'altered' || result.content.stored === 'altered'));
+    const reorderedChunks = indices(result => result.link === 'reordered');
+    const brokenLinks = indices(result => result.link === 'broken');
+
+    return {
+      sessionId,
+      deviceId: manifest.deviceId,
+      status: manifest.status,
+      verifiedAt: new Date().toISOString(),
+      rehashed: rehash,
+      intact: manifest.missingChunks.length === 0 && alteredChunks.length === 0
+        && reorderedChunks.length === 0 && brokenLinks.length === 0,
+      expectedChunks: manifest.expectedChunks,
+      receivedChunks: manifest.receivedChunks,
+      missingChunks: manifest.missingChunks,
+      alteredChunks,
+      reorderedChunks,
+      brokenLinks,
+      unchainedChunks: indices(result => result.link === 'unchained'),
+      chunks: results
+    };
+  }
+
+  return { verifySession };
+}
+
+module.exports = {
+  createIntegrity,
+  sha256File
+};
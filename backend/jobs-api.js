@@ -0,0 +1,79 @@
+const express = require('express');
+
+// Background job inspection and control, mounted at /jobs (admin only)
+function createJobsRouter(jobs) {
+  const router = express.Router();
+
+  function jobNotFound(res, id) {
+    return res.status(404).json({
+      success: false,
+      code: 'JOB_NOT_FOUND',
+      error: `Job ${id} not found`
+    });
+  }
+
+  // List jobs, newest first; filter with ?status=queued&type=analysis&limit=50
+  router.get('/', (req, res) => {
+    const { status, type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const jobList = jobs.list({ status, type, limit });
+
+    res.json({
+      success: true,
+      jobs: jobList,
+      total: jobList.length,
+      stats: jobs.stats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  router.get('/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  });
+
+  // Cancel a queued or running job
+  router.delete('/:id', async (req, res) => {
+    try {
+      const existing = jobs.get(req.params.id);
+      if (!existing) {
+        return jobNotFound(res, req.params.id);
+      }
+
+      if (jobs.isTerminal(existing)) {
+        return res.status(409).json({
+          success: false,
+          code: 'JOB_FINISHED',
+          error: `Job ${existing.id} already ${existing.status}`,
+          job: existing
+        });
+      }
+
+      const job = await jobs.cancel(req.params.id);
+      console.log(`🛑 Job cancelled: ${job.id} (${job.type})`);
+
+      res.json({
+        success: true,
+        job
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to cancel job:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
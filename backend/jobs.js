@@ -0,0 +1,377 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Durable background jobs, persisted in the datastore's `jobs` collection.
+//
+// Handlers are registered per job type with their own concurrency, rate limit and retry
+// policy; one dispatcher starts due jobs (highest priority first, then oldest) whenever a
+// slot frees up. Jobs that were running when the process died are re-queued on start(),
+// or failed if that run was their last attempt.
+//
+// Finished jobs are kept for `retentionMs`, so the collection grows with every chunk. The
+// dispatcher and dedupe checks therefore work from in-memory indexes of queued jobs and
+// unfinished dedupe keys, kept in step with every status change, instead of scanning it.
+//
+// Job statuses: queued -> running -> completed | failed | cancelled
+// (a failed attempt with retries left goes back to queued with a later runAt).
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+// Errors a handler throws with `permanent = true` fail the job without further retries
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.permanent = true;
+  }
+}
+
+// Delay before retry number `attempts` (1-based), with +/-20% jitter
+function retryDelay(attempts, baseMs) {
+  const delay = Math.min(baseMs * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// `getStore` is called lazily so the queue can be created before the datastore is open
+function createJobQueue(getStore, { concurrency = 2, retentionMs = 7 * 24 * 60 * 60 * 1000 } = {}) {
+  const jobs = () => getStore().collection('jobs');
+  const handlers = new Map();
+  const running = new Map(); // job id -> { type, controller }
+  const recentStarts = new Map(); // job type -> start timestamps within the last minute
+  let timer = null;
+  let started = false;
+  let stopping = false;
+  let queuedByType = null; // job type -> ids of its queued jobs
+  let activeByDedupeKey = null; // dedupeKey -> id of the unfinished job carrying it
+
+  // Bring a job's index entries in line with its current record
+  function reindex(id, job) {
+    const queued = queuedByType.get(job.type);
+    if (job.status === 'queued') {
+      if (!queued) {
+        queuedByType.set(job.type, new Set([id]));
+      } else {
+        queued.add(id);
+      }
+    } else if (queued) {
+      queued.delete(id);
+    }
+
+    if (job.dedupeKey) {
+      if (!TERMINAL_STATUSES.includes(job.status)) {
+        activeByDedupeKey.set(job.dedupeKey, id);
+      } else if (activeByDedupeKey.get(job.dedupeKey) === id) {
+        activeByDedupeKey.delete(job.dedupeKey);
+      }
+    }
+  }
+
+  // Built from the collection once; afterwards every write goes through put() or update()
+  function ensureIndexes() {
+    if (queuedByType) {
+      return;
+    }
+    queuedByType = new Map();
+    activeByDedupeKey = new Map();
+    for (const [id, job] of jobs().entries()) {
+      reindex(id, job);
+    }
+  }
+
+  // The datastore applies writes in memory before it persists them, so the indexes are updated
+  // synchronously and the dispatcher never sees a job in a state its index does not reflect
+  function put(id, job) {
+    ensureIndexes();
+    const written = jobs().put(id, job);
+    reindex(id, job);
+    return written;
+  }
+
+  function update(id, patch) {
+    ensureIndexes();
+    const written = jobs().update(id, patch);
+    const job = jobs().get(id);
+    if (job) {
+      reindex(id, job);
+    }
+    return written;
+  }
+
+  // handler(payload, { job, signal }) -> result. Options:
+  //   concurrency     max jobs of this type running at once
+  //   ratePerMinute   max jobs of this type started per minute
+  //   maxAttempts     attempts before the job is marked failed
+  //   backoffMs       base delay before the first retry (doubles on each attempt)
+  //   onFailed(job, error)  called once when the job fails for good
+  function registerHandler(type, handler, options = {}) {
+    handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || Infinity,
+      ratePerMinute: options.ratePerMinute || Infinity,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+      onFailed: options.onFailed || null
+    });
+    wake();
+  }
+
+  // Queue a job. With a dedupeKey, an unfinished job carrying the same key is returned
+  // instead of queueing a second one (`duplicate: true`), raised to the requested priority.
+  async function enqueue(type, payload = {}, { priority = 0, runAt = null, maxAttempts = null, dedupeKey = null } = {}) {
+    ensureIndexes();
+    const activeId = dedupeKey ? activeByDedupeKey.get(dedupeKey) : null;
+    if (activeId) {
+      const activeJob = jobs().get(activeId);
+      const job = activeJob.priority < priority
+        ? await update(activeId, { priority })
+        : activeJob;
+      return { id: activeId, ...job, duplicate: true };
+    }
+
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const job = await put(id, {
+      type,
+      payload,
+      status: 'queued',
+      priority,
+      attempts: 0,
+      maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      dedupeKey,
+      runAt: runAt || now,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      lastError: null,
+      result: null
+    });
+    wake();
+    return { id, ...job };
+  }
+
+  function get(id) {
+    const job = jobs().get(id);
+    return job ? { id, ...job } : null;
+  }
+
+  function list({ status, type, limit = 100 } = {}) {
+    return jobs().entries()
+      .map(([id, job]) => ({ id, ...job }))
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  function stats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const [, job] of jobs().entries()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Cancel a queued job, or abort a running one; returns null if unknown, the job otherwise
+  async function cancel(id) {
+    const job = jobs().get(id);
+    if (!job) {
+      return null;
+    }
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return { id, ...job };
+    }
+
+    const updated = await update(id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString()
+    });
+    running.get(id)?.controller.abort(new Error('Job cancelled'));
+    return { id, ...updated };
+  }
+
+  function rateLimited(type, limit) {
+    const cutoff = Date.now() - 60 * 1000;
+    const starts = (recentStarts.get(type) || []).filter(time => time > cutoff);
+    recentStarts.set(type, starts);
+    return starts.length >= limit;
+  }
+
+  // Start as many due jobs as the global and per-type limits allow
+  function dispatch() {
+    if (!started || stopping) {
+      return;
+    }
+
+    ensureIndexes();
+    const now = new Date().toISOString();
+    const due = [];
+    for (const type of handlers.keys()) {
+      for (const id of queuedByType.get(type) || []) {
+        const job = jobs().get(id);
+        if (job.runAt <= now) {
+          due.push([id, job]);
+        }
+      }
+    }
+    due.sort(([, a], [, b]) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+
+    for (const [id, job] of due) {
+      if (running.size >= concurrency) {
+        break;
+      }
+
+      const options = handlers.get(job.type);
+      const runningOfType = [...running.values()].filter(entry => entry.type === job.type).length;
+      if (runningOfType >= options.concurrency || rateLimited(job.type, options.ratePerMinute)) {
+        continue;
+      }
+
+      recentStarts.get(job.type).push(Date.now());
+      run(id, job, options);
+    }
+  }
+
+  async function run(id, job, options) {
+    const controller = new AbortController();
+    running.set(id, { type: job.type, controller });
+
+    try {
+      const current = await update(id, {
+        status: 'running',
+        attempts: job.attempts + 1,
+        startedAt: new Date().toISOString()
+      });
+
+      try {
+        const result = await options.handler(current.payload, { job: { id, ...current }, signal: controller.signal });
+        if (jobs().get(id)?.status === 'running') {
+          await update(id, {
+            status: 'completed',
+            result: result === undefined ? null : result,
+            finishedAt: new Date().toISOString()
+          });
+        }
+      } catch (error) {
+        await handleFailure(id, error, options);
+      }
+    } catch (error) {
+      console.error(`❌ Job ${id} (${job.type}) could not be updated:`, error.message);
+    } finally {
+      running.delete(id);
+      wake();
+    }
+  }
+
+  async function handleFailure(id, error, options) {
+    const job = jobs().get(id);
+    if (!job || job.status !== 'running') {
+      return; // cancelled while running
+    }
+
+    if (stopping) {
+      // Interrupted by shutdown: run again on the next start without using up an attempt
+      await update(id, { status: 'queued', attempts: job.attempts - 1 });
+      return;
+    }
+
+    if (!error.permanent && job.attempts < job.maxAttempts) {
+      const runAt = new Date(Date.now() + retryDelay(job.attempts, options.backoffMs)).toISOString();
+      await update(id, { status: 'queued', runAt, lastError: error.message });
+      console.warn(`⚠️  Job ${id} (${job.type}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${runAt}:`, error.message);
+      return;
+    }
+
+    await fail(id, job, error, options);
+  }
+
+  // Mark a job failed for good and run its type's onFailed hook
+  async function fail(id, job, error, options) {
+    const failed = await update(id, {
+      status: 'failed',
+      lastError: error.message,
+      finishedAt: new Date().toISOString()
+    });
+    console.error(`❌ Job ${id} (${job.type}) failed after ${job.attempts} attempt(s):`, error.message);
+
+    if (options.onFailed) {
+      try {
+        await options.onFailed({ id, ...failed }, error);
+      } catch (hookError) {
+        console.error(`❌ onFailed hook for job ${id} threw:`, hookError.message);
+      }
+    }
+  }
+
+  function wake() {
+    setImmediate(dispatch);
+  }
+
+  async function start() {
+    if (started) {
+      return;
+    }
+
+    // Drop finished jobs past their retention period
+    const cutoff = new Date(Date.now() - retentionMs).toISOString();
+    for (const [id, job] of jobs().entries()) {
+      if (TERMINAL_STATUSES.includes(job.status) && job.finishedAt && job.finishedAt < cutoff) {
+        await jobs().delete(id);
+      }
+    }
+
+    // Jobs left running by a previous process were interrupted. The interrupted run counted as an
+    // attempt when it started, so a job that keeps taking the process down runs out of attempts.
+    ensureIndexes();
+    for (const [id, job] of jobs().entries()) {
+      if (job.status !== 'running') {
+        continue;
+      }
+      const error = new Error('Interrupted by server restart');
+      if (job.attempts < job.maxAttempts) {
+        await update(id, { status: 'queued', lastError: error.message });
+      } else {
+        await fail(id, job, error, handlers.get(job.type) || {});
+      }
+    }
+
+    started = true;
+    timer = setInterval(dispatch, POLL_INTERVAL_MS);
+    wake();
+  }
+
+  // Stop dispatching and abort running jobs; they are re-queued for the next start.
+  // Handlers that ignore their signal are given up on after `timeoutMs` (start() re-queues them).
+  async function stop({ timeoutMs = 10000 } = {}) {
+    stopping = true;
+    clearInterval(timer);
+    for (const { controller } of running.values()) {
+      controller.abort(new Error('Server shutting down'));
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    while (running.size > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  return {
+    registerHandler,
+    enqueue,
+    get,
+    list,
+    stats,
+    cancel,
+    start,
+    stop,
+    isTerminal: job => TERMINAL_STATUSES.includes(job.status)
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  PermanentJobError,
+  TERMINAL_STATUSES
+};
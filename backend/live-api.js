@@ -0,0 +1,92 @@
+const express = require('express');
+const { baseUrlFor } = require('./public-url');
+
+// Live preview streams, mounted at /live. Playlists and segments are served under signed
+// paths (/live/:deviceId/:token/...) so HLS players need no credentials. `publicBaseUrl` is
+// null when playlist URLs should be built on the address the request came in on.
+function createLiveRouter(live, { auth, viewerUrlTtlMs, publicBaseUrl = null }) {
+  const router = express.Router();
+  const { requireScopes, requireAdmin, canAccessDevice } = auth;
+
+  const streamNotFound = (res, deviceId) => res.status(404).json({
+    success: false,
+    code: 'LIVE_STREAM_NOT_FOUND',
+    error: `Device ${deviceId} is not streaming`
+  });
+
+  router.get('/', requireAdmin, (req, res) => {
+    const streams = live.list();
+    res.json({
+      success: true,
+      streams,
+      total: streams.length
+    });
+  });
+
+  // The device's stream, with a playlist URL valid for viewerUrlTtlMs
+  router.get('/:deviceId', requireScopes('device:read'), (req, res) => {
+    const { deviceId } = req.params;
+    if (!canAccessDevice(req, deviceId)) {
+      return res.status(403).json({
+        success: false,
+        code: 'DEVICE_ACCESS_DENIED',
+        error: `This token may not access device ${deviceId}`
+      });
+    }
+
+    const stream = live.get(deviceId);
+    if (!stream) {
+      return streamNotFound(res, deviceId);
+    }
+    res.json({
+      success: true,
+      stream,
+      playlistUrl: `${baseUrlFor(req, publicBaseUrl)}${live.viewerPath(deviceId, { expiresIn: viewerUrlTtlMs })}`
+    });
+  });
+
+  router.delete('/:deviceId', requireAdmin, async (req, res) => {
+    if (!(await live.stop(req.params.deviceId, 'stopped by admin'))) {
+      return streamNotFound(res, req.params.deviceId);
+    }
+    res.json({
+      success: true,
+      message: `Live stream of ${req.params.deviceId} stopped`
+    });
+  });
+
+  router.get('/:deviceId/:token/:file', (req, res) => {
+    const { deviceId, token, file } = req.params;
+    if (!live.verifyViewerToken(deviceId, token)) {
+      return res.status(403).json({
+        success: false,
+        code: 'INVALID_VIEWER_TOKEN',
+        error: 'Live playlist URL is invalid or has expired'
+      });
+    }
+
+    const filePath = live.filePath(deviceId, file);
+    if (!filePath) {
+      return streamNotFound(res, deviceId);
+    }
+
+    // Playlists change every fragment; segments never change once listed
+    res.set('Cache-Control', file.endsWith('.m3u8') || file.endsWith('.mpd') ? 'no-cache' : 'max-age=60');
+    if (file.endsWith('.m3u8')) {
+      res.type('application/vnd.apple.mpegurl');
+    }
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          code: 'LIVE_SEGMENT_NOT_FOUND',
+          error: `${file} is not available (any more)`
+        });
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createLiveRouter };
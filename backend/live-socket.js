@@ -0,0 +1,152 @@
+const { Buffer } = require('buffer');
+const { WebSocketServer } = require('ws');
+const { ADMIN_SCOPE, isValidDeviceId } = require('./auth');
+const { LIVE_INPUT_FORMATS, LIVE_MAX_FPS } = require('./live');
+const { baseUrlFor } = require('./public-url');
+
+// Live stream ingest over WebSocket, served on the HTTP server's upgrade path (default /live/ingest).
+//
+// Devices connect with their token ("Authorization: Bearer <token>" or ?access_token=) and
+//   ?format=mjpeg|mp4   what the binary messages carry (see live.js; default mjpeg)
+//   &fps=<1-30>         frame rate of mjpeg input (default 5)
+//   &sessionId=...      optional: the recording session the stream belongs to
+// Admins may push for any device with ?deviceId=. The server answers with
+// { type: "started", streamId, playlistUrl } (an absolute, signed URL on PUBLIC_BASE_URL or else
+// the address the device connected to) and then expects the stream as binary messages (mjpeg
+// frames may also be sent as base64 text messages, which is what React Native has them as).
+// The stream stops when the socket closes. A second ingest of the same device replaces the first.
+
+const DEFAULT_FPS = 5;
+// Close ingests that send nothing for this long (e.g. a phone that lost its network)
+const IDLE_TIMEOUT_MS = 15 * 1000;
+// Signed viewer URLs handed out on start
+const VIEWER_URL_TTL_MS = 60 * 60 * 1000;
+
+function tokenFromRequest(req, url) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return url.searchParams.get('access_token');
+}
+
+function reject(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function attachLiveIngest(server, { live, auth, getStore, path = '/live/ingest', publicBaseUrl = null }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      return; // other upgrade paths have their own handlers
+    }
+
+    const identity = auth.authenticate(tokenFromRequest(req, url));
+    const isAdmin = Boolean(identity?.scopes.includes(ADMIN_SCOPE));
+    if (!identity || (!isAdmin && !identity.scopes.includes('sessions:write'))) {
+      return reject(socket, 401, 'Unauthorized');
+    }
+
+    const deviceId = isAdmin ? url.searchParams.get('deviceId') : identity.deviceId;
+    const sessionId = url.searchParams.get('sessionId');
+    const format = url.searchParams.get('format') || 'mjpeg';
+    const fps = Number(url.searchParams.get('fps') || DEFAULT_FPS);
+    if (!isValidDeviceId(deviceId) || !LIVE_INPUT_FORMATS.includes(format) || !Number.isInteger(fps) || fps < 1 || fps > LIVE_MAX_FPS) {
+      return reject(socket, 400, 'Bad Request');
+    }
+    if (sessionId && getStore().sessions.get(sessionId)?.deviceId !== deviceId) {
+      return reject(socket, 403, 'Forbidden');
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      wss.emit('connection', ws, { deviceId, sessionId, format, fps, baseUrl: baseUrlFor(req, publicBaseUrl) });
+    });
+  });
+
+  wss.on('connection', async (ws, { deviceId, sessionId, format, fps, baseUrl }) => {
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => ws.close(1001, 'No data received'), IDLE_TIMEOUT_MS);
+    };
+
+    // Messages arriving while ffmpeg starts are kept until the stream exists
+    const early = [];
+    let stream = null;
+    ws.on('message', (message, isBinary) => {
+      resetIdleTimer();
+      if (!isBinary && format !== 'mjpeg') {
+        return ws.send(JSON.stringify({ type: 'error', code: 'INVALID_MESSAGE', error: 'Send the stream as binary messages' }));
+      }
+      const data = isBinary ? message : Buffer.from(message.toString(), 'base64');
+      if (!stream) {
+        early.push(data);
+      } else if (!live.write(stream, data)) {
+        // Backpressure for mp4 input: stop reading until ffmpeg catches up
+        ws.pause();
+        stream.ffmpeg.stdin.once('drain', () => ws.resume());
+      }
+    });
+
+    ws.on('close', () => {
+      clearTimeout(idleTimer);
+      if (stream) {
+        live.stop(deviceId, 'ingest closed', { streamId: stream.id }).catch(error => {
+          console.warn(`⚠️  Failed to stop live stream of ${deviceId}:`, error.message);
+        });
+      }
+    });
+    ws.on('error', error => {
+      console.warn('⚠️  Live ingest connection error:', error.message);
+    });
+
+    resetIdleTimer();
+    try {
+      const started = await live.start(deviceId, {
+        sessionId,
+        format,
+        fps,
+        onEnded: reason => {
+          if (ws.readyState === ws.OPEN) {
+            const code = reason === 'replaced' ? 4000 : reason.startsWith('ffmpeg') ? 1011 : 1000;
+            ws.close(code, reason.slice(0, 120));
+          }
+        }
+      });
+      if (ws.readyState !== ws.OPEN) {
+        // The device hung up while ffmpeg was starting
+        await live.stop(deviceId, 'ingest closed', { streamId: started.id });
+        return;
+      }
+      stream = started;
+      for (const data of early.splice(0)) {
+        live.write(stream, data);
+      }
+      ws.send(JSON.stringify({
+        type: 'started',
+        streamId: stream.id,
+        playlistUrl: `${baseUrl}${live.viewerPath(deviceId, { expiresIn: VIEWER_URL_TTL_MS })}`
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to start live stream of ${deviceId}:`, error.message);
+      ws.close(1011, 'Could not start the stream');
+    }
+  });
+
+  return {
+    get clients() {
+      return wss.clients.size;
+    },
+    close: () => {
+      for (const ws of wss.clients) {
+        ws.close(1001, 'Server shutting down');
+      }
+      wss.close();
+    }
+  };
+}
+
+module.exports = { attachLiveIngest };
@@ -0,0 +1,218 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+
+// Live preview streams, one per device, next to the chunk pipeline.
+//
+// A device pushes its stream over the ingest socket (live-socket.js); each stream is piped
+// into ffmpeg, which re-serves it as low-latency HLS (ffmpeg's LHLS mode: one-second
+// segments written in 200 ms fragments, with the next segment announced ahead of time)
+// under <liveDir>/<deviceId>/<streamId>/. Input formats:
+//
+//   mjpeg   every message is one JPEG frame; frames are encoded to H.264 at the stream's fps.
+//           While ffmpeg is behind, new frames are dropped rather than queued.
+//   mp4     fragmented MP4 with H.264 video, passed through without re-encoding
+//
+// Viewers get playlist URLs that carry a signed, expiring token in their path, so the
+// relative segment URLs inside the playlists work in any HLS player without headers.
+// A stream's files are removed when it stops; nothing of it is archived (chunks are).
+
+const INPUT_FORMATS = ['mjpeg', 'mp4'];
+const SEGMENT_SEC = 1;
+const WINDOW_SEGMENTS = 6;
+const MAX_FPS = 30;
+// Stop ffmpeg if it has not exited this long after its input ended
+const STOP_TIMEOUT_MS = 5000;
+
+function createLiveStreams({ ffmpegPath = 'ffmpeg', liveDir, events = null, signingSecret = null }) {
+  const streams = new Map(); // deviceId -> stream
+  const secret = signingSecret || crypto.randomBytes(32).toString('hex');
+
+  function ffmpegArgs({ format, fps }, dir) {
+    const input = format === 'mjpeg'
+      ? [
+        '-f', 'image2pipe', '-framerate', String(fps), '-c:v', 'mjpeg', '-i', 'pipe:0',
+        '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p',
+        // A keyframe at every segment boundary
+        '-g', String(fps * SEGMENT_SEC), '-keyint_min', String(fps * SEGMENT_SEC), '-sc_threshold', '0'
+      ]
+      : ['-f', 'mp4', '-i', 'pipe:0', '-c:v', 'copy'];
+
+    return [
+      '-hide_banner', '-nostdin', '-loglevel', 'warning',
+      ...input,
+      '-an',
+      '-f', 'dash',
+      '-seg_duration', String(SEGMENT_SEC),
+      '-frag_type', 'duration', '-frag_duration', '0.2',
+      '-streaming', '1', '-ldash', '1', '-lhls', '1', '-hls_playlist', '1',
+      '-window_size', String(WINDOW_SEGMENTS), '-extra_window_size', '2',
+      '-use_template', '1', '-use_timeline', '0',
+      '-remove_at_exit', '1',
+      path.join(dir, 'live.mpd')
+    ];
+  }
+
+  function summary(stream) {
+    return {
+      streamId: stream.id,
+      deviceId: stream.deviceId,
+      sessionId: stream.sessionId,
+      format: stream.format,
+      fps: stream.fps,
+      startedAt: stream.startedAt,
+      bytesIn: stream.bytesIn,
+      framesIn: stream.framesIn,
+      framesDropped: stream.framesDropped
+    };
+  }
+
+  // Start a device's stream, replacing the one it may already have.
+  // `onEnded(reason)` is called when the stream ends for any reason (stopped, replaced, ffmpeg died).
+  async function start(deviceId, { sessionId = null, format = 'mjpeg', fps = 5, onEnded = () => {} } = {}) {
+    if (streams.has(deviceId)) {
+      await stop(deviceId, 'replaced');
+    }
+
+    const id = uuidv4();
+    const dir = path.resolve(liveDir, deviceId, id);
+    // The directory is removed when the stream stops, so it must stay inside liveDir
+    if (!dir.startsWith(path.resolve(liveDir) + path.sep)) {
+      throw new Error(`Invalid device ID for a live stream: ${deviceId}`);
+    }
+    await fs.mkdir(dir, { recursive: true });
+
+    const ffmpeg = spawn(ffmpegPath, ffmpegArgs({ format, fps }, dir), { stdio: ['pipe', 'ignore', 'pipe'] });
+    const stream = {
+      id,
+      deviceId,
+      sessionId,
+      format,
+      fps,
+      dir,
+      ffmpeg,
+      startedAt: new Date().toISOString(),
+      bytesIn: 0,
+      framesIn: 0,
+      framesDropped: 0,
+      congested: false,
+      onEnded,
+      stderr: '',
+      exited: null
+    };
+
+    ffmpeg.stderr.on('data', data => {
+      stream.stderr = (stream.stderr + data).slice(-5000);
+    });
+    // Writes after ffmpeg died surface here; the exit handler reports them
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.stdin.on('drain', () => {
+      stream.congested = false;
+    });
+    stream.exited = new Promise(resolve => {
+      ffmpeg.on('error', error => {
+        stream.stderr += error.message;
+        resolve(null);
+      });
+      ffmpeg.on('close', resolve);
+    }).then(async code => {
+      if (streams.get(deviceId) === stream) {
+        streams.delete(deviceId);
+        const reason = code === 0 ? 'ended' : `ffmpeg exited with ${code}: ${stream.stderr.trim().split('\n').slice(-2).join(' ')}`;
+        console.warn(`⚠️  Live stream of ${deviceId} stopped: ${reason}`);
+        events?.publish('live.stopped', { deviceId, sessionId, streamId: id, reason });
+        onEnded(reason);
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    streams.set(deviceId, stream);
+    console.log(`📡 Live stream started: ${deviceId} (${format}, ${id})`);
+    events?.publish('live.started', { deviceId, sessionId, streamId: id, format });
+    return stream;
+  }
+
+  // Feed one message of the device's stream to ffmpeg; returns false when the caller should
+  // pause until `stream.ffmpeg.stdin` drains (mp4 input only: bytes of it cannot be dropped)
+  function write(stream, data) {
+    stream.bytesIn += data.length;
+    if (stream.format === 'mjpeg') {
+      stream.framesIn += 1;
+      if (stream.congested) {
+        stream.framesDropped += 1;
+        return true;
+      }
+    }
+    if (!stream.ffmpeg.stdin.write(data)) {
+      stream.congested = true;
+      return stream.format === 'mjpeg';
+    }
+    return true;
+  }
+
+  // Stop the device's stream; with `streamId`, only if that is still the current one
+  async function stop(deviceId, reason = 'stopped', { streamId = null } = {}) {
+    const stream = streams.get(deviceId);
+    if (!stream || (streamId && stream.id !== streamId)) {
+      return false;
+    }
+    streams.delete(deviceId);
+
+    stream.ffmpeg.stdin.end();
+    const timer = setTimeout(() => stream.ffmpeg.kill('SIGKILL'), STOP_TIMEOUT_MS);
+    await stream.exited;
+    clearTimeout(timer);
+
+    console.log(`📡 Live stream stopped: ${deviceId} (${reason})`);
+    events?.publish('live.stopped', { deviceId, sessionId: stream.sessionId, streamId: stream.id, reason });
+    stream.onEnded(reason);
+    return true;
+  }
+
+  function sign(deviceId, expires) {
+    return crypto.createHmac('sha256', secret).update(`live\n${deviceId}\n${expires}`).digest('base64url');
+  }
+
+  // Path of the device's master playlist, valid for `expiresIn` ms
+  function viewerPath(deviceId, { expiresIn }) {
+    const expires = Date.now() + expiresIn;
+    return `/live/${encodeURIComponent(deviceId)}/${expires}.${sign(deviceId, expires)}/master.m3u8`;
+  }
+
+  function verifyViewerToken(deviceId, token) {
+    const [expiresText, signature = ''] = String(token).split('.');
+    const expires = Number(expiresText);
+    // Constant-time comparison; hashing first gives both sides the same length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(signature), digest(sign(deviceId, expires))) && expires > Date.now();
+  }
+
+  // Absolute path of one of the current stream's playlist or segment files, or null
+  function filePath(deviceId, fileName) {
+    const stream = streams.get(deviceId);
+    if (!stream || !/^[\w.-]+\.(m3u8|mpd|m4s|mp4)$/.test(fileName)) {
+      return null;
+    }
+    return path.join(stream.dir, fileName);
+  }
+
+  return {
+    start,
+    write,
+    stop,
+    stopAll: () => Promise.all([...streams.keys()].map(deviceId => stop(deviceId, 'server shutting down'))),
+    get: deviceId => (streams.has(deviceId) ? summary(streams.get(deviceId)) : null),
+    list: () => [...streams.values()].map(summary),
+    viewerPath,
+    verifyViewerToken,
+    filePath
+  };
+}
+
+module.exports = {
+  createLiveStreams,
+  LIVE_INPUT_FORMATS: INPUT_FORMATS,
+  LIVE_MAX_FPS: MAX_FPS
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Validation of the `metadata` part of /upload-chunk against the versioned JSON Schemas in
+// schemas/, which the app builds its metadata from too. A published version is never changed;
+// new fields go into the next version.
+//
+// Metadata names its version in `schemaVersion`; app builds from before versioning send none
+// and are treated as version 1. Every version the server still accepts has a schema and an
+// upgrade to the next one, so the rest of the upload handler only ever sees the current version.
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+const CURRENT_SCHEMA_VERSION = 3;
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2, 3];
+
+// Upgrades from each older version to the next
+const UPGRADES = {
+  1: metadata => ({
+    ...metadata,
+    schemaVersion: 2,
+    chunkIndex: Number(metadata.chunkIndex)
+  }),
+  // Version 3 only added optional fields
+  2: metadata => ({ ...metadata, schemaVersion: 3 })
+};
+
+class MetadataError extends Error {
+  constructor(status, code, message, errors = []) {
+    super(message);
+    this.name = 'MetadataError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const validators = Object.fromEntries(SUPPORTED_SCHEMA_VERSIONS.map(version => [
+  version,
+  ajv.compile(require(path.join(SCHEMA_DIR, `recording-metadata.v${version}.schema.json`)))
+]));
+
+// Ajv errors -> [{ field, message }], fields named from the metadata object ("metadata.timing.startedAt")
+function describeErrors(errors) {
+  const described = errors.map(error => {
+    const field = ['metadata', ...error.instancePath.split('/').slice(1)].join('.');
+    if (error.keyword === 'required') {
+      return { field: `${field}.${error.params.missingProperty}`, message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+      return { field: `${field}.${error.params.additionalProperty}`, message: 'is not allowed' };
+    }
+    return { field, message: error.message };
+  });
+  return described.filter((error, index) => described.findIndex(other => other.field === error.field
+    && other.message === error.message) === index);
+}
+
+// Raw text of the metadata part -> { metadata (current version), schemaVersion (as sent) };
+// throws a MetadataError
+function parseMetadata(text) {
+  if (text === null || text === undefined) {
+    throw new MetadataError(400, 'METADATA_REQUIRED', 'A metadata part with the chunk\'s JSON metadata is required');
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(text);
+  } catch (error) {
+    throw new MetadataError(400, 'INVALID_METADATA_JSON', `metadata is not valid JSON: ${error.message}`);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new MetadataError(422, 'INVALID_METADATA', 'metadata must be a JSON object', [
+      { field: 'metadata', message: 'must be object' }
+    ]);
+  }
+
+  const schemaVersion = metadata.schemaVersion ?? 1;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    throw new MetadataError(422, 'UNSUPPORTED_SCHEMA_VERSION',
+      `metadata.schemaVersion ${JSON.stringify(schemaVersion)} is not supported (supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`,
+      [{ field: 'metadata.schemaVersion', message: `must be one of ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}` }]);
+  }
+
+  const validate = validators[schemaVersion];
+  if (!validate(metadata)) {
+    const errors = describeErrors(validate.errors);
+    throw new MetadataError(422, 'INVALID_METADATA',
+      `metadata does not match schema version ${schemaVersion}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+      errors);
+  }
+
+  let upgraded = metadata;
+  for (let version = schemaVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    upgraded = UPGRADES[version](upgraded);
+  }
+  return { metadata: upgraded, schemaVersion };
+}
+
+module.exports = {
+  parseMetadata,
+  MetadataError,
+  CURRENT_SCHEMA_VERSION,
+  SUPPORTED_SCHEMA_VERSIONS
+};
@@ -0,0 +1,91 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { baseUrlFor } = require('./public-url');
+
+// Device pairing, mounted at /pair (admin only).
+//
+// Issues an enrollment token and serves it as a QR code together with the backend's URL, so the
+// app's settings screen can point itself at this backend and enroll by scanning it. The code holds
+// the JSON pairing payload:
+//
+//   { "type": "heimdall-pairing", "version": 1, "url": "https://...", "enrollmentToken": "hen_..." }
+//
+// The URL is PUBLIC_BASE_URL if set, and otherwise the address the request came in on (as seen
+// through a proxy or tunnel such as ngrok), which is usually what phones can reach too.
+const PAIRING_TYPE = 'heimdall-pairing';
+const PAIRING_VERSION = 1;
+const FORMATS = ['json', 'svg', 'png'];
+
+// `publicBaseUrl` is null when the URL should come from the request
+function createPairRouter(auth, { publicBaseUrl }) {
+  const router = express.Router();
+
+  // ?format=json (default), svg or png; ?label, ?ttlHours (default 1) and ?maxUses (default 1)
+  // configure the enrollment token as for POST /devices/enrollment-tokens
+  router.get('/', async (req, res) => {
+    try {
+      const { label = null, ttlHours = 1, maxUses = 1, format = 'json' } = req.query;
+
+      if (!FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_PAIRING_FORMAT',
+          error: `format must be one of ${FORMATS.join(', ')}`
+        });
+      }
+
+      if (!(Number(ttlHours) > 0) || !Number.isInteger(Number(maxUses)) || Number(maxUses) < 1) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_ENROLLMENT_OPTIONS',
+          error: 'ttlHours must be positive and maxUses a positive integer'
+        });
+      }
+
+      const enrollment = await auth.createEnrollmentToken({
+        label: label || 'pairing',
+        ttlHours: Number(ttlHours),
+        maxUses: Number(maxUses)
+      });
+      const url = baseUrlFor(req, publicBaseUrl);
+      const payload = JSON.stringify({
+        type: PAIRING_TYPE,
+        version: PAIRING_VERSION,
+        url,
+        enrollmentToken: enrollment.token
+      });
+      console.log(`📱 Pairing code issued for ${url} (expires ${enrollment.expiresAt})`);
+
+      // The token is a secret until it is used up or expires
+      res.set('Cache-Control', 'no-store');
+
+      if (format === 'svg') {
+        return res.type('image/svg+xml').send(await QRCode.toString(payload, { type: 'svg', margin: 2 }));
+      }
+      if (format === 'png') {
+        return res.type('image/png').send(await QRCode.toBuffer(payload, { margin: 2, width: 320 }));
+      }
+
+      res.json({
+        success: true,
+        url,
+        enrollmentToken: enrollment.token,
+        expiresAt: enrollment.expiresAt,
+        usesRemaining: enrollment.usesRemaining,
+        payload,
+        qrCode: await QRCode.toDataURL(payload, { margin: 2, width: 320 })
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to create pairing code:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPairRouter, PAIRING_TYPE, PAIRING_VERSION };
@@ -0,0 +1,252 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { PermanentJobError } = require('./jobs');
+const ffmpeg = require('./ffmpeg');
+
+// Preview images of stored videos, made with ffmpeg and stored next to the video:
+//
+//   <video>.poster.jpg            a representative frame (ffmpeg's thumbnail filter), POSTER_WIDTH wide
+//   <video>.sprites.jpg           SPRITE_FRAMES keyframes spread over the video, tiled left to right,
+//                                 each SPRITE_WIDTH wide
+//   <video>.crop-<trackId>.jpg    a crop of each detected person, from the largest box of its track
+//
+// Posters and sprites are made by `preview` jobs once a chunk is in object storage; person crops
+// by `person-crops` jobs once its analysis has found persons. What was made is recorded in the
+// datastore's `previews` collection, keyed by the video's storage URI. None of the images end
+// in a video extension, so they are neither listed as videos nor analyzed.
+
+const POSTER_WIDTH = 640;
+const SPRITE_FRAMES = 10;
+const SPRITE_WIDTH = 160;
+const CROP_HEIGHT = 240;
+const MAX_PERSON_CROPS = 20;
+
+// The video's object key without its extension, which the preview keys are built on
+const baseKey = key => key.replace(/\.[^./]+$/, '');
+
+const boxArea = box => Math.max(0, box.right - box.left) * Math.max(0, box.bottom - box.top);
+
+// ffmpeg crop filter for a box given as fractions of the frame
+function cropFilter(box) {
+  const clamp = value => Math.min(1, Math.max(0, value));
+  const left = clamp(box.left);
+  const top = clamp(box.top);
+  const width = Math.max(0.01, clamp(box.right) - left);
+  const height = Math.max(0.01, clamp(box.bottom) - top);
+  return `crop=w=iw*${width.toFixed(4)}:h=ih*${height.toFixed(4)}:x=iw*${left.toFixed(4)}:y=ih*${top.toFixed(4)}`;
+}
+
+// `localChunkCopy(chunk)` resolves to { localPath, cleanup } for a stored video;
+// `isStorageEnabled()` tells whether previews can be stored and signed
+function createPreviews(getStore, { storage, events = null, ffmpegPath = 'ffmpeg', workDir, localChunkCopy, isStorageEnabled }) {
+  const previewsCollection = () => getStore().collection('previews');
+
+  // Posters and person crops are made by separate jobs, so each merges into the record
+  const save = (gcsUri, patch) => previewsCollection().put(gcsUri, { ...previewsCollection().get(gcsUri), ...patch });
+
+  // Runs `work(dir, localPath)` on a local copy of the video in a scratch directory
+  async function withLocalCopy(gcsUri, work) {
+    const chunk = getStore().chunks.findOne(candidate => candidate.gcsUri === gcsUri);
+    if (chunk?.purgedAt) {
+      throw new PermanentJobError(`${gcsUri} was deleted by retention`);
+    }
+    const dir = path.join(workDir, `preview-${uuidv4()}`);
+    const copy = await localChunkCopy({ gcsUri, localPath: chunk?.localPath });
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      return await work(dir, copy.localPath, chunk);
+    } finally {
+      await copy.cleanup();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  function videoKey(gcsUri) {
+    if (!isStorageEnabled()) {
+      throw new Error('Object storage not enabled');
+    }
+    const key = storage.keyFromUri(gcsUri);
+    if (!key) {
+      throw new PermanentJobError(`${gcsUri} is not a ${storage.name} storage URI`);
+    }
+    return key;
+  }
+
+  // Without ffmpeg no retry can succeed
+  async function runFfmpeg(args, { signal }) {
+    try {
+      return await ffmpeg.runFfmpeg(ffmpegPath, args, { signal });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new PermanentJobError(`ffmpeg not found (${ffmpegPath})`);
+      }
+      throw error;
+    }
+  }
+
+  async function storeImage(localPath, key, metadata) {
+    const stored = await storage.put(localPath, key, { contentType: 'image/jpeg', metadata });
+    return stored.key;
+  }
+
+  // `preview` job handler: poster frame and keyframe sprites of one video
+  async function generate({ gcsUri }, { signal }) {
+    const key = videoKey(gcsUri);
+
+    const record = await withLocalCopy(gcsUri, async (dir, localPath, chunk) => {
+      const posterPath = path.join(dir, 'poster.jpg');
+      const stderr = await runFfmpeg([
+        '-y', '-i', localPath,
+        '-vf', `thumbnail,scale=${POSTER_WIDTH}:-2`, '-frames:v', '1', '-q:v', '4', posterPath
+      ], { signal });
+
+      const durationSec = chunk?.timing ? chunk.timing.durationMs / 1000 : ffmpeg.parseDuration(stderr);
+      if (!durationSec) {
+        throw new PermanentJobError(`Could not read the duration of ${gcsUri}`);
+      }
+      // ffmpeg applies the rotation while decoding, so portrait video is scaled upright
+      const encoded = ffmpeg.parseFrameSize(stderr);
+      const frameSize = encoded && ffmpeg.isQuarterTurn(stderr) ? { width: encoded.height, height: encoded.width } : encoded;
+      const intervalSec = durationSec / SPRITE_FRAMES;
+
+      // Only keyframes are decoded; the fps filter picks the nearest one for each slot
+      const spritesPath = path.join(dir, 'sprites.jpg');
+      await runFfmpeg([
+        '-y', '-skip_frame', 'nokey', '-i', localPath,
+        '-vf', `fps=1/${intervalSec.toFixed(3)},scale=${SPRITE_WIDTH}:-2,tile=${SPRITE_FRAMES}x1`,
+        '-frames:v', '1', '-q:v', '5', spritesPath
+      ], { signal });
+
+      const metadata = { source: gcsUri };
+      return {
+        gcsUri,
+        deviceId: chunk?.deviceId || null,
+        sessionId: chunk?.sessionId || null,
+        chunkIndex: chunk?.chunkIndex ?? null,
+        poster: {
+          key: await storeImage(posterPath, `${baseKey(key)}.poster.jpg`, metadata),
+          width: POSTER_WIDTH
+        },
+        sprites: {
+          key: await storeImage(spritesPath, `${baseKey(key)}.sprites.jpg`, metadata),
+          frames: SPRITE_FRAMES,
+          intervalSec: Math.round(intervalSec * 1000) / 1000,
+          tileWidth: SPRITE_WIDTH,
+          // Rounded to even like ffmpeg's scale=W:-2
+          tileHeight: frameSize ? Math.round((SPRITE_WIDTH * frameSize.height) / frameSize.width / 2) * 2 : null
+        },
+        generatedAt: new Date().toISOString()
+      };
+    });
+
+    const stored = await save(gcsUri, record);
+    events?.publish('preview.ready', {
+      deviceId: stored.deviceId,
+      sessionId: stored.sessionId,
+      chunkIndex: stored.chunkIndex,
+      gcsUri
+    });
+    console.log(`🖼️  Previews stored for: ${gcsUri}`);
+    return { gcsUri, poster: stored.poster.key, sprites: stored.sprites.key };
+  }
+
+  // `person-crops` job handler: one crop per person track of the video's analysis result
+  async function cropPersons({ gcsUri }, { signal }) {
+    const key = videoKey(gcsUri);
+    const analysis = getStore().analysis.get(gcsUri);
+    if (!analysis?.result) {
+      throw new PermanentJobError(`No analysis result for ${gcsUri}`);
+    }
+
+    // Each track's largest box, most confident tracks first
+    const picks = (analysis.result.persons || [])
+      .map(person => ({
+        person,
+        sample: (person.boxes || []).reduce((best, sample) => (!best || boxArea(sample.box) > boxArea(best.box) ? sample : best), null)
+      }))
+      .filter(({ sample }) => sample && boxArea(sample.box) > 0)
+      .sort((a, b) => (b.person.confidence ?? 0) - (a.person.confidence ?? 0))
+      .slice(0, MAX_PERSON_CROPS);
+
+    const persons = await withLocalCopy(gcsUri, async (dir, localPath) => {
+      const crops = [];
+      for (const { person, sample } of picks) {
+        const cropPath = path.join(dir, `person-${crops.length}.jpg`);
+        await runFfmpeg([
+          '-y', '-ss', String(sample.timeSec), '-i', localPath,
+          '-vf', `${cropFilter(sample.box)},scale=-2:${CROP_HEIGHT}`, '-frames:v', '1', '-q:v', '4', cropPath
+        ], { signal });
+        crops.push({
+          trackId: person.trackId,
+          confidence: person.confidence ?? null,
+          timeSec: sample.timeSec,
+          box: sample.box,
+          key: await storeImage(cropPath, `${baseKey(key)}.crop-${String(person.trackId).replace(/[^\w-]/g, '_')}.jpg`, {
+            source: gcsUri,
+            trackId: String(person.trackId)
+          })
+        });
+      }
+      return crops;
+    });
+
+    // Crops of tracks a new analysis no longer has
+    const previous = previewsCollection().get(gcsUri)?.persons || [];
+    const keep = new Set(persons.map(crop => crop.key));
+    for (const crop of previous.filter(candidate => !keep.has(candidate.key))) {
+      await storage.delete(crop.key).catch(error => console.warn(`⚠️  Could not delete ${crop.key}:`, error.message));
+    }
+
+    await save(gcsUri, {
+      gcsUri,
+      persons,
+      personsGeneratedAt: new Date().toISOString()
+    });
+    console.log(`🖼️  ${persons.length} person crops stored for: ${gcsUri}`);
+    return { gcsUri, crops: persons.length };
+  }
+
+  // Signed URLs of a video's previews, for listings and playback
+  async function describe(gcsUri, { expiresIn }) {
+    const record = previewsCollection().get(gcsUri);
+    if (!record || !isStorageEnabled()) {
+      return { thumbnailUrl: null, sprites: null, personCrops: [] };
+    }
+    const sign = key => storage.getSignedReadUrl(key, { expiresIn });
+    const { key: spritesKey, ...sprites } = record.sprites || {};
+
+    return {
+      thumbnailUrl: record.poster ? await sign(record.poster.key) : null,
+      sprites: record.sprites ? { url: await sign(spritesKey), ...sprites } : null,
+      personCrops: await Promise.all((record.persons || []).map(async ({ key, ...crop }) => ({
+        ...crop,
+        url: await sign(key)
+      })))
+    };
+  }
+
+  // Delete a video's previews from storage and forget them (used by retention)
+  async function remove(gcsUri) {
+    const record = previewsCollection().get(gcsUri);
+    if (!record) {
+      return 0;
+    }
+    const keys = [record.poster?.key, record.sprites?.key, ...(record.persons || []).map(crop => crop.key)].filter(Boolean);
+    for (const key of keys) {
+      await storage.delete(key);
+    }
+    await previewsCollection().delete(gcsUri);
+    return keys.length;
+  }
+
+  return {
+    generate,
+    cropPersons,
+    describe,
+    remove,
+    get: gcsUri => previewsCollection().get(gcsUri)
+  };
+}
+
+module.exports = { createPreviews };
@@ -0,0 +1,14 @@
+// Base URL clients reach this backend on, for URLs handed to phones and players: PUBLIC_BASE_URL
+// if set (`configured`), and otherwise the address the request came in on, as seen through a
+// proxy or tunnel such as ngrok. Works on Express requests and on raw WebSocket upgrade requests.
+function baseUrlFor(req, configured = null) {
+  if (configured) {
+    return configured;
+  }
+  const header = name => String(req.headers[name] || '').split(',')[0].trim();
+  const protocol = header('x-forwarded-proto') || (req.socket?.encrypted ? 'https' : 'http');
+  const host = header('x-forwarded-host') || req.headers.host;
+  return `${protocol}://${host}`;
+}
+
+module.exports = { baseUrlFor };
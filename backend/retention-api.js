@@ -0,0 +1,166 @@
+const express = require('express');
+
+// Retention rules, legal holds and sweeps, mounted at /retention (admin only)
+function createRetentionRouter(retention, { jobs }) {
+  const router = express.Router();
+
+  function notFound(res, code, error) {
+    return res.status(404).json({
+      success: false,
+      code,
+      error
+    });
+  }
+
+  // RetentionErrors carry their own status and code; anything else is a server error
+  function handleError(res, error, action) {
+    if (error.name === 'RetentionError') {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+    console.error(`❌ Failed to ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  // Rules
+
+  router.get('/rules', (req, res) => {
+    res.json({
+      success: true,
+      rules: retention.listRules()
+    });
+  });
+
+  router.post('/rules', async (req, res) => {
+    try {
+      const rule = await retention.createRule(req.body);
+      console.log(`🧹 Retention rule created: ${rule.name} (${rule.id})`);
+      res.status(201).json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'create retention rule');
+    }
+  });
+
+  router.get('/rules/:id', (req, res) => {
+    const rule = retention.getRule(req.params.id);
+    if (!rule) {
+      return notFound(res, 'RETENTION_RULE_NOT_FOUND', `Retention rule ${req.params.id} not found`);
+    }
+    res.json({
+      success: true,
+      rule
+    });
+  });
+
+  router.put('/rules/:id', async (req, res) => {
+    try {
+      const rule = await retention.updateRule(req.params.id, req.body);
+      if (!rule) {
+        return notFound(res, 'RETENTION_RULE_NOT_FOUND', `Retention rule ${req.params.id} not found`);
+      }
+      res.json({
+        success: true,
+        rule
+      });
+    } catch (error) {
+      handleError(res, error, 'update retention rule');
+    }
+  });
+
+  router.delete('/rules/:id', async (req, res) => {
+    try {
+      if (!(await retention.deleteRule(req.params.id))) {
+        return notFound(res, 'RETENTION_RULE_NOT_FOUND', `Retention rule ${req.params.id} not found`);
+      }
+      res.json({
+        success: true,
+        message: `Retention rule ${req.params.id} deleted`
+      });
+    } catch (error) {
+      handleError(res, error, 'delete retention rule');
+    }
+  });
+
+  // Legal holds
+
+  router.get('/holds', (req, res) => {
+    const holds = retention.listHolds();
+    res.json({
+      success: true,
+      holds,
+      total: holds.length
+    });
+  });
+
+  // Body: { "reason": "...", "by": "..." }
+  router.put('/holds/:sessionId', async (req, res) => {
+    try {
+      const hold = await retention.placeHold(req.params.sessionId, req.body || {});
+      console.log(`⚖️  Legal hold placed on session ${hold.sessionId}: ${hold.reason}`);
+      res.json({
+        success: true,
+        hold
+      });
+    } catch (error) {
+      handleError(res, error, 'place legal hold');
+    }
+  });
+
+  router.delete('/holds/:sessionId', async (req, res) => {
+    try {
+      if (!(await retention.releaseHold(req.params.sessionId))) {
+        return notFound(res, 'LEGAL_HOLD_NOT_FOUND', `Session ${req.params.sessionId} has no legal hold`);
+      }
+      console.log(`⚖️  Legal hold released on session ${req.params.sessionId}`);
+      res.json({
+        success: true,
+        message: `Legal hold on session ${req.params.sessionId} released`
+      });
+    } catch (error) {
+      handleError(res, error, 'release legal hold');
+    }
+  });
+
+  // Sweeps
+
+  // Dry run: what a sweep would delete now
+  router.get('/report', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        dryRun: true,
+        report: await retention.plan()
+      });
+    } catch (error) {
+      handleError(res, error, 'build retention report');
+    }
+  });
+
+  // Sweep now instead of waiting for the schedule; a sweep already queued or running is returned
+  router.post('/sweep', async (req, res) => {
+    try {
+      const job = await jobs.enqueue('retention', { trigger: 'manual' }, { dedupeKey: 'retention' });
+      res.status(job.duplicate ? 200 : 202).json({
+        success: true,
+        job,
+        duplicate: Boolean(job.duplicate),
+        statusUrl: `/jobs/${job.id}`
+      });
+    } catch (error) {
+      handleError(res, error, 'queue retention sweep');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRetentionRouter };
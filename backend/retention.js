@@ -0,0 +1,472 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+
+// Retention of recorded footage: chunk files in the uploads directory and their objects in
+// storage, the session exports made from them, and what the temp file monitor left in
+// storage. Rules are kept in the datastore's `retention_rules` collection; legal holds are
+// flags on session records (`legalHold`) that exempt the session from every rule.
+//
+// Rule fields:
+//   name            label shown in reports
+//   enabled         apply the rule at all (default true)
+//   deviceIds       only chunks of these devices (default: all devices)
+//   outcome         which chunks the rule covers, by their analysis result:
+//                   'any' (default) | 'person' (persons detected) | 'detections' (persons or
+//                   objects detected) | 'no_detections' (analyzed, nothing detected) | 'unanalyzed'
+//   keepDays        covered chunks expire once they are older than this
+//   maxBytes        per device, covered chunks are deleted oldest first while they take more
+//                   than this in total
+//
+// A chunk expires by age only once every rule covering it with keepDays lets it go, so
+// "person: 90 days" next to "any: 7 days" keeps chunks with persons for 90 days. Size limits
+// are hard caps and apply regardless of age. Chunks no rule covers are kept, and chunks of held
+// sessions are never deleted (they still count towards size limits).
+//
+// Deleted chunks keep their record, marked with `purgedAt`, so session manifests and timelines
+// stay complete; their preview images are deleted with them. A session's exports are deleted
+// once all of its chunks are. Objects under temp-uploads/ are deleted `orphanKeepDays` after
+// they were uploaded.
+
+const OUTCOMES = ['any', 'person', 'detections', 'no_detections', 'unanalyzed'];
+const RULE_FIELDS = ['name', 'enabled', 'deviceIds', 'outcome', 'keepDays', 'maxBytes'];
+const ORPHAN_PREFIX = 'temp-uploads/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'RetentionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const invalid = message => new RetentionError(400, 'INVALID_RETENTION_RULE', message);
+
+// Check a complete rule and return its known fields
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw invalid('Request body must be a JSON object');
+  }
+  const unknown = Object.keys(rule).filter(field => !RULE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw invalid(`Unknown fields: ${unknown.join(', ')} (expected: ${RULE_FIELDS.join(', ')})`);
+  }
+
+  const { name, enabled, deviceIds, outcome, keepDays, maxBytes } = rule;
+  const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw invalid('name is required');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw invalid('enabled must be true or false');
+  }
+  if (deviceIds !== undefined && deviceIds !== null
+    && (!Array.isArray(deviceIds) || !deviceIds.every(id => typeof id === 'string' && id))) {
+    throw invalid('deviceIds must be null or an array of device IDs');
+  }
+  if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+    throw invalid(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+  if (keepDays !== undefined && keepDays !== null && !isPositive(keepDays)) {
+    throw invalid('keepDays must be a positive number of days');
+  }
+  if (maxBytes !== undefined && maxBytes !== null && !(Number.isInteger(maxBytes) && maxBytes > 0)) {
+    throw invalid('maxBytes must be a positive integer');
+  }
+  if (!keepDays && !maxBytes) {
+    throw invalid('A rule needs keepDays, maxBytes or both');
+  }
+
+  return {
+    name: name.trim(),
+    enabled: enabled ?? true,
+    deviceIds: deviceIds || null,
+    outcome: outcome || 'any',
+    keepDays: keepDays || null,
+    maxBytes: maxBytes || null
+  };
+}
+
+// When the server first received a chunk. Records stored before `receivedAt` carry the same
+// server time as `timestamp`; the device's own clock is never trusted for retention.
+const receivedAt = chunk => Date.parse(chunk.receivedAt || chunk.timestamp);
+
+// What a chunk's analysis found, in terms of rule outcomes
+function chunkOutcome(analysis) {
+  const summary = analysis?.result?.summary;
+  if (!summary) {
+    return 'unanalyzed';
+  }
+  if (summary.personCount > 0) {
+    return 'person';
+  }
+  return summary.objectCount > 0 ? 'detections' : 'no_detections';
+}
+
+function covers(rule, { chunk, outcome }) {
+  if (rule.deviceIds && !rule.deviceIds.includes(chunk.deviceId)) {
+    return false;
+  }
+  switch (rule.outcome) {
+    case 'any':
+      return true;
+    case 'detections':
+      return outcome === 'person' || outcome === 'detections';
+    default:
+      return rule.outcome === outcome;
+  }
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+// `uploadsDir` is where chunk copies live (emptied session directories are removed up to it);
+// `isStorageEnabled()` tells whether stored objects can be deleted
+function createRetention(getStore, { storage, events = null, previews = null, uploadsDir, isStorageEnabled, orphanKeepDays = 7 }) {
+  const rules = () => getStore().collection('retention_rules');
+  const exportsCollection = () => getStore().collection('exports');
+
+  // Rules
+
+  function listRules() {
+    return rules().entries()
+      .map(([id, rule]) => ({ id, ...rule }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function getRule(id) {
+    const rule = rules().get(id);
+    return rule ? { id, ...rule } : null;
+  }
+
+  async function createRule(body) {
+    const id = uuidv4();
+    const now = new Date().toISOString();
+    const rule = await rules().put(id, { ...validateRule(body), createdAt: now, updatedAt: now });
+    return { id, ...rule };
+  }
+
+  // Replace a rule's fields; resolves to null if the rule is unknown
+  async function updateRule(id, body) {
+    const current = rules().get(id);
+    if (!current) {
+      return null;
+    }
+    const rule = await rules().put(id, {
+      ...validateRule(body),
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+    return { id, ...rule };
+  }
+
+  function deleteRule(id) {
+    return rules().delete(id);
+  }
+
+  // Legal holds
+
+  function listHolds() {
+    return getStore().sessions.find(session => session.legalHold)
+      .map(session => ({ sessionId: session.sessionId, deviceId: session.deviceId, ...session.legalHold }));
+  }
+
+  async function placeHold(sessionId, { reason, by } = {}) {
+    const store = getStore();
+    if (!store.sessions.has(sessionId)) {
+      throw new RetentionError(404, 'SESSION_NOT_FOUND', `Session ${sessionId} does not exist`);
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw new RetentionError(400, 'INVALID_LEGAL_HOLD', 'reason is required');
+    }
+    const session = await store.sessions.update(sessionId, {
+      legalHold: { reason: reason.trim(), by: by || null, placedAt: new Date().toISOString() }
+    });
+    return { sessionId, deviceId: session.deviceId, ...session.legalHold };
+  }
+
+  // Resolves to false if the session had no hold
+  async function releaseHold(sessionId) {
+    const store = getStore();
+    if (!store.sessions.get(sessionId)?.legalHold) {
+      return false;
+    }
+    await store.sessions.update(sessionId, { legalHold: null });
+    return true;
+  }
+
+  const isHeld = sessionId => Boolean(getStore().sessions.get(sessionId)?.legalHold);
+
+  // Sweeping
+
+  // Chunk size: recorded on upload, or read from its local copy or stored object for older chunks
+  async function chunkSize(chunk) {
+    if (Number.isInteger(chunk.size)) {
+      return chunk.size;
+    }
+    if (chunk.localPath) {
+      try {
+        return (await fs.stat(chunk.localPath)).size;
+      } catch (error) {
+        // No local copy left; try storage
+      }
+    }
+    const key = chunk.gcsUri && storage.keyFromUri(chunk.gcsUri);
+    if (key && isStorageEnabled()) {
+      return (await storage.stat(key))?.size || 0;
+    }
+    return 0;
+  }
+
+  // What a sweep would delete right now. Nothing is changed, so this doubles as the dry run.
+  async function plan({ now = Date.now() } = {}) {
+    const store = getStore();
+    const activeRules = listRules().filter(rule => rule.enabled);
+
+    const chunks = [];
+    for (const [key, chunk] of store.chunks.entries()) {
+      if (!chunk.purgedAt) {
+        chunks.push({
+          key,
+          chunk,
+          size: await chunkSize(chunk),
+          outcome: chunkOutcome(chunk.gcsUri && store.analysis.get(chunk.gcsUri)),
+          held: Boolean(store.sessions.get(chunk.sessionId)?.legalHold),
+          receivedAt: receivedAt(chunk) || now
+        });
+      }
+    }
+    chunks.sort((a, b) => a.receivedAt - b.receivedAt);
+
+    const deletions = new Map(); // chunk key -> { reason, rule }
+
+    // Age: every rule with keepDays that covers the chunk must have let it go
+    for (const entry of chunks) {
+      const ageRules = activeRules.filter(rule => rule.keepDays && covers(rule, entry));
+      if (entry.held || ageRules.length === 0) {
+        continue;
+      }
+      const longest = ageRules.reduce((a, b) => (b.keepDays > a.keepDays ? b : a));
+      if (now - entry.receivedAt > longest.keepDays * DAY_MS) {
+        deletions.set(entry.key, { reason: 'expired', rule: longest });
+      }
+    }
+
+    // Size: per device, the oldest covered chunks go until the rest fits
+    for (const rule of activeRules.filter(candidate => candidate.maxBytes)) {
+      const byDevice = new Map();
+      for (const entry of chunks) {
+        if (covers(rule, entry) && !deletions.has(entry.key)) {
+          byDevice.set(entry.chunk.deviceId, [...(byDevice.get(entry.chunk.deviceId) || []), entry]);
+        }
+      }
+      for (const entries of byDevice.values()) {
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        for (const entry of entries) {
+          if (total <= rule.maxBytes) {
+            break;
+          }
+          if (!entry.held) {
+            deletions.set(entry.key, { reason: 'over_quota', rule });
+            total -= entry.size;
+          }
+        }
+      }
+    }
+
+    const chunkDeletions = chunks
+      .filter(entry => deletions.has(entry.key))
+      .map(entry => {
+        const { reason, rule } = deletions.get(entry.key);
+        return {
+          key: entry.key,
+          deviceId: entry.chunk.deviceId,
+          sessionId: entry.chunk.sessionId,
+          chunkIndex: entry.chunk.chunkIndex,
+          receivedAt: new Date(entry.receivedAt).toISOString(),
+          size: entry.size,
+          outcome: entry.outcome,
+          reason,
+          ruleId: rule.id,
+          ruleName: rule.name
+        };
+      });
+
+    // Exports go with the last of their session's chunks
+    const remaining = new Set(chunks.filter(entry => !deletions.has(entry.key)).map(entry => entry.chunk.sessionId));
+    const exportDeletions = exportsCollection()
+      .find(record => !record.purgedAt && record.status !== 'queued' && record.status !== 'running'
+        && !remaining.has(record.sessionId) && !isHeld(record.sessionId))
+      .map(record => ({
+        id: record.id,
+        deviceId: record.deviceId,
+        sessionId: record.sessionId,
+        format: record.format,
+        size: record.output?.size || 0
+      }));
+
+    const orphanDeletions = isStorageEnabled()
+      ? (await storage.list(ORPHAN_PREFIX))
+        .filter(object => now - Date.parse(object.created || object.updated) > orphanKeepDays * DAY_MS)
+        .map(object => ({ key: object.key, size: object.size || 0, created: object.created }))
+      : [];
+
+    const devices = {};
+    for (const deletion of chunkDeletions) {
+      const device = devices[deletion.deviceId] || (devices[deletion.deviceId] = { chunks: 0, bytes: 0 });
+      device.chunks += 1;
+      device.bytes += deletion.size;
+    }
+    const heldChunks = chunks.filter(entry => entry.held);
+    const sum = list => list.reduce((total, item) => total + item.size, 0);
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      rules: activeRules.length,
+      chunks: chunkDeletions,
+      exports: exportDeletions,
+      orphans: orphanDeletions,
+      devices,
+      held: {
+        sessions: new Set(heldChunks.map(entry => entry.chunk.sessionId)).size,
+        chunks: heldChunks.length,
+        bytes: sum(heldChunks)
+      },
+      totals: {
+        chunks: chunkDeletions.length,
+        exports: exportDeletions.length,
+        orphans: orphanDeletions.length,
+        bytes: sum(chunkDeletions) + sum(exportDeletions) + sum(orphanDeletions)
+      }
+    };
+  }
+
+  // Remove a stored object; throws while storage is down so the sweep tries again later
+  async function deleteObject(key) {
+    if (!isStorageEnabled()) {
+      throw new Error(`Storage unavailable, ${key} kept for the next sweep`);
+    }
+    await storage.delete(key);
+  }
+
+  // Remove the directories a deleted file leaves empty, up to the uploads directory
+  async function removeEmptyDirs(dir) {
+    const root = path.resolve(uploadsDir);
+    for (let current = path.resolve(dir); current.startsWith(root + path.sep); current = path.dirname(current)) {
+      try {
+        await fs.rmdir(current);
+      } catch (error) {
+        return; // not empty (or already gone)
+      }
+    }
+  }
+
+  async function purgeChunk(deletion) {
+    const store = getStore();
+    const chunk = store.chunks.get(deletion.key);
+    // A hold placed since the plan was made still counts
+    if (!chunk || chunk.purgedAt || isHeld(chunk.sessionId)) {
+      return false;
+    }
+
+    const key = chunk.gcsUri && storage.keyFromUri(chunk.gcsUri);
+    if (key) {
+      await deleteObject(key);
+      await previews?.remove(chunk.gcsUri);
+    }
+    if (chunk.localPath) {
+      await removeFile(chunk.localPath);
+      await removeEmptyDirs(path.dirname(chunk.localPath));
+    }
+    await store.chunks.update(deletion.key, {
+      localPath: null,
+      presignedUrl: null,
+      expiresAt: null,
+      purgedAt: new Date().toISOString(),
+      purgedBy: { reason: deletion.reason, ruleId: deletion.ruleId, ruleName: deletion.ruleName }
+    });
+    return true;
+  }
+
+  async function purgeExport(deletion) {
+    const record = exportsCollection().get(deletion.id);
+    if (!record || record.purgedAt || isHeld(record.sessionId)) {
+      return false;
+    }
+    if (record.output?.key) {
+      await deleteObject(record.output.key);
+    }
+    if (record.output?.localPath) {
+      await removeFile(record.output.localPath);
+    }
+    await exportsCollection().update(record.id, { output: null, purgedAt: new Date().toISOString() });
+    return true;
+  }
+
+  // Retention job handler: apply the current plan
+  async function sweep(payload, { signal }) {
+    const report = await plan();
+    const deleted = { chunks: 0, exports: 0, orphans: 0, bytes: 0 };
+    const failures = [];
+    const devices = new Map(); // deviceId -> { chunks, bytes } of deleted chunks
+
+    const apply = async (kind, items, purge, describe) => {
+      for (const item of items) {
+        signal.throwIfAborted();
+        try {
+          if (await purge(item)) {
+            deleted[kind] += 1;
+            deleted.bytes += item.size;
+            if (kind === 'chunks') {
+              const device = devices.get(item.deviceId) || { chunks: 0, bytes: 0 };
+              devices.set(item.deviceId, { chunks: device.chunks + 1, bytes: device.bytes + item.size });
+            }
+          }
+        } catch (error) {
+          console.warn(`⚠️  Retention could not delete ${describe(item)}:`, error.message);
+          failures.push({ kind, item: describe(item), error: error.message });
+        }
+      }
+    };
+
+    await apply('chunks', report.chunks, purgeChunk, item => `chunk ${item.chunkIndex} of session ${item.sessionId}`);
+    await apply('exports', report.exports, purgeExport, item => `export ${item.id}`);
+    await apply('orphans', report.orphans, item => deleteObject(item.key).then(() => true), item => item.key);
+
+    console.log(`🧹 Retention sweep: ${deleted.chunks} chunks, ${deleted.exports} exports, ${deleted.orphans} orphans deleted (${deleted.bytes} bytes)`
+      + (failures.length > 0 ? `, ${failures.length} failed` : ''));
+    for (const [deviceId, device] of devices) {
+      events?.publish('retention.purged', { deviceId, chunks: device.chunks, bytes: device.bytes });
+    }
+    return { ...deleted, failures: failures.slice(0, 50), failed: failures.length };
+  }
+
+  return {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    listHolds,
+    placeHold,
+    releaseHold,
+    plan,
+    sweep
+  };
+}
+
+module.exports = {
+  createRetention,
+  RetentionError,
+  RETENTION_OUTCOMES: OUTCOMES
+};
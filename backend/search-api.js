@@ -0,0 +1,55 @@
+const express = require('express');
+const { parseQuery } = require('./search');
+
+// Search over analysis results, mounted at /search. Device tokens only search their own device.
+function createSearchRouter(searchIndex, { auth, signedUrlTtlMs }) {
+  const router = express.Router();
+  const { requireScopes, canAccessDevice } = auth;
+
+  // ?label=&object=&textContains=&hasPerson=&deviceId=&sessionId=&from=&to=&minConfidence=&minDurationSec=&limit=&offset=
+  router.get('/', requireScopes('device:read'), async (req, res) => {
+    let criteria;
+    try {
+      criteria = parseQuery(req.query);
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+
+    if (!req.auth.isAdmin) {
+      if (criteria.deviceId && !canAccessDevice(req, criteria.deviceId)) {
+        return res.status(403).json({
+          success: false,
+          code: 'DEVICE_ACCESS_DENIED',
+          error: `This token may not access device ${criteria.deviceId}`
+        });
+      }
+      criteria.deviceId = req.auth.deviceId;
+    }
+
+    try {
+      const { total, results } = await searchIndex.search(criteria);
+      res.json({
+        success: true,
+        results,
+        total,
+        limit: criteria.limit,
+        offset: criteria.offset,
+        urlsExpireAt: new Date(Date.now() + signedUrlTtlMs).toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Search failed:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
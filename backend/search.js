@@ -0,0 +1,299 @@
+// Search over analysis results: which chunks show a label, object, text or person, and when.
+//
+// The index is kept in memory. It is rebuilt from the datastore's `analysis` collection on
+// start and updated as analysis jobs store their results (see processVideoAnalysis). Each
+// analyzed chunk becomes a document with its detections as time ranges, placed on the wall
+// clock through the chunk's recorded timing (or, for chunks sent without timing, the time it
+// was received minus its duration). Postings map every distinct label, object description and
+// text (lowercased) to the chunks it occurs in; substring queries scan those terms, not the
+// documents.
+
+const KINDS = ['person', 'label', 'object', 'text'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class SearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = 400;
+    this.code = 'INVALID_SEARCH_QUERY';
+  }
+}
+
+// Object paths look like devices/<deviceId>/sessions/<sessionId>/chunks/<file>
+function pathIds(gcsUri) {
+  const match = /(?:^|\/)devices\/([^/]+)\/(?:sessions\/([^/]+)\/)?/.exec(gcsUri || '');
+  return { deviceId: match ? match[1] : null, sessionId: match?.[2] || null };
+}
+
+// Query string parameters -> search criteria; throws a SearchError
+function parseQuery(query = {}) {
+  const text = name => {
+    const value = query[name];
+    if (value === undefined) {
+      return null;
+    }
+    if (typeof value !== 'string') {
+      throw new SearchError(`${name} must be given once`);
+    }
+    return value.trim() || null;
+  };
+  const term = name => text(name)?.toLowerCase() || null;
+  const number = (name, min, max) => {
+    const value = text(name);
+    if (value === null) {
+      return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+      throw new SearchError(max === Infinity
+        ? `${name} must be a number of at least ${min}`
+        : `${name} must be a number between ${min} and ${max}`);
+    }
+    return parsed;
+  };
+  const time = name => {
+    const value = text(name);
+    if (value === null) {
+      return null;
+    }
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+      throw new SearchError(`${name} must be an ISO 8601 date or time`);
+    }
+    return parsed;
+  };
+
+  const hasPerson = term('hasPerson');
+  if (hasPerson !== null && !['true', 'false'].includes(hasPerson)) {
+    throw new SearchError('hasPerson must be true or false');
+  }
+
+  const criteria = {
+    label: term('label'),
+    object: term('object'),
+    textContains: term('textContains'),
+    hasPerson: hasPerson === null ? null : hasPerson === 'true',
+    deviceId: text('deviceId'),
+    sessionId: text('sessionId'),
+    from: time('from'),
+    to: time('to'),
+    minConfidence: number('minConfidence', 0, 1) ?? 0,
+    minDurationSec: number('minDurationSec', 0, Infinity) ?? 0,
+    limit: number('limit', 1, MAX_LIMIT) ?? DEFAULT_LIMIT,
+    offset: number('offset', 0, Infinity) ?? 0
+  };
+  if (criteria.from !== null && criteria.to !== null && criteria.from > criteria.to) {
+    throw new SearchError('from must not be after to');
+  }
+  if (!Number.isInteger(criteria.limit) || !Number.isInteger(criteria.offset)) {
+    throw new SearchError('limit and offset must be integers');
+  }
+  return criteria;
+}
+
+// Detections of a normalized result as flat time ranges (labels and texts: one per segment)
+function detectionsOf(result) {
+  const ranges = (kind, description, confidence, segments) => segments.map(segment => ({
+    kind,
+    description,
+    confidence: confidence ?? 0,
+    startSec: segment.startSec ?? 0,
+    endSec: segment.endSec ?? segment.startSec ?? 0
+  }));
+
+  return [
+    ...(result.persons || []).flatMap(person => ranges('person', 'person', person.confidence, [person])),
+    ...(result.labels || []).flatMap(label => ranges('label', label.description, label.confidence, label.segments || [])),
+    ...(result.objects || []).flatMap(object => ranges('object', object.description, object.confidence, [object])),
+    ...(result.texts || []).flatMap(text => ranges('text', text.text, text.confidence, text.segments || []))
+  ];
+}
+
+// `signUrl(gcsUri)` resolves to a fresh signed URL of a chunk, or null
+function createSearchIndex(getStore, { signUrl }) {
+  const documents = new Map(); // gcsUri -> document
+  const postings = new Map(KINDS.map(kind => [kind, new Map()])); // kind -> term -> Set of gcsUris
+
+  function unindex(gcsUri) {
+    const document = documents.get(gcsUri);
+    if (!document) {
+      return;
+    }
+    documents.delete(gcsUri);
+    for (const detection of document.detections) {
+      const terms = postings.get(detection.kind);
+      const uris = terms.get(detection.term);
+      if (uris) {
+        uris.delete(gcsUri);
+        if (uris.size === 0) {
+          terms.delete(detection.term);
+        }
+      }
+    }
+  }
+
+  const findChunkKey = gcsUri => getStore().chunks.entries().find(([, chunk]) => chunk.gcsUri === gcsUri)?.[0] || null;
+
+  // Add (or replace) the document of one analysis record; failed analyses are dropped
+  function index(gcsUri, record, chunkKey = findChunkKey(gcsUri)) {
+    unindex(gcsUri);
+    if (!record?.result || record.error) {
+      return null;
+    }
+
+    const store = getStore();
+    const chunk = chunkKey && store.chunks.get(chunkKey);
+    const ids = pathIds(gcsUri);
+    const durationSec = record.result.durationSec ?? (chunk?.timing ? chunk.timing.durationMs / 1000 : null);
+    const startMs = chunk?.timing
+      ? Date.parse(chunk.timing.startedAt)
+      : chunk?.timestamp ? Date.parse(chunk.timestamp) - (durationSec || 0) * 1000 : null;
+
+    const document = {
+      gcsUri,
+      chunkKey,
+      deviceId: chunk?.deviceId || ids.deviceId,
+      sessionId: chunk?.sessionId || ids.sessionId,
+      chunkIndex: chunk?.chunkIndex ?? null,
+      startMs: Number.isNaN(startMs) ? null : startMs,
+      durationSec,
+      analyzedAt: record.completedAt || null,
+      detections: detectionsOf(record.result).map(detection => ({
+        ...detection,
+        term: String(detection.description || '').toLowerCase()
+      }))
+    };
+
+    documents.set(gcsUri, document);
+    for (const detection of document.detections) {
+      const terms = postings.get(detection.kind);
+      if (!terms.has(detection.term)) {
+        terms.set(detection.term, new Set());
+      }
+      terms.get(detection.term).add(gcsUri);
+    }
+    return document;
+  }
+
+  function rebuild() {
+    documents.clear();
+    postings.forEach(terms => terms.clear());
+    const chunkKeys = new Map(getStore().chunks.entries().map(([key, chunk]) => [chunk.gcsUri, key]));
+    for (const [gcsUri, record] of getStore().analysis.entries()) {
+      index(gcsUri, record, chunkKeys.get(gcsUri) || null);
+    }
+    return documents.size;
+  }
+
+  // Chunks holding a term of `kind` that contains `needle` (any term without one)
+  function lookup(kind, needle) {
+    const found = new Set();
+    for (const [term, uris] of postings.get(kind)) {
+      if (!needle || term.includes(needle)) {
+        uris.forEach(uri => found.add(uri));
+      }
+    }
+    return found;
+  }
+
+  async function search(criteria) {
+    const store = getStore();
+    const wanted = [
+      criteria.hasPerson ? ['person', null] : null,
+      criteria.label ? ['label', criteria.label] : null,
+      criteria.object ? ['object', criteria.object] : null,
+      criteria.textContains ? ['text', criteria.textContains] : null
+    ].filter(Boolean);
+
+    // Candidates from the postings, narrowest first
+    let candidates = null;
+    for (const uris of wanted.map(([kind, needle]) => lookup(kind, needle)).sort((a, b) => a.size - b.size)) {
+      candidates = candidates ? new Set([...candidates].filter(uri => uris.has(uri))) : uris;
+    }
+    if (criteria.hasPerson === false) {
+      const withPersons = lookup('person', null);
+      candidates = new Set([...(candidates || documents.keys())].filter(uri => !withPersons.has(uri)));
+    }
+
+    const inRange = (startMs, endMs) => (criteria.from === null || endMs >= criteria.from)
+      && (criteria.to === null || startMs <= criteria.to);
+    const timeRangeGiven = criteria.from !== null || criteria.to !== null;
+
+    const results = [];
+    for (const uri of candidates || documents.keys()) {
+      const document = documents.get(uri);
+      if ((criteria.deviceId && document.deviceId !== criteria.deviceId)
+        || (criteria.sessionId && document.sessionId !== criteria.sessionId)
+        || (timeRangeGiven && document.startMs === null)
+        || (document.chunkKey && store.chunks.get(document.chunkKey)?.purgedAt)) {
+        continue;
+      }
+
+      const at = sec => (document.startMs === null ? null : document.startMs + sec * 1000);
+      const qualifies = detection => detection.confidence >= criteria.minConfidence
+        && detection.endSec - detection.startSec >= criteria.minDurationSec
+        && (!timeRangeGiven || inRange(at(detection.startSec), at(detection.endSec)));
+
+      let matches = [];
+      if (wanted.length > 0) {
+        const perCriterion = wanted.map(([kind, needle]) => document.detections
+          .filter(detection => detection.kind === kind && (!needle || detection.term.includes(needle)) && qualifies(detection)));
+        if (perCriterion.some(found => found.length === 0)) {
+          continue;
+        }
+        matches = perCriterion.flat();
+      } else if (timeRangeGiven && !inRange(document.startMs, at(document.durationSec || 0))) {
+        continue;
+      }
+
+      results.push({
+        document,
+        matches: matches
+          .sort((a, b) => a.startSec - b.startSec)
+          .map(({ term, ...detection }) => ({
+            ...detection,
+            startTime: at(detection.startSec) === null ? null : new Date(at(detection.startSec)).toISOString(),
+            endTime: at(detection.endSec) === null ? null : new Date(at(detection.endSec)).toISOString()
+          }))
+      });
+    }
+
+    // Most recent chunks first
+    results.sort((a, b) => (b.document.startMs ?? 0) - (a.document.startMs ?? 0));
+    const page = results.slice(criteria.offset, criteria.offset + criteria.limit);
+
+    return {
+      total: results.length,
+      results: await Promise.all(page.map(async ({ document, matches }) => ({
+        gcsUri: document.gcsUri,
+        deviceId: document.deviceId,
+        sessionId: document.sessionId,
+        chunkIndex: document.chunkIndex,
+        recordedAt: document.startMs === null ? null : new Date(document.startMs).toISOString(),
+        durationSec: document.durationSec,
+        analyzedAt: document.analyzedAt,
+        url: await signUrl(document.gcsUri),
+        matches
+      })))
+    };
+  }
+
+  return {
+    index,
+    unindex,
+    rebuild,
+    search,
+    stats: () => ({
+      documents: documents.size,
+      terms: Object.fromEntries(KINDS.map(kind => [kind, postings.get(kind).size]))
+    })
+  };
+}
+
+module.exports = {
+  createSearchIndex,
+  parseQuery,
+  SearchError
+};
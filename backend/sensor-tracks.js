@@ -0,0 +1,172 @@
+const { SessionError } = require('./sessions');
+
+// Sensor tracks uploaded with chunks: location fixes, compass heading and motion (gyroscope and
+// accelerometer) sampled while the chunk was recording. The app sends them in the chunk's
+// metadata as `sensorTrack`, with sample times `t` in milliseconds since `startedAt`; a fix from
+// just before the chunk may come with a negative `t`. Tracks are kept in the datastore's
+// `sensor_tracks` collection, keyed like the chunk, and joined per session on the wall clock for
+// map and timeline views.
+
+const STREAMS = ['location', 'heading', 'motion'];
+const MAX_SAMPLES = 10000;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// metadata.sensorTrack -> normalized track, or null; throws a SessionError
+function parseSensorTrack(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const invalid = detail => new SessionError(400, 'INVALID_SENSOR_TRACK', `metadata.sensorTrack${detail}`);
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw invalid(' must be an object');
+  }
+  if (typeof value.startedAt !== 'string' || Number.isNaN(Date.parse(value.startedAt))) {
+    throw invalid('.startedAt must be an ISO timestamp');
+  }
+
+  const vector = (sample, name, where) => {
+    const v = sample[name];
+    if (!v || !isNumber(v.x) || !isNumber(v.y) || !isNumber(v.z)) {
+      throw invalid(`${where}.${name} must have numeric x, y and z`);
+    }
+    return { x: v.x, y: v.y, z: v.z };
+  };
+  const optional = (sample, name, where) => {
+    if (sample[name] === undefined || sample[name] === null) {
+      return null;
+    }
+    if (!isNumber(sample[name])) {
+      throw invalid(`${where}.${name} must be a number`);
+    }
+    return sample[name];
+  };
+
+  const samples = (name, parse) => {
+    const list = value[name] ?? [];
+    if (!Array.isArray(list)) {
+      throw invalid(`.${name} must be an array`);
+    }
+    if (list.length > MAX_SAMPLES) {
+      throw invalid(`.${name} has more than ${MAX_SAMPLES} samples`);
+    }
+    return list.map((sample, index) => {
+      const where = `.${name}[${index}]`;
+      if (!sample || typeof sample !== 'object' || !isNumber(sample.t)) {
+        throw invalid(`${where}.t must be a number`);
+      }
+      return { t: Math.round(sample.t), ...parse(sample, where) };
+    }).sort((a, b) => a.t - b.t);
+  };
+
+  return {
+    startedAt: new Date(value.startedAt).toISOString(),
+    location: samples('location', (sample, where) => {
+      const { latitude, longitude, accuracy } = sample;
+      if (!isNumber(latitude) || latitude < -90 || latitude > 90 || !isNumber(longitude) || longitude < -180 || longitude > 180) {
+        throw invalid(`${where} must have a latitude and longitude in degrees`);
+      }
+      if (!isNumber(accuracy) || accuracy < 0) {
+        throw invalid(`${where}.accuracy must be a non-negative number`);
+      }
+      return {
+        latitude,
+        longitude,
+        accuracy,
+        altitude: optional(sample, 'altitude', where),
+        speed: optional(sample, 'speed', where),
+        course: optional(sample, 'course', where)
+      };
+    }),
+    heading: samples('heading', (sample, where) => {
+      if (!isNumber(sample.degrees) || sample.degrees < 0 || sample.degrees >= 360) {
+        throw invalid(`${where}.degrees must be a number from 0 to 360`);
+      }
+      return { degrees: sample.degrees };
+    }),
+    motion: samples('motion', (sample, where) => ({
+      gyro: vector(sample, 'gyro', where),
+      accel: sample.accel === undefined || sample.accel === null ? null : vector(sample, 'accel', where)
+    }))
+  };
+}
+
+// Sample counts of a track, kept on its chunk record
+function summarizeSensorTrack(track) {
+  return Object.fromEntries(STREAMS.map(stream => [stream, track[stream].length]));
+}
+
+function createSensorTracks(getStore) {
+  const tracks = () => getStore().collection('sensor_tracks');
+
+  async function save(chunkKey, { deviceId, sessionId, chunkIndex }, track) {
+    return tracks().put(chunkKey, {
+      deviceId,
+      sessionId,
+      chunkIndex,
+      ...track,
+      receivedAt: new Date().toISOString()
+    });
+  }
+
+  // Samples of a session's chunks on the wall clock (`at`), oldest first. `streams` picks some
+  // of location, heading and motion; `from`/`to` (ms) narrow the time range.
+  function forSession(sessionId, { streams = STREAMS, from = null, to = null } = {}) {
+    const chunks = tracks()
+      .find(track => track.sessionId === sessionId)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    const joined = Object.fromEntries(streams.map(stream => {
+      const seen = new Set();
+      const samples = chunks.flatMap(track => {
+        const origin = Date.parse(track.startedAt);
+        return track[stream].map(({ t, ...sample }) => ({ at: origin + t, chunkIndex: track.chunkIndex, ...sample }));
+      })
+        // A fix carried over from the previous chunk is the same sample twice
+        .filter(sample => stream !== 'location' || (!seen.has(sample.at) && seen.add(sample.at)))
+        .filter(sample => (from === null || sample.at >= from) && (to === null || sample.at <= to))
+        .sort((a, b) => a.at - b.at);
+      return [stream, samples.map(({ at, ...sample }) => ({ at: new Date(at).toISOString(), ...sample }))];
+    }));
+
+    return {
+      sessionId,
+      chunks: chunks.map(track => track.chunkIndex),
+      ...joined
+    };
+  }
+
+  // The session's location fixes as a GeoJSON LineString (a Point for a single fix, no geometry without any)
+  function toGeoJson(track) {
+    const coordinates = track.location.map(fix => [fix.longitude, fix.latitude]);
+    let geometry = null;
+    if (coordinates.length === 1) {
+      geometry = { type: 'Point', coordinates: coordinates[0] };
+    } else if (coordinates.length > 1) {
+      geometry = { type: 'LineString', coordinates };
+    }
+    return {
+      type: 'Feature',
+      geometry,
+      properties: {
+        sessionId: track.sessionId,
+        times: track.location.map(fix => fix.at)
+      }
+    };
+  }
+
+  return {
+    save,
+    forSession,
+    toGeoJson,
+    get: chunkKey => tracks().get(chunkKey)
+  };
+}
+
+module.exports = {
+  createSensorTracks,
+  parseSensorTrack,
+  summarizeSensorTrack,
+  SENSOR_STREAMS: STREAMS
+};
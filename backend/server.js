@@ -3,10 +3,44 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { Storage } = require('@google-cloud/storage');
-const videoIntelligence = require('@google-cloud/video-intelligence').v1;
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const { openDatastore } = require('./datastore');
+const {
+  SessionError,
+  parseChunkIndex,
+  assertChunkAdmissible,
+  openSessionOf,
+  parseChunkTiming,
+  buildSessionManifest,
+  buildSessionTimeline
+} = require('./sessions');
+const { createAuth, isValidDeviceId } = require('./auth');
+const { createDevicesRouter } = require('./devices-api');
+const { createPairRouter } = require('./pair-api');
+const { createStorage, isVideoKey } = require('./storage');
+const { createAnalysisProvider } = require('./analysis');
+const { createJobQueue, PermanentJobError } = require('./jobs');
+const { createJobsRouter } = require('./jobs-api');
+const { createAnalysisPolicies } = require('./analysis-policies');
+const { createAnalysisPoliciesRouter } = require('./analysis-policies-api');
+const { createAlerts, WEBHOOK_MAX_ATTEMPTS } = require('./alerts');
+const { createAlertsRouter } = require('./alerts-api');
+const { createEventBus } = require('./events');
+const { attachEventsSocket } = require('./events-socket');
+const { createSessionExports } = require('./session-exports');
+const { createSessionExportsRouter } = require('./session-exports-api');
+const { createLiveStreams } = require('./live');
+const { createLiveRouter } = require('./live-api');
+const { attachLiveIngest } = require('./live-socket');
+const { createPreviews } = require('./previews');
+const { parseMetadata, CURRENT_SCHEMA_VERSION } = require('./metadata-schema');
+const { createIntegrity, sha256File } = require('./integrity');
+const { createSensorTracks, parseSensorTrack, summarizeSensorTrack, SENSOR_STREAMS } = require('./sensor-tracks');
+const { createRetention } = require('./retention');
+const { createRetentionRouter } = require('./retention-api');
+const { createSearchIndex } = require('./search');
+const { createSearchRouter } = require('./search-api');
 
 // Import the new video intelligence API router
 const videoIntelligenceRouter = require('./video-intelligence-api');
@@ -17,96 +51,139 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const TEMP_DIR = path.join(__dirname, 'temp');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const EXPORTS_DIR = path.join(__dirname, 'exports');
+const LIVE_DIR = path.join(__dirname, 'live');
 const BUCKET_NAME = process.env.GCS_BUCKET_NAME || 'videouploader-heimdall';
 const GCLOUD_KEYFILE = path.join(__dirname, process.env.GCLOUD_KEYFILE || 'heimdall-cam.json');
 const GCLOUD_PROJECT_ID = process.env.GCLOUD_PROJECT_ID;
+const DATA_DIR = path.resolve(__dirname, process.env.DATA_DIR || 'data');
+const DATASTORE_DRIVER = process.env.DATASTORE_DRIVER || 'jsonl';
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim());
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'gcs';
+const STORAGE_ROUTE = '/storage';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+// URLs handed to phones and players fall back to the address each request came in on
+const CONFIGURED_PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL ? PUBLIC_BASE_URL : null;
+const SIGNED_URL_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+const LIVE_VIEWER_URL_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EVENTS_PATH = '/events';
+const LIVE_INGEST_PATH = '/live/ingest';
+
+// Options for each storage driver; only the one named by STORAGE_DRIVER is used
+const STORAGE_OPTIONS = {
+  gcs: {
+    bucketName: BUCKET_NAME,
+    keyFilename: GCLOUD_KEYFILE,
+    projectId: GCLOUD_PROJECT_ID
+  },
+  local: {
+    rootDir: path.resolve(__dirname, process.env.LOCAL_STORAGE_DIR || path.join(DATA_DIR, 'objects')),
+    baseUrl: `${PUBLIC_BASE_URL}${STORAGE_ROUTE}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET
+  },
+  s3: {
+    bucketName: process.env.S3_BUCKET_NAME,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }
+};
+
+const ANALYSIS_PROVIDER = process.env.ANALYSIS_PROVIDER || 'google';
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 4;
+const ANALYSIS_CONCURRENCY = Number(process.env.ANALYSIS_CONCURRENCY) || 2;
+const ANALYSIS_RATE_PER_MINUTE = Number(process.env.ANALYSIS_RATE_PER_MINUTE) || 20;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// Retention sweeps (0 turns the schedule off) and how long temp-uploads/ objects are kept
+const RETENTION_SWEEP_INTERVAL_MINUTES = Number(process.env.RETENTION_SWEEP_INTERVAL_MINUTES ?? 60);
+const RETENTION_ORPHAN_DAYS = Number(process.env.RETENTION_ORPHAN_DAYS) || 7;
+
+// Built-in automatic analysis policy; stored policies (see /analysis-policies) override it
+const AUTO_ANALYSIS_DEFAULTS = {
+  enabled: process.env.AUTO_ANALYSIS === 'true',
+  everyNthChunk: Number(process.env.AUTO_ANALYSIS_EVERY_NTH) || 1
+};
+
+// Options for each analysis provider; only the one named by ANALYSIS_PROVIDER is used
+const ANALYSIS_OPTIONS = {
+  google: {
+    keyFilename: GCLOUD_KEYFILE
+  },
+  local: {
+    modelPath: path.resolve(__dirname, process.env.LOCAL_DETECTOR_MODEL || 'models/yolov8n.onnx'),
+    ffmpegPath: FFMPEG_PATH,
+    sampleFps: Number(process.env.LOCAL_DETECTOR_FPS) || 1
+  }
+};
 
 // Service status flags
-let GCS_ENABLED = false;
-let VIDEO_AI_ENABLED = false;
+let STORAGE_ENABLED = false;
+let ANALYSIS_ENABLED = false;
 
 console.log('🔧 Heimdall Backend v3.0 Configuration:');
 console.log(`📁 Temp Directory: ${TEMP_DIR}`);
 console.log(`📁 Uploads Directory: ${UPLOADS_DIR}`);
+console.log(`🪣 Storage Driver: ${STORAGE_DRIVER}`);
+console.log(`🤖 Analysis Provider: ${ANALYSIS_PROVIDER}`);
 console.log(`🪣 GCS Bucket: ${BUCKET_NAME}`);
 console.log(`🔑 GCS Key File: ${GCLOUD_KEYFILE}`);
 console.log(`🏢 GCP Project ID: ${GCLOUD_PROJECT_ID}`);
+console.log(`🗄️  Datastore: ${DATASTORE_DRIVER} (${DATA_DIR})`);
 
 // Ensure directories exist
 Promise.all([
   fs.mkdir(TEMP_DIR, { recursive: true }),
-  fs.mkdir(UPLOADS_DIR, { recursive: true })
+  fs.mkdir(UPLOADS_DIR, { recursive: true }),
+  fs.mkdir(EXPORTS_DIR, { recursive: true })
 ]).catch(console.error);
 
-// Initialize Google Cloud services
-let storage, videoClient;
+// Object storage for uploaded chunks (checked in startServer)
+const storage = createStorage(STORAGE_DRIVER, STORAGE_OPTIONS[STORAGE_DRIVER]);
 
-async function initializeGoogleCloudServices() {
-  try {
-    // Check if key file exists
-    try {
-      await fs.access(GCLOUD_KEYFILE);
-      console.log('✅ GCS key file found');
-    } catch (error) {
-      console.log('❌ GCS key file not found at:', GCLOUD_KEYFILE);
-      console.log('⚠️  GCS upload will be disabled');
-      return;
-    }
-
-    if (!GCLOUD_PROJECT_ID) {
-      console.log('❌ GCLOUD_PROJECT_ID environment variable not set');
-      console.log('⚠️  GCS upload will be disabled');
-      return;
-    }
-
-    // Initialize Storage
-    storage = new Storage({
-      keyFilename: GCLOUD_KEYFILE,
-      projectId: GCLOUD_PROJECT_ID,
-    });
+// Video analysis (checked in startServer)
+const analysisProvider = createAnalysisProvider(ANALYSIS_PROVIDER, ANALYSIS_OPTIONS[ANALYSIS_PROVIDER]);
 
-    // Test bucket access
-    try {
-      const bucket = storage.bucket(BUCKET_NAME);
-      await bucket.getMetadata();
-      console.log('✅ GCS Storage initialized and bucket accessible');
-      GCS_ENABLED = true;
-    } catch (bucketError) {
-      console.log('❌ GCS bucket access failed:', bucketError.message);
-      return;
-    }
+async function initializeStorage() {
+  try {
+    await storage.init();
+    STORAGE_ENABLED = true;
+    console.log(`✅ Storage initialized (${storage.name}: ${storage.location})`);
+  } catch (error) {
+    console.log(`❌ Storage initialization failed (${storage.name}):`, error.message);
+    console.log('⚠️  Storage upload will be disabled');
+  }
+}
 
-    // Initialize Video Intelligence
-    try {
-      videoClient = new videoIntelligence.VideoIntelligenceServiceClient({
-        keyFilename: GCLOUD_KEYFILE,
-      });
-      console.log('✅ Video Intelligence API initialized');
-      VIDEO_AI_ENABLED = true;
-    } catch (videoError) {
-      console.log('❌ Video Intelligence initialization failed:', videoError.message);
-    }
+async function initializeAnalysis() {
+  // Google Video Intelligence reads videos straight from GCS, so it needs the gcs storage driver
+  if (analysisProvider.name === 'google' && (!STORAGE_ENABLED || storage.name !== 'gcs')) {
+    console.log('⚠️  The google analysis provider requires the gcs storage driver, analysis will be disabled');
+    return;
+  }
 
+  try {
+    await analysisProvider.init();
+    console.log(`✅ Analysis provider initialized (${analysisProvider.name}: ${analysisProvider.features.join(', ')})`);
+    ANALYSIS_ENABLED = true;
   } catch (error) {
-    console.error('❌ Google Cloud services initialization failed:', error.message);
+    console.log(`❌ Analysis provider initialization failed (${analysisProvider.name}):`, error.message);
   }
 }
 
-// CORS configuration
+// CORS configuration (browser origins only; the mobile app is not subject to CORS)
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'Idempotency-Key', 'ngrok-skip-browser-warning', 'Origin', 'Accept', 'X-Requested-With'];
+
 app.use(cors({
-  origin: '*',
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'ngrok-skip-browser-warning', 'Origin', 'Accept'],
-  credentials: true,
+  allowedHeaders: ALLOWED_HEADERS,
   maxAge: 86400
 }));
 
 // Additional middleware for ngrok compatibility
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, ngrok-skip-browser-warning');
-  
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
@@ -116,8 +193,150 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
+// Device tokens and admin API keys (backed by the datastore once it is open)
+const auth = createAuth(() => store);
+const { requireScopes, requireAdmin, canAccessDevice } = auth;
+
+// Device ID encoded in an object path or URI such as gs://bucket/devices/<deviceId>/sessions/...
+function deviceIdFromObjectPath(objectPath) {
+  const match = /(?:^|\/)devices\/([^/]+)\//.exec(objectPath || '');
+  return match ? match[1] : null;
+}
+
+function deviceAccessDenied(res, deviceId) {
+  return res.status(403).json({
+    success: false,
+    code: 'DEVICE_ACCESS_DENIED',
+    error: `This token may not access device ${deviceId}`
+  });
+}
+
+// Live events for the /events WebSocket feed (attached to the HTTP server in startServer)
+const events = createEventBus();
+let eventsSocket = null;
+
+// Background jobs (analysis, ...), persisted in the datastore and started in startServer
+const jobs = createJobQueue(() => store, { concurrency: JOB_CONCURRENCY });
+app.use('/jobs', requireAdmin, createJobsRouter(jobs));
+
+// Per-device and per-session policies for analyzing chunks as they are uploaded
+const analysisPolicies = createAnalysisPolicies(() => store, { defaults: AUTO_ANALYSIS_DEFAULTS });
+app.use('/analysis-policies', requireAdmin, createAnalysisPoliciesRouter(analysisPolicies));
+
+// Alert rules evaluated against every analysis result, with signed webhook deliveries
+const alerts = createAlerts(() => store, { jobs, events });
+jobs.registerHandler('webhook', alerts.deliver, {
+  concurrency: 4,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS
+});
+app.use('/alerts', requireAdmin, createAlertsRouter(alerts));
+
+// Session exports (one MP4 or an HLS playlist per session), built by `export` jobs
+const sessionExports = createSessionExports(() => store, {
+  jobs,
+  storage,
+  events,
+  ffmpegPath: FFMPEG_PATH,
+  workDir: EXPORTS_DIR,
+  localChunkCopy,
+  isStorageEnabled: () => STORAGE_ENABLED
+});
+jobs.registerHandler('export', sessionExports.run, {
+  concurrency: 1,
+  maxAttempts: 2,
+  onFailed: sessionExports.failed
+});
+app.use('/sessions', requireAdmin, createSessionExportsRouter(sessionExports, {
+  storage,
+  signedUrlTtlMs: SIGNED_URL_TTL_MS
+}));
+
+// Live preview streams, pushed over the ingest socket (attached in startServer) and re-served as HLS
+const live = createLiveStreams({
+  ffmpegPath: FFMPEG_PATH,
+  liveDir: LIVE_DIR,
+  events,
+  signingSecret: process.env.LIVE_SIGNING_SECRET
+});
+let liveIngest = null;
+app.use('/live', createLiveRouter(live, {
+  auth,
+  viewerUrlTtlMs: LIVE_VIEWER_URL_TTL_MS,
+  publicBaseUrl: CONFIGURED_PUBLIC_BASE_URL
+}));
+
+// SHA-256 digests and the hash chain of stored chunks (GET /sessions/:sessionId/verify)
+const integrity = createIntegrity(() => store, {
+  storage,
+  workDir: TEMP_DIR,
+  isStorageEnabled: () => STORAGE_ENABLED
+});
+
+// Poster frames, keyframe sprites and person crops of stored chunks, made by `preview` and
+// `person-crops` jobs
+const previews = createPreviews(() => store, {
+  storage,
+  events,
+  ffmpegPath: FFMPEG_PATH,
+  workDir: TEMP_DIR,
+  localChunkCopy,
+  isStorageEnabled: () => STORAGE_ENABLED
+});
+jobs.registerHandler('preview', previews.generate, {
+  concurrency: 1,
+  maxAttempts: 3
+});
+jobs.registerHandler('person-crops', previews.cropPersons, {
+  concurrency: 1,
+  maxAttempts: 3
+});
+
+// Location, heading and motion samples uploaded with chunks, joined per session
+const sensorTracks = createSensorTracks(() => store);
+
+// Retention rules and legal holds, applied to local and stored footage by `retention` jobs
+const retention = createRetention(() => store, {
+  storage,
+  events,
+  previews,
+  uploadsDir: UPLOADS_DIR,
+  isStorageEnabled: () => STORAGE_ENABLED,
+  orphanKeepDays: RETENTION_ORPHAN_DAYS
+});
+jobs.registerHandler('retention', retention.sweep, {
+  concurrency: 1,
+  maxAttempts: 2
+});
+app.use('/retention', requireAdmin, createRetentionRouter(retention, { jobs }));
+
+// Search over analysis results, indexed as analysis jobs store them (rebuilt in startServer)
+const searchIndex = createSearchIndex(() => store, {
+  signUrl: async gcsUri => {
+    const objectKey = STORAGE_ENABLED && storage.keyFromUri(gcsUri);
+    return objectKey ? storage.getSignedReadUrl(objectKey, { expiresIn: SIGNED_URL_TTL_MS }) : null;
+  }
+});
+app.use('/search', createSearchRouter(searchIndex, { auth, signedUrlTtlMs: SIGNED_URL_TTL_MS }));
+
 // Mount the video intelligence API router
-app.use('/api/video-intelligence', videoIntelligenceRouter);
+app.use('/api/video-intelligence', requireAdmin, videoIntelligenceRouter);
+
+// Web dashboard: a static page that asks for an admin API key and calls the API with it
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Device enrollment and administration
+app.use('/devices', createDevicesRouter(auth));
+// QR codes that point the app at this backend and enroll it
+app.use('/pair', requireAdmin, createPairRouter(auth, {
+  publicBaseUrl: CONFIGURED_PUBLIC_BASE_URL
+}));
+
+// Signed object URLs, for drivers that serve objects themselves (local)
+if (storage.router) {
+  app.use(STORAGE_ROUTE, storage.router);
+}
 
 // Multer configuration for temporary file storage
 const upload = multer({
@@ -137,116 +356,244 @@ const upload = multer({
   },
 });
 
-// Active recording sessions
-const activeSessions = new Map();
-const uploadQueue = new Map(); // Track upload status
-const analysisResults = new Map(); // Store analysis results by gcsUri
+// Persistent sessions, chunk uploads and analysis results (opened in startServer)
+let store;
 
-// Immediate GCP upload function with presigned URL generation
-async function uploadToGCPImmediately(localFilePath, gcsPath, metadata = {}) {
-  if (!GCS_ENABLED) {
-    console.log('⚠️  GCS disabled, skipping upload for:', gcsPath);
-    return { success: false, reason: 'GCS_DISABLED' };
+// Immediate upload to object storage with presigned URL generation
+async function uploadToStorage(localFilePath, objectKey, metadata = {}) {
+  if (!STORAGE_ENABLED) {
+    console.log('⚠️  Storage disabled, skipping upload for:', objectKey);
+    return { success: false, reason: 'STORAGE_DISABLED' };
   }
 
   try {
-    console.log(`📤 Starting immediate GCS upload: ${localFilePath} → gs://${BUCKET_NAME}/${gcsPath}`);
+    console.log(`📤 Starting immediate upload: ${localFilePath} → ${storage.uri(objectKey)}`);
     
     const startTime = Date.now();
-    const bucket = storage.bucket(BUCKET_NAME);
-    const file = bucket.file(gcsPath);
 
     // Upload with metadata
-    await bucket.upload(localFilePath, {
-      destination: gcsPath,
+    const stored = await storage.put(localFilePath, objectKey, {
+      contentType: 'video/mp4',
       metadata: {
-        contentType: 'video/mp4',
-        cacheControl: 'public, max-age=31536000',
-        metadata: {
-          ...metadata,
-          uploadTimestamp: new Date().toISOString(),
-          originalPath: localFilePath,
-          analysisStatus: 'pending' // Mark for later analysis
-        }
-      },
+        ...metadata,
+        uploadTimestamp: new Date().toISOString(),
+        originalPath: localFilePath,
+        analysisStatus: 'pending' // Mark for later analysis
+      }
     });
 
     // Generate presigned URL valid for 48 hours
-    const [presignedUrl] = await file.getSignedUrl({
-      action: 'read',
-      expires: Date.now() + 48 * 60 * 60 * 1000, // 48 hours from now
-    });
+    const presignedUrl = await storage.getSignedReadUrl(objectKey, { expiresIn: SIGNED_URL_TTL_MS });
 
     const duration = Date.now() - startTime;
-    console.log(`✅ GCS upload completed in ${duration}ms: gs://${BUCKET_NAME}/${gcsPath}`);
+    console.log(`✅ Upload completed in ${duration}ms: ${stored.uri}`);
     console.log(`🔗 Presigned URL generated (48h validity): ${presignedUrl.substring(0, 100)}...`);
     
     return { 
       success: true, 
-      gcsUri: `gs://${BUCKET_NAME}/${gcsPath}`,
+      uri: stored.uri,
       presignedUrl,
-      expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+      expiresAt: new Date(Date.now() + SIGNED_URL_TTL_MS).toISOString(),
       duration,
       metadata 
     };
 
   } catch (error) {
-    console.error(`❌ GCS upload failed for ${gcsPath}:`, error.message);
+    console.error(`❌ Storage upload failed for ${objectKey}:`, error.message);
     return { 
       success: false, 
       error: error.message,
-      gcsPath 
+      objectKey 
     };
   }
 }
 
-// Process video for AI analysis
-async function processVideoAnalysis(gcsUri, metadata) {
-  if (!VIDEO_AI_ENABLED) {
-    console.log('⚠️  Video AI disabled, skipping analysis for:', gcsUri);
+// A local copy of a stored chunk: its copy in UPLOADS_DIR if there is one, otherwise
+// downloaded from storage. Call cleanup() when done; it only removes downloads.
+async function localChunkCopy({ gcsUri, localPath }) {
+  if (localPath) {
+    try {
+      await fs.access(localPath);
+      return { localPath, cleanup: async () => {} };
+    } catch (error) {
+      console.warn(`⚠️  Local copy missing for ${gcsUri || localPath}, downloading from storage`);
+    }
+  }
+
+  const objectKey = gcsUri && storage.keyFromUri(gcsUri);
+  if (!objectKey) {
+    throw new Error(`${gcsUri || localPath} is not a ${storage.name} storage URI and has no local copy`);
+  }
+
+  // No video extension, so temp file monitoring does not pick the download up
+  const downloadPath = path.join(TEMP_DIR, `download-${uuidv4()}.download`);
+  await storage.download(objectKey, downloadPath);
+  return {
+    localPath: downloadPath,
+    cleanup: () => cleanupTempFile(downloadPath)
+  };
+}
+
+// Input for the analysis provider: the storage URI itself, or a local copy of the video
+async function prepareAnalysisSource(gcsUri) {
+  if (analysisProvider.input === 'uri') {
+    return { input: { uri: gcsUri }, cleanup: async () => {} };
+  }
+
+  const chunk = store.chunks.findOne(candidate => candidate.gcsUri === gcsUri);
+  const copy = await localChunkCopy({ gcsUri, localPath: chunk?.localPath });
+  return {
+    input: { uri: gcsUri, localPath: copy.localPath },
+    cleanup: copy.cleanup
+  };
+}
+
+// Process video for AI analysis; resolves to the provider's normalized result.
+// `features` may narrow the analysis to some of the provider's features.
+async function processVideoAnalysis(gcsUri, metadata, { signal, features } = {}) {
+  if (!ANALYSIS_ENABLED) {
+    console.log('⚠️  Video analysis disabled, skipping analysis for:', gcsUri);
     return null;
   }
 
+  let source = null;
   try {
-    console.log(`🤖 Starting AI analysis for: ${gcsUri}`);
-    
-    const request = {
-      inputUri: gcsUri,
-      features: [
-        'LABEL_DETECTION',
-        'PERSON_DETECTION',
-        'OBJECT_TRACKING',
-        'TEXT_DETECTION',
-      ],
-      videoContext: {
-        personDetectionConfig: {
-          includeBoundingBoxes: true,
-          includeAttributes: true,
-        },
-        labelDetectionConfig: {
-          model: 'builtin/latest',
-        },
-      },
-    };
-
-    const [operation] = await videoClient.annotateVideo(request);
-    const [result] = await operation.promise();
+    console.log(`🤖 Starting AI analysis (${analysisProvider.name}) for: ${gcsUri}`);
+
+    source = await prepareAnalysisSource(gcsUri);
+    const result = await analysisProvider.analyze(source.input, {
+      signal,
+      features: features
+        ? analysisProvider.features.filter(feature => features.includes(feature))
+        : analysisProvider.features
+    });
     
-    console.log(`✅ AI analysis completed for: ${gcsUri}`);
+    console.log(`✅ AI analysis completed for: ${gcsUri} (${result.summary.personCount} person tracks)`);
     return {
-      ...result.annotationResults[0],
+      ...result,
       processedAt: new Date().toISOString(),
       metadata
     };
 
   } catch (error) {
     console.error(`❌ AI analysis failed for ${gcsUri}:`, error.message);
-    return {
+    throw error;
+  } finally {
+    if (source) {
+      await source.cleanup();
+    }
+  }
+}
+
+// Record a video's analysis status on its storage object (read by /analyze-all-videos)
+// and on its chunk record. Best effort: the analysis result itself is already stored.
+async function setAnalysisStatus(gcsUri, analysisStatus) {
+  const objectKey = storage.keyFromUri(gcsUri);
+  if (STORAGE_ENABLED && objectKey) {
+    try {
+      await storage.updateMetadata(objectKey, {
+        analysisStatus,
+        analyzedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not update analysis status of ${gcsUri}:`, error.message);
+    }
+  }
+
+  for (const [key, chunk] of store.chunks.entries()) {
+    if (chunk.gcsUri === gcsUri) {
+      await store.chunks.update(key, { analysisStatus });
+    }
+  }
+}
+
+// Analysis jobs: one video per job, results stored under the video's storage URI
+jobs.registerHandler('analysis', async ({ gcsUri, metadata, features }, { job, signal }) => {
+  if (!ANALYSIS_ENABLED) {
+    throw new PermanentJobError('Video analysis not enabled');
+  }
+
+  const deviceId = metadata.deviceId || deviceIdFromObjectPath(gcsUri);
+  const sessionId = metadata.sessionId || null;
+  events.publish('analysis.started', { deviceId, sessionId, jobId: job.id, gcsUri, attempt: job.attempts });
+
+  const result = await processVideoAnalysis(gcsUri, { ...metadata, analysisId: job.id }, { signal, features });
+
+  // Store analysis results for later retrieval, and make them searchable
+  const record = await store.analysis.put(gcsUri, {
+    analysisId: job.id,
+    gcsUri,
+    filename: metadata.filename,
+    result,
+    completedAt: new Date().toISOString(),
+    type: metadata.type
+  });
+  searchIndex.index(gcsUri, record);
+  console.log(`💾 Analysis results stored for: ${gcsUri}`);
+  await setAnalysisStatus(gcsUri, 'completed');
+  events.publish('analysis.completed', { deviceId, sessionId, jobId: job.id, gcsUri, summary: result.summary });
+
+  if (result.summary.personCount > 0 && STORAGE_ENABLED && storage.keyFromUri(gcsUri)) {
+    await jobs.enqueue('person-crops', { gcsUri }, { dedupeKey: `person-crops:${gcsUri}` });
+  }
+
+  // Best effort: the result is stored either way, and a retry would analyze the video again
+  try {
+    await alerts.evaluate({ result, gcsUri, analysisId: job.id, deviceId, sessionId });
+  } catch (error) {
+    console.error(`❌ Alert evaluation failed for ${gcsUri}:`, error.message);
+  }
+
+  return { gcsUri, summary: result.summary };
+}, {
+  concurrency: ANALYSIS_CONCURRENCY,
+  ratePerMinute: ANALYSIS_RATE_PER_MINUTE,
+  maxAttempts: 3,
+  // Store error results too, once retries are exhausted
+  onFailed: async ({ id, payload }, error) => {
+    searchIndex.unindex(payload.gcsUri);
+    await store.analysis.put(payload.gcsUri, {
+      analysisId: id,
+      gcsUri: payload.gcsUri,
+      filename: payload.metadata.filename,
       error: error.message,
-      processedAt: new Date().toISOString(),
-      metadata
-    };
+      completedAt: new Date().toISOString(),
+      type: payload.metadata.type,
+      status: 'failed'
+    });
+    await setAnalysisStatus(payload.gcsUri, 'failed');
+    events.publish('analysis.failed', {
+      deviceId: payload.metadata.deviceId || deviceIdFromObjectPath(payload.gcsUri),
+      sessionId: payload.metadata.sessionId || null,
+      jobId: id,
+      gcsUri: payload.gcsUri,
+      error: error.message
+    });
+  }
+});
+
+// Queue analysis of one stored video; a video already queued or running is not queued twice.
+// `features` (normalized names) limits the analysis; all provider features by default.
+async function enqueueAnalysis(gcsUri, metadata, { priority = 0, features } = {}) {
+  const job = await jobs.enqueue('analysis', {
+    gcsUri,
+    metadata: { ...metadata, triggeredAt: new Date().toISOString() },
+    features: features || null
+  }, {
+    priority,
+    dedupeKey: `analysis:${gcsUri}`
+  });
+
+  if (!job.duplicate) {
+    events.publish('analysis.queued', {
+      deviceId: metadata.deviceId || deviceIdFromObjectPath(gcsUri),
+      sessionId: metadata.sessionId || null,
+      jobId: job.id,
+      gcsUri,
+      type: metadata.type
+    });
   }
+  return job;
 }
 
 // Clean up local temp file after processing
@@ -260,16 +607,15 @@ async function cleanupTempFile(filePath) {
 }
 
 // Move file to permanent storage
-async function moveToUploads(tempPath, sessionId, chunkIndex, deviceId = 'unknown') {
+async function moveToUploads(tempPath, sessionId, fileName, deviceId = 'unknown') {
   try {
-    const deviceDir = path.join(UPLOADS_DIR, deviceId);
-    const sessionDir = path.join(deviceDir, sessionId);
-    await fs.mkdir(sessionDir, { recursive: true });
-    
-    const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
-    const fileName = `chunk_${chunkIndex}_${timestamp}.mp4`;
-    const permanentPath = path.join(sessionDir, fileName);
-    
+    const permanentPath = path.resolve(UPLOADS_DIR, deviceId, sessionId, fileName);
+    // IDs are validated on the way in; never write outside UPLOADS_DIR regardless
+    if (!permanentPath.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+      throw new Error(`Refusing to store ${fileName} outside the uploads directory`);
+    }
+    await fs.mkdir(path.dirname(permanentPath), { recursive: true });
+
     await fs.copyFile(tempPath, permanentPath);
     console.log(`📁 Moved to permanent storage: ${permanentPath}`);
     
@@ -280,10 +626,18 @@ async function moveToUploads(tempPath, sessionId, chunkIndex, deviceId = 'unknow
   }
 }
 
-// Monitor and upload temp files to GCP in parallel
-async function uploadTempFilesToGCP() {
-  if (!GCS_ENABLED) {
-    console.log('⚠️  GCS disabled, skipping temp file uploads');
+// Chunk file name derived from the client's capture time, so a retried upload
+// of the same chunk always lands on the same local path and storage object
+function chunkFileName(chunkIndex, capturedAt) {
+  const captureTime = Number.isNaN(Date.parse(capturedAt)) ? new Date() : new Date(capturedAt);
+  const timestamp = captureTime.toISOString().replace(/:/g, '-').split('.')[0]; // Clean timestamp
+  return `chunk_${chunkIndex}_${timestamp}.mp4`;
+}
+
+// Monitor and upload temp files to object storage in parallel
+async function uploadTempFilesToStorage() {
+  if (!STORAGE_ENABLED) {
+    console.log('⚠️  Storage disabled, skipping temp file uploads');
     return;
   }
 
@@ -297,15 +651,15 @@ async function uploadTempFilesToGCP() {
       return;
     }
 
-    console.log(`📁 Found ${videoFiles.length} video files in temp directory, uploading to GCP...`);
+    console.log(`📁 Found ${videoFiles.length} video files in temp directory, uploading to ${storage.name}...`);
 
     // Upload files in parallel
     const uploadPromises = videoFiles.map(async (filename) => {
       const localPath = path.join(TEMP_DIR, filename);
-      const gcsPath = `temp-uploads/${Date.now()}-${filename}`;
+      const objectKey = `temp-uploads/${Date.now()}-${filename}`;
       
       try {
-        const result = await uploadToGCPImmediately(localPath, gcsPath, {
+        const result = await uploadToStorage(localPath, objectKey, {
           source: 'temp-directory',
           originalFilename: filename,
           foundAt: new Date().toISOString()
@@ -315,7 +669,7 @@ async function uploadTempFilesToGCP() {
           // Clean up local temp file after successful upload
           await cleanupTempFile(localPath);
           console.log(`✅ Temp file uploaded and cleaned: ${filename}`);
-          return { filename, success: true, gcsUri: result.gcsUri };
+          return { filename, success: true, uri: result.uri };
         } else {
           console.log(`❌ Failed to upload temp file: ${filename}`, result.error);
           return { filename, success: false, error: result.error };
@@ -340,42 +694,69 @@ async function uploadTempFilesToGCP() {
 
 // Start periodic temp file monitoring
 function startTempFileMonitoring() {
-  if (GCS_ENABLED) {
+  if (STORAGE_ENABLED) {
     console.log('🔄 Starting temp file monitoring (every 30 seconds)');
     
     // Initial upload
-    uploadTempFilesToGCP();
+    uploadTempFilesToStorage();
     
     // Set up periodic monitoring
     setInterval(() => {
-      uploadTempFilesToGCP();
+      uploadTempFilesToStorage();
     }, 30000); // Check every 30 seconds
   }
 }
 
+// Queue a retention sweep every RETENTION_SWEEP_INTERVAL_MINUTES
+function startRetentionSweeps() {
+  if (RETENTION_SWEEP_INTERVAL_MINUTES <= 0) {
+    return;
+  }
+  console.log(`🧹 Starting retention sweeps (every ${RETENTION_SWEEP_INTERVAL_MINUTES} minutes)`);
+
+  const queueSweep = () => jobs.enqueue('retention', { trigger: 'schedule' }, { dedupeKey: 'retention' })
+    .catch(error => console.error('❌ Failed to queue retention sweep:', error.message));
+  queueSweep();
+  setInterval(queueSweep, RETENTION_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+}
+
 // API Routes
 
 // Health check
 app.get('/health', (req, res) => {
   const analysisStats = {
-    total: analysisResults.size,
-    completed: Array.from(analysisResults.values()).filter(a => !a.error && !a.status).length,
-    failed: Array.from(analysisResults.values()).filter(a => a.status === 'failed').length
+    total: store.analysis.size,
+    completed: store.analysis.count(a => !a.error && !a.status),
+    failed: store.analysis.count(a => a.status === 'failed')
   };
 
   res.json({
     status: 'healthy',
     timestamp: new Date(),
     server: 'Heimdall Backend v3.0',
-    activeSessions: activeSessions.size,
+    activeSessions: store.sessions.count(s => s.status === 'active'),
+    totalSessions: store.sessions.size,
     analysisResults: analysisStats,
+    datastore: store.stats(),
+    jobs: jobs.stats(),
+    alerts: alerts.alertStats(),
+    liveFeedClients: eventsSocket ? eventsSocket.clients : 0,
+    liveStreams: live.list().length,
+    search: searchIndex.stats(),
     services: {
-      gcs: {
-        enabled: GCS_ENABLED,
-        bucket: BUCKET_NAME,
+      storage: {
+        enabled: STORAGE_ENABLED,
+        driver: storage.name,
+        location: storage.location,
       },
-      videoAI: {
-        enabled: VIDEO_AI_ENABLED,
+      analysis: {
+        enabled: ANALYSIS_ENABLED,
+        provider: analysisProvider.name,
+        features: analysisProvider.features,
+      },
+      auth: {
+        adminKeysConfigured: auth.adminKeysConfigured,
+        enrollmentCodeConfigured: auth.enrollmentCodeConfigured,
       },
     },
     configuration: {
@@ -387,23 +768,48 @@ app.get('/health', (req, res) => {
 });
 
 // Start recording session
-app.post('/start-recording', (req, res) => {
+app.post('/start-recording', requireScopes('sessions:write'), async (req, res) => {
   try {
+    // Devices always record as themselves; admins must name the device
+    const deviceId = req.auth.type === 'device' ? req.auth.deviceId : req.body?.deviceId;
+
+    if (req.body?.deviceId && !canAccessDevice(req, req.body.deviceId)) {
+      return deviceAccessDenied(res, req.body.deviceId);
+    }
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        code: 'DEVICE_ID_REQUIRED',
+        error: 'deviceId is required to start a recording session'
+      });
+    }
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_DEVICE_ID',
+        error: 'deviceId must be 1-128 letters, digits, "-" or "_"'
+      });
+    }
+
     const sessionId = uuidv4();
     const session = {
       sessionId,
-      startTime: new Date(),
+      deviceId,
+      startTime: new Date().toISOString(),
       chunkCount: 0,
-      status: 'active',
-      uploads: []
+      status: 'active'
     };
-    
-    activeSessions.set(sessionId, session);
-    console.log(`🎬 Recording session started: ${sessionId}`);
+
+    await store.sessions.put(sessionId, session);
+    console.log(`🎬 Recording session started: ${sessionId} (device ${deviceId})`);
+    events.publish('session.started', { deviceId, sessionId, startTime: session.startTime });
     
     res.json({
       success: true,
       sessionId,
+      deviceId,
       startTime: session.startTime,
       message: 'Recording session started successfully'
     });
@@ -418,32 +824,76 @@ app.post('/start-recording', (req, res) => {
 });
 
 // Stop recording session
-app.post('/stop-recording', (req, res) => {
+app.post('/stop-recording', requireScopes('sessions:write'), async (req, res) => {
   try {
-    const { sessionId } = req.body;
-    
-    if (sessionId && activeSessions.has(sessionId)) {
-      const session = activeSessions.get(sessionId);
-      session.status = 'stopped';
-      session.endTime = new Date();
-      
-      console.log(`🛑 Recording session stopped: ${sessionId}`);
-      
-      res.json({
-        success: true,
-        sessionId,
-        summary: {
-          duration: session.endTime - session.startTime,
-          chunksProcessed: session.chunkCount,
-          uploads: session.uploads.length
-        }
+    const { sessionId, deviceId, expectedChunks } = req.body || {};
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        code: 'SESSION_ID_REQUIRED',
+        error: 'sessionId is required to stop a recording session'
       });
-    } else {
-      res.json({
-        success: true,
-        message: 'No active session to stop'
+    }
+
+    const existing = store.sessions.get(sessionId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        code: 'SESSION_NOT_FOUND',
+        error: `Session ${sessionId} does not exist`
+      });
+    }
+
+    if (!canAccessDevice(req, existing.deviceId)) {
+      return deviceAccessDenied(res, existing.deviceId);
+    }
+
+    if (deviceId && existing.deviceId !== deviceId) {
+      return res.status(403).json({
+        success: false,
+        code: 'SESSION_DEVICE_MISMATCH',
+        error: `Session ${sessionId} does not belong to device ${deviceId}`
+      });
+    }
+
+    // Stopping twice is harmless: the second call just returns the current manifest
+    const session = existing.status === 'active'
+      ? await store.sessions.update(sessionId, {
+        status: 'stopped',
+        endTime: new Date().toISOString(),
+        expectedChunks: parseChunkIndex(expectedChunks)
+      })
+      : existing;
+
+    if (existing.status === 'active') {
+      console.log(`🛑 Recording session stopped: ${sessionId} (expecting ${session.expectedChunks ?? 'unknown'} chunks)`);
+    }
+
+    const manifest = buildSessionManifest(store, sessionId);
+
+    if (existing.status === 'active') {
+      events.publish('session.stopped', {
+        deviceId: session.deviceId,
+        sessionId,
+        endTime: session.endTime,
+        expectedChunks: session.expectedChunks,
+        receivedChunks: manifest.receivedChunks,
+        missingChunks: manifest.missingChunks
       });
     }
+
+    res.json({
+      success: true,
+      sessionId,
+      summary: {
+        duration: Date.parse(session.endTime) - Date.parse(session.startTime),
+        chunksProcessed: session.chunkCount,
+        uploads: manifest.receivedChunks,
+        missingChunks: manifest.missingChunks
+      },
+      manifest
+    });
     
   } catch (error) {
     console.error('❌ Failed to stop recording session:', error);
@@ -454,8 +904,85 @@ app.post('/stop-recording', (req, res) => {
   }
 });
 
+// Idempotency keys of chunk uploads currently being processed
+const uploadsInFlight = new Set();
+
+// Response body for a stored chunk, shared by first uploads and idempotent replays
+function chunkUploadResponse(chunk, extra = {}) {
+  return {
+    success: true,
+    uploadId: chunk.uploadId,
+    idempotencyKey: chunk.idempotencyKey,
+    sessionId: chunk.sessionId,
+    chunkIndex: chunk.chunkIndex,
+    gcsUpload: {
+      success: chunk.gcsUploaded,
+      gcsUri: chunk.gcsUri || undefined,
+      presignedUrl: chunk.presignedUrl || undefined,
+      expiresAt: chunk.expiresAt || undefined
+    },
+    localPath: chunk.localPath,
+    analysis: {
+      status: chunk.analysisStatus,
+      jobId: chunk.analysisJobId || undefined,
+      reason: chunk.analysisSkipReason || undefined
+    },
+    timestamp: new Date().toISOString(),
+    ...extra
+  };
+}
+
+// Apply the chunk's analysis policy: queue it for analysis or record why it was skipped
+async function queueAutoAnalysis(chunkKey, chunk) {
+  try {
+    const policy = analysisPolicies.resolve({ deviceId: chunk.deviceId, sessionId: chunk.sessionId });
+    const decision = analysisPolicies.evaluate(policy, { chunkIndex: chunk.chunkIndex });
+
+    if (decision.analyze && !ANALYSIS_ENABLED) {
+      decision.analyze = false;
+      decision.reason = 'ANALYSIS_DISABLED';
+    } else if (decision.analyze && !decision.features.some(feature => analysisProvider.features.includes(feature))) {
+      decision.analyze = false;
+      decision.reason = 'NO_SUPPORTED_FEATURES';
+    }
+
+    if (!decision.analyze) {
+      // Chunks the policy rules out are settled; the rest stay pending for /analyze-all-videos
+      const settled = ['SAMPLED_OUT', 'QUIET_HOURS', 'NO_SUPPORTED_FEATURES'].includes(decision.reason);
+      if (settled) {
+        await setAnalysisStatus(chunk.gcsUri, 'skipped');
+      }
+      return await store.chunks.update(chunkKey, {
+        analysisStatus: settled ? 'skipped' : chunk.analysisStatus,
+        analysisSkipReason: decision.reason
+      });
+    }
+
+    // Marked before queueing so a fast job's 'completed' is not overwritten
+    await setAnalysisStatus(chunk.gcsUri, 'queued');
+    const job = await enqueueAnalysis(chunk.gcsUri, {
+      filename: chunk.gcsPath,
+      type: 'auto',
+      deviceId: chunk.deviceId,
+      sessionId: chunk.sessionId,
+      chunkIndex: chunk.chunkIndex
+    }, { priority: policy.priority, features: decision.features });
+    console.log(`🤖 Queued automatic analysis [${job.id}] for chunk ${chunk.chunkIndex} (policy: ${policy.sources.join(' < ')})`);
+
+    return await store.chunks.update(chunkKey, {
+      analysisJobId: job.id,
+      analysisSkipReason: null
+    });
+
+  } catch (error) {
+    // The upload itself succeeded; the chunk stays pending for a later bulk run
+    console.warn(`⚠️  Could not queue automatic analysis for chunk ${chunk.chunkIndex}:`, error.message);
+    return chunk;
+  }
+}
+
 // Upload video chunk - main endpoint
-app.post('/upload-chunk', upload.fields([
+app.post('/upload-chunk', requireScopes('chunks:write'), upload.fields([
   { name: 'video', maxCount: 1 },
   { name: 'metadata', maxCount: 1 }
 ]), async (req, res) => {
@@ -477,92 +1004,264 @@ app.post('/upload-chunk', upload.fields([
       });
     }
 
-    // Parse metadata if provided
-    let metadata = {};
-    if (metadataFile) {
-      try {
-        const metadataContent = await fs.readFile(metadataFile.path, 'utf8');
-        metadata = JSON.parse(metadataContent);
-        console.log(`📋 Metadata parsed for upload [${uploadId}]`);
-        
-        // Clean up metadata temp file immediately
+    // Validate the metadata against its schema version and upgrade it to the current one
+    let metadata;
+    try {
+      const metadataContent = metadataFile ? await fs.readFile(metadataFile.path, 'utf8') : null;
+      const parsed = parseMetadata(metadataContent);
+      metadata = parsed.metadata;
+      if (parsed.schemaVersion < CURRENT_SCHEMA_VERSION) {
+        res.set('Warning', `299 - "metadata schema version ${parsed.schemaVersion} is deprecated, send schemaVersion ${CURRENT_SCHEMA_VERSION}"`);
+      }
+      console.log(`📋 Metadata parsed for upload [${uploadId}] (schema version ${parsed.schemaVersion})`);
+    } catch (metadataError) {
+      if (metadataError.name !== 'MetadataError') {
+        throw metadataError;
+      }
+      await cleanupTempFile(videoFile.path);
+      console.warn(`🚫 Upload [${uploadId}] rejected: ${metadataError.code} - ${metadataError.message}`);
+      return res.status(metadataError.status).json({
+        success: false,
+        uploadId,
+        code: metadataError.code,
+        error: metadataError.message,
+        errors: metadataError.errors
+      });
+    } finally {
+      // Clean up metadata temp file immediately
+      if (metadataFile) {
         await cleanupTempFile(metadataFile.path);
-      } catch (metadataError) {
-        console.warn(`⚠️  Failed to parse metadata for upload [${uploadId}]:`, metadataError.message);
       }
     }
 
-    const chunkIndex = metadata.chunkIndex || Date.now();
-    const sessionId = metadata.sessionId || 'unknown';
-    
-    console.log(`📹 Processing video chunk [${uploadId}] - Session: ${sessionId}, Chunk: ${chunkIndex}`);
-    
-    // Update session info
-    if (activeSessions.has(sessionId)) {
-      const session = activeSessions.get(sessionId);
-      session.chunkCount++;
-      session.lastChunkTime = new Date();
+    const deviceId = metadata.deviceId;
+    const chunkIndex = parseChunkIndex(metadata.chunkIndex);
+
+    if (deviceId && !canAccessDevice(req, deviceId)) {
+      await cleanupTempFile(videoFile.path);
+      return deviceAccessDenied(res, deviceId);
     }
 
-    // 1. IMMEDIATE GCP UPLOAD (simultaneous with other operations)
-    const deviceId = metadata.deviceId || 'unknown';
-    const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0]; // Clean timestamp
-    const gcsPath = `devices/${deviceId}/sessions/${sessionId}/chunks/chunk_${chunkIndex}_${timestamp}.mp4`;
-    
-    // Start GCP upload immediately (don't await yet)
-    const gcsUploadPromise = uploadToGCPImmediately(videoFile.path, gcsPath, metadata);
-    
-    // 2. SIMULTANEOUSLY move to permanent storage
-    const permanentStoragePromise = moveToUploads(videoFile.path, sessionId, chunkIndex, deviceId);
-    
-    // 3. Wait for both operations to complete
-    const [gcsResult, permanentPath] = await Promise.all([
-      gcsUploadPromise,
-      permanentStoragePromise
-    ]);
-    
-    // 4. Clean up temp file after successful operations
-    await cleanupTempFile(videoFile.path);
-    
-    // 5. Store upload info with presigned URL (no immediate AI analysis)
-    if (gcsResult.success && activeSessions.has(sessionId)) {
-      const session = activeSessions.get(sessionId);
-      session.uploads.push({
+    // Version 1 metadata may name no session: the chunk goes into the device's open one
+    if (!metadata.sessionId && deviceId) {
+      metadata.sessionId = openSessionOf(store, deviceId)?.sessionId;
+    }
+    const sessionId = metadata.sessionId;
+
+    let timing;
+    let sensorTrack;
+    try {
+      timing = parseChunkTiming(metadata.timing);
+      sensorTrack = parseSensorTrack(metadata.sensorTrack);
+    } catch (metadataError) {
+      await cleanupTempFile(videoFile.path);
+      return res.status(metadataError.status).json({
+        success: false,
+        uploadId,
+        code: metadataError.code,
+        error: metadataError.message,
+        sessionId,
+        chunkIndex
+      });
+    }
+    // Kept in the datastore; too large for object metadata
+    delete metadata.sensorTrack;
+
+    // The digest the device computed must match what arrived
+    const sha256 = await sha256File(videoFile.path);
+    if (metadata.sha256 && metadata.sha256 !== sha256) {
+      await cleanupTempFile(videoFile.path);
+      console.warn(`🚫 Upload [${uploadId}] rejected: chunk ${chunkIndex} does not match its SHA-256`);
+      return res.status(422).json({
+        success: false,
+        uploadId,
+        code: 'CHECKSUM_MISMATCH',
+        error: `Chunk ${chunkIndex} does not match metadata.sha256 (received ${sha256})`,
+        sessionId,
+        chunkIndex
+      });
+    }
+
+    // Retries of the same chunk carry the same key (explicit header, or derived from its identity)
+    const requestedKey = req.get('Idempotency-Key') || `${deviceId}:${sessionId}:${chunkIndex}`;
+    const existing = store.chunks.get(requestedKey)
+      || store.chunks.findOne(chunk => chunk.sessionId === sessionId && chunk.chunkIndex === chunkIndex);
+    // A chunk stored under another key (e.g. a retry without the header) keeps its record
+    const idempotencyKey = existing?.idempotencyKey || requestedKey;
+
+    if (existing && (existing.deviceId !== deviceId || existing.sessionId !== sessionId || existing.chunkIndex !== chunkIndex)) {
+      await cleanupTempFile(videoFile.path);
+      return res.status(409).json({
+        success: false,
+        uploadId,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        error: `Idempotency key ${requestedKey} was already used for a different chunk`
+      });
+    }
+
+    // A retry must carry the same video; anything else would replace footage already stored
+    if (existing && existing.sha256 && existing.sha256 !== sha256) {
+      await cleanupTempFile(videoFile.path);
+      console.warn(`🚫 Upload [${uploadId}] rejected: chunk ${chunkIndex} was already stored with different content`);
+      return res.status(409).json({
+        success: false,
+        uploadId,
+        code: 'CHUNK_CONTENT_MISMATCH',
+        error: `Chunk ${chunkIndex} was already stored with a different SHA-256 (${existing.sha256})`,
+        sessionId,
+        chunkIndex
+      });
+    }
+
+    // Already stored (and in object storage if it is on): acknowledge without storing a second copy
+    if (existing && (existing.gcsUploaded || !STORAGE_ENABLED)) {
+      await cleanupTempFile(videoFile.path);
+      console.log(`♻️  Upload [${uploadId}] is a retry of chunk ${chunkIndex} (${idempotencyKey}), already stored`);
+      return res.json(chunkUploadResponse(existing, {
+        duplicate: true,
+        processingTime: Date.now() - startTime,
+        message: 'Video chunk was already uploaded'
+      }));
+    }
+
+    if (uploadsInFlight.has(idempotencyKey)) {
+      await cleanupTempFile(videoFile.path);
+      res.set('Retry-After', '5');
+      return res.status(409).json({
+        success: false,
         uploadId,
+        code: 'UPLOAD_IN_PROGRESS',
+        error: `Chunk ${chunkIndex} is already being uploaded; retry shortly`
+      });
+    }
+
+    // Only accept new chunks that belong to an open session of the sending device.
+    // A stored chunk whose storage upload failed earlier may always be completed.
+    if (!existing) {
+      try {
+        assertChunkAdmissible(store, { sessionId, deviceId, chunkIndex });
+      } catch (sessionError) {
+        if (!(sessionError instanceof SessionError)) {
+          throw sessionError;
+        }
+
+        await cleanupTempFile(videoFile.path);
+        console.warn(`🚫 Upload [${uploadId}] rejected: ${sessionError.code} - ${sessionError.message}`);
+        return res.status(sessionError.status).json({
+          success: false,
+          uploadId,
+          code: sessionError.code,
+          error: sessionError.message,
+          sessionId,
+          chunkIndex
+        });
+      }
+    }
+
+    uploadsInFlight.add(idempotencyKey);
+    events.publish('chunk.received', { deviceId, sessionId, chunkIndex, uploadId, size: videoFile.size });
+    let chunk;
+    try {
+      console.log(`📹 Processing video chunk [${uploadId}] - Session: ${sessionId}, Chunk: ${chunkIndex}${existing ? ' (resuming storage upload)' : ''}`);
+
+      // 1. IMMEDIATE STORAGE UPLOAD (simultaneous with other operations)
+      const fileName = existing ? existing.fileName : chunkFileName(chunkIndex, metadata.timestamp);
+      const gcsPath = `devices/${deviceId}/sessions/${sessionId}/chunks/${fileName}`;
+
+      // Start storage upload immediately (don't await yet)
+      const gcsUploadPromise = uploadToStorage(videoFile.path, gcsPath, { ...metadata, sha256 });
+
+      // 2. SIMULTANEOUSLY move to permanent storage
+      const permanentStoragePromise = moveToUploads(videoFile.path, sessionId, fileName, deviceId);
+
+      // 3. Wait for both operations to complete
+      const [gcsResult, permanentPath] = await Promise.all([
+        gcsUploadPromise,
+        permanentStoragePromise
+      ]);
+
+      // 4. Clean up temp file after successful operations
+      await cleanupTempFile(videoFile.path);
+
+      // 5. Store upload info with presigned URL (no immediate AI analysis).
+      // gcsPath/gcsUri keep their original names but hold the active driver's object key and URI.
+      chunk = await store.chunks.put(idempotencyKey, {
+        uploadId: existing ? existing.uploadId : uploadId,
+        idempotencyKey,
+        sessionId,
+        deviceId,
         chunkIndex,
-        gcsUri: gcsResult.gcsUri,
-        presignedUrl: gcsResult.presignedUrl,
-        expiresAt: gcsResult.expiresAt,
+        fileName,
+        gcsPath,
+        gcsUri: gcsResult.uri || null,
+        gcsUploaded: gcsResult.success,
+        presignedUrl: gcsResult.presignedUrl || null,
+        expiresAt: gcsResult.expiresAt || null,
         localPath: permanentPath,
+        size: videoFile.size,
+        sha256,
+        previousSha256: metadata.previousSha256 || null,
+        // Who computed the digest first: 'device' (chained) or, for older app builds, 'server'
+        checksum: metadata.sha256 ? 'device' : 'server',
+        sensorSamples: sensorTrack ? summarizeSensorTrack(sensorTrack) : existing?.sensorSamples || null,
         analysisStatus: 'pending', // Ready for later analysis
-        timestamp: new Date()
+        timing: timing || existing?.timing || null,
+        // Guard mode's motion trigger (see App: src/motionGuard.ts)
+        trigger: metadata.trigger || existing?.trigger || null,
+        // Format, fps and bitrate the chunk was recorded with, as the app's adaptive controller chose them
+        recordingSettings: metadata.recordingSettings || existing?.recordingSettings || null,
+        timestamp: existing ? existing.timestamp : new Date().toISOString(),
+        // Server clock, unlike the metadata's timestamp; retention ages chunks by it
+        receivedAt: existing ? existing.receivedAt || existing.timestamp : new Date().toISOString()
       });
+      if (sensorTrack) {
+        await sensorTracks.save(idempotencyKey, { deviceId, sessionId, chunkIndex }, sensorTrack);
+      }
+    } finally {
+      uploadsInFlight.delete(idempotencyKey);
     }
-    
+
+    events.publish('chunk.stored', {
+      deviceId,
+      sessionId,
+      chunkIndex,
+      uploadId: chunk.uploadId,
+      gcsUploaded: chunk.gcsUploaded,
+      gcsUri: chunk.gcsUri
+    });
+
+    // Counted before any follow-up work, so the session matches the chunks stored
+    const session = existing
+      ? store.sessions.get(sessionId)
+      : await store.sessions.update(sessionId, current => ({
+        chunkCount: current.chunkCount + 1,
+        lastChunkTime: new Date().toISOString()
+      }));
+
+    // 6. Queue previews and automatic analysis once the chunk is in object storage, as its policy allows.
+    // Both are best-effort: the chunk is stored either way.
+    if (chunk.gcsUploaded && !existing?.gcsUploaded) {
+      try {
+        await jobs.enqueue('preview', { gcsUri: chunk.gcsUri }, { dedupeKey: `preview:${chunk.gcsUri}` });
+      } catch (previewError) {
+        console.warn(`⚠️  Could not queue the preview for chunk ${chunkIndex}:`, previewError.message);
+      }
+      chunk = await queueAutoAnalysis(idempotencyKey, chunk);
+    }
+
     const totalDuration = Date.now() - startTime;
     
     console.log(`✅ Upload [${uploadId}] completed in ${totalDuration}ms`);
-    console.log(`   📤 GCS Upload: ${gcsResult.success ? '✅' : '❌'} (${gcsResult.duration || 0}ms)`);
+    console.log(`   📤 Storage Upload: ${chunk.gcsUploaded ? '✅' : '❌'}`);
     console.log(`   📁 Local Storage: ✅`);
-    console.log(`   🔗 Presigned URL: ${gcsResult.success ? '✅ 48h validity' : '❌'}`);
+    console.log(`   🔗 Presigned URL: ${chunk.gcsUploaded ? '✅ 48h validity' : '❌'}`);
 
     // Send response with presigned URL for immediate access
-    res.json({
-      success: true,
-      uploadId,
-      sessionId,
-      chunkIndex,
-      gcsUpload: {
-        success: gcsResult.success,
-        gcsUri: gcsResult.gcsUri,
-        presignedUrl: gcsResult.presignedUrl,
-        expiresAt: gcsResult.expiresAt
-      },
-      localPath: permanentPath,
+    res.json(chunkUploadResponse(chunk, {
+      sessionChunkCount: session.chunkCount,
       processingTime: totalDuration,
-      timestamp: new Date().toISOString(),
       message: 'Video chunk uploaded successfully with 48h access URL'
-    });
+    }));
 
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -579,16 +1278,24 @@ app.post('/upload-chunk', upload.fields([
 });
 
 // Get session status
-app.get('/session/:sessionId', (req, res) => {
+app.get('/session/:sessionId', requireScopes('device:read'), (req, res) => {
   const { sessionId } = req.params;
-  
-  if (activeSessions.has(sessionId)) {
-    const session = activeSessions.get(sessionId);
+
+  if (store.sessions.has(sessionId)) {
+    const session = store.sessions.get(sessionId);
+    if (!canAccessDevice(req, session.deviceId)) {
+      return deviceAccessDenied(res, session.deviceId);
+    }
+
+    const uploads = store.chunks
+      .find(chunk => chunk.sessionId === sessionId)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
     res.json({
       success: true,
       session: {
         ...session,
-        uploads: session.uploads || []
+        uploads
       }
     });
   } else {
@@ -599,12 +1306,152 @@ app.get('/session/:sessionId', (req, res) => {
   }
 });
 
+// Get ordered chunk manifest for a session, including missing chunk indices
+app.get('/session/:sessionId/manifest', requireScopes('device:read'), (req, res) => {
+  const manifest = buildSessionManifest(store, req.params.sessionId);
+
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found'
+    });
+  }
+
+  if (!canAccessDevice(req, manifest.deviceId)) {
+    return deviceAccessDenied(res, manifest.deviceId);
+  }
+
+  res.json({
+    success: true,
+    manifest
+  });
+});
+
+// Chunks placed on the session timeline, with the ranges that have no footage
+app.get('/session/:sessionId/timeline', requireScopes('device:read'), (req, res) => {
+  const timeline = buildSessionTimeline(store, req.params.sessionId);
+
+  if (!timeline) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found'
+    });
+  }
+
+  if (!canAccessDevice(req, timeline.deviceId)) {
+    return deviceAccessDenied(res, timeline.deviceId);
+  }
+
+  res.json({
+    success: true,
+    timeline
+  });
+});
+
+// Sensor samples of a session on the wall clock, for map and timeline views.
+// ?streams=location,heading,motion&from=&to= (ISO times); ?format=geojson gives the location path
+app.get('/session/:sessionId/sensors', requireScopes('device:read'), (req, res) => {
+  const session = store.sessions.get(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found'
+    });
+  }
+
+  if (!canAccessDevice(req, session.deviceId)) {
+    return deviceAccessDenied(res, session.deviceId);
+  }
+
+  const invalid = error => res.status(400).json({
+    success: false,
+    code: 'INVALID_SENSOR_QUERY',
+    error
+  });
+  const streams = typeof req.query.streams === 'string' ? req.query.streams.split(',').map(stream => stream.trim()) : SENSOR_STREAMS;
+  const unknown = streams.filter(stream => !SENSOR_STREAMS.includes(stream));
+  if (unknown.length > 0) {
+    return invalid(`Unknown sensor streams: ${unknown.join(', ')} (use ${SENSOR_STREAMS.join(', ')})`);
+  }
+  const [from, to] = [req.query.from, req.query.to].map(value => (typeof value === 'string' ? Date.parse(value) : null));
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return invalid('from and to must be ISO 8601 times');
+  }
+
+  if (req.query.format === 'geojson') {
+    const track = sensorTracks.forSession(session.sessionId, { streams: ['location'], from, to });
+    return res.type('application/geo+json').json(sensorTracks.toGeoJson(track));
+  }
+
+  res.json({
+    success: true,
+    deviceId: session.deviceId,
+    ...sensorTracks.forSession(session.sessionId, { streams, from, to })
+  });
+});
+
+// Chunks of a session with fresh signed URLs for playback and their analysis summaries
+app.get('/session/:sessionId/playback', requireScopes('device:read'), async (req, res) => {
+  const manifest = buildSessionManifest(store, req.params.sessionId);
+
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      error: 'Session not found'
+    });
+  }
+
+  if (!canAccessDevice(req, manifest.deviceId)) {
+    return deviceAccessDenied(res, manifest.deviceId);
+  }
+
+  try {
+    const chunks = await Promise.all(manifest.chunks.map(async chunk => {
+      const objectKey = STORAGE_ENABLED && !chunk.purgedAt && chunk.gcsUri && storage.keyFromUri(chunk.gcsUri);
+      const analysis = chunk.gcsUri ? store.analysis.get(chunk.gcsUri) : null;
+      return {
+        chunkIndex: chunk.chunkIndex,
+        gcsUri: chunk.gcsUri,
+        timing: chunk.timing,
+        trigger: chunk.trigger,
+        purgedAt: chunk.purgedAt,
+        url: objectKey ? await storage.getSignedReadUrl(objectKey, { expiresIn: SIGNED_URL_TTL_MS }) : null,
+        ...(await previews.describe(chunk.gcsUri, { expiresIn: SIGNED_URL_TTL_MS })),
+        analysisStatus: analysis ? (analysis.status === 'failed' ? 'failed' : 'completed') : 'pending',
+        summary: analysis?.result?.summary || null
+      };
+    }));
+
+    res.json({
+      success: true,
+      sessionId: manifest.sessionId,
+      deviceId: manifest.deviceId,
+      chunks,
+      missingChunks: manifest.missingChunks,
+      expiresAt: new Date(Date.now() + SIGNED_URL_TTL_MS).toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error signing session playback URLs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // List all sessions
-app.get('/sessions', (req, res) => {
-  const sessions = Array.from(activeSessions.entries()).map(([id, session]) => ({
-    sessionId: id,
-    ...session
-  }));
+app.get('/sessions', requireAdmin, (req, res) => {
+  const sessions = store.sessions.entries()
+    .map(([id, session]) => ({
+      sessionId: id,
+      ...session
+    }))
+    .sort((a, b) => Date.parse(b.startTime) - Date.parse(a.startTime));
   
   res.json({
     success: true,
@@ -613,66 +1460,97 @@ app.get('/sessions', (req, res) => {
   });
 });
 
-// List all uploaded videos
-app.get('/videos', async (req, res) => {
+// Check a session's chunks against their digests and hash chain (see integrity.js).
+// ?rehash=false only checks the recorded digests, without reading the files.
+app.get('/sessions/:sessionId/verify', requireAdmin, async (req, res) => {
   try {
-    if (!GCS_ENABLED) {
-      return res.status(503).json({
+    const verification = await integrity.verifySession(req.params.sessionId, {
+      rehash: req.query.rehash !== 'false'
+    });
+
+    if (!verification) {
+      return res.status(404).json({
         success: false,
-        error: 'GCS not enabled'
+        code: 'SESSION_NOT_FOUND',
+        error: 'Session not found'
       });
     }
 
-    const bucket = storage.bucket(BUCKET_NAME);
-    const [files] = await bucket.getFiles({
-      prefix: 'devices/', // Get all video files under devices/
+    res.json({
+      success: true,
+      verification
+    });
+  } catch (error) {
+    console.error(`❌ Verification of session ${req.params.sessionId} failed:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    const videos = await Promise.all(
-      files
-        .filter(file => file.name.endsWith('.mp4') || file.name.endsWith('.mov') || file.name.endsWith('.mkv'))
-        .map(async (file) => {
-          try {
-            const [metadata] = await file.getMetadata();
-            
-            // Generate new presigned URL (48 hours)
-            const [presignedUrl] = await file.getSignedUrl({
-              action: 'read',
-              expires: Date.now() + 48 * 60 * 60 * 1000,
-            });
-
-            const gcsUri = `gs://${BUCKET_NAME}/${file.name}`;
-            const analysisData = analysisResults.get(gcsUri);
-
-            return {
-              filename: file.name,
-              gcsUri,
-              presignedUrl,
-              expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
-              size: metadata.size,
-              created: metadata.timeCreated,
-              updated: metadata.updated,
-              analysisStatus: analysisData ? (analysisData.status === 'failed' ? 'failed' : 'completed') : 'pending',
-              analysisCompletedAt: analysisData?.completedAt,
-              deviceId: metadata.metadata?.deviceId || 'unknown',
-              sessionId: file.name.split('/')[2] || 'unknown', // Extract from path
-              chunkIndex: metadata.metadata?.chunkIndex || 'unknown'
-            };
-          } catch (error) {
-            console.warn(`⚠️  Could not get metadata for ${file.name}:`, error.message);
-            return {
-              filename: file.name,
-              gcsUri: `gs://${BUCKET_NAME}/${file.name}`,
-              error: 'Metadata unavailable'
-            };
-          }
-        })
-    );
+// Describe every stored video under a key prefix, with a fresh 48h presigned URL.
+// Objects whose metadata cannot be read are left out.
+async function listStoredVideos(prefix, fallbackDeviceId = 'unknown') {
+  const objects = (await storage.list(prefix)).filter(object => isVideoKey(object.key));
+
+  const videos = await Promise.all(
+    objects.map(async (object) => {
+      try {
+        const details = await storage.stat(object.key);
+        const presignedUrl = await storage.getSignedReadUrl(object.key, { expiresIn: SIGNED_URL_TTL_MS });
+
+        const gcsUri = storage.uri(object.key);
+        const analysisData = store.analysis.get(gcsUri);
+        const { thumbnailUrl, sprites, personCrops } = await previews.describe(gcsUri, { expiresIn: SIGNED_URL_TTL_MS });
+
+        return {
+          filename: object.key,
+          gcsUri,
+          presignedUrl,
+          expiresAt: new Date(Date.now() + SIGNED_URL_TTL_MS).toISOString(),
+          thumbnailUrl,
+          sprites,
+          personCrops,
+          size: details.size,
+          created: details.created,
+          updated: details.updated,
+          analysisStatus: analysisData ? (analysisData.status === 'failed' ? 'failed' : 'completed') : 'pending',
+          analysisCompletedAt: analysisData?.completedAt,
+          deviceId: details.metadata.deviceId || fallbackDeviceId,
+          sessionId: object.key.split('/')[3] || 'unknown', // devices/<deviceId>/sessions/<sessionId>/...
+          chunkIndex: details.metadata.chunkIndex || 'unknown'
+        };
+      } catch (error) {
+        console.warn(`⚠️  Could not get metadata for ${object.key}:`, error.message);
+        return null;
+      }
+    })
+  );
+
+  return videos.filter(Boolean);
+}
+
+function storageUnavailable(res) {
+  return res.status(503).json({
+    success: false,
+    error: 'Object storage not enabled'
+  });
+}
+
+// List all uploaded videos
+app.get('/videos', requireAdmin, async (req, res) => {
+  try {
+    if (!STORAGE_ENABLED) {
+      return storageUnavailable(res);
+    }
+
+    const videos = await listStoredVideos('devices/');
 
     res.json({
       success: true,
-      videos: videos.filter(v => !v.error), // Only return successful ones
-      total: videos.filter(v => !v.error).length,
+      videos,
+      total: videos.length,
       timestamp: new Date().toISOString()
     });
 
@@ -686,64 +1564,19 @@ app.get('/videos', async (req, res) => {
 });
 
 // Get videos by device ID
-app.get('/videos/device/:deviceId', async (req, res) => {
+app.get('/videos/device/:deviceId', requireScopes('device:read'), async (req, res) => {
   try {
     const { deviceId } = req.params;
+
+    if (!canAccessDevice(req, deviceId)) {
+      return deviceAccessDenied(res, deviceId);
+    }
     
-    if (!GCS_ENABLED) {
-      return res.status(503).json({
-        success: false,
-        error: 'GCS not enabled'
-      });
+    if (!STORAGE_ENABLED) {
+      return storageUnavailable(res);
     }
 
-    const bucket = storage.bucket(BUCKET_NAME);
-    const [files] = await bucket.getFiles({
-      prefix: `devices/${deviceId}/`, // Filter by device ID
-    });
-
-    const videos = await Promise.all(
-      files
-        .filter(file => file.name.endsWith('.mp4') || file.name.endsWith('.mov') || file.name.endsWith('.mkv'))
-        .map(async (file) => {
-          try {
-            const [metadata] = await file.getMetadata();
-            
-            // Generate new presigned URL (48 hours)
-            const [presignedUrl] = await file.getSignedUrl({
-              action: 'read',
-              expires: Date.now() + 48 * 60 * 60 * 1000,
-            });
-
-            const gcsUri = `gs://${BUCKET_NAME}/${file.name}`;
-            const analysisData = analysisResults.get(gcsUri);
-
-            return {
-              filename: file.name,
-              gcsUri,
-              presignedUrl,
-              expiresAt: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
-              size: metadata.size,
-              created: metadata.timeCreated,
-              updated: metadata.updated,
-              analysisStatus: analysisData ? (analysisData.status === 'failed' ? 'failed' : 'completed') : 'pending',
-              analysisCompletedAt: analysisData?.completedAt,
-              deviceId: metadata.metadata?.deviceId || deviceId,
-              sessionId: file.name.split('/')[2] || 'unknown',
-              chunkIndex: metadata.metadata?.chunkIndex || 'unknown'
-            };
-          } catch (error) {
-            console.warn(`⚠️  Could not get metadata for ${file.name}:`, error.message);
-            return {
-              filename: file.name,
-              gcsUri: `gs://${BUCKET_NAME}/${file.name}`,
-              error: 'Metadata unavailable'
-            };
-          }
-        })
-    );
-
-    const validVideos = videos.filter(v => !v.error);
+    const validVideos = await listStoredVideos(`devices/${deviceId}/`, deviceId);
 
     res.json({
       success: true,
@@ -768,7 +1601,7 @@ app.get('/videos/device/:deviceId', async (req, res) => {
 });
 
 // Get analysis results for a specific video
-app.get('/analysis/:gcsUri(*)', async (req, res) => {
+app.get('/analysis/:gcsUri(*)', requireScopes('device:read'), async (req, res) => {
   try {
     const gcsUri = req.params.gcsUri;
     
@@ -779,10 +1612,15 @@ app.get('/analysis/:gcsUri(*)', async (req, res) => {
       });
     }
 
-    // Reconstruct full GCS URI if needed
-    const fullGcsUri = gcsUri.startsWith('gs://') ? gcsUri : `gs://${BUCKET_NAME}/${gcsUri}`;
+    // Reconstruct the full storage URI from a bare object key if needed
+    const fullGcsUri = /^[a-z0-9]+:\/\//.test(gcsUri) ? gcsUri : storage.uri(gcsUri);
+
+    const ownerDeviceId = deviceIdFromObjectPath(fullGcsUri);
+    if (!canAccessDevice(req, ownerDeviceId)) {
+      return deviceAccessDenied(res, ownerDeviceId);
+    }
     
-    const analysisData = analysisResults.get(fullGcsUri);
+    const analysisData = store.analysis.get(fullGcsUri);
     
     if (!analysisData) {
       return res.status(404).json({
@@ -810,9 +1648,9 @@ app.get('/analysis/:gcsUri(*)', async (req, res) => {
 });
 
 // Get all analysis results
-app.get('/analysis', (req, res) => {
+app.get('/analysis', requireAdmin, (req, res) => {
   try {
-    const allAnalysis = Array.from(analysisResults.entries()).map(([gcsUri, data]) => ({
+    const allAnalysis = store.analysis.entries().map(([gcsUri, data]) => ({
       gcsUri,
       ...data
     }));
@@ -844,7 +1682,7 @@ app.get('/analysis', (req, res) => {
 });
 
 // Trigger video analysis for specific video
-app.post('/analyze-video', async (req, res) => {
+app.post('/analyze-video', requireAdmin, async (req, res) => {
   try {
     const { gcsUri, videoId } = req.body;
 
@@ -855,57 +1693,29 @@ app.post('/analyze-video', async (req, res) => {
       });
     }
 
-    if (!VIDEO_AI_ENABLED) {
+    if (!ANALYSIS_ENABLED) {
       return res.status(503).json({
         success: false,
-        error: 'Video AI not enabled'
+        error: 'Video analysis not enabled'
       });
     }
 
-    const analysisId = uuidv4();
-    console.log(`🤖 Starting manual analysis [${analysisId}] for: ${gcsUri}`);
-
-    // Start analysis (fire and forget)
-    processVideoAnalysis(gcsUri, { 
-      analysisId,
+    // Manual requests jump ahead of bulk runs
+    const job = await enqueueAnalysis(gcsUri, {
       videoId: videoId || gcsUri,
-      triggeredAt: new Date().toISOString(),
       type: 'manual'
-    })
-      .then(result => {
-        console.log(`✅ Manual analysis completed [${analysisId}]`);
-        
-        // Store analysis results for later retrieval
-        analysisResults.set(gcsUri, {
-          analysisId,
-          gcsUri,
-          result,
-          completedAt: new Date().toISOString(),
-          type: 'manual'
-        });
-        
-        console.log(`💾 Analysis results stored for: ${gcsUri}`);
-      })
-      .catch(error => {
-        console.error(`❌ Manual analysis failed [${analysisId}]:`, error.message);
-        
-        // Store error results too
-        analysisResults.set(gcsUri, {
-          analysisId,
-          gcsUri,
-          error: error.message,
-          completedAt: new Date().toISOString(),
-          type: 'manual',
-          status: 'failed'
-        });
-      });
+    }, { priority: 10 });
+    console.log(`🤖 ${job.duplicate ? 'Already queued' : 'Queued'} manual analysis [${job.id}] for: ${gcsUri}`);
 
     res.json({
       success: true,
-      analysisId,
-      message: 'Video analysis started',
+      analysisId: job.id,
+      jobId: job.id,
+      jobStatus: job.status,
+      duplicate: Boolean(job.duplicate),
+      message: job.duplicate ? 'Video analysis already queued' : 'Video analysis queued',
       gcsUri,
-      estimatedCompletion: new Date(Date.now() + 5 * 60 * 1000).toISOString() // ~5 minutes
+      statusUrl: `/jobs/${job.id}`
     });
 
   } catch (error) {
@@ -918,99 +1728,73 @@ app.post('/analyze-video', async (req, res) => {
 });
 
 // Trigger bulk analysis for all pending videos
-app.post('/analyze-all-videos', async (req, res) => {
+app.post('/analyze-all-videos', requireAdmin, async (req, res) => {
   try {
-    if (!VIDEO_AI_ENABLED) {
-      return res.status(503).json({
-        success: false,
-        error: 'Video AI not enabled'
-      });
-    }
+    // Videos whose analysis failed for good are only retried on request
+    const retryFailed = req.body?.retryFailed === true;
 
-    if (!GCS_ENABLED) {
+    if (!ANALYSIS_ENABLED) {
       return res.status(503).json({
         success: false,
-        error: 'GCS not enabled'
+        error: 'Video analysis not enabled'
       });
     }
 
-    const bucket = storage.bucket(BUCKET_NAME);
-    const [files] = await bucket.getFiles({
-      prefix: 'devices/',
-    });
+    if (!STORAGE_ENABLED) {
+      return storageUnavailable(res);
+    }
 
-    const videoFiles = files.filter(file => 
-      file.name.endsWith('.mp4') || file.name.endsWith('.mov') || file.name.endsWith('.mkv')
-    );
+    const videoFiles = (await storage.list('devices/')).filter(object => isVideoKey(object.key));
 
     let analysisTasks = [];
     let pendingCount = 0;
+    let alreadyQueued = 0;
 
     for (const file of videoFiles) {
       try {
-        const [metadata] = await file.getMetadata();
-        const analysisStatus = metadata.metadata?.analysisStatus;
+        const gcsUri = storage.uri(file.key);
+        const details = await storage.stat(file.key);
+        const analysisStatus = details?.metadata.analysisStatus;
+        const analyzed = store.analysis.get(gcsUri);
         
-        if (analysisStatus === 'pending' || !analysisStatus) {
-          const gcsUri = `gs://${BUCKET_NAME}/${file.name}`;
-          const analysisId = uuidv4();
-          
-          analysisTasks.push({
-            analysisId,
-            gcsUri,
-            filename: file.name
+        // 'queued' videos are included in case their job was cancelled; live jobs are deduplicated
+        const selectable = !analysisStatus || ['pending', 'queued'].includes(analysisStatus)
+          || (retryFailed && analysisStatus === 'failed');
+        if (selectable && (!analyzed || analyzed.status === 'failed')) {
+          const job = await enqueueAnalysis(gcsUri, {
+            filename: file.key,
+            type: 'bulk'
           });
 
-          // Start analysis (fire and forget)
-          processVideoAnalysis(gcsUri, {
-            analysisId,
-            filename: file.name,
-            triggeredAt: new Date().toISOString(),
-            type: 'bulk'
-          })
-            .then(result => {
-              console.log(`✅ Bulk analysis completed [${analysisId}] for: ${file.name}`);
-              
-              // Store analysis results for later retrieval
-              analysisResults.set(gcsUri, {
-                analysisId,
-                gcsUri,
-                filename: file.name,
-                result,
-                completedAt: new Date().toISOString(),
-                type: 'bulk'
-              });
-            })
-            .catch(error => {
-              console.error(`❌ Bulk analysis failed [${analysisId}] for ${file.name}:`, error.message);
-              
-              // Store error results too
-              analysisResults.set(gcsUri, {
-                analysisId,
-                gcsUri,
-                filename: file.name,
-                error: error.message,
-                completedAt: new Date().toISOString(),
-                type: 'bulk',
-                status: 'failed'
-              });
-            });
+          if (job.duplicate) {
+            alreadyQueued++;
+            continue;
+          }
 
+          analysisTasks.push({
+            analysisId: job.id,
+            jobId: job.id,
+            gcsUri,
+            filename: file.key
+          });
           pendingCount++;
         }
       } catch (error) {
-        console.warn(`⚠️  Could not check analysis status for ${file.name}:`, error.message);
+        console.warn(`⚠️  Could not check analysis status for ${file.key}:`, error.message);
       }
     }
 
+    console.log(`🤖 Queued bulk analysis for ${pendingCount} videos (${alreadyQueued} already queued)`);
+
     res.json({
       success: true,
-      message: `Started analysis for ${pendingCount} pending videos`,
+      message: `Queued analysis for ${pendingCount} pending videos`,
       totalVideos: videoFiles.length,
       pendingAnalysis: pendingCount,
-      alreadyAnalyzed: videoFiles.length - pendingCount,
+      alreadyQueued,
+      alreadyAnalyzed: videoFiles.length - pendingCount - alreadyQueued,
       analysisTasks,
-      estimatedCompletion: new Date(Date.now() + pendingCount * 2 * 60 * 1000).toISOString() // ~2 min per video
+      statusUrl: '/jobs?type=analysis'
     });
 
   } catch (error) {
@@ -1023,13 +1807,14 @@ app.post('/analyze-all-videos', async (req, res) => {
 });
 
 // Debug endpoint
-app.get('/debug/status', (req, res) => {
+app.get('/debug/status', requireAdmin, (req, res) => {
   res.json({
     timestamp: new Date(),
-    activeSessions: activeSessions.size,
+    activeSessions: store.sessions.count(s => s.status === 'active'),
+    datastore: store.stats(),
     services: {
-      gcs: GCS_ENABLED,
-      videoAI: VIDEO_AI_ENABLED
+      storage: STORAGE_ENABLED,
+      analysis: ANALYSIS_ENABLED
     },
     directories: {
       temp: TEMP_DIR,
@@ -1043,29 +1828,69 @@ app.get('/debug/status', (req, res) => {
 async function startServer() {
   console.log('🚀 Starting Heimdall Backend v3.0...');
   
-  // Initialize Google Cloud services
-  await initializeGoogleCloudServices();
+  // Open the persistent datastore before accepting any requests
+  store = await openDatastore({ driver: DATASTORE_DRIVER, dataDir: DATA_DIR });
+  console.log(`✅ Datastore ready (${store.driver}, schema v${store.schemaVersion})`);
+  console.log(`🔎 Search index built (${searchIndex.rebuild()} analyzed videos)`);
+
+  // Initialize object storage and the analysis provider
+  await initializeStorage();
+  await initializeAnalysis();
+
+  // Resume background jobs left over from the previous run
+  await jobs.start();
   
   // Start temp file monitoring
   startTempFileMonitoring();
+  startRetentionSweeps();
   
-  // Start the server
-  app.listen(PORT, () => {
+  // Start the server, with the live event feed on the same port
+  const server = app.listen(PORT, () => {
     console.log(`✅ Heimdall Backend v3.0 running on port ${PORT}`);
     console.log(`🌐 Ready to process video uploads`);
     console.log(`🔧 Services Status:`);
-    console.log(`   🪣 GCS Upload: ${GCS_ENABLED ? '✅ Enabled' : '❌ Disabled'}`);
-    console.log(`   🤖 Video AI: ${VIDEO_AI_ENABLED ? '✅ Enabled (Separate Analysis)' : '❌ Disabled'}`);
+    console.log(`   🪣 Storage Upload (${storage.name}): ${STORAGE_ENABLED ? '✅ Enabled' : '❌ Disabled'}`);
+    console.log(`   🤖 Video AI (${analysisProvider.name}): ${ANALYSIS_ENABLED ? '✅ Enabled (Separate Analysis)' : '❌ Disabled'}`);
     console.log(`   📁 Temp Directory: ${TEMP_DIR}`);
     console.log(`   📁 Uploads Directory: ${UPLOADS_DIR}`);
     console.log(`   🔗 Presigned URLs: 48-hour validity`);
-    console.log(`   🔄 Temp Monitoring: ${GCS_ENABLED ? '✅ Active (30s intervals)' : '❌ Disabled'}`);
+    console.log(`   🔄 Temp Monitoring: ${STORAGE_ENABLED ? '✅ Active (30s intervals)' : '❌ Disabled'}`);
+    console.log(`   🧹 Retention Sweeps: ${RETENTION_SWEEP_INTERVAL_MINUTES > 0 ? `✅ Every ${RETENTION_SWEEP_INTERVAL_MINUTES} minutes` : '❌ Disabled'}`);
+    console.log(`   🔐 Admin API keys: ${auth.adminKeysConfigured ? '✅ Configured' : '⚠️  None (admin routes unavailable)'}`);
+    console.log(`   📡 Live events: ✅ ws://localhost:${PORT}${EVENTS_PATH}`);
+    console.log(`   🎥 Live ingest: ✅ ws://localhost:${PORT}${LIVE_INGEST_PATH}`);
+  });
+  eventsSocket = attachEventsSocket(server, { bus: events, auth, getStore: () => store, path: EVENTS_PATH });
+  liveIngest = attachLiveIngest(server, {
+    live,
+    auth,
+    getStore: () => store,
+    path: LIVE_INGEST_PATH,
+    publicBaseUrl: CONFIGURED_PUBLIC_BASE_URL
+  });
+  // Each socket handles only its own path; refuse upgrades to anything else
+  server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (![EVENTS_PATH, LIVE_INGEST_PATH].includes(pathname)) {
+      socket.destroy();
+    }
   });
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('🛑 Shutting down gracefully...');
+  if (eventsSocket) {
+    eventsSocket.close();
+  }
+  if (liveIngest) {
+    liveIngest.close();
+  }
+  await live.stopAll();
+  await jobs.stop();
+  if (store) {
+    await store.close();
+  }
   process.exit(0);
 });
 
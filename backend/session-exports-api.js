@@ -0,0 +1,127 @@
+const express = require('express');
+
+// Session exports, mounted at /sessions (admin only)
+function createSessionExportsRouter(sessionExports, { storage, signedUrlTtlMs }) {
+  const router = express.Router();
+
+  function handleError(res, error, action) {
+    if (error.name === 'ExportError') {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        error: error.message
+      });
+    }
+    console.error(`❌ Failed to ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  // The export, if it belongs to the session in the URL
+  function findExport(req, res) {
+    const record = sessionExports.getExport(req.params.exportId);
+    if (!record || record.sessionId !== req.params.sessionId) {
+      res.status(404).json({
+        success: false,
+        code: 'EXPORT_NOT_FOUND',
+        error: `Export ${req.params.exportId} not found for session ${req.params.sessionId}`
+      });
+      return null;
+    }
+    return record;
+  }
+
+  const links = record => ({
+    statusUrl: `/sessions/${record.sessionId}/exports/${record.id}`,
+    downloadUrl: `/sessions/${record.sessionId}/exports/${record.id}/download`
+  });
+
+  // Body (optional): { "format": "mp4" | "hls" } (default mp4)
+  router.post('/:sessionId/export', async (req, res) => {
+    try {
+      const { duplicate, ...record } = await sessionExports.requestExport(req.params.sessionId, {
+        format: req.body?.format
+      });
+      if (!duplicate) {
+        console.log(`🎬 Export queued for session ${record.sessionId}: ${record.format} (${record.id})`);
+      }
+      res.status(duplicate ? 200 : 202).json({
+        success: true,
+        export: record,
+        duplicate: Boolean(duplicate),
+        ...links(record)
+      });
+    } catch (error) {
+      handleError(res, error, 'queue session export');
+    }
+  });
+
+  router.get('/:sessionId/exports', (req, res) => {
+    const exportList = sessionExports.listExports(req.params.sessionId);
+    res.json({
+      success: true,
+      sessionId: req.params.sessionId,
+      exports: exportList,
+      total: exportList.length
+    });
+  });
+
+  router.get('/:sessionId/exports/:exportId', (req, res) => {
+    const record = findExport(req, res);
+    if (!record) {
+      return;
+    }
+    res.json({
+      success: true,
+      export: record,
+      ...links(record)
+    });
+  });
+
+  // MP4: redirect to a signed URL (or the file itself without object storage). HLS: the playlist.
+  router.get('/:sessionId/exports/:exportId/download', async (req, res) => {
+    const record = findExport(req, res);
+    if (!record) {
+      return;
+    }
+
+    if (record.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        code: 'EXPORT_NOT_READY',
+        error: `Export ${record.id} is ${record.status}`,
+        export: record
+      });
+    }
+
+    if (record.purgedAt) {
+      return res.status(410).json({
+        success: false,
+        code: 'EXPORT_PURGED',
+        error: `Export ${record.id} was deleted by retention on ${record.purgedAt}`,
+        export: record
+      });
+    }
+
+    try {
+      if (record.format === 'hls') {
+        const playlist = await sessionExports.renderPlaylist(record, { expiresIn: signedUrlTtlMs });
+        res.set('Content-Disposition', `inline; filename="session-${record.sessionId}.m3u8"`);
+        return res.type('application/vnd.apple.mpegurl').send(playlist);
+      }
+
+      if (record.output.key) {
+        return res.redirect(await storage.getSignedReadUrl(record.output.key, { expiresIn: signedUrlTtlMs }));
+      }
+      res.download(record.output.localPath, `session-${record.sessionId}.mp4`);
+    } catch (error) {
+      handleError(res, error, 'download session export');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSessionExportsRouter };
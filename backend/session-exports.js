@@ -0,0 +1,274 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { PermanentJobError } = require('./jobs');
+const { runFfmpeg, parseDuration } = require('./ffmpeg');
+const { buildSessionManifest, buildSessionTimeline } = require('./sessions');
+
+// Session exports: a recording session's chunks joined in chunkIndex order, either into one
+// MP4 (ffmpeg concat demuxer, stream copy without re-encoding) or as an HLS playlist that
+// points at the stored chunks. Export records are kept in the datastore's `exports`
+// collection and built by `export` jobs.
+//
+// Export statuses: queued -> running -> completed | failed (cancelled when its job is)
+//
+// MP4 exports are uploaded to object storage as exports/<deviceId>/<sessionId>/<id>.mp4,
+// outside devices/ so they are neither listed as chunks nor analyzed, or kept in the exports
+// directory when storage is off. HLS playlists are rendered on each download with fresh
+// signed chunk URLs; missing chunks and recording gaps are marked with EXT-X-DISCONTINUITY.
+// The chunks stay MP4 files, so the playlist suits ffmpeg, VLC and Safari rather than hls.js.
+
+const FORMATS = ['mp4', 'hls'];
+const UNFINISHED_STATUSES = ['queued', 'running'];
+
+class ExportError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Paths in an ffmpeg concat list are single-quoted; quotes inside are closed, escaped and reopened
+const concatEntry = filePath => `file '${filePath.replace(/'/g, '\'\\\'\'')}'`;
+
+// `localChunkCopy(chunk)` resolves to { localPath, cleanup } for a stored chunk;
+// `isStorageEnabled()` tells whether exports can be uploaded and chunks signed
+function createSessionExports(getStore, { jobs, storage, events = null, ffmpegPath = 'ffmpeg', workDir, localChunkCopy, isStorageEnabled }) {
+  const exportsCollection = () => getStore().collection('exports');
+
+  // The record, with the status of a cancelled job carried over
+  function withJobStatus(record) {
+    if (!record || !UNFINISHED_STATUSES.includes(record.status)) {
+      return record;
+    }
+    return jobs.get(record.jobId)?.status === 'cancelled' ? { ...record, status: 'cancelled' } : record;
+  }
+
+  function listExports(sessionId) {
+    return exportsCollection()
+      .find(record => record.sessionId === sessionId)
+      .map(withJobStatus)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function getExport(id) {
+    return withJobStatus(exportsCollection().get(id) || null);
+  }
+
+  // Queue an export; an unfinished export of the same session and format is returned instead
+  async function requestExport(sessionId, { format = 'mp4' } = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new ExportError(400, 'INVALID_EXPORT_FORMAT', `format must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    const store = getStore();
+    const session = store.sessions.get(sessionId);
+    if (!session) {
+      throw new ExportError(404, 'SESSION_NOT_FOUND', `Session ${sessionId} does not exist`);
+    }
+    // Chunks deleted by retention (see retention.js) cannot be exported
+    if (store.chunks.count(chunk => chunk.sessionId === sessionId && !chunk.purgedAt) === 0) {
+      throw new ExportError(409, 'SESSION_EMPTY', `Session ${sessionId} has no chunks to export`);
+    }
+    if (format === 'hls' && !isStorageEnabled()) {
+      throw new ExportError(503, 'STORAGE_UNAVAILABLE', 'HLS exports point at stored chunks and need object storage');
+    }
+
+    const pending = listExports(sessionId)
+      .find(record => record.format === format && UNFINISHED_STATUSES.includes(record.status));
+    if (pending) {
+      return { ...pending, duplicate: true };
+    }
+
+    const id = uuidv4();
+    const job = await jobs.enqueue('export', { exportId: id });
+    return exportsCollection().put(id, {
+      id,
+      sessionId,
+      deviceId: session.deviceId,
+      format,
+      status: 'queued',
+      jobId: job.id,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async function exportMp4(record, manifest, signal) {
+    const dir = path.join(workDir, `${record.id}.work`);
+    const copies = [];
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      for (const chunk of manifest.chunks.filter(candidate => !candidate.purgedAt)) {
+        copies.push(await localChunkCopy(chunk));
+        signal.throwIfAborted();
+      }
+
+      const listPath = path.join(dir, 'concat.txt');
+      await fs.writeFile(listPath, copies.map(copy => concatEntry(copy.localPath)).join('\n') + '\n');
+
+      const outputPath = path.join(workDir, `${record.id}.mp4`);
+      await runFfmpeg(ffmpegPath, [
+        '-y', '-f', 'concat', '-safe', '0', '-i', listPath,
+        '-c', 'copy', '-movflags', '+faststart', outputPath
+      ], { signal });
+      const { size } = await fs.stat(outputPath);
+
+      if (!isStorageEnabled()) {
+        return { localPath: outputPath, size };
+      }
+
+      const key = `exports/${record.deviceId}/${record.sessionId}/${record.id}.mp4`;
+      const stored = await storage.put(outputPath, key, {
+        contentType: 'video/mp4',
+        metadata: { exportId: record.id, sessionId: record.sessionId, deviceId: record.deviceId }
+      });
+      await fs.unlink(outputPath);
+      return { key: stored.key, uri: stored.uri, size: stored.size };
+    } finally {
+      await Promise.all(copies.map(copy => copy.cleanup()));
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Chunk duration from its recorded timing, or probed with ffmpeg for chunks sent without it
+  async function chunkDurationSec(chunk, signal) {
+    if (chunk.timing) {
+      return chunk.timing.durationMs / 1000;
+    }
+    const copy = await localChunkCopy(chunk);
+    try {
+      const stderr = await runFfmpeg(ffmpegPath, ['-i', copy.localPath], { signal, allowFailure: true });
+      const durationSec = parseDuration(stderr);
+      if (durationSec === null) {
+        throw new Error(`Could not read the duration of chunk ${chunk.chunkIndex}`);
+      }
+      return durationSec;
+    } finally {
+      await copy.cleanup();
+    }
+  }
+
+  async function exportHls(record, manifest, signal) {
+    const timeline = buildSessionTimeline(getStore(), record.sessionId);
+    const gapBefore = new Set(timeline.missingRanges
+      .filter(range => range.reason === 'recording_gap')
+      .map(range => range.beforeChunk));
+
+    const segments = [];
+    const skippedChunks = [];
+    let previousIndex = null;
+    for (const chunk of manifest.chunks) {
+      const key = chunk.gcsUri && storage.keyFromUri(chunk.gcsUri);
+      if (!key || chunk.purgedAt) {
+        skippedChunks.push(chunk.chunkIndex);
+        continue;
+      }
+      segments.push({
+        chunkIndex: chunk.chunkIndex,
+        key,
+        durationSec: Math.round((await chunkDurationSec(chunk, signal)) * 1000) / 1000,
+        discontinuity: previousIndex !== null && (chunk.chunkIndex !== previousIndex + 1 || gapBefore.has(chunk.chunkIndex))
+      });
+      previousIndex = chunk.chunkIndex;
+    }
+
+    if (segments.length === 0) {
+      throw new PermanentJobError(`Session ${record.sessionId} has no chunks in object storage`);
+    }
+    return { segments, skippedChunks };
+  }
+
+  // Export job handler
+  async function run({ exportId }, { signal }) {
+    const record = exportsCollection().get(exportId);
+    if (!record) {
+      throw new PermanentJobError(`Export ${exportId} no longer exists`);
+    }
+    const manifest = buildSessionManifest(getStore(), record.sessionId);
+    if (!manifest) {
+      throw new PermanentJobError(`Session ${record.sessionId} no longer exists`);
+    }
+
+    await exportsCollection().update(exportId, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      chunkIndices: manifest.chunkIndices,
+      missingChunks: manifest.missingChunks,
+      sessionStatus: manifest.status
+    });
+    events?.publish('export.started', { deviceId: record.deviceId, sessionId: record.sessionId, exportId, format: record.format });
+
+    let built;
+    try {
+      built = record.format === 'mp4'
+        ? { output: await exportMp4(record, manifest, signal) }
+        : await exportHls(record, manifest, signal);
+    } catch (error) {
+      // Back to queued until the job is retried; `failed` marks it once retries run out
+      await exportsCollection().update(exportId, { status: 'queued', error: error.message });
+      throw error;
+    }
+
+    const completed = await exportsCollection().update(exportId, {
+      ...built,
+      status: 'completed',
+      error: null,
+      completedAt: new Date().toISOString()
+    });
+    console.log(`🎬 Session ${record.sessionId} exported as ${record.format} (${exportId}, ${manifest.chunkIndices.length} chunks)`);
+    events?.publish('export.completed', { deviceId: record.deviceId, sessionId: record.sessionId, exportId, format: record.format });
+    return { exportId, format: completed.format, chunks: manifest.chunkIndices.length };
+  }
+
+  // onFailed hook of the export job
+  async function failed({ payload }, error) {
+    const record = exportsCollection().get(payload.exportId);
+    if (!record) {
+      return;
+    }
+    await exportsCollection().update(record.id, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date().toISOString()
+    });
+    events?.publish('export.failed', { deviceId: record.deviceId, sessionId: record.sessionId, exportId: record.id, error: error.message });
+  }
+
+  // The HLS playlist of a completed export, with chunk URLs valid for `expiresIn` ms
+  async function renderPlaylist(record, { expiresIn }) {
+    const targetDuration = Math.ceil(Math.max(...record.segments.map(segment => segment.durationSec)));
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${targetDuration}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    for (const segment of record.segments) {
+      if (segment.discontinuity) {
+        lines.push('#EXT-X-DISCONTINUITY');
+      }
+      lines.push(`#EXTINF:${segment.durationSec.toFixed(3)},chunk ${segment.chunkIndex}`);
+      lines.push(await storage.getSignedReadUrl(segment.key, { expiresIn }));
+    }
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    requestExport,
+    listExports,
+    getExport,
+    renderPlaylist,
+    run,
+    failed
+  };
+}
+
+module.exports = {
+  createSessionExports,
+  ExportError,
+  EXPORT_FORMATS: FORMATS
+};
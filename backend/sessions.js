@@ -0,0 +1,258 @@
+// Recording session protocol helpers.
+//
+// A session is opened by POST /start-recording for one device and closed by
+// POST /stop-recording. Chunks are admitted only for the device that owns the
+// session and only while it is open. The single exception: chunks whose index is
+// below the `expectedChunks` count the client declared on stop, because the final
+// segment is usually still uploading when the stop request arrives.
+
+class SessionError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function parseChunkIndex(value) {
+  const chunkIndex = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(chunkIndex) && chunkIndex >= 0 ? chunkIndex : null;
+}
+
+// Throws a SessionError if a chunk may not be stored in the given session
+function assertChunkAdmissible(store, { sessionId, deviceId, chunkIndex }) {
+  if (!sessionId) {
+    throw new SessionError(400, 'SESSION_ID_REQUIRED', 'metadata.sessionId is required; call POST /start-recording first');
+  }
+
+  if (!deviceId) {
+    throw new SessionError(400, 'DEVICE_ID_REQUIRED', 'metadata.deviceId is required');
+  }
+
+  if (chunkIndex === null) {
+    throw new SessionError(400, 'INVALID_CHUNK_INDEX', 'metadata.chunkIndex must be a non-negative integer');
+  }
+
+  const session = store.sessions.get(sessionId);
+  if (!session) {
+    throw new SessionError(404, 'SESSION_NOT_FOUND', `Session ${sessionId} does not exist`);
+  }
+
+  if (session.deviceId !== deviceId) {
+    throw new SessionError(403, 'SESSION_DEVICE_MISMATCH', `Session ${sessionId} does not belong to device ${deviceId}`);
+  }
+
+  if (session.status !== 'active') {
+    const lateChunk = Number.isInteger(session.expectedChunks) && chunkIndex < session.expectedChunks;
+    if (!lateChunk) {
+      throw new SessionError(409, 'SESSION_CLOSED', `Session ${sessionId} was stopped at ${session.endTime} and no longer accepts chunk ${chunkIndex}`);
+    }
+  }
+
+  return session;
+}
+
+// The device's most recently started open session, or null. Chunks of app builds from before
+// metadata versioning carry no sessionId and go into this session.
+function openSessionOf(store, deviceId) {
+  const open = store.sessions.find(session => session.deviceId === deviceId && session.status === 'active');
+  return open.sort((a, b) => b.startTime.localeCompare(a.startTime))[0] || null;
+}
+
+// Validates the `timing` a client sends with a chunk (see src/segmenter.ts). Offsets are
+// milliseconds on the recorder's monotonic clock since the session started; the wall-clock
+// times only anchor them. Returns null when the client sent none (older app versions).
+function parseChunkTiming(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const invalid = detail => new SessionError(400, 'INVALID_CHUNK_TIMING', `metadata.timing${detail}`);
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw invalid(' must be an object');
+  }
+
+  const { startedAt, endedAt, startOffsetMs, endOffsetMs, gapBeforeMs = 0 } = value;
+  for (const [name, time] of [['startedAt', startedAt], ['endedAt', endedAt]]) {
+    if (typeof time !== 'string' || Number.isNaN(Date.parse(time))) {
+      throw invalid(`.${name} must be an ISO timestamp`);
+    }
+  }
+  for (const [name, offset] of [['startOffsetMs', startOffsetMs], ['endOffsetMs', endOffsetMs], ['gapBeforeMs', gapBeforeMs]]) {
+    if (typeof offset !== 'number' || !Number.isFinite(offset) || offset < 0) {
+      throw invalid(`.${name} must be a non-negative number`);
+    }
+  }
+  if (endOffsetMs < startOffsetMs) {
+    throw invalid('.endOffsetMs must not be before startOffsetMs');
+  }
+
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    startOffsetMs: Math.round(startOffsetMs),
+    endOffsetMs: Math.round(endOffsetMs),
+    durationMs: Math.round(endOffsetMs - startOffsetMs),
+    gapBeforeMs: Math.round(gapBeforeMs)
+  };
+}
+
+// Ordered chunk listing for a session, with any missing chunk indices
+function buildSessionManifest(store, sessionId) {
+  const session = store.sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const chunks = store.chunks
+    .find(chunk => chunk.sessionId === sessionId)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+  const received = new Set(chunks.map(chunk => chunk.chunkIndex));
+  const highestIndex = chunks.length > 0 ? chunks[chunks.length - 1].chunkIndex : -1;
+  const expectedChunks = Number.isInteger(session.expectedChunks)
+    ? Math.max(session.expectedChunks, highestIndex + 1)
+    : highestIndex + 1;
+
+  const missingChunks = [];
+  for (let index = 0; index < expectedChunks; index++) {
+    if (!received.has(index)) {
+      missingChunks.push(index);
+    }
+  }
+
+  return {
+    sessionId,
+    deviceId: session.deviceId,
+    status: session.status,
+    startTime: session.startTime,
+    endTime: session.endTime || null,
+    expectedChunks,
+    receivedChunks: received.size,
+    complete: session.status !== 'active' && missingChunks.length === 0,
+    chunkIndices: Array.from(received).sort((a, b) => a - b),
+    missingChunks,
+    chunks: chunks.map(chunk => ({
+      chunkIndex: chunk.chunkIndex,
+      uploadId: chunk.uploadId,
+      gcsUri: chunk.gcsUri,
+      localPath: chunk.localPath,
+      timestamp: chunk.timestamp,
+      timing: chunk.timing || null,
+      trigger: chunk.trigger || null,
+      recordingSettings: chunk.recordingSettings || null,
+      purgedAt: chunk.purgedAt || null
+    }))
+  };
+}
+
+// Breaks between chunks shorter than this are rotation jitter, not lost footage
+const GAP_TOLERANCE_MS = 100;
+
+// Places every timed chunk of a session on one timeline (milliseconds since the session
+// started on the device) and reports the ranges with no footage: `missing_chunks` where
+// chunks were never received, `recording_gap` where nothing was recorded between two
+// consecutive chunks (a hand-over longer than the tolerance, or a pause). Chunks uploaded without timing are listed in `untimedChunks`.
+function buildSessionTimeline(store, sessionId, { gapToleranceMs = GAP_TOLERANCE_MS } = {}) {
+  const manifest = buildSessionManifest(store, sessionId);
+  if (!manifest) {
+    return null;
+  }
+
+  const timed = manifest.chunks.filter(chunk => chunk.timing);
+  const byIndex = new Map(timed.map(chunk => [chunk.chunkIndex, chunk]));
+
+  // Wall-clock time of offset 0, taken from the earliest timed chunk
+  const anchor = timed.length > 0
+    ? Date.parse(timed[0].timing.startedAt) - timed[0].timing.startOffsetMs
+    : null;
+  const wallClock = offset => (anchor === null ? null : new Date(anchor + offset).toISOString());
+
+  const range = (reason, fromMs, toMs, extra) => ({
+    reason,
+    fromMs,
+    toMs,
+    durationMs: toMs === null ? null : toMs - fromMs,
+    from: wallClock(fromMs),
+    to: toMs === null ? null : wallClock(toMs),
+    ...extra
+  });
+
+  const missingRanges = [];
+  // End of the last placed chunk; null after an untimed chunk, whose extent is unknown
+  let lastEndMs = 0;
+  let lastChunk = null;
+  let pendingMissing = [];
+  const flushMissing = toMs => {
+    if (pendingMissing.length > 0 && lastEndMs !== null) {
+      missingRanges.push(range('missing_chunks', lastEndMs, toMs, { chunkIndices: pendingMissing }));
+    }
+    pendingMissing = [];
+  };
+
+  for (let index = 0; index < manifest.expectedChunks; index++) {
+    const chunk = byIndex.get(index);
+    if (!chunk) {
+      if (manifest.missingChunks.includes(index)) {
+        pendingMissing.push(index);
+      } else {
+        flushMissing(null);
+        lastEndMs = null;
+      }
+      continue;
+    }
+
+    if (pendingMissing.length > 0) {
+      flushMissing(chunk.timing.startOffsetMs);
+    } else if (lastChunk && lastEndMs !== null && chunk.timing.startOffsetMs - lastEndMs > gapToleranceMs) {
+      missingRanges.push(range('recording_gap', lastEndMs, chunk.timing.startOffsetMs, {
+        afterChunk: lastChunk.chunkIndex,
+        beforeChunk: index
+      }));
+    }
+    lastEndMs = chunk.timing.endOffsetMs;
+    lastChunk = chunk;
+  }
+  // Missing chunks at the end of the session have no known end
+  flushMissing(null);
+
+  const recordedMs = timed.reduce((total, chunk) => total + chunk.timing.durationMs, 0);
+  const spanMs = lastChunk ? lastChunk.timing.endOffsetMs : 0;
+  const knownMissingMs = missingRanges.reduce((total, gap) => total + (gap.durationMs || 0), 0);
+
+  return {
+    sessionId,
+    deviceId: manifest.deviceId,
+    status: manifest.status,
+    complete: manifest.complete,
+    startedAt: wallClock(0),
+    endedAt: lastChunk ? lastChunk.timing.endedAt : null,
+    spanMs,
+    recordedMs,
+    missingMs: knownMissingMs,
+    coverage: spanMs > 0 ? Math.round((recordedMs / spanMs) * 1000) / 1000 : null,
+    gapToleranceMs,
+    segments: timed.map(chunk => ({
+      chunkIndex: chunk.chunkIndex,
+      startOffsetMs: chunk.timing.startOffsetMs,
+      endOffsetMs: chunk.timing.endOffsetMs,
+      durationMs: chunk.timing.durationMs,
+      startedAt: chunk.timing.startedAt,
+      endedAt: chunk.timing.endedAt,
+      gcsUri: chunk.gcsUri
+    })),
+    missingRanges,
+    untimedChunks: manifest.chunks.filter(chunk => !chunk.timing).map(chunk => chunk.chunkIndex)
+  };
+}
+
+module.exports = {
+  SessionError,
+  parseChunkIndex,
+  assertChunkAdmissible,
+  openSessionOf,
+  parseChunkTiming,
+  buildSessionManifest,
+  buildSessionTimeline
+};
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const { Storage } = require('@google-cloud/storage');
+const { normalizeMetadata } = require('./metadata');
+
+// Google Cloud Storage bucket, authenticated with a service account key file
+function createGcsDriver({ bucketName, keyFilename, projectId }) {
+  if (!bucketName) {
+    throw new Error('gcs storage driver requires a bucketName');
+  }
+
+  let bucket = null;
+
+  function getBucket() {
+    if (!bucket) {
+      throw new Error('gcs storage driver used before init()');
+    }
+    return bucket;
+  }
+
+  async function init() {
+    try {
+      await fs.access(keyFilename);
+    } catch (error) {
+      throw new Error(`GCS key file not found at: ${keyFilename}`);
+    }
+
+    if (!projectId) {
+      throw new Error('GCLOUD_PROJECT_ID environment variable not set');
+    }
+
+    const client = new Storage({ keyFilename, projectId });
+    const candidate = client.bucket(bucketName);
+    await candidate.getMetadata();
+    bucket = candidate;
+  }
+
+  async function put(localPath, key, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const [, objectMetadata] = await getBucket().upload(localPath, {
+      destination: key,
+      metadata: {
+        contentType,
+        cacheControl: 'public, max-age=31536000',
+        metadata: normalizeMetadata(metadata)
+      }
+    });
+    return { key, uri: uri(key), size: Number(objectMetadata.size) };
+  }
+
+  async function list(prefix = '') {
+    const [files] = await getBucket().getFiles({ prefix });
+    return files.map(file => ({
+      key: file.name,
+      size: Number(file.metadata.size),
+      created: file.metadata.timeCreated,
+      updated: file.metadata.updated
+    }));
+  }
+
+  async function stat(key) {
+    try {
+      const [metadata] = await getBucket().file(key).getMetadata();
+      return {
+        key,
+        size: Number(metadata.size),
+        contentType: metadata.contentType,
+        created: metadata.timeCreated,
+        updated: metadata.updated,
+        metadata: metadata.metadata || {}
+      };
+    } catch (error) {
+      if (error.code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function getSignedReadUrl(key, { expiresIn }) {
+    const [url] = await getBucket().file(key).getSignedUrl({
+      action: 'read',
+      expires: Date.now() + expiresIn
+    });
+    return url;
+  }
+
+  async function deleteObject(key) {
+    await getBucket().file(key).delete({ ignoreNotFound: true });
+  }
+
+  async function updateMetadata(key, metadata) {
+    await getBucket().file(key).setMetadata({ metadata: normalizeMetadata(metadata) });
+  }
+
+  async function download(key, destPath) {
+    await getBucket().file(key).download({ destination: destPath });
+  }
+
+  function uri(key) {
+    return `gs://${bucketName}/${key}`;
+  }
+
+  function keyFromUri(objectUri) {
+    const prefix = `gs://${bucketName}/`;
+    return objectUri.startsWith(prefix) ? objectUri.slice(prefix.length) : null;
+  }
+
+  return {
+    name: 'gcs',
+    location: `gs://${bucketName}`,
+    init,
+    put,
+    list,
+    stat,
+    getSignedReadUrl,
+    delete: deleteObject,
+    download,
+    updateMetadata,
+    uri,
+    keyFromUri
+  };
+}
+
+module.exports = { createGcsDriver };
@@ -0,0 +1,45 @@
+const { createGcsDriver } = require('./gcs-driver');
+const { createLocalDriver } = require('./local-driver');
+const { createS3Driver } = require('./s3-driver');
+const { normalizeMetadata } = require('./metadata');
+
+// Object storage for uploaded chunks. Every driver exposes the same interface:
+//
+//   name, location                     driver name and a human-readable location (bucket, directory)
+//   init()                             verify the backend is reachable; throws if it is not
+//   put(localPath, key, { contentType, metadata })  -> { key, uri, size }
+//   list(prefix)                       -> [{ key, size, created, updated }]
+//   stat(key)                          -> { key, size, contentType, created, updated, metadata } or null
+//   getSignedReadUrl(key, { expiresIn }) -> time-limited URL anyone can GET (expiresIn in ms)
+//   delete(key)                        remove the object; missing objects are not an error
+//   download(key, destPath)            copy the object to a local file
+//   updateMetadata(key, metadata)      merge entries into the object's custom metadata
+//   uri(key), keyFromUri(uri)          convert between object keys and URIs such as gs://bucket/key
+//   router                             optional Express router the server mounts to serve signed URLs
+//
+// Custom metadata is always a flat map of strings (see normalizeMetadata).
+const DRIVERS = {
+  gcs: createGcsDriver,
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv'];
+
+function createStorage(driver, options = {}) {
+  const createDriver = DRIVERS[driver];
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return createDriver(options);
+}
+
+function isVideoKey(key) {
+  return VIDEO_EXTENSIONS.some(extension => key.toLowerCase().endsWith(extension));
+}
+
+module.exports = {
+  createStorage,
+  normalizeMetadata,
+  isVideoKey
+};
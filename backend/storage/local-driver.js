@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const express = require('express');
+const { normalizeMetadata } = require('./metadata');
+
+// Sidecar directory (inside rootDir) holding each object's content type and custom metadata
+const META_DIR = '.meta';
+
+// Objects stored as plain files under rootDir, for running the pipeline without a cloud account.
+// Signed read URLs point at `router`, which the server mounts at the path given by baseUrl;
+// they carry an expiry and an HMAC of the key, so they work without any other credentials.
+function createLocalDriver({ rootDir, baseUrl, signingSecret }) {
+  if (!rootDir) {
+    throw new Error('local storage driver requires a rootDir');
+  }
+  if (!baseUrl) {
+    throw new Error('local storage driver requires a baseUrl for signed URLs');
+  }
+
+  if (!signingSecret) {
+    console.warn('⚠️  STORAGE_SIGNING_SECRET not set; signed URLs will stop working when the server restarts');
+  }
+  const secret = signingSecret || crypto.randomBytes(32).toString('hex');
+
+  // Map a key to its file, refusing anything that would escape rootDir or reach the sidecars
+  function resolveKey(key) {
+    const filePath = path.resolve(rootDir, key);
+    const relative = path.relative(rootDir, filePath);
+    if (!key || relative.startsWith('..') || path.isAbsolute(relative) || relative.split(path.sep)[0] === META_DIR) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return filePath;
+  }
+
+  const sidecarPath = key => path.join(rootDir, META_DIR, `${key}.json`);
+
+  async function readSidecar(key) {
+    try {
+      return JSON.parse(await fs.readFile(sidecarPath(key), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('base64url');
+  }
+
+  async function init() {
+    await fs.mkdir(path.join(rootDir, META_DIR), { recursive: true });
+  }
+
+  async function put(localPath, key, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.copyFile(localPath, filePath);
+
+    const existing = await readSidecar(key);
+    const now = new Date().toISOString();
+    await fs.mkdir(path.dirname(sidecarPath(key)), { recursive: true });
+    await fs.writeFile(sidecarPath(key), JSON.stringify({
+      contentType,
+      created: existing.created || now,
+      updated: now,
+      metadata: normalizeMetadata(metadata)
+    }));
+
+    const { size } = await fs.stat(filePath);
+    return { key, uri: uri(key), size };
+  }
+
+  async function list(prefix = '') {
+    // Only walk the deepest directory the prefix pins down
+    const prefixDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const objects = [];
+
+    async function walk(relativeDir) {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const key = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (key === META_DIR) {
+          continue;
+        }
+        if (entry.isDirectory()) {
+          await walk(key);
+        } else if (key.startsWith(prefix)) {
+          const stats = await fs.stat(path.join(rootDir, key));
+          objects.push({
+            key,
+            size: stats.size,
+            created: stats.birthtime.toISOString(),
+            updated: stats.mtime.toISOString()
+          });
+        }
+      }
+    }
+
+    await walk(prefixDir);
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async function stat(key) {
+    let stats;
+    try {
+      stats = await fs.stat(resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const sidecar = await readSidecar(key);
+    return {
+      key,
+      size: stats.size,
+      contentType: sidecar.contentType || 'application/octet-stream',
+      created: sidecar.created || stats.birthtime.toISOString(),
+      updated: sidecar.updated || stats.mtime.toISOString(),
+      metadata: sidecar.metadata || {}
+    };
+  }
+
+  async function getSignedReadUrl(key, { expiresIn }) {
+    resolveKey(key);
+    const expires = Date.now() + expiresIn;
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+  }
+
+  async function deleteObject(key) {
+    await fs.rm(resolveKey(key), { force: true });
+    await fs.rm(sidecarPath(key), { force: true });
+  }
+
+  async function updateMetadata(key, metadata) {
+    resolveKey(key);
+    const sidecar = await readSidecar(key);
+    await fs.mkdir(path.dirname(sidecarPath(key)), { recursive: true });
+    await fs.writeFile(sidecarPath(key), JSON.stringify({
+      ...sidecar,
+      updated: new Date().toISOString(),
+      metadata: { ...sidecar.metadata, ...normalizeMetadata(metadata) }
+    }));
+  }
+
+  async function download(key, destPath) {
+    await fs.copyFile(resolveKey(key), destPath);
+  }
+
+  function uri(key) {
+    return `local://${key}`;
+  }
+
+  function keyFromUri(objectUri) {
+    return objectUri.startsWith('local://') ? objectUri.slice('local://'.length) : null;
+  }
+
+  // Serves GET <baseUrl>/<key>?expires=...&signature=... (with Range support via sendFile)
+  const router = express.Router();
+  router.get('/*', async (req, res) => {
+    const key = req.params[0];
+    const expires = Number(req.query.expires);
+    const signature = typeof req.query.signature === 'string' ? req.query.signature : '';
+
+    // Constant-time comparison; hashing first gives both sides the same length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(digest(signature), digest(sign(key, expires)))) {
+      return res.status(403).json({
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        error: 'Signed URL signature is invalid'
+      });
+    }
+
+    if (!(expires > Date.now())) {
+      return res.status(403).json({
+        success: false,
+        code: 'SIGNED_URL_EXPIRED',
+        error: 'Signed URL has expired'
+      });
+    }
+
+    try {
+      const object = await stat(key);
+      if (!object) {
+        return res.status(404).json({
+          success: false,
+          code: 'OBJECT_NOT_FOUND',
+          error: 'Object not found'
+        });
+      }
+
+      res.sendFile(resolveKey(key), {
+        headers: { 'Content-Type': object.contentType },
+        cacheControl: false
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return {
+    name: 'local',
+    location: rootDir,
+    init,
+    put,
+    list,
+    stat,
+    getSignedReadUrl,
+    delete: deleteObject,
+    download,
+    updateMetadata,
+    uri,
+    keyFromUri,
+    router
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,13 @@
+// Object stores only keep string metadata: drop empty values and JSON-encode the rest
+function normalizeMetadata(metadata = {}) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    normalized[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return normalized;
+}
+
+module.exports = { normalizeMetadata };
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { normalizeMetadata } = require('./metadata');
+
+// S3 presigned URLs cannot outlive seven days
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60;
+
+// S3 metadata travels as HTTP headers: lower-case ASCII names and ASCII values only
+function encodeMetadata(metadata) {
+  const encoded = {};
+  for (const [key, value] of Object.entries(normalizeMetadata(metadata))) {
+    encoded[key.toLowerCase()] = encodeURIComponent(value);
+  }
+  return encoded;
+}
+
+function decodeMetadata(metadata = {}) {
+  const decoded = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    try {
+      decoded[key] = decodeURIComponent(value);
+    } catch (error) {
+      decoded[key] = value;
+    }
+  }
+  return decoded;
+}
+
+const isNotFound = error => error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+// Amazon S3 or any S3-compatible service (MinIO, Cloudflare R2, ...); set `endpoint`
+// and `forcePathStyle` for self-hosted services
+function createS3Driver({ bucketName, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false }) {
+  if (!bucketName) {
+    throw new Error('s3 storage driver requires a bucketName');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Fall back to the SDK's default credential chain (env, profile, instance role)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  async function init() {
+    await client.send(new HeadBucketCommand({ Bucket: bucketName }));
+  }
+
+  async function put(localPath, key, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const { size } = await fs.promises.stat(localPath);
+    await client.send(new PutObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      Body: fs.createReadStream(localPath),
+      ContentLength: size,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000',
+      Metadata: encodeMetadata(metadata)
+    }));
+    return { key, uri: uri(key), size };
+  }
+
+  async function list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of page.Contents || []) {
+        // S3 keeps no creation time; LastModified is the time of the last put
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          created: object.LastModified.toISOString(),
+          updated: object.LastModified.toISOString()
+        });
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async function stat(key) {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+      return {
+        key,
+        size: head.ContentLength,
+        contentType: head.ContentType,
+        created: head.LastModified.toISOString(),
+        updated: head.LastModified.toISOString(),
+        metadata: decodeMetadata(head.Metadata)
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function getSignedReadUrl(key, { expiresIn }) {
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: bucketName, Key: key }), {
+      expiresIn: Math.min(Math.floor(expiresIn / 1000), MAX_SIGNED_URL_SECONDS)
+    });
+  }
+
+  async function deleteObject(key) {
+    await client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+  }
+
+  // S3 metadata is immutable, so the object is copied onto itself with the merged metadata
+  async function updateMetadata(key, metadata) {
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+    await client.send(new CopyObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      CopySource: `${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`,
+      MetadataDirective: 'REPLACE',
+      ContentType: head.ContentType,
+      CacheControl: head.CacheControl,
+      Metadata: { ...head.Metadata, ...encodeMetadata(metadata) }
+    }));
+  }
+
+  async function download(key, destPath) {
+    const object = await client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    await pipeline(object.Body, fs.createWriteStream(destPath));
+  }
+
+  function uri(key) {
+    return `s3://${bucketName}/${key}`;
+  }
+
+  function keyFromUri(objectUri) {
+    const prefix = `s3://${bucketName}/`;
+    return objectUri.startsWith(prefix) ? objectUri.slice(prefix.length) : null;
+  }
+
+  return {
+    name: 's3',
+    location: endpoint ? `${endpoint}/${bucketName}` : `s3://${bucketName}`,
+    init,
+    put,
+    list,
+    stat,
+    getSignedReadUrl,
+    delete: deleteObject,
+    download,
+    updateMetadata,
+    uri,
+    keyFromUri
+  };
+}
+
+module.exports = { createS3Driver };
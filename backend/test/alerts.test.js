@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { openDatastore } = require('../datastore');
+const { createJobQueue } = require('../jobs');
+const { createAlerts, signPayload } = require('../alerts');
+const { buildResult } = require('../analysis/normalize');
+
+let store;
+let jobs;
+let alerts;
+let receiver;
+let receiverUrl;
+const received = [];
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for webhook deliveries');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  jobs = createJobQueue(() => store);
+  alerts = createAlerts(() => store, { jobs });
+  jobs.registerHandler('webhook', alerts.deliver, { backoffMs: 1 });
+  await jobs.start();
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = req.url === '/gone' ? 410 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+  await jobs.stop();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+const personResult = (confidence, startSec, endSec) => buildResult('local', {
+  durationSec: 30,
+  persons: [{ trackId: 'person-0', startSec, endSec, confidence, boxes: [] }]
+});
+
+test('rules are validated and filled in with defaults', async () => {
+  const rule = await alerts.createRule({ name: ' Loitering ', kind: 'person' });
+  assert.equal(rule.name, 'Loitering');
+  assert.equal(rule.severity, 'warning');
+  assert.equal(rule.cooldownSec, 300);
+
+  await assert.rejects(alerts.createRule({ name: 'x', kind: 'face' }), { code: 'INVALID_ALERT_RULE' });
+  await assert.rejects(alerts.createRule({ name: 'x', kind: 'person', minConfidence: 2 }), { code: 'INVALID_ALERT_RULE' });
+  await assert.rejects(alerts.createRule({ name: 'x', kind: 'person', colour: 'red' }), /Unknown fields: colour/);
+  await alerts.deleteRule(rule.id);
+});
+
+test('detections below the confidence or duration thresholds do not raise alerts', async t => {
+  const rule = await alerts.createRule({ name: 'Person at the door', kind: 'person', minConfidence: 0.8, minDurationSec: 2, deviceIds: ['door'] });
+  t.after(() => alerts.deleteRule(rule.id));
+
+  assert.deepEqual(await alerts.evaluate({ result: personResult(0.5, 0, 10), gcsUri: 'local://a', deviceId: 'door' }), []);
+  assert.deepEqual(await alerts.evaluate({ result: personResult(0.9, 0, 1), gcsUri: 'local://b', deviceId: 'door' }), []);
+  assert.deepEqual(await alerts.evaluate({ result: personResult(0.9, 0, 10), gcsUri: 'local://c', deviceId: 'yard' }), []);
+
+  const [alert] = await alerts.evaluate({ result: personResult(0.9, 0, 10), gcsUri: 'local://d', deviceId: 'door' });
+  assert.equal(alert.ruleId, rule.id);
+  assert.equal(alert.status, 'open');
+  assert.match(alert.message, /1 detection on device door \(best: person, confidence 90%\)/);
+});
+
+test('label rules match descriptions case-insensitively', async t => {
+  const rule = await alerts.createRule({ name: 'Fire', kind: 'label', match: 'FIRE' });
+  t.after(() => alerts.deleteRule(rule.id));
+
+  const result = buildResult('local', {
+    labels: [
+      { description: 'campfire', confidence: 0.7, segments: [{ startSec: 0, endSec: 4 }] },
+      { description: 'tree', confidence: 0.9, segments: [{ startSec: 0, endSec: 4 }] }
+    ]
+  });
+  const [alert] = await alerts.evaluate({ result, gcsUri: 'local://fire', deviceId: 'garden' });
+  assert.deepEqual(alert.matches.map(match => match.description), ['campfire']);
+});
+
+test('matches within the cooldown are added to the open alert', async t => {
+  const rule = await alerts.createRule({ name: 'Car', kind: 'object', match: 'car', cooldownSec: 600 });
+  t.after(() => alerts.deleteRule(rule.id));
+
+  const result = buildResult('local', { objects: [{ description: 'car', confidence: 0.8, startSec: 0, endSec: 3 }] });
+  const [first] = await alerts.evaluate({ result, gcsUri: 'local://car-1', deviceId: 'drive' });
+  const [second] = await alerts.evaluate({ result, gcsUri: 'local://car-2', deviceId: 'drive' });
+  assert.equal(second.id, first.id);
+  assert.equal(second.occurrences, 2);
+
+  // Analyzing the same video again changes nothing
+  assert.deepEqual(await alerts.evaluate({ result, gcsUri: 'local://car-2', deviceId: 'drive' }), []);
+
+  // Once resolved, the next match raises a new alert
+  await alerts.resolve(first.id, { by: 'operator' });
+  await assert.rejects(alerts.acknowledge(first.id), { code: 'ALERT_ALREADY_RESOLVED' });
+  const [third] = await alerts.evaluate({ result, gcsUri: 'local://car-3', deviceId: 'drive' });
+  assert.notEqual(third.id, first.id);
+});
+
+test('webhooks receive signed events at or above their minimum severity', async t => {
+  const rule = await alerts.createRule({ name: 'Intruder', kind: 'person', severity: 'critical' });
+  const quiet = await alerts.createRule({ name: 'Passer-by', kind: 'person', severity: 'info', match: 'person' });
+  const webhook = await alerts.createWebhook({ url: `${receiverUrl}/hook`, minSeverity: 'warning' });
+  t.after(async () => {
+    await alerts.deleteRule(rule.id);
+    await alerts.deleteRule(quiet.id);
+    await alerts.deleteWebhook(webhook.id);
+  });
+  assert.equal(alerts.getWebhook(webhook.id).secret, `${webhook.secret.slice(0, 4)}…`);
+
+  received.length = 0;
+  const raised = await alerts.evaluate({ result: personResult(0.95, 0, 5), gcsUri: 'local://intruder', deviceId: 'gate' });
+  assert.equal(raised.length, 2);
+
+  await waitFor(() => received.length === 1);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(received.length, 1, 'the info alert is below the webhook\'s minimum severity');
+
+  const [delivery] = received;
+  const timestamp = delivery.headers['x-heimdall-timestamp'];
+  assert.equal(delivery.headers['x-heimdall-event'], 'alert.created');
+  assert.equal(delivery.headers['x-heimdall-signature'], signPayload(webhook.secret, timestamp, delivery.body));
+  assert.notEqual(delivery.headers['x-heimdall-signature'], signPayload('another-secret-value', timestamp, delivery.body));
+  assert.equal(JSON.parse(delivery.body).data.alert.ruleName, 'Intruder');
+});
+
+test('client errors from a webhook fail the delivery without retries', async t => {
+  const webhook = await alerts.createWebhook({ url: `${receiverUrl}/gone` });
+  t.after(() => alerts.deleteWebhook(webhook.id));
+
+  received.length = 0;
+  const job = await alerts.testWebhook(webhook.id);
+  await waitFor(() => jobs.isTerminal(jobs.get(job.id)));
+  assert.equal(jobs.get(job.id).status, 'failed');
+  assert.equal(jobs.get(job.id).attempts, 1);
+  assert.equal(received.length, 1);
+
+  await assert.rejects(alerts.createWebhook({ url: 'ftp://example.com/hook' }), { code: 'INVALID_WEBHOOK' });
+  await assert.rejects(alerts.createWebhook({ url: receiverUrl, secret: 'short' }), { code: 'INVALID_WEBHOOK' });
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatastore } = require('../datastore');
+const { createAnalysisPolicies, validatePolicy, PolicyError } = require('../analysis-policies');
+
+let store;
+let policies;
+
+// Fixed clock for quiet hours: the given UTC time of day on 1 March 2026
+const at = time => new Date(`2026-03-01T${time}:00.000Z`);
+
+const decide = (policy, chunkIndex, time = '12:00') => {
+  const { analyze, reason } = policies.evaluate({ ...policies.defaults, enabled: true, ...policy }, { chunkIndex, at: at(time) });
+  return analyze ? 'analyze' : reason;
+};
+
+beforeEach(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  policies = createAnalysisPolicies(() => store, { defaults: { features: ['PERSON_DETECTION', 'LABEL_DETECTION'] } });
+});
+
+test('policies are validated down to the known fields', () => {
+  assert.deepEqual(validatePolicy({ features: ['TEXT_DETECTION', 'TEXT_DETECTION'], everyNthChunk: 3 }), {
+    features: ['TEXT_DETECTION'],
+    everyNthChunk: 3
+  });
+
+  for (const policy of [
+    null,
+    { colour: 'red' },
+    { enabled: 'yes' },
+    { features: [] },
+    { features: ['FACE_DETECTION'] },
+    { everyNthChunk: 0 },
+    { quietHours: { start: '22:00', end: '24:00' } },
+    { quietHours: { start: '22:00', end: '06:00', timeZone: 'Mars/Olympus_Mons' } },
+    { priority: 1.5 }
+  ]) {
+    assert.throws(() => validatePolicy(policy), PolicyError, JSON.stringify(policy));
+  }
+});
+
+test('disabled policies and sampled-out chunks are not analyzed', () => {
+  assert.equal(decide({ enabled: false }, 0), 'AUTO_ANALYSIS_DISABLED');
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(chunkIndex => decide({ everyNthChunk: 3 }, chunkIndex)), [
+    'analyze', 'SAMPLED_OUT', 'SAMPLED_OUT', 'analyze', 'SAMPLED_OUT', 'SAMPLED_OUT', 'analyze'
+  ]);
+  assert.equal(decide({ everyNthChunk: 1 }, 7), 'analyze');
+});
+
+test('quiet hours run from their start up to, not including, their end', () => {
+  const quietHours = { start: '09:00', end: '17:30', timeZone: 'UTC' };
+  assert.equal(decide({ quietHours }, 0, '08:59'), 'analyze');
+  assert.equal(decide({ quietHours }, 0, '09:00'), 'QUIET_HOURS');
+  assert.equal(decide({ quietHours }, 0, '17:29'), 'QUIET_HOURS');
+  assert.equal(decide({ quietHours }, 0, '17:30'), 'analyze');
+});
+
+test('quiet hours ending before they start wrap past midnight', () => {
+  const quietHours = { start: '22:00', end: '06:00', timeZone: 'UTC' };
+  assert.deepEqual(['21:59', '22:00', '23:59', '00:00', '05:59', '06:00', '12:00'].map(time => decide({ quietHours }, 0, time)), [
+    'analyze', 'QUIET_HOURS', 'QUIET_HOURS', 'QUIET_HOURS', 'QUIET_HOURS', 'analyze', 'analyze'
+  ]);
+});
+
+test('quiet hours follow their time zone', () => {
+  // 23:30 in Amsterdam (UTC+1 in March) is 22:30 UTC
+  const quietHours = { start: '23:00', end: '07:00', timeZone: 'Europe/Amsterdam' };
+  assert.equal(decide({ quietHours }, 0, '22:30'), 'QUIET_HOURS');
+  assert.equal(decide({ quietHours }, 0, '21:30'), 'analyze');
+});
+
+test('session policies override device policies, which override the default', async () => {
+  await policies.set('default', null, { enabled: true, everyNthChunk: 2 });
+  await policies.set('device', 'door', { everyNthChunk: 5, priority: 7 });
+  await policies.set('session', 's1', { features: ['TEXT_DETECTION'] });
+
+  const session = policies.resolve({ deviceId: 'door', sessionId: 's1' });
+  assert.deepEqual(session.sources, ['built-in', 'default', 'device:door', 'session:s1']);
+  assert.equal(session.enabled, true);
+  assert.equal(session.everyNthChunk, 5);
+  assert.equal(session.priority, 7);
+  assert.deepEqual(policies.evaluate(session, { chunkIndex: 5, at: at('12:00') }), {
+    analyze: true,
+    reason: null,
+    features: ['texts']
+  });
+
+  const otherDevice = policies.resolve({ deviceId: 'yard', sessionId: 's2' });
+  assert.deepEqual(otherDevice.sources, ['built-in', 'default']);
+  assert.equal(otherDevice.everyNthChunk, 2);
+  assert.deepEqual(otherDevice.features, ['PERSON_DETECTION', 'LABEL_DETECTION']);
+
+  await policies.remove('device', 'door');
+  assert.deepEqual(policies.resolve({ deviceId: 'door', sessionId: 's1' }).sources, ['built-in', 'default', 'session:s1']);
+  assert.deepEqual(policies.resolve().sources, ['built-in', 'default']);
+});
+
+test('without stored policies the built-in defaults apply', () => {
+  const policy = policies.resolve({ deviceId: 'door' });
+  assert.deepEqual(policy, { ...policies.defaults, sources: ['built-in'] });
+  assert.equal(policies.evaluate(policy, { chunkIndex: 0, at: at('12:00') }).reason, 'AUTO_ANALYSIS_DISABLED');
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('buffer');
+const { EventEmitter } = require('events');
+const { normalizeGoogleAnnotation } = require('../analysis');
+const { buildResult, FEATURES } = require('../analysis/normalize');
+const { captureStderr, parseDuration, parseFrameSize, isQuarterTurn } = require('../ffmpeg');
+
+const FFMPEG_HEADER = [
+  'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'chunk_0.mp4\':',
+  '  Duration: 00:01:30.52, start: 0.000000, bitrate: 4512 kb/s',
+  '  Stream #0:0[0x1](eng): Video: h264 (High) (avc1 / 0x31637661), yuv420p(tv, bt709), 1920x1080, 4380 kb/s, 30 fps',
+  '    Side data:',
+  '      displaymatrix: rotation of -90.00 degrees',
+  '  Stream #0:1[0x2](eng): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, mono, fltp, 128 kb/s'
+].join('\n');
+
+test('Google annotations are normalized to seconds and fractional boxes', () => {
+  const result = normalizeGoogleAnnotation({
+    segment: { startTimeOffset: '0s', endTimeOffset: { seconds: 10, nanos: 500000000 } },
+    personDetectionAnnotations: [{
+      tracks: [{
+        segment: { startTimeOffset: '1.25s', endTimeOffset: '4s' },
+        confidence: 0.91,
+        timestampedObjects: [{
+          timeOffset: { seconds: '2', nanos: 0 },
+          normalizedBoundingBox: { left: 0.1, top: 0.2, right: 0.5 }
+        }]
+      }]
+    }],
+    segmentLabelAnnotations: [{
+      entity: { description: 'street' },
+      segments: [
+        { segment: { startTimeOffset: '0s', endTimeOffset: '10s' }, confidence: 0.6 },
+        { segment: { startTimeOffset: '0s', endTimeOffset: '5s' }, confidence: 0.8 }
+      ]
+    }],
+    objectAnnotations: [{ entity: { description: 'car' }, confidence: 0.7, frames: [] }],
+    textAnnotations: [{ text: 'EXIT', segments: [{ confidence: 0.99 }] }]
+  });
+
+  assert.equal(result.provider, 'google');
+  assert.equal(result.durationSec, 10.5);
+  assert.deepEqual(result.persons, [{
+    trackId: 'person-0',
+    startSec: 1.25,
+    endSec: 4,
+    confidence: 0.91,
+    boxes: [{ timeSec: 2, box: { left: 0.1, top: 0.2, right: 0.5, bottom: 0 } }]
+  }]);
+  assert.equal(result.labels[0].confidence, 0.8);
+  assert.equal(result.objects[0].description, 'car');
+  assert.deepEqual(result.texts[0].segments, [{ startSec: null, endSec: null }]);
+  assert.deepEqual(result.summary, { personCount: 1, labelCount: 1, objectCount: 1, textCount: 1 });
+});
+
+test('every result carries all features, empty when not detected', () => {
+  const result = buildResult('local', { durationSec: 3 });
+  for (const feature of FEATURES) {
+    assert.deepEqual(result[feature], []);
+  }
+  assert.equal(result.schemaVersion, 1);
+});
+
+test('ffmpeg\'s input header is read from stderr', () => {
+  assert.equal(parseDuration(FFMPEG_HEADER), 90.52);
+  assert.deepEqual(parseFrameSize(FFMPEG_HEADER), { width: 1920, height: 1080 });
+  assert.equal(isQuarterTurn(FFMPEG_HEADER), true);
+  assert.equal(parseDuration('Duration: N/A'), null);
+});
+
+test('long ffmpeg logs keep both the input header and the final error', () => {
+  const child = { stderr: new EventEmitter() };
+  const stderrOf = captureStderr(child);
+
+  child.stderr.emit('data', Buffer.from(`${FFMPEG_HEADER}\n`));
+  for (let second = 0; second < 5000; second++) {
+    child.stderr.emit('data', Buffer.from(`frame=${second * 30} fps=30 q=-0.0 time=00:00:${second} speed=1x\r`));
+  }
+  child.stderr.emit('data', Buffer.from('Error while decoding stream #0:0: Invalid data found\n'));
+
+  const stderr = stderrOf();
+  assert.ok(stderr.length < 50000);
+  assert.equal(parseDuration(stderr), 90.52);
+  assert.deepEqual(parseFrameSize(stderr), { width: 1920, height: 1080 });
+  assert.match(stderr, /Invalid data found\n$/);
+});
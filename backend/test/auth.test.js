@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.ADMIN_API_KEYS = 'test-admin-key';
+const { createAuth, isValidDeviceId, ADMIN_SCOPE } = require('../auth');
+const { createDevicesRouter } = require('../devices-api');
+const { createLiveStreams } = require('../live');
+const { openDatastore } = require('../datastore');
+const { parseMetadata } = require('../metadata-schema');
+
+let store;
+let auth;
+let server;
+let baseUrl;
+
+before(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  auth = createAuth(() => store);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/devices', createDevicesRouter(auth));
+  app.get('/protected', auth.requireScopes('chunks:write'), (req, res) => res.json({ auth: req.auth }));
+  app.get('/admin-only', auth.requireAdmin, (req, res) => res.json({ ok: true }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function request(route, { method = 'GET', token = null, body } = {}) {
+  return fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+async function enroll(body) {
+  const { token } = await auth.createEnrollmentToken();
+  return request('/devices/enroll', { method: 'POST', body: { enrollmentToken: token, ...body } });
+}
+
+test('device and enrollment tokens are stored only as SHA-256 hashes', async () => {
+  const enrollment = await auth.createEnrollmentToken();
+  assert.equal(store.collection('enrollment_tokens').has(enrollment.token), false);
+  assert.equal(store.collection('enrollment_tokens').has(sha256(enrollment.token)), true);
+
+  const device = await auth.enrollDevice({ deviceId: 'hashed-device' });
+  assert.equal(store.collection('device_tokens').has(device.token), false);
+  assert.equal(store.collection('device_tokens').get(sha256(device.token)).deviceId, 'hashed-device');
+});
+
+test('enrollment tokens expire and run out of uses', async () => {
+  const twoUses = await auth.createEnrollmentToken({ maxUses: 2 });
+  assert.equal(await auth.redeemEnrollmentToken(twoUses.token), true);
+  assert.equal(await auth.redeemEnrollmentToken(twoUses.token), true);
+  assert.equal(await auth.redeemEnrollmentToken(twoUses.token), false);
+
+  const expired = await auth.createEnrollmentToken({ ttlHours: -1 });
+  assert.equal(await auth.redeemEnrollmentToken(expired.token), false);
+  assert.equal(await auth.redeemEnrollmentToken(null), false);
+});
+
+test('routes require a token carrying their scopes; admin keys carry all of them', async () => {
+  const device = await auth.enrollDevice({ deviceId: 'scoped-device' });
+
+  assert.equal((await request('/protected')).status, 401);
+  assert.equal((await request('/protected', { token: 'hdt_unknown' })).status, 401);
+
+  const asDevice = await request('/protected', { token: device.token });
+  assert.equal(asDevice.status, 200);
+  assert.deepEqual((await asDevice.json()).auth.deviceId, 'scoped-device');
+  assert.equal((await request('/admin-only', { token: device.token })).status, 403);
+
+  const asAdmin = await request('/protected', { token: 'test-admin-key' });
+  assert.equal(asAdmin.status, 200);
+  assert.deepEqual((await asAdmin.json()).auth.scopes, [ADMIN_SCOPE]);
+});
+
+test('a device\'s lastSeenAt is written at most once a minute', async () => {
+  const device = await auth.enrollDevice({ deviceId: 'busy-device' });
+  const lastSeenAt = () => store.collection('devices').get('busy-device').lastSeenAt;
+  const enrolledAt = lastSeenAt();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request('/protected', { token: device.token })).status, 200);
+  }
+  assert.equal(lastSeenAt(), enrolledAt);
+
+  const twoMinutesAgo = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+  await store.collection('devices').update('busy-device', { lastSeenAt: twoMinutesAgo });
+  await request('/protected', { token: device.token });
+  assert.ok(lastSeenAt() > twoMinutesAgo && lastSeenAt() >= enrolledAt, lastSeenAt());
+});
+
+test('re-enrolling or revoking a device invalidates its old token', async () => {
+  const first = await auth.enrollDevice({ deviceId: 'rotating-device' });
+  const second = await auth.enrollDevice({ deviceId: 'rotating-device' });
+  assert.equal(auth.authenticate(first.token), null);
+  assert.equal(auth.authenticate(second.token).deviceId, 'rotating-device');
+
+  await auth.revokeDevice('rotating-device');
+  assert.equal(auth.authenticate(second.token), null);
+});
+
+test('enrolling over an active device needs that device\'s token', async () => {
+  const first = await enroll({ deviceId: 'taken-device' });
+  assert.equal(first.status, 200);
+  const { token } = await first.json();
+
+  assert.equal((await enroll({ deviceId: 'taken-device' })).status, 409);
+
+  const { token: enrollmentToken } = await auth.createEnrollmentToken();
+  const rotated = await request('/devices/enroll', {
+    method: 'POST',
+    token,
+    body: { enrollmentToken, deviceId: 'taken-device' }
+  });
+  assert.equal(rotated.status, 200);
+});
+
+test('device IDs are limited to letters, digits, "-" and "_"', async () => {
+  assert.equal(isValidDeviceId('3f2b8c1e-6a4d-4f0e-9b7a-2c5d8e1f0a3b'), true);
+  assert.equal(isValidDeviceId('lobby_cam_2'), true);
+  for (const deviceId of ['', '../../../../tmp/pwn', 'a/b', 'a\\b', '..', 'x'.repeat(129), 42, null]) {
+    assert.equal(isValidDeviceId(deviceId), false, `${JSON.stringify(deviceId)} should be rejected`);
+  }
+
+  const response = await enroll({ deviceId: '../../../../tmp/pwn' });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'INVALID_DEVICE_ID');
+  assert.equal(store.collection('devices').has('../../../../tmp/pwn'), false);
+
+  for (const schemaVersion of [1, 2, 3]) {
+    const metadata = { schemaVersion, deviceId: '../../pwn', sessionId: 's1', chunkIndex: 0, timestamp: new Date().toISOString() };
+    assert.throws(() => parseMetadata(JSON.stringify(metadata)), { code: 'INVALID_METADATA' });
+  }
+});
+
+test('live streams refuse device IDs that leave the live directory', async () => {
+  const liveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-live-'));
+  try {
+    const live = createLiveStreams({ ffmpegPath: 'ffmpeg-not-used', liveDir });
+    await assert.rejects(live.start('../../escaped'), /Invalid device ID/);
+    await assert.rejects(fs.access(path.join(liveDir, '..', '..', 'escaped')));
+  } finally {
+    await fs.rm(liveDir, { recursive: true, force: true });
+  }
+});
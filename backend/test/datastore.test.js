@@ -0,0 +1,101 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { openDatastore } = require('../datastore');
+
+const tempDirs = [];
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-datastore-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('jsonl datastore persists puts, updates and deletes across reopen', async () => {
+  const dataDir = await tempDir();
+
+  const store = await openDatastore({ dataDir });
+  await store.sessions.put('s1', { sessionId: 's1', status: 'active' });
+  await store.sessions.put('s2', { sessionId: 's2', status: 'active' });
+  await store.sessions.update('s1', { status: 'completed' });
+  await store.sessions.delete('s2');
+  await store.close();
+
+  const reopened = await openDatastore({ dataDir });
+  assert.deepEqual(reopened.sessions.get('s1'), { sessionId: 's1', status: 'completed' });
+  assert.equal(reopened.sessions.has('s2'), false);
+  await reopened.close();
+});
+
+test('reads return copies that cannot change stored records', async () => {
+  const store = await openDatastore({ driver: 'memory' });
+  await store.sessions.put('s1', { sessionId: 's1', tags: [] });
+
+  store.sessions.get('s1').tags.push('changed');
+  store.sessions.find()[0].tags.push('changed');
+
+  assert.deepEqual(store.sessions.get('s1').tags, []);
+});
+
+test('a torn last line is dropped and the next write survives a reload', async () => {
+  const dataDir = await tempDir();
+
+  const store = await openDatastore({ dataDir });
+  await store.sessions.put('s1', { sessionId: 's1' });
+  await store.close();
+
+  // A crash in the middle of an append
+  await fs.appendFile(store.location, '{"t":"put","c":"sessions","k":"s2","v":{"sessi');
+
+  const recovered = await openDatastore({ dataDir });
+  assert.equal(recovered.sessions.has('s2'), false);
+  await recovered.sessions.put('s3', { sessionId: 's3' });
+  await recovered.close();
+
+  const reopened = await openDatastore({ dataDir });
+  assert.deepEqual(reopened.sessions.get('s1'), { sessionId: 's1' });
+  assert.deepEqual(reopened.sessions.get('s3'), { sessionId: 's3' });
+  await reopened.close();
+});
+
+test('migrations run once, in order, and record the schema version', async () => {
+  const dataDir = await tempDir();
+  const applied = [];
+  const migrations = [
+    { version: 2, name: 'second', up: async () => applied.push(2) },
+    { version: 1, name: 'first', up: async () => applied.push(1) }
+  ];
+
+  const store = await openDatastore({ dataDir, migrations });
+  assert.equal(store.schemaVersion, 2);
+  await store.close();
+
+  const reopened = await openDatastore({ dataDir, migrations });
+  assert.deepEqual(applied, [1, 2]);
+  await reopened.close();
+});
+
+test('built-in migrations bind old sessions to devices and re-key chunks', async () => {
+  const dataDir = await tempDir();
+
+  const legacy = await openDatastore({ dataDir, migrations: [] });
+  await legacy.sessions.put('s1', { sessionId: 's1' });
+  await legacy.chunks.put('upload-1', {
+    deviceId: 'd1',
+    sessionId: 's1',
+    chunkIndex: 0,
+    localPath: '/uploads/d1/s1/chunk_0.mp4'
+  });
+  await legacy.close();
+
+  const store = await openDatastore({ dataDir });
+  assert.equal(store.schemaVersion, 3);
+  assert.equal(store.sessions.get('s1').deviceId, 'd1');
+  assert.equal(store.chunks.has('upload-1'), false);
+  assert.equal(store.chunks.get('d1:s1:0').fileName, 'chunk_0.mp4');
+  await store.close();
+});
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer } = require('./helpers/server');
+
+let server;
+let doorToken;
+
+// Device token for `deviceId`, enrolled through the admin API
+async function enroll(deviceId) {
+  const { body } = await server.request('/devices/enrollment-tokens', { method: 'POST', body: {} });
+  const enrolled = await server.request('/devices/enroll', {
+    method: 'POST',
+    token: null,
+    body: { enrollmentToken: body.enrollmentToken, deviceId }
+  });
+  return enrolled.body.token;
+}
+
+// Connects to the event feed; `next(predicate)` resolves to the next matching message
+function connect(query = '', token = doorToken) {
+  const ws = new WebSocket(`${server.baseUrl.replace('http', 'ws')}/events${query}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const messages = [];
+  const waiting = [];
+  ws.on('message', raw => {
+    messages.push(JSON.parse(raw));
+    for (const waiter of [...waiting]) {
+      waiter();
+    }
+  });
+
+  function next(predicate = () => true) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No matching message in ${JSON.stringify(messages)}`)), 5000);
+      const check = () => {
+        const index = messages.findIndex(predicate);
+        if (index !== -1) {
+          clearTimeout(timer);
+          waiting.splice(waiting.indexOf(check), 1);
+          resolve(messages.splice(index, 1)[0]);
+        }
+      };
+      waiting.push(check);
+      check();
+    });
+  }
+
+  const send = message => ws.send(JSON.stringify(message));
+  const close = () => new Promise(resolve => {
+    ws.once('close', resolve);
+    ws.close();
+  });
+  return { ws, next, send, close, messages };
+}
+
+const startRecording = async deviceId => (await server.request('/start-recording', {
+  method: 'POST',
+  body: { deviceId }
+})).body.sessionId;
+
+const isEvent = type => message => message.type === 'event' && message.event.type === type;
+
+before(async () => {
+  server = await startServer();
+  doorToken = await enroll('door');
+});
+
+after(() => server.stop());
+
+test('connections need a token that may read devices', async () => {
+  for (const token of [null, 'hdt_unknown']) {
+    const { ws } = connect('', token);
+    const status = await new Promise(resolve => {
+      ws.once('unexpected-response', (req, response) => resolve(response.statusCode));
+      ws.once('open', () => resolve('open'));
+    });
+    assert.equal(status, 401);
+  }
+});
+
+test('a device follows its own device and nothing else', async () => {
+  const yardSession = await startRecording('yard');
+  const feed = connect('?deviceId=yard');
+  assert.equal((await feed.next()).code, 'SUBSCRIPTION_DENIED');
+  const welcome = await feed.next(message => message.type === 'welcome');
+  assert.deepEqual([welcome.all, welcome.deviceIds, welcome.sessionIds], [false, ['door'], []]);
+
+  for (const subscription of [{ all: true }, { deviceId: 'yard' }, { sessionId: yardSession }]) {
+    feed.send({ type: 'subscribe', ...subscription });
+    const reply = await feed.next();
+    assert.equal(reply.code, 'SUBSCRIPTION_DENIED', JSON.stringify(subscription));
+  }
+
+  await startRecording('yard');
+  const doorSession = await startRecording('door');
+  const started = await feed.next(isEvent('session.started'));
+  assert.equal(started.event.sessionId, doorSession);
+  assert.equal(started.replayed, undefined);
+  assert.equal(feed.messages.length, 0);
+  await feed.close();
+});
+
+test('admins follow everything unless they pick devices or sessions', async () => {
+  const everything = connect('', 'test-admin-key');
+  assert.equal((await everything.next()).all, true);
+  const picked = connect('?deviceId=yard', 'test-admin-key');
+  assert.deepEqual((await picked.next()).deviceIds, ['yard']);
+
+  const doorSession = await startRecording('door');
+  const yardSession = await startRecording('yard');
+  assert.equal((await everything.next(isEvent('session.started'))).event.sessionId, doorSession);
+  assert.equal((await everything.next(isEvent('session.started'))).event.sessionId, yardSession);
+  assert.equal((await picked.next(isEvent('session.started'))).event.sessionId, yardSession);
+  assert.equal(picked.messages.length, 0);
+
+  picked.send({ type: 'unsubscribe', deviceId: 'yard' });
+  assert.deepEqual((await picked.next()).deviceIds, []);
+  await Promise.all([everything.close(), picked.close()]);
+});
+
+test('events missed since a given id are replayed once', async () => {
+  const first = connect();
+  const { lastEventId } = await first.next(message => message.type === 'welcome');
+  await first.close();
+
+  const doorSession = await startRecording('door');
+  const yardSession = await startRecording('yard');
+
+  const feed = connect(`?since=${lastEventId}`);
+  await feed.next(message => message.type === 'welcome');
+  const replayed = await feed.next(isEvent('session.started'));
+  assert.equal(replayed.event.sessionId, doorSession);
+  assert.equal(replayed.replayed, true);
+  assert.equal(feed.messages.length, 0);
+
+  // An admin subscribing to a session replays only what that subscription adds
+  const admin = connect('?deviceId=door', 'test-admin-key');
+  await admin.next(message => message.type === 'welcome');
+  admin.send({ type: 'subscribe', sessionId: yardSession, since: lastEventId });
+  assert.deepEqual((await admin.next()).sessionIds, [yardSession]);
+  const added = await admin.next(isEvent('session.started'));
+  assert.deepEqual([added.event.sessionId, added.replayed], [yardSession, true]);
+  assert.equal(admin.messages.length, 0);
+  await Promise.all([feed.close(), admin.close()]);
+});
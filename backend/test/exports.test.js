@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { openDatastore } = require('../datastore');
+const { createJobQueue } = require('../jobs');
+const { createStorage } = require('../storage');
+const { createSessionExports } = require('../session-exports');
+const { parseChunkTiming } = require('../sessions');
+
+let store;
+let jobs;
+let workDir;
+let storageEnabled;
+let sessionExports;
+
+const storage = createStorage('local', {
+  rootDir: path.join(os.tmpdir(), 'heimdall-exports-storage-unused'),
+  baseUrl: 'http://127.0.0.1/storage',
+  signingSecret: 'test-secret'
+});
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the export');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// A chunk recorded from `startSec` to `endSec` of its session
+const chunk = (sessionId, chunkIndex, startSec, endSec) => ({
+  sessionId,
+  deviceId: 'd1',
+  chunkIndex,
+  gcsUri: `local://devices/d1/sessions/${sessionId}/chunks/chunk_${chunkIndex}.mp4`,
+  timing: parseChunkTiming({
+    startedAt: new Date(Date.UTC(2026, 0, 1, 0, 0, startSec)).toISOString(),
+    endedAt: new Date(Date.UTC(2026, 0, 1, 0, 0, endSec)).toISOString(),
+    startOffsetMs: startSec * 1000,
+    endOffsetMs: endSec * 1000
+  })
+});
+
+async function addSession(sessionId, chunks) {
+  await store.sessions.put(sessionId, { sessionId, deviceId: 'd1', status: 'stopped', startTime: '2026-01-01T00:00:00.000Z' });
+  for (const [chunkIndex, startSec, endSec] of chunks) {
+    await store.chunks.put(`d1:${sessionId}:${chunkIndex}`, chunk(sessionId, chunkIndex, startSec, endSec));
+  }
+}
+
+before(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-exports-'));
+  jobs = createJobQueue(() => store);
+  sessionExports = createSessionExports(() => store, {
+    jobs,
+    storage,
+    ffmpegPath: path.join(workDir, 'no-ffmpeg-here'),
+    workDir,
+    localChunkCopy: async () => {
+      throw new Error('Chunk copies are not available in this test');
+    },
+    isStorageEnabled: () => storageEnabled
+  });
+  jobs.registerHandler('export', sessionExports.run, { maxAttempts: 1, onFailed: sessionExports.failed });
+
+  await addSession('empty', []);
+  await addSession('with-gaps', [[0, 0, 10], [1, 10, 20], [3, 35, 45], [4, 50, 59.5]]);
+});
+
+after(async () => {
+  await jobs.stop();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('export requests are validated and an unfinished one is reused', async () => {
+  storageEnabled = false;
+  await assert.rejects(sessionExports.requestExport('with-gaps', { format: 'avi' }), { status: 400, code: 'INVALID_EXPORT_FORMAT' });
+  await assert.rejects(sessionExports.requestExport('unknown'), { status: 404, code: 'SESSION_NOT_FOUND' });
+  await assert.rejects(sessionExports.requestExport('empty'), { status: 409, code: 'SESSION_EMPTY' });
+  await assert.rejects(sessionExports.requestExport('with-gaps', { format: 'hls' }), { status: 503, code: 'STORAGE_UNAVAILABLE' });
+
+  // The queue is not started yet, so the first export is still queued
+  const first = await sessionExports.requestExport('with-gaps');
+  const second = await sessionExports.requestExport('with-gaps');
+  assert.equal(second.id, first.id);
+  assert.equal(second.duplicate, true);
+});
+
+test('an export whose job fails for good is marked failed with the error', async () => {
+  storageEnabled = false;
+  const [record] = sessionExports.listExports('with-gaps');
+  await jobs.start();
+  await waitFor(() => sessionExports.getExport(record.id).status === 'failed');
+  assert.match(sessionExports.getExport(record.id).error, /Chunk copies are not available/);
+});
+
+test('HLS exports mark missing chunks and recording gaps as discontinuities', async () => {
+  storageEnabled = true;
+  const record = await sessionExports.requestExport('with-gaps', { format: 'hls' });
+  await waitFor(() => sessionExports.getExport(record.id).status === 'completed');
+
+  const completed = sessionExports.getExport(record.id);
+  assert.deepEqual(completed.missingChunks, [2]);
+  assert.deepEqual(completed.skippedChunks, []);
+  assert.deepEqual(completed.segments.map(segment => [segment.chunkIndex, segment.durationSec, segment.discontinuity]), [
+    [0, 10, false],
+    [1, 10, false],
+    [3, 10, true], // chunk 2 is missing
+    [4, 9.5, true] // 5 s recording gap before it
+  ]);
+
+  const playlist = await sessionExports.renderPlaylist(completed, { expiresIn: 60000 });
+  const lines = playlist.trim().split('\n');
+  assert.equal(lines[0], '#EXTM3U');
+  assert.ok(lines.includes('#EXT-X-TARGETDURATION:10'));
+  assert.equal(lines.filter(line => line === '#EXT-X-DISCONTINUITY').length, 2);
+  assert.ok(lines.includes('#EXTINF:9.500,chunk 4'));
+  assert.match(lines[lines.indexOf('#EXTINF:9.500,chunk 4') + 1], /chunk_4\.mp4\?.*signature=/);
+  assert.equal(lines[lines.length - 1], '#EXT-X-ENDLIST');
+});
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Stands in for ffmpeg's live HLS output (see live.js) where ffmpeg is not installed: writes the
+// playlists next to the output named by the last argument, appends what arrives on stdin to the
+// first segment and exits when stdin ends. The arguments are kept in args.json.
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const dir = path.dirname(args[args.length - 1]);
+const segment = path.join(dir, 'chunk-stream0-00001.m4s');
+
+fs.writeFileSync(path.join(dir, 'args.json'), JSON.stringify(args));
+fs.writeFileSync(path.join(dir, 'master.m3u8'), '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=500000\nmedia_0.m3u8\n');
+fs.writeFileSync(path.join(dir, 'media_0.m3u8'), '#EXTM3U\n#EXT-X-TARGETDURATION:1\n#EXTINF:1.000,\nchunk-stream0-00001.m4s\n');
+fs.writeFileSync(segment, '');
+
+process.stdin.on('data', data => fs.appendFileSync(segment, data));
+process.stdin.on('end', () => process.exit(0));
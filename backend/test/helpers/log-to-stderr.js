@@ -0,0 +1,7 @@
+// Loaded into every test process (see the test script in package.json).
+//
+// node --test reads each test file's stdout for the runner's own messages, and Node 20
+// misreads a message that is directly followed by a line starting with a multi-byte character,
+// as every server log line does (its emoji). Logs go to stderr instead, which is passed through.
+console.log = (...args) => console.error(...args);
+console.info = (...args) => console.error(...args);
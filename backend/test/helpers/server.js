@@ -0,0 +1,112 @@
+const { Buffer } = require('buffer');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+// Directories server.js creates next to itself; afterwards whatever the run added to them is removed
+const RUNTIME_DIRS = ['temp', 'uploads', 'exports', 'live'].map(name => path.join(BACKEND_DIR, name));
+const ADMIN_KEY = 'test-admin-key';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function exists(dir) {
+  return fs.access(dir).then(() => true, () => false);
+}
+
+// Run server.js on a free port with a throwaway datastore and local object storage.
+// Resolves to { baseUrl, request, stop }; `request` sends the admin key unless given a token.
+async function startServer(env = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-server-'));
+  // Directory -> names it held before the run, or null if it did not exist
+  const before = new Map();
+  for (const dir of RUNTIME_DIRS) {
+    before.set(dir, (await exists(dir)) ? new Set(await fs.readdir(dir)) : null);
+  }
+
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      STORAGE_DRIVER: 'local',
+      ADMIN_API_KEYS: ADMIN_KEY,
+      RETENTION_SWEEP_INTERVAL_MINUTES: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', data => {
+    output += data;
+  });
+  child.stderr.on('data', data => {
+    output += data;
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 15000;
+  while (!(await fetch(`${baseUrl}/health`).then(response => response.ok, () => false))) {
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      throw new Error(`server.js did not start:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  async function request(route, { method = 'GET', token = ADMIN_KEY, body, form, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: form || (body ? JSON.stringify(body) : undefined)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  async function stop() {
+    child.kill('SIGTERM');
+    await exited;
+    await fs.rm(dataDir, { recursive: true, force: true });
+    for (const [dir, names] of before) {
+      if (!names) {
+        await fs.rm(dir, { recursive: true, force: true });
+        continue;
+      }
+      for (const name of await fs.readdir(dir)) {
+        if (!names.has(name)) {
+          await fs.rm(path.join(dir, name), { recursive: true, force: true });
+        }
+      }
+    }
+  }
+
+  return { baseUrl, dataDir, request, stop, output: () => output };
+}
+
+// Multipart body for POST /upload-chunk
+function chunkForm(metadata, video = Buffer.from(`chunk ${metadata.chunkIndex}`)) {
+  const form = new FormData();
+  form.append('video', new Blob([video], { type: 'video/mp4' }), `video_${metadata.chunkIndex}.mp4`);
+  form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }), 'metadata.json');
+  return form;
+}
+
+module.exports = { startServer, chunkForm, ADMIN_KEY };
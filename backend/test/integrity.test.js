@@ -0,0 +1,153 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { openDatastore } = require('../datastore');
+const { createIntegrity, sha256File } = require('../integrity');
+const { startServer, chunkForm } = require('./helpers/server');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('session verification', () => {
+  let store;
+  let workDir;
+  let integrity;
+
+  before(async () => {
+    store = await openDatastore({ driver: 'memory' });
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-integrity-'));
+    integrity = createIntegrity(() => store, {
+      storage: { keyFromUri: () => null },
+      workDir,
+      isStorageEnabled: () => false
+    });
+  });
+
+  after(() => fs.rm(workDir, { recursive: true, force: true }));
+
+  // Store a session whose chunks have the given contents, chained as the app chains them
+  async function addSession(sessionId, contents) {
+    await store.sessions.put(sessionId, { sessionId, deviceId: 'd1', status: 'stopped', expectedChunks: contents.length });
+    let previousSha256 = null;
+    for (const [chunkIndex, content] of contents.entries()) {
+      const localPath = path.join(workDir, `${sessionId}_${chunkIndex}.mp4`);
+      await fs.writeFile(localPath, content);
+      await store.chunks.put(`d1:${sessionId}:${chunkIndex}`, {
+        sessionId,
+        deviceId: 'd1',
+        chunkIndex,
+        localPath,
+        sha256: sha256(content),
+        previousSha256,
+        checksum: 'device'
+      });
+      previousSha256 = sha256(content);
+    }
+  }
+
+  const links = verification => verification.chunks.map(chunk => chunk.link);
+
+  test('an untouched chain verifies as intact', async () => {
+    await addSession('intact', ['a', 'b', 'c']);
+    const verification = await integrity.verifySession('intact');
+    assert.equal(verification.intact, true);
+    assert.deepEqual(links(verification), ['ok', 'ok', 'ok']);
+    assert.deepEqual(verification.chunks[1].content, { local: 'ok', stored: 'absent' });
+    assert.equal(await integrity.verifySession('unknown'), null);
+  });
+
+  test('a chunk changed on disk is reported as altered', async () => {
+    await addSession('altered', ['a', 'b', 'c']);
+    await fs.writeFile(store.chunks.get('d1:altered:1').localPath, 'tampered');
+
+    const verification = await integrity.verifySession('altered');
+    assert.equal(verification.intact, false);
+    assert.deepEqual(verification.alteredChunks, [1]);
+
+    // Without rehashing only the recorded digests are compared
+    assert.equal((await integrity.verifySession('altered', { rehash: false })).intact, true);
+  });
+
+  test('swapped, replaced and missing chunks break the chain', async () => {
+    await addSession('swapped', ['a', 'b', 'c']);
+    const first = store.chunks.get('d1:swapped:1');
+    const second = store.chunks.get('d1:swapped:2');
+    await store.chunks.update('d1:swapped:1', { ...second, chunkIndex: 1 });
+    await store.chunks.update('d1:swapped:2', { ...first, chunkIndex: 2 });
+    const swapped = await integrity.verifySession('swapped', { rehash: false });
+    assert.deepEqual(swapped.reorderedChunks, [1, 2]);
+    assert.equal(swapped.chunks[1].follows, 2);
+
+    await addSession('replaced', ['a', 'b', 'c']);
+    await store.chunks.update('d1:replaced:1', { sha256: sha256('forged'), previousSha256: sha256('a') });
+    assert.deepEqual((await integrity.verifySession('replaced', { rehash: false })).brokenLinks, [2]);
+
+    await addSession('gap', ['a', 'b', 'c']);
+    await store.chunks.delete('d1:gap:1');
+    const gap = await integrity.verifySession('gap', { rehash: false });
+    assert.deepEqual(gap.missingChunks, [1]);
+    assert.deepEqual(links(gap), ['ok', 'missing_previous']);
+  });
+
+  test('chunks sent without digests are not chained', async () => {
+    await store.sessions.put('legacy', { sessionId: 'legacy', deviceId: 'd1', status: 'stopped' });
+    await store.chunks.put('d1:legacy:0', { sessionId: 'legacy', deviceId: 'd1', chunkIndex: 0, sha256: sha256('x'), checksum: 'server' });
+    const verification = await integrity.verifySession('legacy');
+    assert.deepEqual(verification.unchainedChunks, [0]);
+    assert.equal(verification.intact, true);
+  });
+
+  test('files are hashed as streamed', async () => {
+    const filePath = path.join(workDir, 'large.bin');
+    const content = Buffer.alloc(3 * 1024 * 1024, 7);
+    await fs.writeFile(filePath, content);
+    assert.equal(await sha256File(filePath), sha256(content));
+  });
+});
+
+describe('POST /upload-chunk digests', () => {
+  let server;
+  let sessionId;
+
+  const upload = (chunkIndex, content, digests) => server.request('/upload-chunk', {
+    method: 'POST',
+    form: chunkForm({
+      schemaVersion: 3,
+      deviceId: 'integrity-test-device',
+      sessionId,
+      chunkIndex,
+      timestamp: '2026-01-01T00:00:00.000Z',
+      ...digests
+    }, Buffer.from(content))
+  });
+
+  before(async () => {
+    server = await startServer();
+    const started = await server.request('/start-recording', {
+      method: 'POST',
+      body: { deviceId: 'integrity-test-device' }
+    });
+    sessionId = started.body.sessionId;
+  });
+
+  after(() => server.stop());
+
+  test('a chunk that does not match its digest is rejected', async () => {
+    const response = await upload(0, 'chunk 0', { sha256: sha256('something else'), previousSha256: null });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'CHECKSUM_MISMATCH');
+  });
+
+  test('chained uploads verify as intact', async () => {
+    assert.equal((await upload(0, 'chunk 0', { sha256: sha256('chunk 0'), previousSha256: null })).status, 200);
+    assert.equal((await upload(1, 'chunk 1', { sha256: sha256('chunk 1'), previousSha256: sha256('chunk 0') })).status, 200);
+
+    const response = await server.request(`/sessions/${sessionId}/verify`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.verification.intact, true);
+    assert.deepEqual(response.body.verification.chunks.map(chunk => chunk.content.local), ['ok', 'ok']);
+  });
+});
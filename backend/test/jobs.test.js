@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatastore } = require('../datastore');
+const { createJobQueue, PermanentJobError } = require('../jobs');
+
+async function waitFor(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the job queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function openQueue(options) {
+  const store = await openDatastore({ driver: 'memory' });
+  return { store, queue: createJobQueue(() => store, options) };
+}
+
+test('failed jobs are retried until they succeed or run out of attempts', async t => {
+  const { queue } = await openQueue();
+  t.after(() => queue.stop());
+
+  let calls = 0;
+  const failed = [];
+  queue.registerHandler('flaky', async ({ succeedOn }) => {
+    calls++;
+    if (calls < succeedOn) {
+      throw new Error(`attempt ${calls} failed`);
+    }
+    return { calls };
+  }, { maxAttempts: 2, backoffMs: 1, onFailed: job => failed.push(job.id) });
+  await queue.start();
+
+  const recovering = await queue.enqueue('flaky', { succeedOn: 2 });
+  await waitFor(() => queue.isTerminal(queue.get(recovering.id)));
+  assert.equal(queue.get(recovering.id).status, 'completed');
+  assert.equal(queue.get(recovering.id).attempts, 2);
+  assert.deepEqual(queue.get(recovering.id).result, { calls: 2 });
+
+  calls = 0;
+  const hopeless = await queue.enqueue('flaky', { succeedOn: 10 });
+  await waitFor(() => queue.isTerminal(queue.get(hopeless.id)));
+  assert.equal(queue.get(hopeless.id).status, 'failed');
+  assert.equal(queue.get(hopeless.id).lastError, 'attempt 2 failed');
+  assert.deepEqual(failed, [hopeless.id]);
+});
+
+test('permanent errors fail a job without retries', async t => {
+  const { queue } = await openQueue();
+  t.after(() => queue.stop());
+
+  queue.registerHandler('broken', async () => {
+    throw new PermanentJobError('unsupported input');
+  }, { maxAttempts: 5, backoffMs: 1 });
+  await queue.start();
+
+  const job = await queue.enqueue('broken');
+  await waitFor(() => queue.isTerminal(queue.get(job.id)));
+  assert.equal(queue.get(job.id).status, 'failed');
+  assert.equal(queue.get(job.id).attempts, 1);
+});
+
+test('an unfinished job with the same dedupe key is reused and raised in priority', async t => {
+  const { queue } = await openQueue();
+  t.after(() => queue.stop());
+
+  const first = await queue.enqueue('analysis', { uri: 'a' }, { dedupeKey: 'analysis:a' });
+  const second = await queue.enqueue('analysis', { uri: 'a' }, { dedupeKey: 'analysis:a', priority: 5 });
+  assert.equal(second.id, first.id);
+  assert.equal(second.duplicate, true);
+  assert.equal(queue.get(first.id).priority, 5);
+
+  // Once the job has finished the key is free again
+  await queue.cancel(first.id);
+  const third = await queue.enqueue('analysis', { uri: 'a' }, { dedupeKey: 'analysis:a' });
+  assert.notEqual(third.id, first.id);
+  assert.equal(third.duplicate, undefined);
+});
+
+test('per-type concurrency and rate limits hold back due jobs, highest priority first', async t => {
+  const { queue } = await openQueue({ concurrency: 4 });
+  t.after(() => queue.stop());
+
+  const order = [];
+  const releases = [];
+  queue.registerHandler('slow', ({ name }) => new Promise(resolve => {
+    order.push(name);
+    releases.push(resolve);
+  }), { concurrency: 1 });
+  queue.registerHandler('limited', async () => {}, { ratePerMinute: 2 });
+
+  await queue.enqueue('slow', { name: 'low' });
+  await queue.enqueue('slow', { name: 'high' }, { priority: 10 });
+  const limited = await Promise.all([1, 2, 3].map(() => queue.enqueue('limited')));
+  await queue.start();
+
+  await waitFor(() => order.length === 1 && queue.stats().completed === 2);
+  assert.deepEqual(order, ['high']);
+  assert.equal(queue.get(limited[2].id).status, 'queued');
+
+  releases.shift()();
+  await waitFor(() => order.length === 2);
+  assert.deepEqual(order, ['high', 'low']);
+  releases.shift()();
+});
+
+test('a job interrupted by a crash counts the run as an attempt', async () => {
+  const store = await openDatastore({ driver: 'memory' });
+  const now = new Date().toISOString();
+  const interrupted = attempts => ({
+    type: 'crashy',
+    payload: {},
+    status: 'running',
+    priority: 0,
+    attempts,
+    maxAttempts: 3,
+    dedupeKey: null,
+    runAt: now,
+    createdAt: now,
+    startedAt: now,
+    finishedAt: null,
+    lastError: null,
+    result: null
+  });
+  await store.collection('jobs').put('retry-left', interrupted(2));
+  await store.collection('jobs').put('last-attempt', interrupted(3));
+
+  const queue = createJobQueue(() => store);
+  const failed = [];
+  queue.registerHandler('crashy', () => new Promise(() => {}), { onFailed: job => failed.push(job.id) });
+  await queue.start();
+  await queue.stop({ timeoutMs: 0 });
+
+  assert.equal(queue.get('last-attempt').status, 'failed');
+  assert.equal(queue.get('last-attempt').lastError, 'Interrupted by server restart');
+  assert.deepEqual(failed, ['last-attempt']);
+  assert.notEqual(queue.get('retry-left').status, 'failed');
+  assert.equal(queue.get('retry-left').lastError, 'Interrupted by server restart');
+});
+
+test('finished jobs past their retention period are dropped on start', async () => {
+  const store = await openDatastore({ driver: 'memory' });
+  const longAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  await store.collection('jobs').put('old', { type: 'preview', status: 'completed', createdAt: longAgo, finishedAt: longAgo });
+  await store.collection('jobs').put('recent', { type: 'preview', status: 'completed', createdAt: longAgo, finishedAt: new Date().toISOString() });
+
+  const queue = createJobQueue(() => store);
+  await queue.start();
+  await queue.stop();
+
+  assert.equal(queue.get('old'), null);
+  assert.equal(queue.get('recent').status, 'completed');
+});
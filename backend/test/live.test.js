@@ -0,0 +1,173 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('buffer');
+const WebSocket = require('ws');
+const { createEventBus } = require('../events');
+const { createLiveStreams } = require('../live');
+const { startServer } = require('./helpers/server');
+
+const FAKE_FFMPEG = path.join(__dirname, 'helpers', 'fake-ffmpeg.js');
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+// ffmpeg writes its files some time after it was started
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for ffmpeg');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const ffmpegArgs = async dir => {
+  await waitFor(() => exists(path.join(dir, 'args.json')));
+  return JSON.parse(await fs.readFile(path.join(dir, 'args.json'), 'utf8'));
+};
+
+describe('live streams', () => {
+  let liveDir;
+  let bus;
+  let live;
+
+  before(async () => {
+    liveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-live-'));
+    bus = createEventBus();
+    live = createLiveStreams({ ffmpegPath: FAKE_FFMPEG, liveDir, events: bus, signingSecret: 'test-secret' });
+  });
+
+  after(async () => {
+    await live.stopAll();
+    await fs.rm(liveDir, { recursive: true, force: true });
+  });
+
+  test('JPEG frames are encoded into one-second HLS segments until the stream stops', async () => {
+    const endings = [];
+    const stream = await live.start('cam-1', { fps: 5, onEnded: reason => endings.push(reason) });
+    assert.equal(path.dirname(stream.dir), path.join(liveDir, 'cam-1'));
+
+    const masterPlaylist = live.filePath('cam-1', 'master.m3u8');
+    assert.equal(masterPlaylist, path.join(stream.dir, 'master.m3u8'));
+    for (const fileName of ['../args.json', 'args.json', 'master.m3u8/..']) {
+      assert.equal(live.filePath('cam-1', fileName), null, fileName);
+    }
+    assert.equal(live.filePath('cam-2', 'master.m3u8'), null);
+
+    assert.equal(live.write(stream, Buffer.from('frame 1')), true);
+    assert.equal(live.write(stream, Buffer.from('frame 2')), true);
+    assert.deepEqual([live.get('cam-1').framesIn, live.get('cam-1').bytesIn], [2, 14]);
+
+    const args = await ffmpegArgs(stream.dir);
+    const option = name => args[args.indexOf(name) + 1];
+    assert.deepEqual([option('-framerate'), option('-c:v'), option('-g'), option('-seg_duration')], ['5', 'mjpeg', '5', '1']);
+    assert.equal(option('-lhls'), '1');
+
+    assert.equal(await live.stop('cam-1'), true);
+    assert.equal(await exists(stream.dir), false);
+    assert.deepEqual(endings, ['stopped']);
+    assert.deepEqual(bus.since(0).map(event => [event.type, event.deviceId]), [['live.started', 'cam-1'], ['live.stopped', 'cam-1']]);
+    assert.equal(await live.stop('cam-1'), false);
+  });
+
+  test('MP4 input is passed through, and a new stream of a device replaces the old one', async () => {
+    const endings = [];
+    const first = await live.start('cam-3', { format: 'mp4', onEnded: reason => endings.push(reason) });
+    const args = await ffmpegArgs(first.dir);
+    assert.deepEqual(args.slice(args.indexOf('-f'), args.indexOf('-f') + 6), ['-f', 'mp4', '-i', 'pipe:0', '-c:v', 'copy']);
+
+    const second = await live.start('cam-3', { format: 'mp4' });
+    assert.deepEqual(endings, ['replaced']);
+    assert.equal(live.get('cam-3').streamId, second.id);
+    // Stopping by an old stream's ID leaves the new one alone
+    assert.equal(await live.stop('cam-3', 'ingest closed', { streamId: first.id }), false);
+    assert.equal(await live.stop('cam-3', 'ingest closed', { streamId: second.id }), true);
+  });
+
+  test('device IDs cannot leave the live directory', async () => {
+    await assert.rejects(live.start('..'), /Invalid device ID/);
+  });
+
+  test('viewer paths are signed per device and expire', () => {
+    const viewerPath = live.viewerPath('cam-1', { expiresIn: 60000 });
+    const [, deviceId, token, file] = viewerPath.split('/').slice(1);
+    assert.deepEqual([deviceId, file], ['cam-1', 'master.m3u8']);
+    assert.equal(live.verifyViewerToken('cam-1', token), true);
+
+    assert.equal(live.verifyViewerToken('cam-2', token), false);
+    assert.equal(live.verifyViewerToken('cam-1', `${Number(token.split('.')[0]) + 1}.${token.split('.')[1]}`), false);
+    assert.equal(live.verifyViewerToken('cam-1', 'garbage'), false);
+
+    const expired = live.viewerPath('cam-1', { expiresIn: -1000 }).split('/')[3];
+    assert.equal(live.verifyViewerToken('cam-1', expired), false);
+  });
+});
+
+describe('live ingest socket', () => {
+  let server;
+
+  // Opens an ingest; resolves to the socket and its `started` message
+  function ingest(query = '?deviceId=door') {
+    const ws = new WebSocket(`${server.baseUrl.replace('http', 'ws')}/live/ingest${query}`, {
+      headers: { Authorization: 'Bearer test-admin-key' }
+    });
+    const closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) })));
+    const started = new Promise((resolve, reject) => {
+      ws.once('message', raw => resolve(JSON.parse(raw)));
+      ws.once('unexpected-response', (req, response) => reject(new Error(`Ingest refused with ${response.statusCode}`)));
+    });
+    return { ws, started, closed };
+  }
+
+  before(async () => {
+    server = await startServer({ FFMPEG_PATH: FAKE_FFMPEG });
+  });
+
+  after(() => server.stop());
+
+  test('ingests are answered with an absolute, signed playlist URL', async () => {
+    const { ws, started, closed } = ingest();
+    const message = await started;
+    assert.equal(message.type, 'started');
+    assert.ok(message.playlistUrl.startsWith(`${server.baseUrl}/live/door/`), message.playlistUrl);
+
+    ws.send(Buffer.from('frame'));
+    const segmentUrl = new URL('chunk-stream0-00001.m4s', message.playlistUrl);
+    await waitFor(async () => (await (await fetch(segmentUrl)).text()) === 'frame');
+
+    const playlist = await fetch(message.playlistUrl);
+    assert.equal(playlist.status, 200);
+    assert.match(playlist.headers.get('content-type'), /mpegurl/);
+    assert.match(await playlist.text(), /media_0\.m3u8/);
+
+    const { body } = await server.request('/live/door');
+    assert.ok(body.playlistUrl.startsWith(`${server.baseUrl}/live/door/`));
+    assert.equal(body.stream.framesIn, 1);
+
+    const forged = new URL(message.playlistUrl);
+    forged.pathname = forged.pathname.replace('/live/door/', '/live/yard/');
+    assert.equal((await fetch(forged)).status, 403);
+
+    ws.close();
+    await closed;
+  });
+
+  test('a second ingest of the same device replaces the first', async () => {
+    const first = ingest();
+    await first.started;
+    const second = ingest();
+    assert.equal((await second.started).type, 'started');
+    assert.deepEqual(await first.closed, { code: 4000, reason: 'replaced' });
+
+    second.ws.close();
+    await second.closed;
+  });
+
+  test('ingests with invalid options are refused', async () => {
+    await assert.rejects(ingest('?deviceId=door&fps=60').started, /refused with 400/);
+    await assert.rejects(ingest('?deviceId=door&sessionId=unknown').started, /refused with 403/);
+  });
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMetadata, CURRENT_SCHEMA_VERSION, SUPPORTED_SCHEMA_VERSIONS } = require('../metadata-schema');
+
+const identity = { deviceId: 'cam-1', sessionId: 'session-1', chunkIndex: 0, timestamp: '2026-03-01T10:00:00.000Z' };
+const digest = 'a'.repeat(64);
+
+const parse = metadata => parseMetadata(JSON.stringify(metadata));
+
+test('every supported version is upgraded to the current one', () => {
+  assert.equal(CURRENT_SCHEMA_VERSION, 3);
+  assert.deepEqual(SUPPORTED_SCHEMA_VERSIONS, [1, 2, 3]);
+
+  const fromV1 = parse({ ...identity, chunkIndex: '4' });
+  assert.equal(fromV1.schemaVersion, 1);
+  assert.deepEqual(fromV1.metadata, { ...identity, schemaVersion: 3, chunkIndex: 4 });
+
+  // Builds from before versioning sent no sessionId; the upload handler assigns one
+  const withoutSession = { ...identity, sessionId: undefined };
+  assert.equal(parse(withoutSession).metadata.sessionId, undefined);
+  assert.throws(() => parse({ ...withoutSession, schemaVersion: 2 }), { code: 'INVALID_METADATA' });
+
+  const fromV2 = parse({ ...identity, schemaVersion: 2 });
+  assert.equal(fromV2.schemaVersion, 2);
+  assert.equal(fromV2.metadata.schemaVersion, 3);
+
+  const current = parse({ ...identity, schemaVersion: 3, sha256: digest, previousSha256: null });
+  assert.equal(current.schemaVersion, 3);
+  assert.equal(current.metadata.sha256, digest);
+});
+
+test('version 2 stays as published; fields added since are version 3 only', () => {
+  const additions = {
+    sha256: digest,
+    trigger: {
+      mode: 'motion',
+      eventId: 'event-1',
+      role: 'event',
+      triggeredAt: '2026-03-01T10:00:00.000Z',
+      zone: 'driveway',
+      score: 0.4,
+      peakScore: 0.7
+    },
+    recordingSettings: { codec: 'h264', quality: '1080p', bitrate: 4000000, fps: 30, segmentDurationMs: 10000, adaptiveLevel: 1 }
+  };
+  for (const [field, value] of Object.entries(additions)) {
+    assert.throws(() => parse({ ...identity, schemaVersion: 2, [field]: value }), { code: 'INVALID_METADATA' }, field);
+    assert.doesNotThrow(() => parse({ ...identity, schemaVersion: 3, [field]: value }), field);
+  }
+});
+
+test('invalid metadata is rejected with the offending fields', () => {
+  assert.throws(() => parseMetadata(undefined), { status: 400, code: 'METADATA_REQUIRED' });
+  assert.throws(() => parseMetadata('{'), { status: 400, code: 'INVALID_METADATA_JSON' });
+  assert.throws(() => parseMetadata('[]'), { status: 422, code: 'INVALID_METADATA' });
+  assert.throws(() => parse({ ...identity, schemaVersion: 4 }), { status: 422, code: 'UNSUPPORTED_SCHEMA_VERSION' });
+
+  try {
+    parse({ ...identity, schemaVersion: 3, chunkIndex: -1, sha256: 'not-a-digest', colour: 'red' });
+    assert.fail('metadata should have been rejected');
+  } catch (error) {
+    assert.equal(error.code, 'INVALID_METADATA');
+    assert.deepEqual(error.errors.map(({ field }) => field).sort(), ['metadata.chunkIndex', 'metadata.colour', 'metadata.sha256']);
+  }
+});
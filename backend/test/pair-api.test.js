@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+const enroll = (enrollmentToken, deviceId) => server.request('/devices/enroll', {
+  method: 'POST',
+  token: null,
+  body: { enrollmentToken, deviceId }
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('pairing codes carry the backend URL and a fresh enrollment token', async () => {
+  const { status, body } = await server.request('/pair', {
+    headers: { 'X-Forwarded-Host': 'cams.example.com', 'X-Forwarded-Proto': 'https' }
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(JSON.parse(body.payload), {
+    type: 'heimdall-pairing',
+    version: 1,
+    url: 'https://cams.example.com',
+    enrollmentToken: body.enrollmentToken
+  });
+  assert.match(body.enrollmentToken, /^hen_/);
+  assert.equal(body.usesRemaining, 1);
+  assert.match(body.qrCode, /^data:image\/png;base64,/);
+
+  // Valid for an hour by default
+  const ttlMs = Date.parse(body.expiresAt) - Date.now();
+  assert.ok(ttlMs > 59 * 60 * 1000 && ttlMs <= 60 * 60 * 1000, body.expiresAt);
+});
+
+test('a pairing code enrolls one device only', async () => {
+  const { body } = await server.request('/pair');
+  const first = await enroll(body.enrollmentToken, 'paired-phone');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.deviceId, 'paired-phone');
+
+  const second = await enroll(body.enrollmentToken, 'second-phone');
+  assert.equal(second.status, 401);
+  assert.equal(second.body.code, 'INVALID_ENROLLMENT_TOKEN');
+});
+
+test('pairing codes stop working once they expire', async () => {
+  // 36 milliseconds
+  const { body } = await server.request('/pair?ttlHours=0.00001&maxUses=2');
+  assert.equal(body.usesRemaining, 2);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const { status } = await enroll(body.enrollmentToken, 'late-phone');
+  assert.equal(status, 401);
+});
+
+test('pairing needs an admin key and valid options', async () => {
+  assert.equal((await server.request('/pair', { token: 'hdt_unknown' })).status, 401);
+  assert.equal((await server.request('/pair?format=gif')).body.code, 'INVALID_PAIRING_FORMAT');
+  for (const query of ['ttlHours=0', 'maxUses=0', 'maxUses=1.5']) {
+    const { status, body } = await server.request(`/pair?${query}`);
+    assert.deepEqual([status, body.code], [400, 'INVALID_ENROLLMENT_OPTIONS'], query);
+  }
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { openDatastore } = require('../datastore');
+const { PermanentJobError } = require('../jobs');
+const { createStorage } = require('../storage');
+const ffmpeg = require('../ffmpeg');
+const { createPreviews } = require('../previews');
+
+// Input header of a 1920x1080 phone video; `rotated` adds the side data of one filmed upright
+const ffmpegHeader = ({ rotated = false } = {}) => [
+  'Input #0, mov,mp4,m4a,3gp,3g2,mj2, from \'chunk_0.mp4\':',
+  '  Duration: 00:00:10.00, start: 0.000000, bitrate: 4512 kb/s',
+  '  Stream #0:0[0x1](eng): Video: h264 (High) (avc1 / 0x31637661), yuv420p(tv, bt709), 1920x1080, 4380 kb/s, 30 fps',
+  ...(rotated ? ['    Side data:', '      displaymatrix: rotation of -90.00 degrees'] : [])
+].join('\n');
+
+let store;
+let workDir;
+let previews;
+let stderr;
+let ffmpegCalls;
+
+const uri = chunkIndex => `local://devices/d1/sessions/s1/chunks/chunk_${chunkIndex}.mp4`;
+
+async function addChunk(chunkIndex, fields = {}) {
+  const localPath = path.join(workDir, `chunk_${chunkIndex}.mp4`);
+  await fs.writeFile(localPath, 'video');
+  await store.chunks.put(`d1:s1:${chunkIndex}`, {
+    deviceId: 'd1',
+    sessionId: 's1',
+    chunkIndex,
+    gcsUri: uri(chunkIndex),
+    localPath,
+    ...fields
+  });
+}
+
+const generate = gcsUri => previews.generate({ gcsUri }, { signal: new AbortController().signal });
+
+before(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-previews-'));
+  previews = createPreviews(() => store, {
+    storage: createStorage('local', {
+      rootDir: path.join(workDir, 'storage'),
+      baseUrl: 'http://127.0.0.1/storage',
+      signingSecret: 'test-secret'
+    }),
+    workDir,
+    localChunkCopy: async ({ localPath }) => ({ localPath, cleanup: async () => {} }),
+    isStorageEnabled: () => true
+  });
+
+  // ffmpeg writes its output file (the last argument) and reports the input on stderr
+  mock.method(ffmpeg, 'runFfmpeg', async (ffmpegPath, args) => {
+    ffmpegCalls.push(args);
+    await fs.writeFile(args[args.length - 1], 'jpeg');
+    return stderr;
+  });
+});
+
+beforeEach(() => {
+  stderr = ffmpegHeader();
+  ffmpegCalls = [];
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('sprites of landscape video are tiled at its aspect ratio', async () => {
+  await addChunk(0);
+  const result = await generate(uri(0));
+  assert.equal(result.sprites, 'devices/d1/sessions/s1/chunks/chunk_0.sprites.jpg');
+
+  const { poster, sprites } = previews.get(uri(0));
+  assert.equal(poster.key, 'devices/d1/sessions/s1/chunks/chunk_0.poster.jpg');
+  assert.deepEqual(sprites, { key: result.sprites, frames: 10, intervalSec: 1, tileWidth: 160, tileHeight: 90 });
+  assert.ok(ffmpegCalls[1].includes('fps=1/1.000,scale=160:-2,tile=10x1'));
+});
+
+test('sprites of video filmed upright are tiled portrait', async () => {
+  stderr = ffmpegHeader({ rotated: true });
+  // Timing recorded by the app takes precedence over the duration ffmpeg reports
+  await addChunk(1, { timing: { durationMs: 20000 } });
+  await generate(uri(1));
+
+  const { sprites } = previews.get(uri(1));
+  assert.equal(sprites.tileHeight, 284);
+  assert.equal(sprites.intervalSec, 2);
+});
+
+test('videos that can never be previewed fail for good', async () => {
+  await addChunk(2, { purgedAt: new Date().toISOString() });
+  await assert.rejects(generate(uri(2)), PermanentJobError);
+  await assert.rejects(generate('gs://another-bucket/chunk_0.mp4'), PermanentJobError);
+
+  await addChunk(3);
+  stderr = 'Duration: N/A';
+  await assert.rejects(generate(uri(3)), PermanentJobError);
+  assert.equal(previews.get(uri(3)), undefined);
+});
+
+test('a missing ffmpeg is a permanent failure', async () => {
+  await addChunk(4);
+  ffmpeg.runFfmpeg.mock.mockImplementationOnce(async () => {
+    throw Object.assign(new Error('spawn ffmpeg ENOENT'), { code: 'ENOENT' });
+  });
+  await assert.rejects(generate(uri(4)), error => error instanceof PermanentJobError && /ffmpeg not found/.test(error.message));
+});
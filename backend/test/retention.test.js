@@ -0,0 +1,134 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { openDatastore } = require('../datastore');
+const { createRetention } = require('../retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+let store;
+let uploadsDir;
+let retention;
+
+beforeEach(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-retention-'));
+  retention = createRetention(() => store, {
+    storage: { keyFromUri: () => null },
+    uploadsDir,
+    isStorageEnabled: () => false
+  });
+});
+
+afterEach(() => fs.rm(uploadsDir, { recursive: true, force: true }));
+
+// A chunk the server received `days` ago, with a local copy of `size` bytes
+async function addChunk(sessionId, chunkIndex, { days, size = 100, deviceId = 'd1', personCount = null, deviceStartedAt = null }) {
+  const localPath = path.join(uploadsDir, deviceId, sessionId, `chunk_${chunkIndex}.mp4`);
+  await fs.mkdir(path.dirname(localPath), { recursive: true });
+  await fs.writeFile(localPath, Buffer.alloc(size));
+  if (!store.sessions.has(sessionId)) {
+    await store.sessions.put(sessionId, { sessionId, deviceId, status: 'stopped' });
+  }
+  const gcsUri = `local://devices/${deviceId}/sessions/${sessionId}/chunks/chunk_${chunkIndex}.mp4`;
+  if (personCount !== null) {
+    await store.analysis.put(gcsUri, { result: { summary: { personCount, objectCount: 0 } } });
+  }
+  const key = `${deviceId}:${sessionId}:${chunkIndex}`;
+  await store.chunks.put(key, {
+    sessionId,
+    deviceId,
+    chunkIndex,
+    gcsUri,
+    localPath,
+    size,
+    // Device clock
+    timing: deviceStartedAt ? { startedAt: deviceStartedAt } : null,
+    timestamp: daysAgo(days),
+    receivedAt: daysAgo(days)
+  });
+  return key;
+}
+
+const plannedKeys = report => report.chunks.map(deletion => `${deletion.deviceId}:${deletion.sessionId}:${deletion.chunkIndex}`);
+
+test('chunks are aged by when the server received them, not by the device clock', async () => {
+  await retention.createRule({ name: 'A week', keepDays: 7 });
+  const old = await addChunk('s1', 0, { days: 10 });
+  // A device whose clock is years behind must not get fresh footage deleted
+  await addChunk('s1', 1, { days: 1, deviceStartedAt: '2019-01-01T00:00:00.000Z' });
+  // Records stored before receivedAt have the same server time as `timestamp`
+  const legacy = await addChunk('s1', 2, { days: 9 });
+  await store.chunks.update(legacy, { receivedAt: undefined });
+
+  const report = await retention.plan();
+  assert.deepEqual(plannedKeys(report), [old, legacy]);
+  assert.equal(report.chunks[0].reason, 'expired');
+  assert.equal(report.chunks[0].receivedAt, store.chunks.get(old).receivedAt);
+});
+
+test('the longest period of the rules covering a chunk wins', async () => {
+  await retention.createRule({ name: 'Everything', outcome: 'any', keepDays: 7 });
+  await retention.createRule({ name: 'People', outcome: 'person', keepDays: 90 });
+  const empty = await addChunk('s1', 0, { days: 30, personCount: 0 });
+  await addChunk('s1', 1, { days: 30, personCount: 2 });
+
+  assert.deepEqual(plannedKeys(await retention.plan()), [empty]);
+});
+
+test('size limits delete the oldest covered chunks of each device first', async () => {
+  await retention.createRule({ name: 'Cap', maxBytes: 250 });
+  const oldest = await addChunk('s1', 0, { days: 3 });
+  await addChunk('s1', 1, { days: 2 });
+  await addChunk('s1', 2, { days: 1 });
+  await addChunk('s2', 0, { days: 5, deviceId: 'd2' });
+
+  const report = await retention.plan();
+  assert.deepEqual(plannedKeys(report), [oldest]);
+  assert.equal(report.chunks[0].reason, 'over_quota');
+  assert.deepEqual(report.devices, { d1: { chunks: 1, bytes: 100 } });
+});
+
+test('held sessions are never deleted', async () => {
+  await retention.createRule({ name: 'A day', keepDays: 1 });
+  await addChunk('held', 0, { days: 30 });
+  await retention.placeHold('held', { reason: 'Incident 42', by: 'legal' });
+  await assert.rejects(retention.placeHold('unknown', { reason: 'x' }), { code: 'SESSION_NOT_FOUND' });
+
+  const report = await retention.plan();
+  assert.deepEqual(report.chunks, []);
+  assert.deepEqual(report.held, { sessions: 1, chunks: 1, bytes: 100 });
+
+  assert.equal(await retention.releaseHold('held'), true);
+  assert.equal((await retention.plan()).chunks.length, 1);
+});
+
+test('a sweep deletes expired copies and keeps their records marked as purged', async () => {
+  const rule = await retention.createRule({ name: 'A week', keepDays: 7 });
+  const expired = await addChunk('s1', 0, { days: 8 });
+  const kept = await addChunk('s1', 1, { days: 2 });
+
+  const result = await retention.sweep({}, { signal: new AbortController().signal });
+  assert.equal(result.chunks, 1);
+  assert.equal(result.bytes, 100);
+
+  const purged = store.chunks.get(expired);
+  assert.ok(purged.purgedAt);
+  assert.equal(purged.localPath, null);
+  assert.deepEqual(purged.purgedBy, { reason: 'expired', ruleId: rule.id, ruleName: 'A week' });
+  await assert.rejects(fs.access(path.join(uploadsDir, 'd1', 's1', 'chunk_0.mp4')));
+  await fs.access(store.chunks.get(kept).localPath);
+
+  // Purged chunks are not planned again
+  assert.deepEqual((await retention.plan()).chunks, []);
+});
+
+test('rules need a period or a size limit', async () => {
+  await assert.rejects(retention.createRule({ name: 'Nothing' }), { code: 'INVALID_RETENTION_RULE' });
+  await assert.rejects(retention.createRule({ name: 'Negative', keepDays: -1 }), { code: 'INVALID_RETENTION_RULE' });
+  await assert.rejects(retention.createRule({ name: 'Odd', keepDays: 1, outcome: 'cats' }), { code: 'INVALID_RETENTION_RULE' });
+});
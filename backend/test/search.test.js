@@ -0,0 +1,107 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatastore } = require('../datastore');
+const { createSearchIndex, parseQuery, SearchError } = require('../search');
+const { buildResult } = require('../analysis/normalize');
+
+let store;
+let searchIndex;
+
+const uri = (deviceId, sessionId, chunkIndex) => `local://devices/${deviceId}/sessions/${sessionId}/chunks/chunk_${chunkIndex}.mp4`;
+
+// A 10-second chunk recorded from `startedAt` and analyzed with `detections`
+async function addAnalyzedChunk(deviceId, sessionId, chunkIndex, startedAt, detections) {
+  const gcsUri = uri(deviceId, sessionId, chunkIndex);
+  await store.chunks.put(`${deviceId}:${sessionId}:${chunkIndex}`, {
+    deviceId,
+    sessionId,
+    chunkIndex,
+    gcsUri,
+    timing: { startedAt, durationMs: 10000 }
+  });
+  await store.analysis.put(gcsUri, { result: buildResult('local', { durationSec: 10, ...detections }) });
+  return gcsUri;
+}
+
+const search = query => searchIndex.search(parseQuery(query));
+const found = response => response.results.map(result => result.gcsUri);
+
+before(async () => {
+  store = await openDatastore({ driver: 'memory' });
+  searchIndex = createSearchIndex(() => store, { signUrl: async gcsUri => `https://signed.example/${encodeURIComponent(gcsUri)}` });
+
+  await addAnalyzedChunk('door', 's1', 0, '2026-03-01T10:00:00.000Z', {
+    persons: [{ trackId: 'person-0', startSec: 2, endSec: 8, confidence: 0.9, boxes: [] }],
+    labels: [{ description: 'Delivery Truck', confidence: 0.8, segments: [{ startSec: 0, endSec: 10 }] }]
+  });
+  await addAnalyzedChunk('door', 's1', 1, '2026-03-01T10:00:10.000Z', {
+    labels: [{ description: 'truck', confidence: 0.4, segments: [{ startSec: 0, endSec: 1 }] }],
+    texts: [{ text: 'PARCEL 12', confidence: 0.95, segments: [{ startSec: 3, endSec: 5 }] }]
+  });
+  await addAnalyzedChunk('yard', 's2', 0, '2026-03-02T08:00:00.000Z', {
+    objects: [{ description: 'bicycle', confidence: 0.7, startSec: 1, endSec: 9 }]
+  });
+  assert.equal(searchIndex.rebuild(), 3);
+});
+
+test('query strings are validated into search criteria', () => {
+  const criteria = parseQuery({ label: ' Truck ', hasPerson: 'false', limit: '10', from: '2026-03-01T00:00:00Z' });
+  assert.equal(criteria.label, 'truck');
+  assert.equal(criteria.hasPerson, false);
+  assert.equal(criteria.limit, 10);
+  assert.equal(criteria.from, Date.parse('2026-03-01T00:00:00Z'));
+
+  for (const query of [
+    { hasPerson: 'yes' },
+    { minConfidence: '1.5' },
+    { limit: '0' },
+    { offset: '1.5' },
+    { from: 'yesterday' },
+    { from: '2026-03-02T00:00:00Z', to: '2026-03-01T00:00:00Z' },
+    { label: ['a', 'b'] }
+  ]) {
+    assert.throws(() => parseQuery(query), SearchError, JSON.stringify(query));
+  }
+});
+
+test('terms match case-insensitively as substrings, most recent chunks first', async () => {
+  const response = await search({ label: 'TRUCK' });
+  assert.deepEqual(found(response), [uri('door', 's1', 1), uri('door', 's1', 0)]);
+  assert.equal(response.results[1].url, `https://signed.example/${encodeURIComponent(uri('door', 's1', 0))}`);
+
+  const text = await search({ textContains: 'parcel' });
+  assert.deepEqual(found(text), [uri('door', 's1', 1)]);
+  assert.deepEqual(text.results[0].matches.map(match => [match.startTime, match.endTime]), [
+    ['2026-03-01T10:00:13.000Z', '2026-03-01T10:00:15.000Z']
+  ]);
+});
+
+test('criteria combine, and confidence and duration thresholds apply to each match', async () => {
+  assert.deepEqual(found(await search({ label: 'truck', hasPerson: 'true' })), [uri('door', 's1', 0)]);
+  assert.deepEqual(found(await search({ label: 'truck', minConfidence: '0.5' })), [uri('door', 's1', 0)]);
+  assert.deepEqual(found(await search({ label: 'truck', minDurationSec: '5' })), [uri('door', 's1', 0)]);
+  assert.deepEqual(found(await search({ hasPerson: 'false', deviceId: 'door' })), [uri('door', 's1', 1)]);
+  assert.deepEqual(found(await search({ object: 'bike' })), []);
+});
+
+test('time ranges are matched on the wall clock of each detection', async () => {
+  // The person is seen from 10:00:02 to 10:00:08
+  assert.equal((await search({ hasPerson: 'true', from: '2026-03-01T10:00:07Z' })).total, 1);
+  assert.equal((await search({ hasPerson: 'true', from: '2026-03-01T10:00:09Z' })).total, 0);
+  assert.deepEqual(found(await search({ from: '2026-03-02T00:00:00Z' })), [uri('yard', 's2', 0)]);
+});
+
+test('results are paged and purged or re-analyzed chunks drop out', async () => {
+  const firstPage = await search({ limit: '2' });
+  assert.equal(firstPage.total, 3);
+  assert.deepEqual(found(firstPage), [uri('yard', 's2', 0), uri('door', 's1', 1)]);
+  assert.deepEqual(found(await search({ limit: '2', offset: '2' })), [uri('door', 's1', 0)]);
+
+  await store.chunks.update('yard:s2:0', { purgedAt: new Date().toISOString() });
+  assert.equal((await search({ object: 'bicycle' })).total, 0);
+
+  // A failed re-analysis removes the chunk's document along with its terms
+  searchIndex.index(uri('door', 's1', 1), { error: 'Analysis failed' });
+  assert.equal((await search({ textContains: 'parcel' })).total, 0);
+  assert.equal(searchIndex.stats().terms.text, 0);
+});
@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatastore } = require('../datastore');
+const { createSensorTracks, parseSensorTrack, summarizeSensorTrack } = require('../sensor-tracks');
+const { startServer, chunkForm } = require('./helpers/server');
+
+// Track of a chunk started at `startedAt`, as the app sends it; the first fix is from before the chunk
+const sampleTrack = startedAt => ({
+  startedAt,
+  location: [
+    { t: -400, latitude: 52.37, longitude: 4.89, accuracy: 5 },
+    { t: 600, latitude: 52.3701, longitude: 4.8902, accuracy: 4.5, altitude: 2, speed: 1.2, course: 90 }
+  ],
+  heading: [{ t: 500, degrees: 0 }, { t: 0, degrees: 359.9 }],
+  motion: [{ t: 100, gyro: { x: 0.01, y: 0, z: -0.02 }, accel: null }]
+});
+
+describe('sensor tracks', () => {
+  let store;
+  let sensorTracks;
+
+  before(async () => {
+    store = await openDatastore({ driver: 'memory' });
+    sensorTracks = createSensorTracks(() => store);
+  });
+
+  test('tracks are validated, sorted and counted', () => {
+    const track = parseSensorTrack(sampleTrack('2026-03-01T10:00:00Z'));
+    assert.equal(track.startedAt, '2026-03-01T10:00:00.000Z');
+    assert.deepEqual(track.heading, [{ t: 0, degrees: 359.9 }, { t: 500, degrees: 0 }]);
+    assert.deepEqual(track.location[0], { t: -400, latitude: 52.37, longitude: 4.89, accuracy: 5, altitude: null, speed: null, course: null });
+    assert.deepEqual(summarizeSensorTrack(track), { location: 2, heading: 2, motion: 1 });
+    assert.equal(parseSensorTrack(undefined), null);
+
+    for (const invalid of [
+      { ...sampleTrack('2026-03-01T10:00:00Z'), startedAt: 'soon' },
+      { ...sampleTrack('2026-03-01T10:00:00Z'), heading: [{ t: 0, degrees: 360 }] },
+      { ...sampleTrack('2026-03-01T10:00:00Z'), location: [{ t: 0, latitude: 91, longitude: 0, accuracy: 1 }] },
+      { ...sampleTrack('2026-03-01T10:00:00Z'), motion: [{ t: 0, gyro: { x: 0, y: 0 } }] }
+    ]) {
+      assert.throws(() => parseSensorTrack(invalid), { status: 400, code: 'INVALID_SENSOR_TRACK' });
+    }
+  });
+
+  test('saved tracks are joined per session on the wall clock', async () => {
+    await sensorTracks.save('d1:s1:1', { deviceId: 'd1', sessionId: 's1', chunkIndex: 1 }, parseSensorTrack({
+      ...sampleTrack('2026-03-01T10:00:10Z'),
+      // The last fix of chunk 0, carried over
+      location: [{ t: -9400, latitude: 52.3701, longitude: 4.8902, accuracy: 4.5, altitude: 2, speed: 1.2, course: 90 }]
+    }));
+    await sensorTracks.save('d1:s1:0', { deviceId: 'd1', sessionId: 's1', chunkIndex: 0 }, parseSensorTrack(sampleTrack('2026-03-01T10:00:00Z')));
+
+    const track = sensorTracks.forSession('s1');
+    assert.deepEqual(track.chunks, [0, 1]);
+    assert.deepEqual(track.location.map(fix => fix.at), ['2026-03-01T09:59:59.600Z', '2026-03-01T10:00:00.600Z']);
+    assert.deepEqual(track.heading.map(sample => [sample.at, sample.chunkIndex, sample.degrees]), [
+      ['2026-03-01T10:00:00.000Z', 0, 359.9],
+      ['2026-03-01T10:00:00.500Z', 0, 0],
+      ['2026-03-01T10:00:10.000Z', 1, 359.9],
+      ['2026-03-01T10:00:10.500Z', 1, 0]
+    ]);
+
+    const narrowed = sensorTracks.forSession('s1', { streams: ['motion'], from: Date.parse('2026-03-01T10:00:05Z') });
+    assert.deepEqual(Object.keys(narrowed), ['sessionId', 'chunks', 'motion']);
+    assert.deepEqual(narrowed.motion.map(sample => sample.at), ['2026-03-01T10:00:10.100Z']);
+
+    assert.deepEqual(sensorTracks.toGeoJson(track).geometry, { type: 'LineString', coordinates: [[4.89, 52.37], [4.8902, 52.3701]] });
+  });
+});
+
+describe('POST /upload-chunk sensor tracks', () => {
+  let server;
+  let sessionId;
+
+  before(async () => {
+    server = await startServer();
+    const started = await server.request('/start-recording', {
+      method: 'POST',
+      body: { deviceId: 'sensor-test-device' }
+    });
+    sessionId = started.body.sessionId;
+  });
+
+  after(() => server.stop());
+
+  test('a track uploaded with a chunk is served back with the session', async () => {
+    const uploaded = await server.request('/upload-chunk', {
+      method: 'POST',
+      form: chunkForm({
+        schemaVersion: 3,
+        deviceId: 'sensor-test-device',
+        sessionId,
+        chunkIndex: 0,
+        timestamp: '2026-03-01T10:00:00.000Z',
+        sensorTrack: sampleTrack('2026-03-01T10:00:00.000Z')
+      })
+    });
+    assert.equal(uploaded.status, 200);
+
+    const response = await server.request(`/session/${sessionId}/sensors?streams=heading,motion`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.heading, [
+      { at: '2026-03-01T10:00:00.000Z', chunkIndex: 0, degrees: 359.9 },
+      { at: '2026-03-01T10:00:00.500Z', chunkIndex: 0, degrees: 0 }
+    ]);
+    assert.deepEqual(response.body.motion, [
+      { at: '2026-03-01T10:00:00.100Z', chunkIndex: 0, gyro: { x: 0.01, y: 0, z: -0.02 }, accel: null }
+    ]);
+    assert.equal(response.body.location, undefined);
+
+    const geoJson = await server.request(`/session/${sessionId}/sensors?format=geojson`);
+    assert.deepEqual(geoJson.body.properties.times, ['2026-03-01T09:59:59.600Z', '2026-03-01T10:00:00.600Z']);
+  });
+});
@@ -0,0 +1,195 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('buffer');
+const { openDatastore } = require('../datastore');
+const { SessionError, assertChunkAdmissible, buildSessionManifest, openSessionOf, parseChunkTiming } = require('../sessions');
+const { startServer, chunkForm } = require('./helpers/server');
+
+describe('session protocol', () => {
+  let store;
+
+  before(async () => {
+    store = await openDatastore({ driver: 'memory' });
+    await store.sessions.put('open', { sessionId: 'open', deviceId: 'd1', status: 'active' });
+    await store.sessions.put('stopped', {
+      sessionId: 'stopped',
+      deviceId: 'd1',
+      status: 'stopped',
+      endTime: new Date().toISOString(),
+      expectedChunks: 3
+    });
+  });
+
+  const admissible = chunk => () => assertChunkAdmissible(store, { deviceId: 'd1', chunkIndex: 0, ...chunk });
+  const rejectedWith = code => error => error instanceof SessionError && error.code === code;
+
+  test('chunks are admitted only into an open session of the same device', () => {
+    assert.equal(admissible({ sessionId: 'open' })().sessionId, 'open');
+    assert.throws(admissible({ sessionId: 'missing' }), rejectedWith('SESSION_NOT_FOUND'));
+    assert.throws(admissible({ sessionId: 'open', deviceId: 'd2' }), rejectedWith('SESSION_DEVICE_MISMATCH'));
+    assert.throws(admissible({ sessionId: 'open', chunkIndex: null }), rejectedWith('INVALID_CHUNK_INDEX'));
+  });
+
+  test('a stopped session still takes chunks below the count declared on stop', () => {
+    assert.equal(admissible({ sessionId: 'stopped', chunkIndex: 2 })().sessionId, 'stopped');
+    assert.throws(admissible({ sessionId: 'stopped', chunkIndex: 3 }), rejectedWith('SESSION_CLOSED'));
+  });
+
+  test('a device\'s open session is the one it started last', async () => {
+    await store.sessions.put('earlier', { sessionId: 'earlier', deviceId: 'd3', status: 'active', startTime: '2026-03-01T10:00:00.000Z' });
+    await store.sessions.put('later', { sessionId: 'later', deviceId: 'd3', status: 'active', startTime: '2026-03-01T11:00:00.000Z' });
+    await store.sessions.put('latest', { sessionId: 'latest', deviceId: 'd3', status: 'stopped', startTime: '2026-03-01T12:00:00.000Z' });
+    assert.equal(openSessionOf(store, 'd3').sessionId, 'later');
+    assert.equal(openSessionOf(store, 'd4'), null);
+  });
+
+  test('manifests list missing chunks up to the expected count', async () => {
+    await store.chunks.put('d1:stopped:0', { sessionId: 'stopped', chunkIndex: 0 });
+    await store.chunks.put('d1:stopped:2', { sessionId: 'stopped', chunkIndex: 2 });
+
+    const manifest = buildSessionManifest(store, 'stopped');
+    assert.deepEqual(manifest.chunkIndices, [0, 2]);
+    assert.deepEqual(manifest.missingChunks, [1]);
+    assert.equal(manifest.complete, false);
+  });
+
+  test('chunk timing must be ordered, non-negative offsets', () => {
+    const timing = {
+      startedAt: '2026-01-01T00:00:00.000Z',
+      endedAt: '2026-01-01T00:00:10.000Z',
+      startOffsetMs: 1000,
+      endOffsetMs: 11000.4
+    };
+    assert.equal(parseChunkTiming(timing).durationMs, 10000);
+    assert.equal(parseChunkTiming(undefined), null);
+    assert.throws(() => parseChunkTiming({ ...timing, endOffsetMs: 500 }), rejectedWith('INVALID_CHUNK_TIMING'));
+    assert.throws(() => parseChunkTiming({ ...timing, startedAt: 'yesterday' }), rejectedWith('INVALID_CHUNK_TIMING'));
+  });
+});
+
+describe('POST /upload-chunk idempotency', () => {
+  let server;
+  let sessionId;
+
+  const metadata = chunkIndex => ({
+    schemaVersion: 2,
+    deviceId: 'idempotency-test-device',
+    sessionId,
+    chunkIndex,
+    timestamp: '2026-01-01T00:00:00.000Z'
+  });
+
+  const upload = (chunkIndex, headers = {}, video) => server.request('/upload-chunk', {
+    method: 'POST',
+    form: chunkForm(metadata(chunkIndex), video),
+    headers
+  });
+
+  before(async () => {
+    server = await startServer();
+    const started = await server.request('/start-recording', {
+      method: 'POST',
+      body: { deviceId: 'idempotency-test-device' }
+    });
+    sessionId = started.body.sessionId;
+  });
+
+  after(() => server.stop());
+
+  test('a retried chunk is acknowledged as a duplicate and stored once', async () => {
+    const first = await upload(0);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, undefined);
+
+    const retry = await upload(0);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+    assert.equal(retry.body.uploadId, first.body.uploadId);
+
+    const manifest = await server.request(`/session/${sessionId}/manifest`);
+    assert.deepEqual(manifest.body.manifest.chunkIndices, [0]);
+  });
+
+  test('a retry under another key is acknowledged as the stored chunk', async () => {
+    const retry = await upload(0, { 'Idempotency-Key': 'another-key' });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, true);
+
+    const session = await server.request(`/session/${sessionId}/manifest`);
+    assert.equal(session.body.manifest.receivedChunks, 1);
+  });
+
+  test('a retry with different content does not replace the stored chunk', async () => {
+    const response = await upload(0, {}, Buffer.from('other footage'));
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'CHUNK_CONTENT_MISMATCH');
+  });
+
+  test('an idempotency key cannot be reused for a different chunk', async () => {
+    const response = await upload(1, { 'Idempotency-Key': `idempotency-test-device:${sessionId}:0` });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('after stop, only chunks below the declared count are accepted', async () => {
+    const stopped = await server.request('/stop-recording', {
+      method: 'POST',
+      body: { sessionId, expectedChunks: 2 }
+    });
+    assert.equal(stopped.status, 200);
+
+    assert.equal((await upload(1)).status, 200);
+
+    const late = await upload(2);
+    assert.equal(late.status, 409);
+    assert.equal(late.body.code, 'SESSION_CLOSED');
+  });
+});
+
+describe('POST /upload-chunk from app builds before metadata versioning', () => {
+  let server;
+
+  // What those builds sent: no schemaVersion and no sessionId
+  const legacyMetadata = chunkIndex => ({
+    deviceId: 'legacy-device',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    deviceInfo: { platform: 'android', version: 33 },
+    cameraInfo: { id: '0', position: 'back', resolution: { width: 1920, height: 1080 } },
+    viewport: { width: 411, height: 891, scale: 2.625, fontScale: 1 },
+    orientation: 'portrait',
+    recordingSettings: { codec: 'h264', quality: '360p', bitrate: 2000000 },
+    chunkTimestamp: '2026-01-01T00:00:10.000Z',
+    chunkIndex
+  });
+
+  const upload = chunkIndex => server.request('/upload-chunk', {
+    method: 'POST',
+    form: chunkForm(legacyMetadata(chunkIndex), Buffer.from(`legacy chunk ${chunkIndex}`))
+  });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  test('chunks without a session are refused while the device has none open', async () => {
+    const response = await upload(0);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'SESSION_ID_REQUIRED');
+  });
+
+  test('chunks without a session go into the device\'s open session', async () => {
+    const started = await server.request('/start-recording', { method: 'POST', body: { deviceId: 'legacy-device' } });
+    const { sessionId } = started.body;
+
+    for (const chunkIndex of [0, 1]) {
+      const response = await upload(chunkIndex);
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      assert.equal(response.body.sessionId, sessionId);
+    }
+
+    const manifest = await server.request(`/session/${sessionId}/manifest`);
+    assert.deepEqual(manifest.body.manifest.chunkIndices, [0, 1]);
+  });
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createStorage, normalizeMetadata, isVideoKey } = require('../storage');
+
+let rootDir;
+let workDir;
+let server;
+let storage;
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-storage-'));
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heimdall-storage-work-'));
+
+  const app = express();
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  storage = createStorage('local', {
+    rootDir,
+    baseUrl: `http://127.0.0.1:${server.address().port}/storage`,
+    signingSecret: 'test-secret'
+  });
+  app.use('/storage', storage.router);
+  await storage.init();
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(rootDir, { recursive: true, force: true });
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+async function putObject(key, content, options) {
+  const localPath = path.join(workDir, 'upload.bin');
+  await fs.writeFile(localPath, content);
+  return storage.put(localPath, key, options);
+}
+
+test('objects keep their content type and string metadata', async () => {
+  const stored = await putObject('devices/d1/sessions/s1/chunks/chunk_0.mp4', 'video', {
+    contentType: 'video/mp4',
+    metadata: { chunkIndex: 0, sessionId: 's1', empty: null }
+  });
+  assert.equal(stored.uri, 'local://devices/d1/sessions/s1/chunks/chunk_0.mp4');
+  assert.equal(storage.keyFromUri(stored.uri), stored.key);
+
+  const object = await storage.stat(stored.key);
+  assert.equal(object.size, 5);
+  assert.equal(object.contentType, 'video/mp4');
+  assert.deepEqual(object.metadata, { chunkIndex: '0', sessionId: 's1' });
+
+  await storage.updateMetadata(stored.key, { analyzed: true });
+  assert.equal((await storage.stat(stored.key)).metadata.analyzed, 'true');
+});
+
+test('list filters by prefix and delete removes objects', async () => {
+  await putObject('devices/d2/a.mp4', 'a');
+  await putObject('devices/d2/b.mp4', 'b');
+  await putObject('devices/d3/c.mp4', 'c');
+
+  assert.deepEqual((await storage.list('devices/d2/')).map(object => object.key), ['devices/d2/a.mp4', 'devices/d2/b.mp4']);
+
+  await storage.delete('devices/d2/a.mp4');
+  await storage.delete('devices/d2/never-existed.mp4');
+  assert.equal(await storage.stat('devices/d2/a.mp4'), null);
+});
+
+test('keys cannot escape the root directory or reach the metadata sidecars', async () => {
+  await assert.rejects(putObject('../outside.mp4', 'x'), /Invalid object key/);
+  await assert.rejects(putObject('.meta/forged.json', 'x'), /Invalid object key/);
+  await assert.rejects(fs.access(path.join(rootDir, '..', 'outside.mp4')));
+});
+
+test('signed URLs serve the object until they expire and only with a valid signature', async () => {
+  await putObject('signed/clip.mp4', 'signed video', { contentType: 'video/mp4' });
+
+  const url = await storage.getSignedReadUrl('signed/clip.mp4', { expiresIn: 60000 });
+  const response = await fetch(url);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'video/mp4');
+  assert.equal(await response.text(), 'signed video');
+
+  const tampered = new URL(url);
+  tampered.pathname = tampered.pathname.replace('clip.mp4', 'other.mp4');
+  assert.equal((await fetch(tampered)).status, 403);
+
+  const expired = await storage.getSignedReadUrl('signed/clip.mp4', { expiresIn: -1000 });
+  const expiredResponse = await fetch(expired);
+  assert.equal(expiredResponse.status, 403);
+  assert.equal((await expiredResponse.json()).code, 'SIGNED_URL_EXPIRED');
+
+  const forgedExpiry = new URL(url);
+  forgedExpiry.searchParams.set('expires', String(Date.now() + 365 * 24 * 60 * 60 * 1000));
+  assert.equal((await fetch(forgedExpiry)).status, 403);
+});
+
+test('metadata is flattened to strings and video keys are recognised by extension', () => {
+  assert.deepEqual(normalizeMetadata({ a: 'x', b: 2, c: { d: true }, e: undefined }), { a: 'x', b: '2', c: '{"d":true}' });
+  assert.equal(isVideoKey('devices/d1/CHUNK.MOV'), true);
+  assert.equal(isVideoKey('devices/d1/chunk.json'), false);
+});
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
+const { normalizeGoogleAnnotation } = require('./analysis');
 
 const router = express.Router();
 
@@ -145,12 +146,13 @@ router.post('/analyze-video-complete', async (req, res) => {
     
     console.log(`✅ Complete video analysis finished in ${totalTime}ms for: ${gcsUri}`);
     
-    // Return the complete results
+    // Return the complete results, raw and in the provider-independent schema
     res.json({
       success: true,
       gcsUri,
       operationName: operation.name,
       analysisResults,
+      analysis: normalizeGoogleAnnotation(analysisResults.annotationResults?.[0]),
       processingTime: totalTime,
       completedAt: new Date().toISOString(),
       summary: {
@@ -292,6 +294,7 @@ router.post('/get-operation-results', async (req, res) => {
         success: true,
         operationName,
         results,
+        analysis: normalizeGoogleAnnotation(results.annotationResults?.[0]),
         completedAt: new Date().toISOString()
       });
     } else {
@@ -329,6 +332,7 @@ router.post('/get-operation-results', async (req, res) => {
         success: true,
         operationName,
         results: operation.response,
+        analysis: normalizeGoogleAnnotation(operation.response?.annotationResults?.[0]),
         completedAt: new Date().toISOString()
       });
     }
@@ -0,0 +1,89 @@
+#import <React/RCTBridgeModule.h>
+#import <UIKit/UIKit.h>
+
+// `NativeModules.RecordingService` on iOS. iOS has no foreground services and suspends the
+// camera of an app in the background, so this is the closest equivalent: the screen does not
+// lock by itself while recording, and when the app is backgrounded it asks for the few seconds
+// the system grants to finish the current segment. Recording resumes in the foreground.
+@interface RecordingService : NSObject <RCTBridgeModule>
+@end
+
+@implementation RecordingService {
+  BOOL _recording;
+  UIBackgroundTaskIdentifier _backgroundTask;
+}
+
+RCT_EXPORT_MODULE()
+
++ (BOOL)requiresMainQueueSetup
+{
+  return NO;
+}
+
+- (dispatch_queue_t)methodQueue
+{
+  return dispatch_get_main_queue();
+}
+
+- (instancetype)init
+{
+  if (self = [super init]) {
+    _backgroundTask = UIBackgroundTaskInvalid;
+    [[NSNotificationCenter defaultCenter] addObserver:self
+                                             selector:@selector(didEnterBackground)
+                                                 name:UIApplicationDidEnterBackgroundNotification
+                                               object:nil];
+    [[NSNotificationCenter defaultCenter] addObserver:self
+                                             selector:@selector(endBackgroundTask)
+                                                 name:UIApplicationWillEnterForegroundNotification
+                                               object:nil];
+  }
+  return self;
+}
+
+- (void)dealloc
+{
+  [[NSNotificationCenter defaultCenter] removeObserver:self];
+}
+
+- (void)didEnterBackground
+{
+  if (!_recording || _backgroundTask != UIBackgroundTaskInvalid) {
+    return;
+  }
+  __weak RecordingService *weakSelf = self;
+  _backgroundTask = [[UIApplication sharedApplication]
+      beginBackgroundTaskWithName:@"FinishSegment"
+                expirationHandler:^{
+                  [weakSelf endBackgroundTask];
+                }];
+}
+
+- (void)endBackgroundTask
+{
+  if (_backgroundTask != UIBackgroundTaskInvalid) {
+    [[UIApplication sharedApplication] endBackgroundTask:_backgroundTask];
+    _backgroundTask = UIBackgroundTaskInvalid;
+  }
+}
+
+RCT_EXPORT_METHOD(start : (NSString *)title text : (NSString *)text resolve : (RCTPromiseResolveBlock)
+                      resolve reject : (RCTPromiseRejectBlock)reject)
+{
+  _recording = YES;
+  [UIApplication sharedApplication].idleTimerDisabled = YES;
+  resolve(nil);
+}
+
+// No persistent notification to update on iOS
+RCT_EXPORT_METHOD(update : (NSString *)title text : (NSString *)text) {}
+
+RCT_EXPORT_METHOD(stop : (RCTPromiseResolveBlock)resolve reject : (RCTPromiseRejectBlock)reject)
+{
+  _recording = NO;
+  [UIApplication sharedApplication].idleTimerDisabled = NO;
+  [self endBackgroundTask];
+  resolve(nil);
+}
+
+@end
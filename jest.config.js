@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // The backend runs its own tests with Node's test runner (`npm test` in backend/)
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/backend/'],
 };
@@ -0,0 +1,447 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  FlatList,
+  LayoutRectangle,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import Video from 'react-native-video';
+import {
+  AnalysisResult,
+  detectionsAt,
+  fetchAnalysis,
+  fetchStoredVideos,
+  groupSessions,
+  HistoryChunk,
+  HistorySession,
+  nextPlayableChunk,
+} from './history';
+import type { UploadQueue } from './uploadQueue';
+
+// History screen: the device's past sessions, and playback of a session's chunks back to
+// back with the detections of their analysis drawn over the video (see src/history.ts).
+
+interface HistoryScreenProps {
+  deviceId: string | null;
+  uploadQueue: UploadQueue;
+  onClose: () => void;
+}
+
+interface Size {
+  width: number;
+  height: number;
+}
+
+const UPLOAD_LABELS: Record<HistoryChunk['upload'], string> = {
+  stored: 'Uploaded',
+  pending: 'Waiting to upload',
+  failed: 'Upload failed',
+};
+
+const ANALYSIS_LABELS: Record<
+  NonNullable<HistoryChunk['analysisStatus']>,
+  string
+> = {
+  pending: 'analysis pending',
+  completed: 'analyzed',
+  failed: 'analysis failed',
+};
+
+const formatDate = (iso: string) => new Date(iso).toLocaleString();
+
+const describeChunk = (chunk: HistoryChunk) =>
+  chunk.analysisStatus
+    ? `${UPLOAD_LABELS[chunk.upload]} · ${
+        ANALYSIS_LABELS[chunk.analysisStatus]
+      }`
+    : UPLOAD_LABELS[chunk.upload];
+
+const countBy = (
+  chunks: HistoryChunk[],
+  predicate: (chunk: HistoryChunk) => boolean,
+) => chunks.filter(predicate).length;
+
+// Where a video of `video` size is drawn inside `view` with resizeMode="contain"
+function containedRect(video: Size, view: Size) {
+  const scale = Math.min(view.width / video.width, view.height / video.height);
+  const width = video.width * scale;
+  const height = video.height * scale;
+  return {
+    left: (view.width - width) / 2,
+    top: (view.height - height) / 2,
+    width,
+    height,
+  };
+}
+
+export default function HistoryScreen({
+  deviceId,
+  uploadQueue,
+  onClose,
+}: HistoryScreenProps) {
+  const [sessions, setSessions] = useState<HistorySession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<string | null>(null);
+
+  // Presigned URLs expire, so this also runs again when playback finds one that has
+  const load = useCallback(async () => {
+    setLoading(true);
+    let videos: Awaited<ReturnType<typeof fetchStoredVideos>> = [];
+    try {
+      if (deviceId) {
+        videos = await fetchStoredVideos(deviceId);
+      }
+      setError(null);
+    } catch (loadError) {
+      console.warn('Failed to load session history:', loadError);
+      setError((loadError as Error).message || 'Could not load recordings');
+    }
+    setSessions(groupSessions(videos, uploadQueue.getEntries()));
+    setLoading(false);
+  }, [deviceId, uploadQueue]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const session = sessions.find(candidate => candidate.sessionId === selected);
+  if (session) {
+    return (
+      <SessionPlayback
+        session={session}
+        onBack={() => setSelected(null)}
+        onExpired={load}
+      />
+    );
+  }
+
+  return (
+    <View style={styles.screen}>
+      <View style={styles.header}>
+        <Text style={styles.title}>History</Text>
+        <TouchableOpacity style={styles.headerButton} onPress={load}>
+          <Text style={styles.headerButtonText}>Refresh</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={onClose}>
+          <Text style={styles.headerButtonText}>Close</Text>
+        </TouchableOpacity>
+      </View>
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      {loading && sessions.length === 0 ? (
+        <ActivityIndicator color="white" style={styles.spinner} />
+      ) : (
+        <FlatList
+          data={sessions}
+          keyExtractor={item => item.sessionId}
+          refreshing={loading}
+          onRefresh={load}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No recordings yet</Text>
+          }
+          renderItem={({ item }) => {
+            const stored = countBy(
+              item.chunks,
+              chunk => chunk.upload === 'stored',
+            );
+            const waiting = item.chunks.length - stored;
+            const analyzed = countBy(
+              item.chunks,
+              chunk => chunk.analysisStatus === 'completed',
+            );
+            return (
+              <TouchableOpacity
+                style={styles.row}
+                onPress={() => setSelected(item.sessionId)}
+              >
+                <Text style={styles.rowTitle}>
+                  {formatDate(item.startedAt)}
+                </Text>
+                <Text style={styles.rowText}>
+                  Session {item.sessionId.substring(0, 8)} ·{' '}
+                  {item.chunks.length} chunk(s)
+                </Text>
+                <Text style={styles.rowText}>
+                  {stored} uploaded
+                  {waiting > 0 ? ` · ${waiting} on this device` : ''} ·{' '}
+                  {analyzed} analyzed
+                </Text>
+              </TouchableOpacity>
+            );
+          }}
+        />
+      )}
+    </View>
+  );
+}
+
+interface SessionPlaybackProps {
+  session: HistorySession;
+  onBack: () => void;
+  onExpired: () => void;
+}
+
+// Plays the session's uploaded chunks one after another, from the chosen one on
+function SessionPlayback({ session, onBack, onExpired }: SessionPlaybackProps) {
+  const playable = session.chunks.filter(chunk => chunk.url);
+  const [chunkIndex, setChunkIndex] = useState(
+    nextPlayableChunk(session, null)?.chunkIndex ?? null,
+  );
+  const [currentTime, setCurrentTime] = useState(0);
+  const [analysis, setAnalysis] = useState<AnalysisResult | null>(null);
+  const [videoSize, setVideoSize] = useState<Size | null>(null);
+  const [layout, setLayout] = useState<LayoutRectangle | null>(null);
+  const [playbackError, setPlaybackError] = useState<string | null>(null);
+
+  const position = playable.findIndex(chunk => chunk.chunkIndex === chunkIndex);
+  const chunk = position >= 0 ? playable[position] : null;
+  const gcsUri = chunk?.gcsUri ?? null;
+  const analyzed = chunk?.analysisStatus === 'completed';
+
+  useEffect(() => {
+    setAnalysis(null);
+    setCurrentTime(0);
+    if (!gcsUri || !analyzed) {
+      return;
+    }
+    let cancelled = false;
+    fetchAnalysis(gcsUri)
+      .then(result => !cancelled && setAnalysis(result))
+      .catch(error => console.warn('Failed to load analysis:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [gcsUri, analyzed]);
+
+  const expired = chunk?.expiresAt
+    ? Date.parse(chunk.expiresAt) <= Date.now()
+    : false;
+  useEffect(() => {
+    if (expired) {
+      onExpired();
+    }
+  }, [expired, onExpired]);
+
+  const playNext = () => {
+    const next = nextPlayableChunk(session, chunkIndex);
+    if (next) {
+      setChunkIndex(next.chunkIndex);
+    }
+  };
+
+  const detections = analysis ? detectionsAt(analysis, currentTime) : [];
+  const frame = videoSize && layout ? containedRect(videoSize, layout) : null;
+
+  return (
+    <View style={styles.screen}>
+      <View style={styles.header}>
+        <Text style={styles.title}>
+          Session {session.sessionId.substring(0, 8)}
+        </Text>
+        <TouchableOpacity style={styles.headerButton} onPress={onBack}>
+          <Text style={styles.headerButtonText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View
+        style={styles.player}
+        onLayout={event => setLayout(event.nativeEvent.layout)}
+      >
+        {chunk?.url && !expired ? (
+          <Video
+            key={chunk.chunkIndex}
+            source={{ uri: chunk.url }}
+            style={StyleSheet.absoluteFill}
+            resizeMode="contain"
+            controls
+            progressUpdateInterval={250}
+            onLoad={({ naturalSize }) =>
+              setVideoSize(
+                // Boxes are fractions of the frame as displayed, after rotation
+                naturalSize.orientation === 'portrait' &&
+                  naturalSize.width > naturalSize.height
+                  ? { width: naturalSize.height, height: naturalSize.width }
+                  : naturalSize,
+              )
+            }
+            onProgress={({ currentTime: time }) => setCurrentTime(time)}
+            onEnd={playNext}
+            onError={error => {
+              console.warn(`Failed to play chunk ${chunk.chunkIndex}:`, error);
+              setPlaybackError(`Chunk ${chunk.chunkIndex} could not be played`);
+              playNext();
+            }}
+          />
+        ) : (
+          <Text style={styles.emptyText}>
+            {playable.length === 0
+              ? 'No uploaded chunks to play yet'
+              : 'Loading…'}
+          </Text>
+        )}
+        {frame && (
+          <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+            {detections.map((detection, index) => (
+              <View
+                key={index}
+                style={[
+                  styles.detectionBox,
+                  {
+                    left: frame.left + detection.box.left * frame.width,
+                    top: frame.top + detection.box.top * frame.height,
+                    width:
+                      (detection.box.right - detection.box.left) * frame.width,
+                    height:
+                      (detection.box.bottom - detection.box.top) * frame.height,
+                  },
+                ]}
+              >
+                <Text style={styles.detectionLabel}>
+                  {detection.label} {Math.round(detection.confidence * 100)}%
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {playbackError && <Text style={styles.errorText}>{playbackError}</Text>}
+      {analysis && (
+        <Text style={styles.summaryText}>
+          {analysis.summary.personCount} person(s) ·{' '}
+          {analysis.summary.objectCount} object(s)
+          {analysis.labels.length > 0
+            ? ` · ${analysis.labels
+                .slice(0, 3)
+                .map(label => label.description)
+                .join(', ')}`
+            : ''}
+        </Text>
+      )}
+
+      <FlatList
+        data={session.chunks}
+        keyExtractor={item => String(item.chunkIndex)}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={[
+              styles.row,
+              item.chunkIndex === chunkIndex && styles.rowPlaying,
+            ]}
+            disabled={!item.url}
+            onPress={() => {
+              setPlaybackError(null);
+              setChunkIndex(item.chunkIndex);
+            }}
+          >
+            <Text style={styles.rowTitle}>
+              Chunk {item.chunkIndex} · {formatDate(item.recordedAt)}
+            </Text>
+            <Text
+              style={
+                item.upload === 'failed' ? styles.errorText : styles.rowText
+              }
+            >
+              {describeChunk(item)}
+              {item.lastError ? ` · ${item.lastError}` : ''}
+            </Text>
+          </TouchableOpacity>
+        )}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: 'black',
+    paddingTop: 48,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    gap: 8,
+  },
+  title: {
+    flex: 1,
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerButton: {
+    backgroundColor: '#333',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+  },
+  headerButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  spinner: {
+    marginTop: 40,
+  },
+  row: {
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#333',
+  },
+  rowPlaying: {
+    backgroundColor: '#1a1a1a',
+  },
+  rowTitle: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  rowText: {
+    color: '#ccc',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  emptyText: {
+    color: '#ccc',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#ff8a80',
+    fontSize: 12,
+    marginTop: 4,
+    paddingHorizontal: 16,
+  },
+  player: {
+    width: '100%',
+    aspectRatio: 16 / 9,
+    backgroundColor: '#111',
+    justifyContent: 'center',
+  },
+  detectionBox: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: '#ffeb3b',
+  },
+  detectionLabel: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#ffeb3b',
+    color: 'black',
+    fontSize: 10,
+    fontWeight: 'bold',
+    paddingHorizontal: 2,
+  },
+  summaryText: {
+    color: 'white',
+    fontSize: 14,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+});
@@ -0,0 +1,439 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import {
+  Camera,
+  CameraDevice,
+  useCameraDevice,
+  useCameraDevices,
+  useCodeScanner,
+} from 'react-native-vision-camera';
+import { AppSettings, isValidBackendUrl, parsePairingCode } from './settings';
+
+// Settings screen: backend and enrollment (typed in, or scanned from the QR code of GET /pair),
+// segment length, quality limits, audio and camera. Changes apply when saved.
+
+interface SettingsScreenProps {
+  settings: AppSettings;
+  deviceId: string | null;
+  onSave: (settings: AppSettings) => Promise<void>;
+  onClose: () => void;
+}
+
+interface Option<T> {
+  label: string;
+  value: T;
+}
+
+const SEGMENT_OPTIONS: Option<number | null>[] = [
+  { label: 'Auto', value: null },
+  { label: '5 s', value: 5000 },
+  { label: '10 s', value: 10000 },
+  { label: '20 s', value: 20000 },
+  { label: '30 s', value: 30000 },
+];
+
+const HEIGHT_OPTIONS: Option<number>[] = [
+  { label: '360p', value: 360 },
+  { label: '480p', value: 480 },
+  { label: '720p', value: 720 },
+  { label: '1080p', value: 1080 },
+];
+
+const FPS_OPTIONS: Option<number>[] = [
+  { label: '15', value: 15 },
+  { label: '24', value: 24 },
+  { label: '30', value: 30 },
+];
+
+const BITRATE_OPTIONS: Option<number>[] = [
+  { label: '0.5 Mbps', value: 500000 },
+  { label: '1 Mbps', value: 1000000 },
+  { label: '2 Mbps', value: 2000000 },
+  { label: '4.5 Mbps', value: 4500000 },
+];
+
+const POSITION_LABELS: Record<CameraDevice['position'], string> = {
+  back: 'Back',
+  front: 'Front',
+  external: 'External',
+};
+
+// "Back", "Front", "External", numbered where a phone has several of a kind
+function cameraOptions(devices: CameraDevice[]): Option<string | null>[] {
+  return [
+    { label: 'Default', value: null },
+    ...devices.map(device => {
+      const sameKind = devices.filter(
+        other => other.position === device.position,
+      );
+      const label = POSITION_LABELS[device.position];
+      return {
+        label:
+          sameKind.length > 1
+            ? `${label} ${sameKind.indexOf(device) + 1}`
+            : label,
+        value: device.id,
+      };
+    }),
+  ];
+}
+
+function Choice<T>({
+  options,
+  value,
+  onChange,
+}: {
+  options: Option<T>[];
+  value: T;
+  onChange: (value: T) => void;
+}) {
+  return (
+    <View style={styles.choices}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.label}
+          style={[
+            styles.choice,
+            option.value === value && styles.choiceSelected,
+          ]}
+          onPress={() => onChange(option.value)}
+        >
+          <Text style={styles.choiceText}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// Full-screen QR scanner; reports the first code it reads
+function PairingScanner({
+  onScanned,
+  onCancel,
+}: {
+  onScanned: (value: string) => void;
+  onCancel: () => void;
+}) {
+  const device = useCameraDevice('back');
+  const [permitted, setPermitted] = useState<boolean | null>(null);
+  const scanned = useRef(false);
+
+  useEffect(() => {
+    Camera.requestCameraPermission().then(status =>
+      setPermitted(status === 'granted'),
+    );
+  }, []);
+
+  const codeScanner = useCodeScanner({
+    codeTypes: ['qr'],
+    onCodeScanned: codes => {
+      const value = codes[0]?.value;
+      if (value && !scanned.current) {
+        scanned.current = true;
+        onScanned(value);
+      }
+    },
+  });
+
+  return (
+    <View style={styles.scanner}>
+      {device && permitted ? (
+        <Camera
+          style={StyleSheet.absoluteFill}
+          device={device}
+          isActive={true}
+          codeScanner={codeScanner}
+        />
+      ) : (
+        <Text style={styles.hint}>
+          {permitted === false
+            ? 'Camera permission is needed to scan'
+            : 'Starting camera…'}
+        </Text>
+      )}
+      <View style={styles.scannerControls}>
+        <Text style={styles.scannerText}>
+          Scan the code from the dashboard's "Pair device"
+        </Text>
+        <TouchableOpacity style={styles.button} onPress={onCancel}>
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function SettingsScreen({
+  settings,
+  deviceId,
+  onSave,
+  onClose,
+}: SettingsScreenProps) {
+  const [draft, setDraft] = useState(settings);
+  const [scanning, setScanning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const devices = useCameraDevices();
+
+  const update = (changes: Partial<AppSettings>) =>
+    setDraft(current => ({ ...current, ...changes }));
+
+  const handleScanned = (value: string) => {
+    setScanning(false);
+    const pairing = parsePairingCode(value);
+    if (!pairing) {
+      Alert.alert(
+        'Not a Pairing Code',
+        'Scan the QR code shown by "Pair device" in the dashboard.',
+      );
+      return;
+    }
+    update(pairing);
+    Alert.alert(
+      'Backend Found',
+      `${pairing.backendUrl}\n\nSave to pair with it.`,
+    );
+  };
+
+  const handleSave = async () => {
+    const backendUrl = draft.backendUrl.trim();
+    if (!isValidBackendUrl(backendUrl)) {
+      Alert.alert(
+        'Invalid URL',
+        'The backend URL must start with http:// or https://',
+      );
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave({
+        ...draft,
+        backendUrl,
+        enrollmentToken: draft.enrollmentToken.trim(),
+      });
+      onClose();
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      Alert.alert('Error', 'Could not save the settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (scanning) {
+    return (
+      <PairingScanner
+        onScanned={handleScanned}
+        onCancel={() => setScanning(false)}
+      />
+    );
+  }
+
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Settings</Text>
+
+      <Text style={styles.heading}>Backend</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.backendUrl}
+        onChangeText={backendUrl => update({ backendUrl })}
+        placeholder="https://example.ngrok-free.app"
+        placeholderTextColor="#666"
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+      />
+      <TextInput
+        style={styles.input}
+        value={draft.enrollmentToken}
+        onChangeText={enrollmentToken => update({ enrollmentToken })}
+        placeholder="Enrollment token"
+        placeholderTextColor="#666"
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry
+      />
+      <TouchableOpacity style={styles.button} onPress={() => setScanning(true)}>
+        <Text style={styles.buttonText}>Scan Pairing Code</Text>
+      </TouchableOpacity>
+      {deviceId && <Text style={styles.hint}>Device {deviceId}</Text>}
+
+      <Text style={styles.heading}>Segment length</Text>
+      <Choice
+        options={SEGMENT_OPTIONS}
+        value={draft.segmentDurationMs}
+        onChange={segmentDurationMs => update({ segmentDurationMs })}
+      />
+      <Text style={styles.hint}>
+        Auto keeps each upload short on a slow connection
+      </Text>
+
+      <Text style={styles.heading}>Maximum quality</Text>
+      <Choice
+        options={HEIGHT_OPTIONS}
+        value={draft.maxHeight}
+        onChange={maxHeight => update({ maxHeight })}
+      />
+      <Choice
+        options={FPS_OPTIONS}
+        value={draft.maxFps}
+        onChange={maxFps => update({ maxFps })}
+      />
+      <Choice
+        options={BITRATE_OPTIONS}
+        value={draft.maxBitrate}
+        onChange={maxBitrate => update({ maxBitrate })}
+      />
+
+      <Text style={styles.heading}>Camera</Text>
+      <Choice
+        options={cameraOptions(devices)}
+        value={
+          devices.some(device => device.id === draft.cameraId)
+            ? draft.cameraId
+            : null
+        }
+        onChange={cameraId => update({ cameraId })}
+      />
+      <View style={styles.switchRow}>
+        <Text style={styles.label}>Record audio</Text>
+        <Switch
+          value={draft.audio}
+          onValueChange={audio => update({ audio })}
+        />
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton]}
+          onPress={onClose}
+        >
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <Text style={styles.buttonText}>{saving ? 'Saving…' : 'Save'}</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  content: {
+    padding: 16,
+    paddingTop: 48,
+  },
+  title: {
+    color: 'white',
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  heading: {
+    color: '#999',
+    fontSize: 13,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+    marginTop: 24,
+    marginBottom: 8,
+  },
+  label: {
+    color: 'white',
+    fontSize: 16,
+  },
+  hint: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 6,
+  },
+  input: {
+    backgroundColor: '#1a1a1a',
+    color: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 8,
+    fontSize: 15,
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  choice: {
+    backgroundColor: '#333',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+  },
+  choiceSelected: {
+    backgroundColor: '#1565c0',
+  },
+  choiceText: {
+    color: 'white',
+    fontSize: 14,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 32,
+  },
+  button: {
+    backgroundColor: '#1565c0',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 50,
+    alignItems: 'center',
+  },
+  secondaryButton: {
+    backgroundColor: '#333',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  scanner: {
+    flex: 1,
+    backgroundColor: 'black',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scannerControls: {
+    position: 'absolute',
+    bottom: 40,
+    alignItems: 'center',
+    gap: 16,
+  },
+  scannerText: {
+    color: 'white',
+    fontSize: 14,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    padding: 8,
+    borderRadius: 8,
+  },
+});
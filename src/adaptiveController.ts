@@ -0,0 +1,217 @@
+// Picks the recording quality the upload link can keep up with.
+//
+// Every upload round-trip to /upload-chunk reports its size and duration; the controller
+// keeps a moving average of the throughput, and watches the upload queue's backlog. The
+// quality steps through LEVELS (resolution, fps and bitrate), capped by the user's limits:
+// it steps down as soon as the link cannot carry the current bitrate in real time, an upload
+// fails, or the backlog grows past MAX_BACKLOG; it steps up only after UPGRADE_SAMPLES
+// uploads in a row had room for the next level and the backlog was drained.
+//
+// Segment length follows the throughput too: a chunk should upload within TARGET_UPLOAD_MS,
+// so a slow link gets short segments (less to lose and retry) and a fast one long segments
+// (fewer requests), within the user's limits.
+
+export interface QualityLimits {
+  // Short side of the video, in pixels
+  maxHeight: number;
+  maxFps: number;
+  // Bits per second
+  maxBitrate: number;
+  minSegmentMs: number;
+  maxSegmentMs: number;
+}
+
+export interface QualitySettings {
+  // Step on the quality ladder, 0 being the lowest
+  level: number;
+  height: number;
+  fps: number;
+  bitrate: number;
+  segmentDurationMs: number;
+}
+
+export interface UploadSample {
+  bytes: number;
+  durationMs: number;
+}
+
+export const DEFAULT_QUALITY_LIMITS: QualityLimits = {
+  maxHeight: 720,
+  maxFps: 30,
+  maxBitrate: 2000000,
+  minSegmentMs: 5000,
+  maxSegmentMs: 20000,
+};
+
+const LEVELS = [
+  { height: 360, fps: 15, bitrate: 500000 },
+  { height: 480, fps: 24, bitrate: 1000000 },
+  { height: 720, fps: 30, bitrate: 2000000 },
+  { height: 1080, fps: 30, bitrate: 4500000 },
+];
+
+// Throughput needed per bit of video, beyond real time
+const HEADROOM = 1.25;
+// Throughput needed for the next level before stepping up, relative to what it needs
+const UPGRADE_MARGIN = 1.5;
+const UPGRADE_SAMPLES = 3;
+// Chunks waiting for upload before the quality steps down
+const MAX_BACKLOG = 3;
+// Weight of the newest sample in the throughput average
+const SMOOTHING = 0.3;
+const TARGET_UPLOAD_MS = 4000;
+const DEFAULT_SEGMENT_MS = 10000;
+
+type Listener = (settings: QualitySettings) => void;
+
+const clamp = (value: number, min: number, max: number) =>
+  Math.min(max, Math.max(min, value));
+
+// The ladder within the limits; always at least its lowest step
+function levelsWithin(limits: QualityLimits) {
+  const allowed = LEVELS.filter(
+    (level, index) => index === 0 || level.height <= limits.maxHeight,
+  );
+  return allowed.map(level => ({
+    height: Math.min(level.height, limits.maxHeight),
+    fps: Math.min(level.fps, limits.maxFps),
+    bitrate: Math.min(level.bitrate, limits.maxBitrate),
+  }));
+}
+
+// Bytes per second a level needs to upload as fast as it records
+const requiredThroughput = (bitrate: number) => (bitrate / 8) * HEADROOM;
+
+export function createAdaptiveController(
+  initialLimits: QualityLimits = DEFAULT_QUALITY_LIMITS,
+) {
+  let limits = initialLimits;
+  let levels = levelsWithin(limits);
+  let level = 0;
+  // Bytes per second, null until the first upload
+  let throughput: number | null = null;
+  let backlog = 0;
+  let roomToGrow = 0;
+  let settings = describe();
+  const listeners = new Set<Listener>();
+
+  function describe(): QualitySettings {
+    const { height, fps, bitrate } = levels[level];
+    const segmentDurationMs =
+      throughput === null
+        ? DEFAULT_SEGMENT_MS
+        : (throughput * TARGET_UPLOAD_MS) / (bitrate / 8);
+    return {
+      level,
+      height,
+      fps,
+      bitrate,
+      segmentDurationMs: Math.round(
+        clamp(segmentDurationMs, limits.minSegmentMs, limits.maxSegmentMs),
+      ),
+    };
+  }
+
+  const publish = () => {
+    const next = describe();
+    if (
+      next.level === settings.level &&
+      next.bitrate === settings.bitrate &&
+      next.segmentDurationMs === settings.segmentDurationMs
+    ) {
+      return;
+    }
+    settings = next;
+    listeners.forEach(listener => listener(settings));
+  };
+
+  const stepDown = () => {
+    roomToGrow = 0;
+    level = Math.max(0, level - 1);
+  };
+
+  const evaluate = () => {
+    if (throughput === null) {
+      return;
+    }
+    if (
+      backlog > MAX_BACKLOG ||
+      throughput < requiredThroughput(levels[level].bitrate)
+    ) {
+      stepDown();
+      return;
+    }
+    const next = levels[level + 1];
+    if (
+      next &&
+      backlog <= 1 &&
+      throughput >= requiredThroughput(next.bitrate) * UPGRADE_MARGIN
+    ) {
+      roomToGrow++;
+      if (roomToGrow >= UPGRADE_SAMPLES) {
+        roomToGrow = 0;
+        level++;
+      }
+    } else {
+      roomToGrow = 0;
+    }
+  };
+
+  return {
+    // A finished /upload-chunk round-trip
+    recordUpload: ({ bytes, durationMs }: UploadSample) => {
+      if (durationMs <= 0) {
+        return;
+      }
+      const sample = (bytes / durationMs) * 1000;
+      throughput =
+        throughput === null
+          ? sample
+          : throughput * (1 - SMOOTHING) + sample * SMOOTHING;
+      evaluate();
+      publish();
+    },
+
+    // An upload that failed on the network or the server
+    recordFailure: () => {
+      stepDown();
+      publish();
+    },
+
+    // Chunks waiting in the upload queue
+    recordBacklog: (pending: number) => {
+      const growing = pending > backlog;
+      backlog = pending;
+      if (growing && backlog > MAX_BACKLOG) {
+        stepDown();
+        publish();
+      }
+    },
+
+    setLimits: (next: QualityLimits) => {
+      limits = next;
+      levels = levelsWithin(limits);
+      level = Math.min(level, levels.length - 1);
+      roomToGrow = 0;
+      settings = describe();
+      listeners.forEach(listener => listener(settings));
+    },
+
+    current: () => settings,
+
+    // Bytes per second, averaged; null before the first upload
+    get throughput() {
+      return throughput;
+    },
+
+    subscribe: (listener: Listener) => {
+      listeners.add(listener);
+      listener(settings);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type AdaptiveController = ReturnType<typeof createAdaptiveController>;
@@ -0,0 +1,229 @@
+import { Platform } from 'react-native';
+import type { RecordingMetadata } from './types';
+
+// Backend used until one is set in the settings screen (see src/settings.ts), e.g.
+// 'http://10.0.2.2:3001' for the Android emulator or 'http://192.168.1.100:3001' on the LAN
+export const DEFAULT_BACKEND_URL = 'https://9d6c90b66682.ngrok-free.app';
+
+// Enrollment token issued by the backend (POST /devices/enrollment-tokens or GET /pair) or its
+// DEVICE_ENROLLMENT_CODE, used until one is set in the settings screen
+export const ENROLLMENT_TOKEN = '';
+
+let backendUrl = DEFAULT_BACKEND_URL;
+
+export const getBackendUrl = () => backendUrl;
+
+export const setBackendUrl = (url: string) => {
+  backendUrl = url.replace(/\/+$/, '');
+};
+
+// Device token sent with every request once the device has enrolled
+let authToken: string | null = null;
+
+export const setAuthToken = (token: string | null) => {
+  authToken = token;
+};
+
+const authHeaders = (): Record<string, string> =>
+  authToken ? { Authorization: `Bearer ${authToken}` } : {};
+
+// Error returned by the backend (or the network) for an API request
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+
+  constructor(message: string, status: number, code?: string) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+
+  // Worth sending again as is: network failures, timeouts, rate limits, server errors, a chunk
+  // another request is still uploading, and a checksum mismatch (the file was corrupted on the way)
+  get isRetryable() {
+    return (
+      this.status === 0 ||
+      this.status === 408 ||
+      this.status === 429 ||
+      this.status >= 500 ||
+      this.code === 'UPLOAD_IN_PROGRESS' ||
+      this.code === 'CHECKSUM_MISMATCH'
+    );
+  }
+
+  // The device token was rejected; the request can succeed once the device has re-enrolled
+  get needsReauthentication() {
+    return this.status === 401;
+  }
+
+  // Anything else (e.g. SESSION_CLOSED, IDEMPOTENCY_KEY_REUSED) fails the same way on every retry
+  get isPermanent() {
+    return !this.isRetryable && !this.needsReauthentication;
+  }
+}
+
+// Open the backend's live event feed (see backend/events-socket.js) for this device.
+// With `since`, events buffered after that id are replayed first.
+export const openEventSocket = (since?: number) =>
+  new WebSocket(
+    `${backendUrl.replace(/^http/, 'ws')}/events${
+      since ? `?since=${since}` : ''
+    }`,
+    null,
+    { headers: authHeaders() },
+  );
+
+// Open a live preview ingest (see backend/live-socket.js) sending `fps` JPEG frames per second
+export const openLiveIngestSocket = (fps: number, sessionId?: string | null) =>
+  new WebSocket(
+    `${backendUrl.replace(/^http/, 'ws')}/live/ingest?format=mjpeg&fps=${fps}${
+      sessionId ? `&sessionId=${encodeURIComponent(sessionId)}` : ''
+    }`,
+    null,
+    { headers: authHeaders() },
+  );
+
+// API functions
+export const apiCall = async (
+  endpoint: string,
+  method: string = 'GET',
+  body?: any,
+) => {
+  try {
+    const response = await fetch(`${backendUrl}${endpoint}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('API call failed:', error);
+    throw error;
+  }
+};
+
+// Whether a recording session is still open on the backend; assumed so while it cannot be reached
+export const isSessionActive = async (sessionId: string) => {
+  try {
+    const response = await apiCall(`/session/${encodeURIComponent(sessionId)}`);
+    return response.success === true && response.session.status === 'active';
+  } catch {
+    return true;
+  }
+};
+
+// Exchange an enrollment token for this device's own API token
+export const enrollDevice = async (
+  enrollmentToken: string,
+  deviceId: string,
+  deviceInfo: Record<string, string>,
+): Promise<{ deviceId: string; token: string }> => {
+  const result = await apiCall('/devices/enroll', 'POST', {
+    enrollmentToken,
+    deviceId,
+    deviceInfo,
+  });
+  if (!result.success) {
+    throw new ApiError(result.error || 'Enrollment failed', 401, result.code);
+  }
+  return result;
+};
+
+function getMimeType(ext: string) {
+  switch (ext.toLowerCase()) {
+    case 'mp4':
+      return 'video/mp4';
+    case 'mov':
+      return 'video/quicktime';
+    case 'mkv':
+      return 'video/x-matroska';
+    default:
+      return 'application/octet-stream';
+  }
+}
+
+// Helper function to convert Blob to base64
+const blobToBase64 = (blob: Blob): Promise<string> => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const base64String = (reader.result as string).split(',')[1];
+      resolve(base64String);
+    };
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+};
+
+// Stable key for a chunk so the backend can recognise retries of the same upload
+export const chunkIdempotencyKey = (metadata: RecordingMetadata) =>
+  `${metadata.deviceId}:${metadata.sessionId}:${metadata.chunkIndex}`;
+
+export const uploadVideoChunk = async (
+  videoPath: string,
+  metadata: RecordingMetadata,
+) => {
+  const ext = videoPath.split('.').pop() || 'mov';
+  const mimeType = getMimeType(ext);
+  const { chunkIndex } = metadata;
+
+  const formData = new FormData();
+
+  // Append video file
+  formData.append('video', {
+    uri: Platform.OS === 'android' ? 'file://' + videoPath : videoPath,
+    type: mimeType,
+    name: `video_${chunkIndex}.${ext}`,
+  } as any);
+
+  // Append metadata as a JSON string
+  const metadataBlob = new Blob([JSON.stringify(metadata)], {
+    type: 'application/json',
+    // @ts-ignore - BlobOptions type is not fully compatible with React Native
+    lastModified: Date.now(),
+  });
+
+  formData.append('metadata', {
+    uri: `data:application/json;base64,${await blobToBase64(metadataBlob)}`,
+    type: 'application/json',
+    name: 'metadata.json',
+  } as any);
+
+  console.log(`Uploading chunk ${chunkIndex} of session ${metadata.sessionId}`);
+
+  let response: Response;
+  try {
+    response = await fetch(`${backendUrl}/upload-chunk`, {
+      method: 'POST',
+      body: formData,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        'Idempotency-Key': chunkIdempotencyKey(metadata),
+        ...authHeaders(),
+      },
+    });
+  } catch (error) {
+    // Network failure: status 0 is always retryable
+    throw new ApiError(
+      error instanceof Error ? error.message : 'Network request failed',
+      0,
+    );
+  }
+
+  const result = await response.json().catch(() => ({}));
+  console.log(`Chunk ${chunkIndex} upload response:`, result);
+
+  if (!response.ok || !result.success) {
+    throw new ApiError(
+      result.error || `Upload failed with HTTP ${response.status}`,
+      response.status,
+      result.code,
+    );
+  }
+
+  return result;
+};
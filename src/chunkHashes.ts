@@ -0,0 +1,48 @@
+import RNFS from 'react-native-fs';
+
+// SHA-256 digests of a session's segments, chained: each segment's metadata carries its own
+// digest and the digest of the segment before it, so the backend can tell when a chunk was
+// altered, dropped or swapped (see backend/integrity.js).
+//
+// Segments are hashed as they finish. A segment waits for its predecessor's digest, so the
+// link is right even if hashing finishes out of order; a segment whose predecessor never
+// finished recording (or could not be hashed) is sent with `previousSha256: null`.
+
+export interface ChunkDigest {
+  sha256: string;
+  previousSha256: string | null;
+}
+
+export function createChunkHashes() {
+  let sessionId: string | null = null;
+  let digests = new Map<number, Promise<string | null>>();
+
+  // Hash a finished segment and link it to the previous one of its session
+  const digest = async (
+    segmentSessionId: string,
+    chunkIndex: number,
+    path: string,
+  ): Promise<ChunkDigest | null> => {
+    if (segmentSessionId !== sessionId) {
+      sessionId = segmentSessionId;
+      digests = new Map();
+    }
+
+    const sha256 = RNFS.hash(path, 'sha256').catch(error => {
+      console.warn(`Could not hash segment ${chunkIndex}:`, error);
+      return null;
+    });
+    digests.set(chunkIndex, sha256);
+    const previous = chunkIndex > 0 ? digests.get(chunkIndex - 1) : undefined;
+    // Only the predecessor is still needed
+    digests.delete(chunkIndex - 2);
+
+    const own = await sha256;
+    if (!own) {
+      return null;
+    }
+    return { sha256: own, previousSha256: (await previous) ?? null };
+  };
+
+  return { digest };
+}
@@ -0,0 +1,65 @@
+import RNFS from 'react-native-fs';
+import { Platform } from 'react-native';
+import uuid from 'react-native-uuid';
+import { ENROLLMENT_TOKEN, enrollDevice, setAuthToken } from './api';
+
+// Device ID and backend token, persisted so an install keeps its identity across launches
+export interface DeviceIdentity {
+  deviceId: string;
+  token: string | null;
+  enrolledAt: string | null;
+}
+
+const IDENTITY_PATH = `${RNFS.DocumentDirectoryPath}/device-identity.json`;
+
+const saveIdentity = (identity: DeviceIdentity) =>
+  RNFS.writeFile(IDENTITY_PATH, JSON.stringify(identity), 'utf8');
+
+export const loadIdentity = async (): Promise<DeviceIdentity> => {
+  if (await RNFS.exists(IDENTITY_PATH)) {
+    try {
+      return JSON.parse(await RNFS.readFile(IDENTITY_PATH, 'utf8'));
+    } catch (error) {
+      console.error('Device identity unreadable, generating a new one:', error);
+    }
+  }
+
+  const identity: DeviceIdentity = {
+    deviceId: uuid.v4().toString(),
+    token: null,
+    enrolledAt: null,
+  };
+  await saveIdentity(identity);
+  return identity;
+};
+
+// Load the saved identity and enroll with the backend if this install has no token yet
+export const ensureEnrolled = async (
+  enrollmentToken: string = ENROLLMENT_TOKEN,
+): Promise<DeviceIdentity> => {
+  let identity = await loadIdentity();
+
+  if (!identity.token) {
+    const enrollment = await enrollDevice(enrollmentToken, identity.deviceId, {
+      os: Platform.OS,
+      osVersion: Platform.Version.toString(),
+    });
+    identity = {
+      deviceId: enrollment.deviceId,
+      token: enrollment.token,
+      enrolledAt: new Date().toISOString(),
+    };
+    await saveIdentity(identity);
+    console.log(`Device ${identity.deviceId} enrolled with backend`);
+  }
+
+  setAuthToken(identity.token);
+  return identity;
+};
+
+// Forget the token (e.g. after the backend revoked it) so the next ensureEnrolled re-enrolls
+export const clearToken = async () => {
+  const identity = await loadIdentity();
+  setAuthToken(null);
+  await saveIdentity({ ...identity, token: null, enrolledAt: null });
+};
@@ -0,0 +1,208 @@
+import { apiCall } from './api';
+import type { QueueEntry } from './uploadQueue';
+
+// Past sessions of this device, for the History screen.
+//
+// Chunks the backend has stored come from GET /videos/device/:deviceId, with a presigned URL
+// to play them from and the status of their analysis. Chunks still in the upload queue are
+// merged in, so a session shows up (and its unsent chunks are accounted for) before all of
+// it has reached the backend. Detection results for the overlay come from /analysis/:gcsUri
+// in the normalized format of backend/analysis/normalize.js.
+
+export type ChunkUploadStatus = 'stored' | 'pending' | 'failed';
+export type ChunkAnalysisStatus = 'pending' | 'completed' | 'failed';
+
+export interface HistoryChunk {
+  chunkIndex: number;
+  upload: ChunkUploadStatus;
+  // Null until the chunk is stored
+  analysisStatus: ChunkAnalysisStatus | null;
+  gcsUri: string | null;
+  // Presigned, valid until `expiresAt`
+  url: string | null;
+  thumbnailUrl: string | null;
+  expiresAt: string | null;
+  recordedAt: string;
+  lastError?: string;
+}
+
+export interface HistorySession {
+  sessionId: string;
+  startedAt: string;
+  chunks: HistoryChunk[];
+}
+
+// A video as listed by GET /videos/device/:deviceId
+interface StoredVideo {
+  filename: string;
+  gcsUri: string;
+  presignedUrl: string;
+  expiresAt: string;
+  thumbnailUrl: string | null;
+  created: string;
+  analysisStatus: ChunkAnalysisStatus;
+  sessionId: string;
+  chunkIndex: string | number;
+}
+
+export interface DetectionBox {
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+}
+
+interface Track {
+  confidence: number;
+  startSec: number;
+  endSec: number;
+  boxes: { timeSec: number; box: DetectionBox }[];
+}
+
+export interface AnalysisResult {
+  durationSec: number | null;
+  persons: (Track & { trackId: number })[];
+  objects: (Track & { description: string })[];
+  labels: { description: string; confidence: number }[];
+  summary: {
+    personCount: number;
+    labelCount: number;
+    objectCount: number;
+    textCount: number;
+  };
+}
+
+export interface Detection {
+  label: string;
+  confidence: number;
+  box: DetectionBox;
+}
+
+// A box sample this close to the playback position is still drawn
+const MAX_BOX_DISTANCE_SEC = 0.75;
+
+// The object key ends in chunk_<index>_<timestamp>.mp4; older objects lack the index metadata
+const chunkIndexOf = (video: StoredVideo) => {
+  const index = Number(video.chunkIndex);
+  if (Number.isInteger(index)) {
+    return index;
+  }
+  const match = /chunk_(\d+)_/.exec(video.filename);
+  return match ? Number(match[1]) : -1;
+};
+
+export const fetchStoredVideos = async (
+  deviceId: string,
+): Promise<StoredVideo[]> => {
+  const response = await apiCall(
+    `/videos/device/${encodeURIComponent(deviceId)}`,
+  );
+  if (!response.success) {
+    throw new Error(response.error || 'Could not load recordings');
+  }
+  return response.videos;
+};
+
+// Stored videos and queued chunks grouped into sessions, newest first, chunks in order
+export function groupSessions(
+  videos: StoredVideo[],
+  queued: QueueEntry[],
+): HistorySession[] {
+  const sessions = new Map<string, HistoryChunk[]>();
+  const add = (sessionId: string, chunk: HistoryChunk) => {
+    const chunks = sessions.get(sessionId) || [];
+    // A chunk can be stored and still queued if the app died before hearing back
+    if (!chunks.some(other => other.chunkIndex === chunk.chunkIndex)) {
+      chunks.push(chunk);
+    }
+    sessions.set(sessionId, chunks);
+  };
+
+  videos.forEach(video =>
+    add(video.sessionId, {
+      chunkIndex: chunkIndexOf(video),
+      upload: 'stored',
+      analysisStatus: video.analysisStatus,
+      gcsUri: video.gcsUri,
+      url: video.presignedUrl,
+      thumbnailUrl: video.thumbnailUrl,
+      expiresAt: video.expiresAt,
+      recordedAt: video.created,
+    }),
+  );
+  queued.forEach(entry =>
+    add(entry.metadata.sessionId, {
+      chunkIndex: entry.metadata.chunkIndex,
+      upload: entry.status,
+      analysisStatus: null,
+      gcsUri: null,
+      url: null,
+      thumbnailUrl: null,
+      expiresAt: null,
+      recordedAt: entry.metadata.timestamp,
+      lastError: entry.lastError,
+    }),
+  );
+
+  return [...sessions.entries()]
+    .map(([sessionId, chunks]) => {
+      chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+      const startedAt = chunks
+        .map(chunk => chunk.recordedAt)
+        .reduce((earliest, at) => (at < earliest ? at : earliest));
+      return { sessionId, startedAt, chunks };
+    })
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+// The uploaded chunk played after `chunkIndex`, skipping chunks that are not stored yet
+export const nextPlayableChunk = (
+  session: HistorySession,
+  chunkIndex: number | null,
+): HistoryChunk | null =>
+  session.chunks.find(
+    chunk =>
+      chunk.url && (chunkIndex === null || chunk.chunkIndex > chunkIndex),
+  ) ?? null;
+
+// The chunk's detection results, or null while it has none
+export const fetchAnalysis = async (
+  gcsUri: string,
+): Promise<AnalysisResult | null> => {
+  const response = await apiCall(`/analysis/${encodeURIComponent(gcsUri)}`);
+  if (!response.success || !response.analysis?.result) {
+    return null;
+  }
+  return response.analysis.result;
+};
+
+// Persons and objects on screen at `timeSec` into the chunk, each at its nearest box sample
+export function detectionsAt(
+  result: AnalysisResult,
+  timeSec: number,
+): Detection[] {
+  const nearest = (track: Track) =>
+    track.boxes.reduce<Track['boxes'][number] | null>(
+      (best, sample) =>
+        !best ||
+        Math.abs(sample.timeSec - timeSec) < Math.abs(best.timeSec - timeSec)
+          ? sample
+          : best,
+      null,
+    );
+
+  const tracks: { label: string; track: Track }[] = [
+    ...result.persons.map(track => ({ label: 'Person', track })),
+    ...result.objects.map(track => ({ label: track.description, track })),
+  ];
+  return tracks.flatMap(({ label, track }) => {
+    if (timeSec < track.startSec || timeSec > track.endSec) {
+      return [];
+    }
+    const sample = nearest(track);
+    if (!sample || Math.abs(sample.timeSec - timeSec) > MAX_BOX_DISTANCE_SEC) {
+      return [];
+    }
+    return [{ label, confidence: track.confidence, box: sample.box }];
+  });
+}
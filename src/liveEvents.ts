@@ -0,0 +1,226 @@
+import { retryDelay } from './uploadQueue';
+
+// Live feed of server-side events for this device (sessions, uploads, analysis, alerts).
+//
+// The feed keeps one WebSocket open to the backend and reconnects with backoff when it
+// drops, asking the server to replay the events it missed in the meantime. Events are
+// folded into a ServerState for the current session by `applyServerEvent`.
+
+export interface LiveEvent {
+  id: number;
+  type: string;
+  at: string;
+  deviceId: string | null;
+  sessionId: string | null;
+  data: Record<string, any>;
+}
+
+export interface ServerState {
+  connected: boolean;
+  sessionId: string | null;
+  session: 'none' | 'active' | 'stopped';
+  chunksReceived: number;
+  chunksStored: number;
+  storageFailures: number;
+  analysesQueued: number;
+  analysesCompleted: number;
+  analysesFailed: number;
+  // Person tracks found by the most recent analysis of this session
+  lastPersonCount: number | null;
+  lastAlert: string | null;
+  missingChunks: number[];
+}
+
+export const initialServerState: ServerState = {
+  connected: false,
+  sessionId: null,
+  session: 'none',
+  chunksReceived: 0,
+  chunksStored: 0,
+  storageFailures: 0,
+  analysesQueued: 0,
+  analysesCompleted: 0,
+  analysesFailed: 0,
+  lastPersonCount: null,
+  lastAlert: null,
+  missingChunks: [],
+};
+
+// Fold one event into the state. The feed only carries this device's events, so a
+// `session.started` always begins a new session; events of older sessions are ignored.
+export function applyServerEvent(
+  state: ServerState,
+  event: LiveEvent,
+): ServerState {
+  if (event.type === 'session.started') {
+    return {
+      ...initialServerState,
+      connected: state.connected,
+      sessionId: event.sessionId,
+      session: 'active',
+    };
+  }
+  if (!event.sessionId || event.sessionId !== state.sessionId) {
+    return state;
+  }
+
+  switch (event.type) {
+    case 'session.stopped':
+      return {
+        ...state,
+        session: 'stopped',
+        missingChunks: event.data.missingChunks || [],
+      };
+    case 'chunk.received':
+      return { ...state, chunksReceived: state.chunksReceived + 1 };
+    case 'chunk.stored':
+      return event.data.gcsUploaded
+        ? { ...state, chunksStored: state.chunksStored + 1 }
+        : { ...state, storageFailures: state.storageFailures + 1 };
+    case 'analysis.queued':
+      return { ...state, analysesQueued: state.analysesQueued + 1 };
+    case 'analysis.completed':
+      return {
+        ...state,
+        analysesCompleted: state.analysesCompleted + 1,
+        lastPersonCount: event.data.summary?.personCount ?? null,
+      };
+    case 'analysis.failed':
+      return { ...state, analysesFailed: state.analysesFailed + 1 };
+    case 'alert.created':
+      return { ...state, lastAlert: event.data.message };
+    default:
+      return state;
+  }
+}
+
+// One-line summary for the camera screen
+export function describeServerState(state: ServerState): string {
+  if (!state.connected) {
+    return 'Server: offline';
+  }
+  if (state.session === 'none') {
+    return 'Server: ready';
+  }
+
+  const parts = [
+    state.session === 'active' ? 'Recording' : 'Stopped',
+    `${state.chunksStored}/${state.chunksReceived} stored`,
+  ];
+  if (state.storageFailures > 0) {
+    parts.push(`${state.storageFailures} storage failed`);
+  }
+  if (state.analysesQueued > 0) {
+    parts.push(`${state.analysesCompleted}/${state.analysesQueued} analyzed`);
+  }
+  if (state.lastPersonCount !== null) {
+    parts.push(`${state.lastPersonCount} person(s)`);
+  }
+  if (state.session === 'stopped' && state.missingChunks.length > 0) {
+    parts.push(`missing ${state.missingChunks.join(', ')}`);
+  }
+  return parts.join(' · ');
+}
+
+type Listener = (update: { connected: boolean; event?: LiveEvent }) => void;
+
+export function createLiveFeed(
+  openSocket: (since?: number) => WebSocket,
+) {
+  let socket: WebSocket | null = null;
+  let connected = false;
+  let closed = true;
+  let attempts = 0;
+  let lastEventId = 0;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  const listeners = new Set<Listener>();
+
+  const notify = (event?: LiveEvent) => {
+    listeners.forEach(listener => listener({ connected, event }));
+  };
+
+  const clearReconnect = () => {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  };
+
+  const open = () => {
+    clearReconnect();
+    const current = openSocket(lastEventId || undefined);
+    socket = current;
+
+    current.onmessage = message => {
+      let data: any;
+      try {
+        data = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      if (data.type === 'welcome') {
+        // Event ids restart with the server; never wait for ids it will not reach again
+        lastEventId = Math.min(lastEventId, data.lastEventId);
+        attempts = 0;
+        connected = true;
+        notify();
+      } else if (data.type === 'event') {
+        lastEventId = Math.max(lastEventId, data.event.id);
+        notify(data.event);
+      } else if (data.type === 'error') {
+        console.warn('Live feed error:', data.code, data.error);
+      }
+    };
+
+    current.onclose = () => {
+      if (socket !== current) {
+        return;
+      }
+      socket = null;
+      if (connected) {
+        connected = false;
+        notify();
+      }
+      if (!closed) {
+        attempts += 1;
+        reconnectTimer = setTimeout(open, retryDelay(attempts));
+      }
+    };
+
+    current.onerror = error => {
+      console.warn('Live feed connection failed:', error.message);
+    };
+  };
+
+  return {
+    // Connect, or reconnect straight away if the feed is waiting out a backoff
+    connect: () => {
+      closed = false;
+      if (!socket) {
+        open();
+      }
+    },
+
+    close: () => {
+      closed = true;
+      clearReconnect();
+      const current = socket;
+      socket = null;
+      current?.close();
+      if (connected) {
+        connected = false;
+        notify();
+      }
+    },
+
+    subscribe: (listener: Listener) => {
+      listeners.add(listener);
+      listener({ connected });
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type LiveFeed = ReturnType<typeof createLiveFeed>;
@@ -0,0 +1,187 @@
+import RNFS from 'react-native-fs';
+import type { PhotoFile } from 'react-native-vision-camera';
+import { retryDelay } from './uploadQueue';
+
+// Live preview of the camera for remote viewers, next to the chunk uploads.
+//
+// The camera keeps recording segments; a few times per second a JPEG snapshot of the
+// preview is pushed over the backend's live ingest socket, which re-serves the frames as
+// low-latency HLS (see backend/live.js). Snapshots are skipped while the socket still has
+// a backlog, so a slow network lowers the frame rate instead of adding latency.
+
+// Frames waiting in the socket beyond this are not added to
+const MAX_BUFFERED_BYTES = 256 * 1024;
+const SNAPSHOT_QUALITY = 60;
+// Close code the backend uses when another ingest of this device took over
+const REPLACED_CLOSE_CODE = 4000;
+
+export interface Snapshotter {
+  takeSnapshot(options: { quality: number }): Promise<PhotoFile>;
+}
+
+export interface LiveStreamStatus {
+  live: boolean;
+  connected: boolean;
+  // Playlist URL for viewers (signed, expires after an hour)
+  playlistUrl: string | null;
+  framesSent: number;
+  error?: string;
+}
+
+type Listener = (status: LiveStreamStatus) => void;
+
+export function createLiveStreamer(
+  openSocket: (fps: number, sessionId?: string | null) => WebSocket,
+  getCamera: () => Snapshotter | null,
+  { fps = 4 }: { fps?: number } = {},
+) {
+  let status: LiveStreamStatus = {
+    live: false,
+    connected: false,
+    playlistUrl: null,
+    framesSent: 0,
+  };
+  let socket: WebSocket | null = null;
+  let sessionId: string | null = null;
+  let attempts = 0;
+  let frameTimer: ReturnType<typeof setTimeout> | null = null;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  const listeners = new Set<Listener>();
+
+  const update = (patch: Partial<LiveStreamStatus>) => {
+    status = { ...status, ...patch };
+    listeners.forEach(listener => listener(status));
+  };
+
+  const clearTimers = () => {
+    if (frameTimer) {
+      clearTimeout(frameTimer);
+      frameTimer = null;
+    }
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  };
+
+  const sendFrame = async () => {
+    const current = socket;
+    const camera = getCamera();
+    if (
+      !current ||
+      !camera ||
+      current.readyState !== WebSocket.OPEN ||
+      current.bufferedAmount > MAX_BUFFERED_BYTES
+    ) {
+      return;
+    }
+
+    const snapshot = await camera.takeSnapshot({ quality: SNAPSHOT_QUALITY });
+    try {
+      // React Native holds binary data as base64 anyway; the backend accepts it as text frames
+      const jpeg = await RNFS.readFile(snapshot.path, 'base64');
+      if (socket === current && current.readyState === WebSocket.OPEN) {
+        current.send(jpeg);
+        update({ framesSent: status.framesSent + 1 });
+      }
+    } finally {
+      RNFS.unlink(snapshot.path).catch(() => {});
+    }
+  };
+
+  // Snapshots are taken one after another, at most `fps` per second. Each start() begins a
+  // new loop; a loop whose start() has been superseded ends after its current snapshot.
+  let loop = 0;
+  const scheduleFrame = (currentLoop: number, delay: number) => {
+    frameTimer = setTimeout(async () => {
+      const startedAt = Date.now();
+      try {
+        await sendFrame();
+      } catch (error) {
+        console.warn('Live snapshot failed:', error);
+      }
+      if (status.live && currentLoop === loop) {
+        scheduleFrame(
+          currentLoop,
+          Math.max(0, 1000 / fps - (Date.now() - startedAt)),
+        );
+      }
+    }, delay);
+  };
+
+  const open = () => {
+    reconnectTimer = null;
+    const current = openSocket(fps, sessionId);
+    socket = current;
+
+    current.onmessage = message => {
+      let data: any;
+      try {
+        data = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      if (data.type === 'started') {
+        attempts = 0;
+        update({ connected: true, playlistUrl: data.playlistUrl, error: undefined });
+      } else if (data.type === 'error') {
+        console.warn('Live ingest error:', data.code, data.error);
+      }
+    };
+
+    current.onclose = event => {
+      if (socket !== current) {
+        return;
+      }
+      socket = null;
+      update({ connected: false, playlistUrl: null });
+      if (!status.live) {
+        return;
+      }
+      if (event.code === REPLACED_CLOSE_CODE) {
+        clearTimers();
+        update({ live: false, error: 'Live stream taken over by another connection' });
+        return;
+      }
+      attempts += 1;
+      reconnectTimer = setTimeout(open, retryDelay(attempts));
+    };
+
+    current.onerror = error => {
+      console.warn('Live ingest connection failed:', error.message);
+    };
+  };
+
+  return {
+    // Go live, optionally as part of a recording session
+    start: (recordingSessionId?: string | null) => {
+      if (status.live) {
+        return;
+      }
+      sessionId = recordingSessionId || null;
+      attempts = 0;
+      update({ live: true, framesSent: 0, error: undefined });
+      open();
+      loop += 1;
+      scheduleFrame(loop, 0);
+    },
+
+    stop: () => {
+      clearTimers();
+      const current = socket;
+      socket = null;
+      current?.close();
+      update({ live: false, connected: false, playlistUrl: null });
+    },
+
+    subscribe: (listener: Listener) => {
+      listeners.add(listener);
+      listener(status);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type LiveStreamer = ReturnType<typeof createLiveStreamer>;
@@ -0,0 +1,139 @@
+import { runAtTargetFps, useFrameProcessor } from 'react-native-vision-camera';
+import { useRunOnJS, useSharedValue } from 'react-native-worklets-core';
+import type { DetectedMotion, MotionZone } from './types';
+
+// Motion detection on camera frames, for guard mode (see motionGuard.ts).
+//
+// A frame processor looks at a few frames per second. Each frame's luma (the Y plane of a
+// 'yuv' frame) is averaged over a GRID_COLUMNS × GRID_ROWS grid, and compared cell by cell
+// with the previous frame: a cell has changed when its mean brightness moved by more than
+// `pixelDelta`. A zone's motion score is the share of its cells that changed (0 to 1), and
+// the strongest zone is reported to JS when its score reaches `threshold`.
+//
+// Zones are rectangles in fractions of the frame as the camera delivers it, which is the
+// sensor's orientation (landscape on most phones), not necessarily the preview's.
+
+const GRID_COLUMNS = 32;
+const GRID_ROWS = 24;
+// Pixels sampled per cell, in each direction
+const CELL_SAMPLES = 4;
+
+export interface MotionDetectorSettings {
+  zones: MotionZone[];
+  // Share of a zone's cells that must change to count as motion (0 to 1)
+  threshold: number;
+  // Change in mean brightness (0 to 255) for a cell to count as changed
+  pixelDelta: number;
+  // Frames analyzed per second
+  fps: number;
+}
+
+// Mean luma of each grid cell, row by row
+export function lumaGrid(
+  pixels: Uint8Array,
+  width: number,
+  height: number,
+  bytesPerRow: number,
+): number[] {
+  'worklet';
+  const grid: number[] = [];
+  const cellWidth = width / GRID_COLUMNS;
+  const cellHeight = height / GRID_ROWS;
+  for (let row = 0; row < GRID_ROWS; row++) {
+    for (let column = 0; column < GRID_COLUMNS; column++) {
+      let sum = 0;
+      for (let sy = 0; sy < CELL_SAMPLES; sy++) {
+        const y = Math.floor((row + (sy + 0.5) / CELL_SAMPLES) * cellHeight);
+        for (let sx = 0; sx < CELL_SAMPLES; sx++) {
+          const x = Math.floor((column + (sx + 0.5) / CELL_SAMPLES) * cellWidth);
+          sum += pixels[y * bytesPerRow + x];
+        }
+      }
+      grid.push(sum / (CELL_SAMPLES * CELL_SAMPLES));
+    }
+  }
+  return grid;
+}
+
+// The zone with the highest motion score between two grids, or null without zones
+export function strongestMotion(
+  previous: number[],
+  current: number[],
+  zones: MotionZone[],
+  pixelDelta: number,
+): { zone: string; score: number } | null {
+  'worklet';
+  let best: { zone: string; score: number } | null = null;
+  for (const zone of zones) {
+    let cells = 0;
+    let changed = 0;
+    for (let row = 0; row < GRID_ROWS; row++) {
+      const y = (row + 0.5) / GRID_ROWS;
+      if (y < zone.top || y > zone.bottom) {
+        continue;
+      }
+      for (let column = 0; column < GRID_COLUMNS; column++) {
+        const x = (column + 0.5) / GRID_COLUMNS;
+        if (x < zone.left || x > zone.right) {
+          continue;
+        }
+        const index = row * GRID_COLUMNS + column;
+        cells++;
+        if (Math.abs(current[index] - previous[index]) > pixelDelta) {
+          changed++;
+        }
+      }
+    }
+    const score = cells > 0 ? changed / cells : 0;
+    if (!best || score > best.score) {
+      best = { zone: zone.id, score };
+    }
+  }
+  return best;
+}
+
+// Frame processor calling `onMotion` whenever a zone's score reaches the threshold; pass it to
+// the Camera (with pixelFormat="yuv") while `enabled`
+export function useMotionDetector(
+  enabled: boolean,
+  settings: MotionDetectorSettings,
+  onMotion: (motion: DetectedMotion) => void,
+) {
+  const previous = useSharedValue<number[]>([]);
+  const report = useRunOnJS(
+    (zone: string, score: number) => onMotion({ at: Date.now(), zone, score }),
+    [onMotion],
+  );
+
+  return useFrameProcessor(
+    frame => {
+      'worklet';
+      if (!enabled) {
+        previous.value = [];
+        return;
+      }
+      runAtTargetFps(settings.fps, () => {
+        'worklet';
+        if (frame.pixelFormat !== 'yuv') {
+          return;
+        }
+        const grid = lumaGrid(
+          new Uint8Array(frame.toArrayBuffer()),
+          frame.width,
+          frame.height,
+          frame.bytesPerRow,
+        );
+        const last = previous.value;
+        previous.value = grid;
+        if (last.length !== grid.length) {
+          return;
+        }
+        const motion = strongestMotion(last, grid, settings.zones, settings.pixelDelta);
+        if (motion && motion.score >= settings.threshold) {
+          report(motion.zone, motion.score);
+        }
+      });
+    },
+    [enabled, settings, previous, report],
+  );
+}
@@ -0,0 +1,238 @@
+import RNFS from 'react-native-fs';
+import uuid from 'react-native-uuid';
+import type { MotionDetectorSettings } from './motionDetection';
+import type {
+  ChunkTrigger,
+  DetectedMotion,
+  RecordingMetadata,
+  SegmentTiming,
+} from './types';
+
+// Guard mode: the camera records segments as usual, but only the ones around motion are kept.
+//
+// While armed, finished segments are held on the device instead of being queued for upload.
+// Motion reported by the frame processor (see motionDetection.ts) starts a motion event,
+// which lasts until `postRollMs` after the last motion. A segment that overlaps an event is
+// kept, together with the held segments of the `preRollMs` before the event started; held
+// segments no event can need any more are deleted. Kept chunks are numbered contiguously,
+// so the session has no gaps in its chunk indices, and are tagged with their trigger.
+
+export interface GuardSettings extends MotionDetectorSettings {
+  preRollMs: number;
+  postRollMs: number;
+}
+
+export const DEFAULT_GUARD_SETTINGS: GuardSettings = {
+  zones: [{ id: 'frame', left: 0, top: 0, right: 1, bottom: 1 }],
+  threshold: 0.05,
+  pixelDelta: 20,
+  fps: 3,
+  preRollMs: 10000,
+  postRollMs: 15000,
+};
+
+// Motion samples older than this are dropped
+const MAX_MOTION_AGE_MS = 2 * 60 * 1000;
+
+export interface GuardedSegment {
+  path: string;
+  timing: SegmentTiming;
+  metadata: RecordingMetadata;
+}
+
+export interface GuardStatus {
+  armed: boolean;
+  // A motion event is going on
+  triggered: boolean;
+  lastMotion: DetectedMotion | null;
+  kept: number;
+  discarded: number;
+}
+
+interface MotionEvent {
+  id: string;
+  triggeredAt: number;
+  zone: string;
+  score: number;
+  // Last motion plus the post-roll
+  until: number;
+}
+
+type Listener = (status: GuardStatus) => void;
+
+const round = (score: number) => Math.round(score * 1000) / 1000;
+
+const spanOf = ({ timing }: GuardedSegment) => ({
+  from: Date.parse(timing.startedAt),
+  to: Date.parse(timing.endedAt),
+});
+
+const idleStatus: GuardStatus = {
+  armed: false,
+  triggered: false,
+  lastMotion: null,
+  kept: 0,
+  discarded: 0,
+};
+
+export function createMotionGuard() {
+  let settings: GuardSettings | null = null;
+  let events: MotionEvent[] = [];
+  let motions: DetectedMotion[] = [];
+  let held: GuardedSegment[] = [];
+  let nextIndex = 0;
+  let status: GuardStatus = idleStatus;
+  const listeners = new Set<Listener>();
+
+  const update = (changes: Partial<GuardStatus>) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener(status));
+  };
+
+  const drop = (segments: GuardedSegment[]) => {
+    segments.forEach(segment =>
+      RNFS.unlink(segment.path).catch(error =>
+        console.warn(`Could not delete segment ${segment.path}:`, error),
+      ),
+    );
+    if (segments.length > 0) {
+      update({ discarded: status.discarded + segments.length });
+    }
+  };
+
+  const keep = (
+    segment: GuardedSegment,
+    event: MotionEvent,
+    role: ChunkTrigger['role'],
+  ): GuardedSegment => {
+    const { from, to } = spanOf(segment);
+    const peakScore = motions
+      .filter(motion => motion.at >= from && motion.at <= to)
+      .reduce((peak, motion) => Math.max(peak, motion.score), 0);
+    return {
+      ...segment,
+      metadata: {
+        ...segment.metadata,
+        chunkIndex: nextIndex++,
+        trigger: {
+          mode: 'motion',
+          eventId: event.id,
+          role,
+          triggeredAt: new Date(event.triggeredAt).toISOString(),
+          zone: event.zone,
+          score: round(event.score),
+          peakScore: round(peakScore),
+        },
+      },
+    };
+  };
+
+  return {
+    // Start guarding a session; `firstIndex` continues the numbering of an interrupted one
+    arm: (next: GuardSettings, firstIndex = 0) => {
+      settings = next;
+      events = [];
+      motions = [];
+      held = [];
+      nextIndex = firstIndex;
+      status = { ...idleStatus, armed: true };
+      update({});
+    },
+
+    // Stop guarding and delete the held segments; returns the number of chunks kept
+    disarm: (): number => {
+      drop(held);
+      held = [];
+      settings = null;
+      update({ armed: false, triggered: false });
+      return nextIndex;
+    },
+
+    get armed() {
+      return settings !== null;
+    },
+
+    // Index the next kept chunk will get
+    get nextIndex() {
+      return nextIndex;
+    },
+
+    // Motion from the frame processor: starts a motion event or extends the current one
+    motion: (motion: DetectedMotion) => {
+      if (!settings) {
+        return;
+      }
+      motions = motions.filter(sample => sample.at >= motion.at - MAX_MOTION_AGE_MS);
+      motions.push(motion);
+
+      const current = events[events.length - 1];
+      if (current && motion.at <= current.until) {
+        current.until = motion.at + settings.postRollMs;
+      } else {
+        events.push({
+          id: uuid.v4() as string,
+          triggeredAt: motion.at,
+          zone: motion.zone,
+          score: motion.score,
+          until: motion.at + settings.postRollMs,
+        });
+      }
+      update({ triggered: true, lastMotion: motion });
+    },
+
+    // A finished segment; returns the segments to upload now (none while nothing moves).
+    // Passes every segment through unchanged while not armed.
+    admit: (segment: GuardedSegment): GuardedSegment[] => {
+      if (!settings) {
+        return [segment];
+      }
+      const { from, to } = spanOf(segment);
+      const event = events.find(
+        candidate => candidate.triggeredAt <= to && candidate.until >= from,
+      );
+
+      if (!event) {
+        // Only what a later event could need as pre-roll
+        const preRollStart = to - settings.preRollMs;
+        drop(held.filter(candidate => spanOf(candidate).to < preRollStart));
+        held = [
+          ...held.filter(candidate => spanOf(candidate).to >= preRollStart),
+          segment,
+        ];
+        events = events.filter(candidate => candidate.until >= from);
+        if (status.triggered) {
+          update({ triggered: false });
+        }
+        return [];
+      }
+
+      const preRollStart = event.triggeredAt - settings.preRollMs;
+      drop(held.filter(candidate => spanOf(candidate).to < preRollStart));
+      const kept = [
+        ...held
+          .filter(candidate => spanOf(candidate).to >= preRollStart)
+          .map(candidate => keep(candidate, event, 'pre-roll')),
+        keep(segment, event, 'event'),
+      ];
+      held = [];
+      events = events.filter(candidate => candidate.until >= from);
+      update({
+        kept: status.kept + kept.length,
+        triggered: events.some(candidate => candidate.until > to),
+      });
+      return kept;
+    },
+
+    getStatus: () => status,
+
+    subscribe: (listener: Listener) => {
+      listeners.add(listener);
+      listener(status);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type MotionGuard = ReturnType<typeof createMotionGuard>;
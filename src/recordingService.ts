@@ -0,0 +1,115 @@
+import { NativeModules, PermissionsAndroid, Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+// Keeps a recording going when the app leaves the foreground, and brings it back when it stops.
+//
+// On Android, a foreground service (android/.../RecordingService.kt) with a persistent
+// notification keeps the process and its camera access alive in the background and behind
+// the lock screen, so segmenting and uploads carry on. iOS suspends the camera of a
+// backgrounded app whatever it does; there the native module only keeps the screen from
+// locking by itself and gives the current segment time to finish, and recording resumes
+// when the app returns to the foreground.
+//
+// The session in progress is saved to STATE_PATH as it goes. If the app is killed (by the
+// OS or the user) without the recording being stopped, the next launch finds it there and
+// continues the session from the next chunk index.
+
+const STATE_PATH = `${RNFS.DocumentDirectoryPath}/recording-state.json`;
+
+const NOTIFICATION_TITLE = 'Heimdall Cam is recording';
+
+export interface RecordingState {
+  sessionId: string;
+  guardMode: boolean;
+  // When the session started (ISO 8601)
+  startedAt: string;
+  // Index of the next chunk of the session
+  nextChunkIndex: number;
+}
+
+interface NativeRecordingService {
+  start(title: string, text: string): Promise<void>;
+  update(title: string, text: string): void;
+  stop(): Promise<void>;
+}
+
+const native: NativeRecordingService | undefined =
+  NativeModules.RecordingService;
+
+export function createRecordingService() {
+  let state: RecordingState | null = null;
+  let writing = Promise.resolve();
+
+  // Writes are chained so the file always ends up with the latest state
+  const persist = () => {
+    const snapshot = state ? JSON.stringify(state) : null;
+    writing = writing
+      .then(() =>
+        snapshot
+          ? RNFS.writeFile(STATE_PATH, snapshot, 'utf8')
+          : RNFS.unlink(STATE_PATH).catch(() => {}),
+      )
+      .catch(error => console.warn('Could not save recording state:', error));
+    return writing;
+  };
+
+  return {
+    // The recording the app was killed in the middle of, if any
+    restore: async (): Promise<RecordingState | null> => {
+      try {
+        if (await RNFS.exists(STATE_PATH)) {
+          return JSON.parse(await RNFS.readFile(STATE_PATH, 'utf8'));
+        }
+      } catch (error) {
+        console.warn('Could not read recording state:', error);
+      }
+      return null;
+    },
+
+    // A recording starts (or continues): keep it alive outside the foreground
+    begin: async (next: RecordingState) => {
+      state = next;
+      await persist();
+      try {
+        if (Platform.OS === 'android' && Platform.Version >= 33) {
+          // Without it the service still runs, only its notification is hidden
+          await PermissionsAndroid.request(
+            PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS,
+          );
+        }
+        await native?.start(NOTIFICATION_TITLE, 'Starting…');
+      } catch (error) {
+        console.warn('Could not start the recording service:', error);
+      }
+    },
+
+    // A chunk index was used up
+    advance: (nextChunkIndex: number) => {
+      if (!state || state.nextChunkIndex === nextChunkIndex) {
+        return;
+      }
+      state = { ...state, nextChunkIndex };
+      persist();
+    },
+
+    // Text of the persistent notification
+    describe: (text: string) => {
+      if (state) {
+        native?.update(NOTIFICATION_TITLE, text);
+      }
+    },
+
+    // The recording was stopped on purpose: nothing to restore any more
+    end: async () => {
+      state = null;
+      await persist();
+      try {
+        await native?.stop();
+      } catch (error) {
+        console.warn('Could not stop the recording service:', error);
+      }
+    },
+  };
+}
+
+export type RecordingService = ReturnType<typeof createRecordingService>;
@@ -0,0 +1,233 @@
+import type { RecordVideoOptions, VideoFile } from 'react-native-vision-camera';
+import type { SegmentTiming } from './types';
+
+// Splits one continuous recording into fixed-length segment files.
+//
+// The camera can only write one file at a time, so a segment is rotated by stopping the
+// recorder and starting the next segment from the previous one's `onRecordingFinished`,
+// with no delay in between. This is not gapless: frames captured while the previous file is
+// being finalised and the next one is starting are not recorded, usually a few tens to a
+// few hundred milliseconds per rotation depending on the device. Rotations are never
+// skipped: the next one is only scheduled once its segment has started. Each segment is
+// timed on the monotonic clock relative to the start of the session, so the backend can
+// place it on the session timeline, and the hand-over before it is reported as `gapBeforeMs`.
+//
+// `stop()` followed by `resume()` pauses the session, e.g. while the camera is interrupted:
+// numbering and timing carry on, and the pause shows up as the next segment's gap. A session
+// the app was killed in the middle of is continued with `start({ firstIndex, startedAt })`.
+
+export interface Recorder {
+  startRecording(options: RecordVideoOptions): void;
+  stopRecording(): Promise<void>;
+}
+
+export interface RecordedSegment<T> {
+  index: number;
+  path: string;
+  timing: SegmentTiming;
+  // Whatever `onSegmentStart` returned for this segment
+  context: T;
+}
+
+interface SegmenterOptions<T> {
+  getRecorder: () => Recorder | null;
+  // Fixed, or asked again as each segment starts
+  segmentDurationMs: number | (() => number);
+  // Called as each segment starts recording, e.g. to capture its metadata
+  onSegmentStart: (index: number) => T;
+  onSegment: (segment: RecordedSegment<T>) => void;
+  onError: (error: Error, index: number) => void;
+}
+
+type State = 'idle' | 'recording' | 'rotating' | 'stopping';
+
+export interface StartOptions {
+  // Index of the first segment
+  firstIndex?: number;
+  // Wall-clock start of the session (ms since epoch), when continuing an earlier one
+  startedAt?: number;
+}
+
+const now = () => performance.now();
+
+export function createSegmenter<T>({
+  getRecorder,
+  segmentDurationMs,
+  onSegmentStart,
+  onSegment,
+  onError,
+}: SegmenterOptions<T>) {
+  let state: State = 'idle';
+  let nextIndex = 0;
+  let sessionOrigin = 0;
+  // End of the previous segment, in ms since the session started
+  let lastEndOffset: number | null = null;
+  let rotateTimer: ReturnType<typeof setTimeout> | null = null;
+  let onStopped: (() => void) | null = null;
+  // A session was started, so it can be resumed
+  let started = false;
+
+  const clearRotateTimer = () => {
+    if (rotateTimer) {
+      clearTimeout(rotateTimer);
+      rotateTimer = null;
+    }
+  };
+
+  // The current segment has ended one way or another: start the next one or finish stopping
+  const segmentEnded = () => {
+    if (state === 'rotating') {
+      startSegment();
+    } else if (state === 'stopping') {
+      state = 'idle';
+      onStopped?.();
+      onStopped = null;
+    }
+  };
+
+  const startSegment = () => {
+    const recorder = getRecorder();
+    if (!recorder) {
+      state = 'idle';
+      onError(new Error('Camera is not available'), nextIndex);
+      return;
+    }
+
+    const index = nextIndex++;
+    const startOffsetMs = now() - sessionOrigin;
+    const startedAt = Date.now();
+    const gapBeforeMs =
+      lastEndOffset === null ? 0 : Math.max(0, startOffsetMs - lastEndOffset);
+    const context = onSegmentStart(index);
+    state = 'recording';
+
+    const finished = (video: VideoFile) => {
+      const observedEndMs = now() - sessionOrigin;
+      const durationMs =
+        video.duration > 0
+          ? video.duration * 1000
+          : observedEndMs - startOffsetMs;
+      const endOffsetMs = startOffsetMs + durationMs;
+      lastEndOffset = endOffsetMs;
+      // Start the next file before handing this one over, to keep the gap short
+      segmentEnded();
+
+      onSegment({
+        index,
+        path: video.path,
+        context,
+        timing: {
+          startedAt: new Date(startedAt).toISOString(),
+          endedAt: new Date(startedAt + durationMs).toISOString(),
+          startOffsetMs: Math.round(startOffsetMs),
+          endOffsetMs: Math.round(endOffsetMs),
+          gapBeforeMs: Math.round(gapBeforeMs),
+        },
+      });
+    };
+
+    try {
+      recorder.startRecording({
+        fileType: 'mp4',
+        onRecordingFinished: finished,
+        onRecordingError: error => {
+          // The segment is lost (the backend reports it as missing); keep recording
+          lastEndOffset = now() - sessionOrigin;
+          onError(error, index);
+          segmentEnded();
+        },
+      });
+    } catch (error) {
+      state = 'idle';
+      onError(error as Error, index);
+      return;
+    }
+
+    rotateTimer = setTimeout(
+      rotate,
+      typeof segmentDurationMs === 'function'
+        ? segmentDurationMs()
+        : segmentDurationMs,
+    );
+  };
+
+  const rotate = async () => {
+    rotateTimer = null;
+    if (state !== 'recording') {
+      return;
+    }
+    state = 'rotating';
+    const recorder = getRecorder();
+    if (!recorder) {
+      segmentEnded();
+      return;
+    }
+    try {
+      await recorder.stopRecording();
+    } catch (error) {
+      // Nothing was recording any more; start over straight away
+      onError(error as Error, nextIndex - 1);
+      segmentEnded();
+    }
+  };
+
+  return {
+    start: ({ firstIndex = 0, startedAt }: StartOptions = {}) => {
+      if (state !== 'idle') {
+        return;
+      }
+      nextIndex = firstIndex;
+      lastEndOffset = null;
+      sessionOrigin =
+        startedAt === undefined ? now() : now() - (Date.now() - startedAt);
+      started = true;
+      startSegment();
+    },
+
+    // Continues a stopped session with the next segment
+    resume: () => {
+      if (state !== 'idle' || !started) {
+        return;
+      }
+      startSegment();
+    },
+
+    // Stops after the current segment; resolves with the number of segments started
+    stop: async (): Promise<number> => {
+      clearRotateTimer();
+      if (state === 'idle') {
+        return nextIndex;
+      }
+
+      const wasRecording = state === 'recording';
+      const stopped = new Promise<void>(resolve => {
+        onStopped = resolve;
+      });
+      state = 'stopping';
+      const recorder = getRecorder();
+      if (wasRecording && !recorder) {
+        segmentEnded();
+      } else if (wasRecording && recorder) {
+        try {
+          await recorder.stopRecording();
+        } catch (error) {
+          onError(error as Error, nextIndex - 1);
+          segmentEnded();
+        }
+      }
+      await stopped;
+      return nextIndex;
+    },
+
+    get recording() {
+      return state !== 'idle';
+    },
+
+    // Index the next segment will get
+    get nextIndex() {
+      return nextIndex;
+    },
+  };
+}
+
+export type Segmenter<T> = ReturnType<typeof createSegmenter<T>>;
@@ -0,0 +1,251 @@
+import Geolocation from '@react-native-community/geolocation';
+import { Platform } from 'react-native';
+import {
+  accelerometer,
+  gravity,
+  gyroscope,
+  magnetometer,
+  SensorData,
+  SensorTypes,
+  setUpdateIntervalForType,
+} from 'react-native-sensors';
+import type {
+  HeadingSample,
+  LocationSample,
+  MotionSample,
+  SegmentTiming,
+  SensorTrack,
+  Vector3,
+} from './types';
+
+// Location, compass heading and motion sampled while the camera is open, so every
+// recorded segment can carry the sensor track of its own time span.
+//
+// Samples are buffered with their wall-clock time; `trackFor(timing)` cuts out the ones
+// taken between the segment's startedAt and endedAt, with times relative to startedAt,
+// and drops what is older. The last location fix before the segment is included (with a
+// negative `t`) so a camera that stands still still has a position.
+//
+// Heading is computed from the gravity and magnetic field vectors, tilt-compensated: the
+// direction the back camera looks, or the direction the top edge points while the phone
+// lies flat. iOS reports acceleration and gravity in g pointing the other way; they are
+// converted to Android's convention (m/s², up is positive) as they arrive.
+
+const MOTION_INTERVAL_MS = 100;
+const HEADING_INTERVAL_MS = 500;
+const LOCATION_INTERVAL_MS = 1000;
+// Samples no segment claimed (e.g. while not recording) are dropped after this
+const MAX_BUFFER_AGE_MS = 2 * 60 * 1000;
+const STANDARD_GRAVITY = 9.80665;
+
+type Timed<T extends { t: number }> = Omit<T, 't'> & { at: number };
+
+export interface SensorReadings {
+  location?: { latitude: number; longitude: number; accuracy: number };
+  gyro?: Vector3;
+  heading?: number;
+}
+
+const round = (value: number, digits: number) =>
+  Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Headings to a tenth of a degree; 359.95 and up round to 360, which is north again
+export const roundHeading = (degrees: number) => round(degrees, 1) % 360;
+
+const roundVector = ({ x, y, z }: Vector3, digits: number): Vector3 => ({
+  x: round(x, digits),
+  y: round(y, digits),
+  z: round(z, digits),
+});
+
+const cross = (a: Vector3, b: Vector3): Vector3 => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+
+const normalize = (v: Vector3): Vector3 | null => {
+  const length = Math.hypot(v.x, v.y, v.z);
+  return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+};
+
+// Degrees from magnetic north the camera faces, given the up vector and magnetic field in
+// device axes (as Android's SensorManager.getRotationMatrix); null in free fall or when
+// the field is vertical
+export function compassHeading(up: Vector3, magnetic: Vector3): number | null {
+  const u = normalize(up);
+  const m = normalize(magnetic);
+  const east = u && m ? cross(m, u) : null;
+  if (!u || !east || Math.hypot(east.x, east.y, east.z) < 0.1) {
+    return null;
+  }
+  const e = normalize(east)!;
+  const north = cross(u, e);
+
+  // East and north components of the back camera's direction (-z), else of the top edge (+y)
+  let [x, y] = [-e.z, -north.z];
+  if (Math.hypot(x, y) < 0.3) {
+    [x, y] = [e.y, north.y];
+  }
+  return ((Math.atan2(x, y) * 180) / Math.PI + 360) % 360;
+}
+
+// Accelerometer and gravity readings in Android's convention
+const upright = ({ x, y, z }: SensorData): Vector3 =>
+  Platform.OS === 'ios'
+    ? { x: -x * STANDARD_GRAVITY, y: -y * STANDARD_GRAVITY, z: -z * STANDARD_GRAVITY }
+    : { x, y, z };
+
+export function createSensorRecorder() {
+  let locations: Timed<LocationSample>[] = [];
+  let headings: Timed<HeadingSample>[] = [];
+  let motions: Timed<MotionSample>[] = [];
+  let latestAccel: Vector3 | null = null;
+  let latestGravity: Vector3 | null = null;
+  let latestGyro: Vector3 | null = null;
+  let lastHeadingAt = 0;
+  let subscriptions: { unsubscribe(): void }[] = [];
+  let watchId: number | null = null;
+
+  const prune = <T extends { at: number }>(samples: T[]) => {
+    const cutoff = Date.now() - MAX_BUFFER_AGE_MS;
+    while (samples.length > 1 && samples[0].at < cutoff) {
+      samples.shift();
+    }
+  };
+
+  const watch = (
+    name: string,
+    observable: typeof gyroscope,
+    next: (data: SensorData) => void,
+  ) => {
+    subscriptions.push(
+      observable.subscribe({
+        next,
+        error: error => console.warn(`${name} not available`, error),
+      }),
+    );
+  };
+
+  // `location: false` leaves location off (e.g. without permission)
+  const start = ({ location = true }: { location?: boolean } = {}) => {
+    if (subscriptions.length > 0) {
+      return;
+    }
+
+    setUpdateIntervalForType(SensorTypes.gyroscope, MOTION_INTERVAL_MS);
+    setUpdateIntervalForType(SensorTypes.accelerometer, MOTION_INTERVAL_MS);
+    setUpdateIntervalForType(SensorTypes.gravity, HEADING_INTERVAL_MS);
+    setUpdateIntervalForType(SensorTypes.magnetometer, HEADING_INTERVAL_MS);
+
+    watch('Accelerometer', accelerometer, data => {
+      latestAccel = upright(data);
+    });
+    watch('Gravity sensor', gravity, data => {
+      latestGravity = upright(data);
+    });
+    watch('Gyroscope', gyroscope, ({ x, y, z }) => {
+      latestGyro = { x, y, z };
+      motions.push({
+        at: Date.now(),
+        gyro: roundVector(latestGyro, 4),
+        accel: latestAccel && roundVector(latestAccel, 3),
+      });
+      prune(motions);
+    });
+    watch('Magnetometer', magnetometer, ({ x, y, z }) => {
+      const now = Date.now();
+      // Without a gravity sensor, the accelerometer is close enough while the phone is held still
+      const up = latestGravity || latestAccel;
+      if (!up || now - lastHeadingAt < HEADING_INTERVAL_MS) {
+        return;
+      }
+      const degrees = compassHeading(up, { x, y, z });
+      if (degrees !== null) {
+        headings.push({ at: now, degrees: roundHeading(degrees) });
+        lastHeadingAt = now;
+        prune(headings);
+      }
+    });
+
+    if (location) {
+      watchId = Geolocation.watchPosition(
+        ({ coords, timestamp }) => {
+          locations.push({
+            at: timestamp || Date.now(),
+            latitude: round(coords.latitude, 7),
+            longitude: round(coords.longitude, 7),
+            accuracy: round(coords.accuracy, 1),
+            altitude: coords.altitude ?? null,
+            speed: coords.speed !== null && coords.speed >= 0 ? coords.speed : null,
+            course: coords.heading !== null && coords.heading >= 0 ? coords.heading : null,
+          });
+          prune(locations);
+        },
+        error => console.warn('Location not available', error.message),
+        {
+          enableHighAccuracy: true,
+          distanceFilter: 0,
+          interval: LOCATION_INTERVAL_MS,
+          fastestInterval: LOCATION_INTERVAL_MS,
+        },
+      );
+    }
+  };
+
+  const stop = () => {
+    subscriptions.forEach(subscription => subscription.unsubscribe());
+    subscriptions = [];
+    if (watchId !== null) {
+      Geolocation.clearWatch(watchId);
+      watchId = null;
+    }
+  };
+
+  // The most recent reading of each sensor, for segment metadata
+  const latest = (): SensorReadings => {
+    const location = locations[locations.length - 1];
+    const heading = headings[headings.length - 1];
+    return {
+      location: location && {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+      },
+      gyro: latestGyro ? roundVector(latestGyro, 4) : undefined,
+      heading: heading?.degrees,
+    };
+  };
+
+  // The samples of one segment; older ones are dropped, except the last location fix
+  const trackFor = (timing: SegmentTiming): SensorTrack => {
+    const from = Date.parse(timing.startedAt);
+    const to = Date.parse(timing.endedAt);
+    const relative = <T extends { at: number }>(samples: T[]) =>
+      samples
+        .filter(sample => sample.at <= to)
+        .map(({ at, ...sample }) => ({ t: at - from, ...sample }));
+    const inSegment = <T extends { at: number }>(samples: T[]) =>
+      relative(samples.filter(sample => sample.at >= from));
+
+    const lastFixBefore = locations.filter(sample => sample.at < from).pop();
+    const track: SensorTrack = {
+      startedAt: timing.startedAt,
+      location: relative(
+        lastFixBefore
+          ? [lastFixBefore, ...locations.filter(sample => sample.at >= from)]
+          : locations,
+      ),
+      heading: inSegment(headings),
+      motion: inSegment(motions),
+    };
+
+    const lastFix = locations.filter(sample => sample.at <= to).pop();
+    locations = locations.filter(sample => sample.at > to || sample === lastFix);
+    headings = headings.filter(sample => sample.at > to);
+    motions = motions.filter(sample => sample.at > to);
+    return track;
+  };
+
+  return { start, stop, latest, trackFor };
+}
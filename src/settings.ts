@@ -0,0 +1,96 @@
+import RNFS from 'react-native-fs';
+import { DEFAULT_BACKEND_URL, ENROLLMENT_TOKEN } from './api';
+import { DEFAULT_QUALITY_LIMITS, QualityLimits } from './adaptiveController';
+
+// Device settings, edited in the settings screen and persisted on the device, so pointing the
+// app at another backend (e.g. a new tunnel URL) no longer needs a rebuild.
+//
+// The backend URL and enrollment token can also be set by scanning the QR code the backend
+// serves at GET /pair (see backend/pair-api.js).
+
+export interface AppSettings {
+  backendUrl: string;
+  // Used to enroll whenever the device has no token for the backend
+  enrollmentToken: string;
+  // Fixed segment length, or null to adapt it to the upload throughput
+  segmentDurationMs: number | null;
+  // Upper bounds for the adaptive quality (see src/adaptiveController.ts)
+  maxHeight: number;
+  maxFps: number;
+  maxBitrate: number;
+  audio: boolean;
+  // Camera device id from useCameraDevices, or null for the first back camera
+  cameraId: string | null;
+}
+
+export interface PairingCode {
+  backendUrl: string;
+  enrollmentToken: string;
+}
+
+export const DEFAULT_SETTINGS: AppSettings = {
+  backendUrl: DEFAULT_BACKEND_URL,
+  enrollmentToken: ENROLLMENT_TOKEN,
+  segmentDurationMs: null,
+  maxHeight: DEFAULT_QUALITY_LIMITS.maxHeight,
+  maxFps: DEFAULT_QUALITY_LIMITS.maxFps,
+  maxBitrate: DEFAULT_QUALITY_LIMITS.maxBitrate,
+  audio: true,
+  cameraId: null,
+};
+
+const SETTINGS_PATH = `${RNFS.DocumentDirectoryPath}/settings.json`;
+
+const PAIRING_TYPE = 'heimdall-pairing';
+const PAIRING_VERSION = 1;
+
+export const loadSettings = async (): Promise<AppSettings> => {
+  if (await RNFS.exists(SETTINGS_PATH)) {
+    try {
+      // Settings added since they were saved keep their defaults
+      return {
+        ...DEFAULT_SETTINGS,
+        ...JSON.parse(await RNFS.readFile(SETTINGS_PATH, 'utf8')),
+      };
+    } catch (error) {
+      console.error('Settings unreadable, using the defaults:', error);
+    }
+  }
+  return DEFAULT_SETTINGS;
+};
+
+export const saveSettings = (settings: AppSettings) =>
+  RNFS.writeFile(SETTINGS_PATH, JSON.stringify(settings), 'utf8');
+
+// The adaptive controller's limits; a fixed segment length pins both segment bounds
+export const qualityLimitsOf = (settings: AppSettings): QualityLimits => ({
+  maxHeight: settings.maxHeight,
+  maxFps: settings.maxFps,
+  maxBitrate: settings.maxBitrate,
+  minSegmentMs:
+    settings.segmentDurationMs ?? DEFAULT_QUALITY_LIMITS.minSegmentMs,
+  maxSegmentMs:
+    settings.segmentDurationMs ?? DEFAULT_QUALITY_LIMITS.maxSegmentMs,
+});
+
+export const isValidBackendUrl = (url: string) =>
+  /^https?:\/\/[^\s/]+(\/\S*)?$/.test(url.trim());
+
+// The backend URL and enrollment token in a scanned pairing code, or null if it is not one
+export const parsePairingCode = (data: string): PairingCode | null => {
+  try {
+    const code = JSON.parse(data);
+    if (
+      code?.type !== PAIRING_TYPE ||
+      code.version !== PAIRING_VERSION ||
+      typeof code.url !== 'string' ||
+      !isValidBackendUrl(code.url) ||
+      typeof code.enrollmentToken !== 'string'
+    ) {
+      return null;
+    }
+    return { backendUrl: code.url, enrollmentToken: code.enrollmentToken };
+  } catch {
+    return null;
+  }
+};
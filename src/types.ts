@@ -0,0 +1,148 @@
+import metadataSchema from '../backend/schemas/recording-metadata.v3.schema.json';
+
+// Types for metadata
+export interface SegmentTiming {
+  // Wall-clock start and end of the segment
+  startedAt: string;
+  endedAt: string;
+  // Milliseconds since the session started, on the monotonic clock
+  startOffsetMs: number;
+  endOffsetMs: number;
+  // Time the recorder was not running between the previous segment and this one
+  gapBeforeMs: number;
+}
+
+export interface Vector3 {
+  x: number;
+  y: number;
+  z: number;
+}
+
+export interface LocationSample {
+  // Milliseconds since the track's `startedAt`
+  t: number;
+  latitude: number;
+  longitude: number;
+  // Meters
+  accuracy: number;
+  altitude: number | null;
+  // Meters per second and degrees from true north, while moving
+  speed: number | null;
+  course: number | null;
+}
+
+export interface HeadingSample {
+  t: number;
+  // Compass direction the back camera faces, degrees from magnetic north
+  degrees: number;
+}
+
+export interface MotionSample {
+  t: number;
+  // Rotation rate in rad/s and acceleration (gravity included) in m/s², device axes
+  gyro: Vector3;
+  accel: Vector3 | null;
+}
+
+// Sensor samples taken while a segment was recording (see sensors.ts)
+export interface SensorTrack {
+  startedAt: string;
+  location: LocationSample[];
+  heading: HeadingSample[];
+  motion: MotionSample[];
+}
+
+// Rectangle of the camera frame watched for motion in guard mode, in fractions of the frame
+export interface MotionZone {
+  id: string;
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+}
+
+// Motion in a zone that passed the threshold (see motionDetection.ts)
+export interface DetectedMotion {
+  at: number;
+  zone: string;
+  // Share of the zone that changed, 0 to 1
+  score: number;
+}
+
+// Why a chunk recorded in guard mode was kept (see motionGuard.ts)
+export interface ChunkTrigger {
+  mode: 'motion';
+  // Motion event the chunk belongs to; its pre-roll chunks share it
+  eventId: string;
+  role: 'pre-roll' | 'event';
+  // When motion first passed the threshold, in which zone and how strongly
+  triggeredAt: string;
+  zone: string;
+  score: number;
+  // Highest motion score while the chunk was recording (0 if none)
+  peakScore: number;
+}
+
+// Version of backend/schemas/recording-metadata.v*.schema.json the app's metadata follows; the
+// server validates every upload against the schema of the version it names
+export const METADATA_SCHEMA_VERSION: number =
+  metadataSchema.properties.schemaVersion.const;
+
+export interface RecordingMetadata {
+  schemaVersion: number;
+  deviceId: string;
+  sessionId: string;
+  chunkIndex: number;
+  timestamp: string;
+  // When the segment finished recording and was queued for upload
+  chunkTimestamp?: string;
+  // SHA-256 of the segment file and of the session's previous segment (see chunkHashes.ts)
+  sha256?: string;
+  previousSha256?: string | null;
+  // Where the segment sits on the session timeline (see segmenter.ts)
+  timing?: SegmentTiming;
+  location?: {
+    latitude: number;
+    longitude: number;
+    accuracy: number;
+  };
+  deviceInfo: {
+    brand: string;
+    model: string;
+    os: string;
+    osVersion: string;
+  };
+  cameraInfo: {
+    id: string;
+    position: string; // Can be 'front', 'back', or 'external'
+    resolution: {
+      width: number;
+      height: number;
+    };
+  };
+  viewport: {
+    width: number;
+    height: number;
+    scale: number;
+    fontScale: number;
+  };
+  orientation: 'portrait' | 'landscape';
+  gyro?: Vector3;
+  // Degrees from magnetic north, when the segment started
+  heading?: number;
+  sensorTrack?: SensorTrack;
+  // Set on chunks recorded in guard mode
+  trigger?: ChunkTrigger;
+  recordingSettings: {
+    codec: string;
+    // Short side of the recorded format, e.g. '720p'
+    quality: string;
+    // Bits per second the encoder was asked for
+    bitrate: number;
+    fps?: number;
+    // Segment length the recording was cut at
+    segmentDurationMs?: number;
+    // Step of the adaptive controller's quality ladder
+    adaptiveLevel?: number;
+  };
+}
@@ -0,0 +1,308 @@
+import RNFS from 'react-native-fs';
+import { ApiError } from './api';
+import type { RecordingMetadata } from './types';
+
+// Persistent on-device queue of recorded chunks waiting to be uploaded.
+//
+// Each finished segment is moved into QUEUE_DIR and recorded in a JSON manifest,
+// so pending uploads survive app restarts. Entries are uploaded one at a time,
+// oldest first, and retried with exponential backoff until the backend accepts
+// them. Entries the backend rejects permanently (see ApiError.isPermanent) are
+// kept on disk as 'failed' rather than deleted, so no footage is ever thrown
+// away silently. A rejected device token is renewed through `reauthenticate`
+// before the entry is tried again.
+
+const QUEUE_DIR = `${RNFS.DocumentDirectoryPath}/upload-queue`;
+const MANIFEST_PATH = `${QUEUE_DIR}/manifest.json`;
+
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+export interface QueueEntry {
+  id: string;
+  filePath: string;
+  metadata: RecordingMetadata;
+  status: 'pending' | 'failed';
+  attempts: number;
+  nextAttemptAt: number;
+  createdAt: string;
+  lastError?: string;
+}
+
+export interface QueueStatus {
+  pending: number;
+  failed: number;
+  uploading: string | null;
+  lastError?: string;
+}
+
+type UploadFn = (
+  filePath: string,
+  metadata: RecordingMetadata,
+) => Promise<unknown>;
+
+// Delay before retry number `attempts` (1-based), with +/-20% jitter
+export const retryDelay = (attempts: number) => {
+  const delay = Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+    MAX_RETRY_DELAY_MS,
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Wraps an upload function to time each round-trip, e.g. for the adaptive controller.
+// `onFailure` hears about network failures, timeouts and server errors, not rejections.
+export const withUploadStats =
+  (
+    upload: UploadFn,
+    {
+      onSuccess,
+      onFailure,
+    }: {
+      onSuccess: (sample: { bytes: number; durationMs: number }) => void;
+      onFailure: () => void;
+    },
+  ): UploadFn =>
+  async (filePath, metadata) => {
+    const { size } = await RNFS.stat(filePath);
+    const startedAt = Date.now();
+    try {
+      const result = await upload(filePath, metadata);
+      onSuccess({ bytes: Number(size), durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      const status = error instanceof ApiError ? error.status : 0;
+      if (status === 0 || status === 408 || status >= 500) {
+        onFailure();
+      }
+      throw error;
+    }
+  };
+
+export function createUploadQueue(
+  upload: UploadFn,
+  {
+    reauthenticate,
+  }: {
+    // Obtain a new device token, e.g. by re-enrolling; rejects if that is not possible now
+    reauthenticate?: () => Promise<void>;
+  } = {},
+) {
+  let entries: QueueEntry[] = [];
+  let loaded: Promise<void> | null = null;
+  let processing = false;
+  let uploading: string | null = null;
+  let wakeTimer: ReturnType<typeof setTimeout> | null = null;
+  let saveChain: Promise<void> = Promise.resolve();
+  const listeners = new Set<(status: QueueStatus) => void>();
+
+  const getStatus = (): QueueStatus => ({
+    pending: entries.filter(entry => entry.status === 'pending').length,
+    failed: entries.filter(entry => entry.status === 'failed').length,
+    uploading,
+    lastError: entries.find(entry => entry.lastError)?.lastError,
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  // Manifest writes are chained so a slow write never overtakes a newer one
+  const save = () => {
+    const snapshot = JSON.stringify(entries);
+    saveChain = saveChain
+      .then(() => RNFS.writeFile(MANIFEST_PATH, snapshot, 'utf8'))
+      .catch(error => console.error('Failed to save upload queue:', error));
+    return saveChain;
+  };
+
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        await RNFS.mkdir(QUEUE_DIR);
+        if (await RNFS.exists(MANIFEST_PATH)) {
+          try {
+            const saved: QueueEntry[] = JSON.parse(
+              await RNFS.readFile(MANIFEST_PATH, 'utf8'),
+            );
+            // Drop entries whose clip disappeared (e.g. app data partially cleared)
+            const present = await Promise.all(
+              saved.map(entry => RNFS.exists(entry.filePath)),
+            );
+            entries = saved.filter((_, index) => present[index]);
+          } catch (error) {
+            console.error('Upload queue manifest unreadable, starting empty:', error);
+            entries = [];
+          }
+        }
+        console.log(`Upload queue loaded with ${entries.length} entries`);
+        notify();
+      })().catch(error => {
+        // Try again on the next call rather than failing every later one
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const schedule = () => {
+    if (wakeTimer) {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+    }
+    const next = entries
+      .filter(entry => entry.status === 'pending')
+      .reduce<number | null>(
+        (earliest, entry) =>
+          earliest === null
+            ? entry.nextAttemptAt
+            : Math.min(earliest, entry.nextAttemptAt),
+        null,
+      );
+    if (next !== null) {
+      wakeTimer = setTimeout(() => {
+        wakeTimer = null;
+        processQueue();
+      }, Math.max(0, next - Date.now()));
+    }
+  };
+
+  const processQueue = async () => {
+    if (processing) {
+      return;
+    }
+    processing = true;
+    // Renew the token at most once per run, so a backend that keeps rejecting it falls back to backoff
+    let reauthenticated = false;
+
+    try {
+      await load();
+
+      while (true) {
+        const now = Date.now();
+        const entry = entries
+          .filter(
+            candidate =>
+              candidate.status === 'pending' && candidate.nextAttemptAt <= now,
+          )
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+        if (!entry) {
+          break;
+        }
+
+        uploading = entry.id;
+        notify();
+
+        try {
+          await upload(entry.filePath, entry.metadata);
+          entries = entries.filter(candidate => candidate.id !== entry.id);
+          await save();
+          await RNFS.unlink(entry.filePath).catch(() => {});
+        } catch (error) {
+          const apiError =
+            error instanceof ApiError ? error : new ApiError(String(error), 0);
+          entry.attempts += 1;
+          entry.lastError = apiError.code
+            ? `${apiError.code}: ${apiError.message}`
+            : apiError.message;
+
+          if (
+            apiError.needsReauthentication &&
+            reauthenticate &&
+            !reauthenticated
+          ) {
+            reauthenticated = true;
+            try {
+              await reauthenticate();
+              console.log(
+                `Device token renewed, retrying chunk ${entry.metadata.chunkIndex}`,
+              );
+              await save();
+              continue;
+            } catch (reauthError) {
+              console.warn('Device token renewal failed:', reauthError);
+            }
+          }
+
+          if (apiError.isPermanent) {
+            entry.status = 'failed';
+            console.error(
+              `Chunk ${entry.metadata.chunkIndex} rejected permanently, keeping it on disk:`,
+              entry.lastError,
+            );
+          } else {
+            entry.nextAttemptAt = Date.now() + retryDelay(entry.attempts);
+            console.warn(
+              `Chunk ${entry.metadata.chunkIndex} upload failed (attempt ${entry.attempts}), retrying at ${new Date(entry.nextAttemptAt).toISOString()}:`,
+              entry.lastError,
+            );
+          }
+          await save();
+        }
+      }
+    } catch (error) {
+      console.error('Upload queue stopped:', error);
+    } finally {
+      uploading = null;
+      processing = false;
+      notify();
+      schedule();
+    }
+  };
+
+  return {
+    // Load the saved manifest and resume any uploads left over from a previous run
+    start: () => {
+      processQueue();
+    },
+
+    // Take ownership of a finished clip: move it into the queue directory and upload it
+    enqueue: async (videoPath: string, metadata: RecordingMetadata) => {
+      await load();
+      const id = `${metadata.sessionId}_${metadata.chunkIndex}`;
+      const ext = videoPath.split('.').pop() || 'mp4';
+      const filePath = `${QUEUE_DIR}/${id}.${ext}`;
+      await RNFS.moveFile(videoPath, filePath);
+
+      entries.push({
+        id,
+        filePath,
+        metadata,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString(),
+      });
+      await save();
+      notify();
+      processQueue();
+    },
+
+    // Skip remaining backoff delays, e.g. when connectivity or the app comes back
+    retryNow: () => {
+      entries.forEach(entry => {
+        if (entry.status === 'pending') {
+          entry.nextAttemptAt = Date.now();
+        }
+      });
+      processQueue();
+    },
+
+    getStatus,
+
+    // Chunks still on the device, waiting for upload or failed
+    getEntries: (): QueueEntry[] => entries.map(entry => ({ ...entry })),
+
+    subscribe: (listener: (status: QueueStatus) => void) => {
+      listeners.add(listener);
+      listener(getStatus());
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
+
+export type UploadQueue = ReturnType<typeof createUploadQueue>;